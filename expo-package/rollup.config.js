@@ -35,6 +35,7 @@ const normalBundle = {
   ],
   external: [
     'stream-chat-react-native-core',
+    'react',
     'react-native',
     'expo-image-picker',
     'expo-document-picker',
@@ -2,6 +2,7 @@
  * In Expo 34, all the modules such as image picker, document picker, permissions etc etc have been moved to their own packages.
  * And they have been removed from Expo package. But these packages don't work with Expo 32 sdk (because of linking issue).
  */
+import React from 'react';
 import { registerNativeHandlers } from 'stream-chat-react-native-core';
 import NetInfo from '@react-native-community/netinfo';
 import { Constants } from 'react-native-unimodules';
@@ -27,6 +28,26 @@ if (manifest.sdkVersion.split('.')[0] >= 33) {
   DocumentPicker = Expo.DocumentPicker;
 }
 
+const setAudioMode = (Audio, allowsRecordingIOS) =>
+  Audio.setAudioModeAsync({
+    allowsRecordingIOS,
+    interruptionModeIOS: Audio.INTERRUPTION_MODE_IOS_DO_NOT_MIX,
+    playsInSilentModeIOS: true,
+    shouldDuckAndroid: true,
+    interruptionModeAndroid: Audio.INTERRUPTION_MODE_ANDROID_DO_NOT_MIX,
+    playThroughEarpieceAndroid: false,
+  });
+
+// Metering is in dB, from -160 (silence) to 0. Anything below -60 dB is considered silence.
+const meteringToLevel = (metering) =>
+  metering === undefined ? null : Math.max(0, (metering + 60) / 60);
+
+const toLocation = ({ coords }) => ({
+  latitude: coords.latitude,
+  longitude: coords.longitude,
+  accuracy: coords.accuracy,
+});
+
 registerNativeHandlers({
   NetInfo: {
     addEventListener(listener) {
@@ -65,17 +86,187 @@ registerNativeHandlers({
       });
     },
   },
-  pickImage: async () => {
+  pickImage: async ({ multiple } = {}) => {
     await Permissions.askAsync(Permissions.CAMERA_ROLL);
 
-    return await ImagePicker.launchImageLibraryAsync({
+    const result = await ImagePicker.launchImageLibraryAsync({
       allowsEditing: false,
       aspect: [4, 3],
       //TODO: Decide what to do about it
       quality: 0.2,
+      allowsMultipleSelection: !!multiple,
     });
+    // Multiple selection is only supported by newer versions of expo-image-picker, older ones return single image.
+    if (result.selected) {
+      return { cancelled: result.cancelled, images: result.selected };
+    }
+
+    return result;
   },
   pickDocument: async () => await DocumentPicker.getDocumentAsync(),
+  pickVideo: async () => {
+    await Permissions.askAsync(Permissions.CAMERA_ROLL);
+
+    const result = await ImagePicker.launchImageLibraryAsync({
+      mediaTypes: ImagePicker.MediaTypeOptions.Videos,
+    });
+    if (result.cancelled) return result;
+
+    return {
+      cancelled: false,
+      uri: result.uri,
+      // Expo provides the duration in milliseconds
+      duration: result.duration ? result.duration / 1000 : undefined,
+    };
+  },
 });
 
+/**
+ * Registers `VideoPlayer` native handler, so that VideoAttachment plays videos in place.
+ * It's opt-in, to not require `expo-av` in apps that don't use it:
+ *
+ * ```js
+ * import { Video } from 'expo-av';
+ * import { registerVideoPlayer } from 'stream-chat-expo';
+ *
+ * registerVideoPlayer(Video);
+ * ```
+ */
+export const registerVideoPlayer = (Video) => {
+  const VideoPlayer = ({ uri, style, paused, onEnd, onError }) =>
+    React.createElement(Video, {
+      source: { uri },
+      style,
+      shouldPlay: !paused,
+      useNativeControls: true,
+      resizeMode: Video.RESIZE_MODE_CONTAIN,
+      onError,
+      onPlaybackStatusUpdate: (status) => {
+        if (status.didJustFinish && onEnd) onEnd();
+      },
+    });
+
+  registerNativeHandlers({ VideoPlayer });
+};
+
+/**
+ * Registers `recordAudio` and `createAudioPlayer` native handlers, so that MessageInput shows the record button
+ * and AudioAttachment plays voice messages in place. It's opt-in, to not require `expo-av` in apps that don't use it:
+ *
+ * ```js
+ * import { Audio } from 'expo-av';
+ * import { registerAudioHandlers } from 'stream-chat-expo';
+ *
+ * registerAudioHandlers(Audio);
+ * ```
+ */
+export const registerAudioHandlers = (Audio) => {
+  registerNativeHandlers({
+    recordAudio: async ({ onProgress }) => {
+      const { status } = await Permissions.askAsync(
+        Permissions.AUDIO_RECORDING,
+      );
+      if (status !== 'granted')
+        throw Error('Audio recording permission denied');
+
+      await setAudioMode(Audio, true);
+      const recording = new Audio.Recording();
+      await recording.prepareToRecordAsync({
+        ...Audio.RECORDING_OPTIONS_PRESET_HIGH_QUALITY,
+        isMeteringEnabled: true,
+      });
+      recording.setProgressUpdateInterval(100);
+      recording.setOnRecordingStatusUpdate((recordingStatus) => {
+        if (!recordingStatus.isRecording || !onProgress) return;
+
+        onProgress({
+          duration: recordingStatus.durationMillis,
+          level: meteringToLevel(recordingStatus.metering),
+        });
+      });
+      await recording.startAsync();
+
+      const stop = async () => {
+        await recording.stopAndUnloadAsync();
+        await setAudioMode(Audio, false);
+        return recording.getStatusAsync();
+      };
+
+      return {
+        stop: async () => {
+          const recordingStatus = await stop();
+          return {
+            uri: recording.getURI(),
+            duration: recordingStatus.durationMillis,
+          };
+        },
+        cancel: stop,
+      };
+    },
+    createAudioPlayer: async (uri, onStatusUpdate) => {
+      const { sound } = await Audio.Sound.createAsync(
+        { uri },
+        { progressUpdateIntervalMillis: 100 },
+        (playbackStatus) => {
+          if (!playbackStatus.isLoaded) return;
+
+          onStatusUpdate({
+            isPlaying: playbackStatus.isPlaying,
+            position: playbackStatus.positionMillis,
+            duration: playbackStatus.durationMillis,
+            didJustFinish: playbackStatus.didJustFinish,
+          });
+        },
+      );
+
+      return {
+        play: () => sound.playAsync(),
+        pause: () => sound.pauseAsync(),
+        seekTo: (position) => sound.setPositionAsync(position),
+        unload: () => sound.unloadAsync(),
+      };
+    },
+  });
+};
+
+/**
+ * Registers `shareLocation` native handler, so that MessageInput offers to share location.
+ * It's opt-in, to not require `expo-location` in apps that don't use it:
+ *
+ * ```js
+ * import * as Location from 'expo-location';
+ * import { registerLocationHandler } from 'stream-chat-expo';
+ *
+ * registerLocationHandler(Location);
+ * ```
+ */
+export const registerLocationHandler = (Location) => {
+  registerNativeHandlers({
+    shareLocation: async ({ live, onUpdate }) => {
+      const { status } = await Permissions.askAsync(Permissions.LOCATION);
+      if (status !== 'granted') throw Error('Location permission denied');
+
+      const location = toLocation(
+        await Location.getCurrentPositionAsync({
+          accuracy: Location.Accuracy.High,
+        }),
+      );
+
+      let subscription = null;
+      if (live) {
+        subscription = await Location.watchPositionAsync(
+          { accuracy: Location.Accuracy.High, distanceInterval: 10 },
+          (position) => onUpdate(toLocation(position)),
+        );
+      }
+
+      return {
+        cancelled: false,
+        ...location,
+        stop: () => subscription && subscription.remove(),
+      };
+    },
+  });
+};
+
 export * from 'stream-chat-react-native-core';
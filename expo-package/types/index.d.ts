@@ -1 +1,10 @@
 export * from 'stream-chat-react-native-core';
+
+/** Registers `shareLocation` native handler, using the given `expo-location` module. */
+export function registerLocationHandler(Location: any): void;
+
+/** Registers `recordAudio` and `createAudioPlayer` native handlers, using the given `expo-av` `Audio` module. */
+export function registerAudioHandlers(Audio: any): void;
+
+/** Registers `VideoPlayer` native handler, using the given `expo-av` `Video` component. */
+export function registerVideoPlayer(Video: any): void;
@@ -1,3 +1,4 @@
+import React from 'react';
 import { Platform } from 'react-native';
 import { registerNativeHandlers } from 'stream-chat-react-native-core';
 import NetInfo from '@react-native-community/netinfo';
@@ -59,6 +60,28 @@ registerNativeHandlers({
         });
       });
     }),
+  pickVideo: () =>
+    new Promise((resolve, reject) => {
+      ImagePicker.launchImageLibrary({ mediaType: 'video' }, (response) => {
+        if (response.error) {
+          reject(Error(response.error));
+          return;
+        }
+        if (response.didCancel) {
+          resolve({ cancelled: true });
+          return;
+        }
+        let { uri } = response;
+        if (Platform.OS === 'android' && response.path) {
+          uri = 'file://' + response.path;
+        }
+
+        resolve({
+          cancelled: false,
+          uri,
+        });
+      });
+    }),
   pickDocument: async () => {
     try {
       const res = await DocumentPicker.pick({
@@ -82,6 +105,160 @@ registerNativeHandlers({
   },
 });
 
+const toLocation = ({ coords }) => ({
+  latitude: coords.latitude,
+  longitude: coords.longitude,
+  accuracy: coords.accuracy,
+});
+
+/**
+ * Registers `shareLocation` native handler, so that MessageInput offers to share location.
+ * It's opt-in, to not require `@react-native-community/geolocation` in apps that don't use it:
+ *
+ * ```js
+ * import Geolocation from '@react-native-community/geolocation';
+ * import { registerLocationHandler } from 'stream-chat-react-native';
+ *
+ * registerLocationHandler(Geolocation);
+ * ```
+ */
+export const registerLocationHandler = (Geolocation) => {
+  const getCurrentPosition = () =>
+    new Promise((resolve, reject) => {
+      Geolocation.getCurrentPosition(
+        (position) => resolve(toLocation(position)),
+        (error) => reject(Error(error.message)),
+        { enableHighAccuracy: true, timeout: 20000 },
+      );
+    });
+
+  registerNativeHandlers({
+    shareLocation: async ({ live, onUpdate }) => {
+      Geolocation.requestAuthorization();
+      const location = await getCurrentPosition();
+
+      let watchId = null;
+      if (live) {
+        watchId = Geolocation.watchPosition(
+          (position) => onUpdate(toLocation(position)),
+          null,
+          { enableHighAccuracy: true, distanceFilter: 10 },
+        );
+      }
+
+      return {
+        cancelled: false,
+        ...location,
+        stop: () => watchId !== null && Geolocation.clearWatch(watchId),
+      };
+    },
+  });
+};
+
+/**
+ * Registers `VideoPlayer` native handler, so that VideoAttachment plays videos in place.
+ * It's opt-in, to not require `react-native-video` in apps that don't use it:
+ *
+ * ```js
+ * import Video from 'react-native-video';
+ * import { registerVideoPlayer } from 'stream-chat-react-native';
+ *
+ * registerVideoPlayer(Video);
+ * ```
+ */
+export const registerVideoPlayer = (Video) => {
+  const VideoPlayer = ({ uri, style, paused, onEnd, onError }) =>
+    React.createElement(Video, {
+      source: { uri },
+      style,
+      paused,
+      controls: true,
+      resizeMode: 'contain',
+      onEnd,
+      onError,
+    });
+
+  registerNativeHandlers({ VideoPlayer });
+};
+
+/**
+ * Registers `recordAudio` and `createAudioPlayer` native handlers, so that MessageInput shows the record button
+ * and AudioAttachment plays voice messages in place. It's opt-in, to not require `react-native-audio-recorder-player`
+ * in apps that don't use it:
+ *
+ * ```js
+ * import AudioRecorderPlayer from 'react-native-audio-recorder-player';
+ * import { registerAudioHandlers } from 'stream-chat-react-native';
+ *
+ * registerAudioHandlers(AudioRecorderPlayer);
+ * ```
+ */
+export const registerAudioHandlers = (AudioRecorderPlayer) => {
+  registerNativeHandlers({
+    recordAudio: async ({ onProgress }) => {
+      const recorder = new AudioRecorderPlayer();
+      let duration = 0;
+      recorder.addRecordBackListener((e) => {
+        duration = e.current_position;
+        if (!onProgress) return;
+
+        onProgress({
+          duration,
+          // Metering is in dB, from -160 (silence) to 0. Anything below -60 dB is considered silence.
+          level:
+            e.current_metering === undefined
+              ? null
+              : Math.max(0, (e.current_metering + 60) / 60),
+        });
+      });
+      await recorder.startRecorder(undefined, undefined, true);
+
+      const stop = async () => {
+        const uri = await recorder.stopRecorder();
+        recorder.removeRecordBackListener();
+        return uri;
+      };
+
+      return {
+        stop: async () => ({ uri: await stop(), duration }),
+        cancel: stop,
+      };
+    },
+    createAudioPlayer: (uri, onStatusUpdate) => {
+      const player = new AudioRecorderPlayer();
+      let started = false;
+      player.addPlayBackListener((e) => {
+        const didJustFinish = e.current_position >= e.duration;
+        if (didJustFinish) {
+          started = false;
+          player.stopPlayer();
+        }
+
+        onStatusUpdate({
+          isPlaying: !didJustFinish,
+          position: e.current_position,
+          duration: e.duration,
+          didJustFinish,
+        });
+      });
+
+      return Promise.resolve({
+        play: () => {
+          if (started) return player.resumePlayer();
+          started = true;
+          return player.startPlayer(uri);
+        },
+        pause: () => player.pausePlayer(),
+        seekTo: (position) => started && player.seekToPlayer(position),
+        unload: () => {
+          player.removePlayBackListener();
+          return player.stopPlayer();
+        },
+      });
+    },
+  });
+};
+
 if (Platform.OS === 'android') {
   if (typeof Symbol === 'undefined') {
     require('es6-symbol/implement');
@@ -1 +1,10 @@
 export * from 'stream-chat-react-native-core';
+
+/** Registers `shareLocation` native handler, using the given `@react-native-community/geolocation` module. */
+export function registerLocationHandler(Location: any): void;
+
+/** Registers `recordAudio` and `createAudioPlayer` native handlers, using the given `react-native-audio-recorder-player` class. */
+export function registerAudioHandlers(Audio: any): void;
+
+/** Registers `VideoPlayer` native handler, using the given `react-native-video` component. */
+export function registerVideoPlayer(Video: any): void;
@@ -10,11 +10,20 @@ import { AttachmentActions } from './AttachmentActions';
 import { Gallery } from './Gallery';
 
 import { withMessageContentContext } from '../context';
+import { getRegisteredAttachmentType } from '../utils/attachmentRegistry';
 import { FileAttachment } from './FileAttachment';
+import { AudioAttachment } from './AudioAttachment';
+import { VideoAttachment } from './VideoAttachment';
+import { PollAttachment } from './PollAttachment';
+import { LocationAttachment } from './LocationAttachment';
+import { ContactAttachment } from './ContactAttachment';
 
 /**
  * Attachment - The message attachment
  *
+ * Custom attachment types can be rendered by registering their UI component with `registerAttachmentType`.
+ * Registered types are consulted before the built-in renderers.
+ *
  * @example ./docs/Attachment.md
  * @extends PureComponent
  */
@@ -71,6 +80,46 @@ export const Attachment = withMessageContentContext(
           PropTypes.node,
           PropTypes.elementType,
         ]),
+        /**
+         * Custom UI component to display audio attachment e.g., voice message.
+         * Deaults to https://github.com/GetStream/stream-chat-react-native/blob/master/src/components/AudioAttachment.js
+         */
+        AudioAttachment: PropTypes.oneOfType([
+          PropTypes.node,
+          PropTypes.elementType,
+        ]),
+        /**
+         * Custom UI component to display video attachment.
+         * Deaults to https://github.com/GetStream/stream-chat-react-native/blob/master/src/components/VideoAttachment.js
+         */
+        VideoAttachment: PropTypes.oneOfType([
+          PropTypes.node,
+          PropTypes.elementType,
+        ]),
+        /**
+         * Custom UI component to display poll attachment.
+         * Deaults to https://github.com/GetStream/stream-chat-react-native/blob/master/src/components/PollAttachment.js
+         */
+        PollAttachment: PropTypes.oneOfType([
+          PropTypes.node,
+          PropTypes.elementType,
+        ]),
+        /**
+         * Custom UI component to display location attachment.
+         * Deaults to https://github.com/GetStream/stream-chat-react-native/blob/master/src/components/LocationAttachment.js
+         */
+        LocationAttachment: PropTypes.oneOfType([
+          PropTypes.node,
+          PropTypes.elementType,
+        ]),
+        /**
+         * Custom UI component to display contact attachment.
+         * Deaults to https://github.com/GetStream/stream-chat-react-native/blob/master/src/components/ContactAttachment.js
+         */
+        ContactAttachment: PropTypes.oneOfType([
+          PropTypes.node,
+          PropTypes.elementType,
+        ]),
         /**
          * Custom UI component for attachment icon for type 'file' attachment.
          * Defaults to: https://github.com/GetStream/stream-chat-react-native/blob/master/src/components/FileIcon.js
@@ -125,6 +174,11 @@ export const Attachment = withMessageContentContext(
         Gallery,
         Card,
         FileAttachment,
+        AudioAttachment,
+        VideoAttachment,
+        PollAttachment,
+        LocationAttachment,
+        ContactAttachment,
       };
 
       constructor(props) {
@@ -146,6 +200,27 @@ export const Attachment = withMessageContentContext(
           return null;
         }
 
+        const registeredType = getRegisteredAttachmentType(a);
+        if (registeredType) {
+          const { Component } = registeredType;
+          const {
+            actionHandler,
+            onLongPress,
+            alignment,
+            groupStyle,
+          } = this.props;
+
+          return (
+            <Component
+              attachment={a}
+              actionHandler={actionHandler}
+              onLongPress={onLongPress}
+              alignment={alignment}
+              groupStyle={groupStyle}
+            />
+          );
+        }
+
         const Giphy = this.props.Giphy ? this.props.Giphy : Card;
         const UrlPreview = this.props.UrlPreview ? this.props.UrlPreview : Card;
 
@@ -158,6 +233,12 @@ export const Attachment = withMessageContentContext(
 
         if (a.type === 'giphy' || a.type === 'imgur') {
           type = 'giphy';
+        } else if (a.type === 'poll') {
+          type = 'poll';
+        } else if (a.type === 'location') {
+          type = 'location';
+        } else if (a.type === 'contact') {
+          type = 'contact';
         } else if (
           (a.title_link || a.og_scrape_url) &&
           (a.image_url || a.thumb_url)
@@ -262,10 +343,103 @@ export const Attachment = withMessageContentContext(
           );
         }
 
-        if (type === 'media' && a.asset_url && a.image_url) {
+        if (type === 'audio' && a.asset_url) {
+          const {
+            AudioAttachment,
+            actionHandler,
+            onLongPress,
+            alignment,
+            groupStyle,
+          } = this.props;
+
+          return (
+            <AudioAttachment
+              attachment={a}
+              actionHandler={actionHandler}
+              onLongPress={onLongPress}
+              alignment={alignment}
+              groupStyle={groupStyle}
+            />
+          );
+        }
+
+        if (type === 'media' && a.asset_url) {
+          const {
+            VideoAttachment,
+            actionHandler,
+            onLongPress,
+            alignment,
+            groupStyle,
+          } = this.props;
+
+          return (
+            <VideoAttachment
+              attachment={a}
+              actionHandler={actionHandler}
+              onLongPress={onLongPress}
+              alignment={alignment}
+              groupStyle={groupStyle}
+            />
+          );
+        }
+
+        if (type === 'poll') {
+          const {
+            PollAttachment,
+            actionHandler,
+            onLongPress,
+            alignment,
+            groupStyle,
+          } = this.props;
+
+          return (
+            <PollAttachment
+              attachment={a}
+              actionHandler={actionHandler}
+              onLongPress={onLongPress}
+              alignment={alignment}
+              groupStyle={groupStyle}
+            />
+          );
+        }
+
+        if (type === 'location') {
+          const {
+            LocationAttachment,
+            actionHandler,
+            onLongPress,
+            alignment,
+            groupStyle,
+          } = this.props;
+
           return (
-            // TODO: Put in video component
-            <Card alignment={this.props.alignment} {...a} {...cardProps} />
+            <LocationAttachment
+              attachment={a}
+              actionHandler={actionHandler}
+              onLongPress={onLongPress}
+              alignment={alignment}
+              groupStyle={groupStyle}
+            />
+          );
+        }
+
+        if (type === 'contact') {
+          const {
+            ContactAttachment,
+            actionHandler,
+            onLongPress,
+            alignment,
+            groupStyle,
+          } = this.props;
+
+          return (
+            <ContactAttachment
+              attachment={a}
+              actionHandler={actionHandler}
+              onLongPress={onLongPress}
+              alignment={alignment}
+              groupStyle={groupStyle}
+            />
           );
         }
 
@@ -0,0 +1,244 @@
+import React from 'react';
+import {
+  Linking,
+  TouchableOpacity,
+  TouchableWithoutFeedback,
+  View,
+} from 'react-native';
+import PropTypes from 'prop-types';
+import styled from '@stream-io/styled-components';
+
+import { themed } from '../styles/theme';
+import { createAudioPlayer } from '../native';
+import { formatDuration } from '../utils';
+import { AttachmentActions } from './AttachmentActions';
+import { Waveform } from './Waveform';
+
+const Container = styled.View`
+  flex-direction: row;
+  align-items: center;
+  width: 250;
+  background-color: #ebebeb;
+  padding: 10px;
+  border-radius: ${({ groupStyle }) => {
+    if (groupStyle === 'middle' || groupStyle === 'bottom') return 0;
+
+    return 16;
+  }};
+  border-bottom-left-radius: ${({ alignment, groupStyle }) => {
+    if (groupStyle === 'top' || groupStyle === 'middle') return 0;
+
+    return alignment === 'right' ? 16 : 2;
+  }};
+  border-bottom-right-radius: ${({ alignment, groupStyle }) => {
+    if (groupStyle === 'top' || groupStyle === 'middle') return 0;
+
+    return alignment === 'left' ? 16 : 2;
+  }};
+  ${({ theme }) => theme.message.audio.container.css}
+`;
+
+const PlayButton = styled.TouchableOpacity`
+  width: 32;
+  height: 32;
+  border-radius: 16;
+  align-items: center;
+  justify-content: center;
+  background-color: ${({ theme }) => theme.colors.primary};
+  ${({ theme }) => theme.message.audio.playButton.css}
+`;
+
+const PlayButtonText = styled.Text`
+  color: white;
+  font-size: 12;
+  ${({ theme }) => theme.message.audio.playButtonText.css}
+`;
+
+const Details = styled.View`
+  flex: 1;
+  padding-left: 10px;
+  ${({ theme }) => theme.message.audio.details.css}
+`;
+
+const Duration = styled.Text`
+  font-size: 11;
+  margin-top: 2;
+  color: ${({ theme }) => theme.colors.textGrey};
+  ${({ theme }) => theme.message.audio.duration.css}
+`;
+
+/**
+ * AudioAttachment - Player for audio attachments (e.g., voice messages), with play/pause button,
+ * waveform to seek and duration. Audio is played using `createAudioPlayer` native handler.
+ *
+ * @example ./docs/AudioAttachment.md
+ * @extends PureComponent
+ */
+class AudioAttachment extends React.PureComponent {
+  static themePath = 'message.audio';
+
+  static propTypes = {
+    /** The attachment to render */
+    attachment: PropTypes.object.isRequired,
+    /**
+     * Position of message. 'right' | 'left'
+     * 'right' message belongs with current user while 'left' message belonds to other users.
+     * */
+    alignment: PropTypes.string,
+    /** Handler for actions. Actions in combination with attachments can be used to build [commands](https://getstream.io/chat/docs/#channel_commands). */
+    actionHandler: PropTypes.func,
+    /** Position of message in group - top, bottom, middle, single. */
+    groupStyle: PropTypes.oneOf(['single', 'top', 'middle', 'bottom']),
+    /** Handler for long press event on attachment */
+    onLongPress: PropTypes.func,
+  };
+
+  constructor(props) {
+    super(props);
+    this.state = {
+      playing: false,
+      loading: false,
+      // in milliseconds
+      position: 0,
+      duration: (props.attachment.duration || 0) * 1000,
+    };
+    this.player = null;
+    this.waveformWidth = 0;
+  }
+
+  componentWillUnmount() {
+    this._unmounted = true;
+    if (this.player) this.player.unload();
+  }
+
+  onStatusUpdate = ({ isPlaying, position, duration, didJustFinish }) => {
+    if (this._unmounted) return;
+
+    if (didJustFinish) {
+      // Rewind, so that audio can be played again.
+      this.setState({ playing: false, position: 0 });
+      this.player.seekTo(0);
+      return;
+    }
+
+    this.setState((prevState) => ({
+      playing: isPlaying,
+      position,
+      duration: duration || prevState.duration,
+    }));
+  };
+
+  loadPlayer = async () => {
+    if (this.player) return this.player;
+
+    this.setState({ loading: true });
+    let player = null;
+    try {
+      player = await createAudioPlayer(
+        this.props.attachment.asset_url,
+        this.onStatusUpdate,
+      );
+    } catch (e) {
+      console.warn(e);
+    }
+
+    // Player created after unmount would never be unloaded otherwise.
+    if (this._unmounted) {
+      if (player) player.unload();
+      return null;
+    }
+
+    this.player = player;
+    this.setState({ loading: false });
+    return this.player;
+  };
+
+  togglePlay = async () => {
+    const { attachment } = this.props;
+    if (!createAudioPlayer) {
+      Linking.openURL(attachment.asset_url);
+      return;
+    }
+
+    const player = await this.loadPlayer();
+    if (!player) return;
+
+    const { playing } = this.state;
+    this.setState({ playing: !playing });
+    try {
+      if (playing) {
+        await player.pause();
+      } else {
+        await player.play();
+      }
+    } catch (e) {
+      console.warn(e);
+      if (!this._unmounted) this.setState({ playing });
+    }
+  };
+
+  seek = async (event) => {
+    const { duration } = this.state;
+    if (!createAudioPlayer || !duration || !this.waveformWidth) return;
+
+    const fraction = Math.min(
+      1,
+      Math.max(0, event.nativeEvent.locationX / this.waveformWidth),
+    );
+    const position = Math.round(fraction * duration);
+    this.setState({ position });
+
+    const player = await this.loadPlayer();
+    if (!player) return;
+
+    try {
+      await player.seekTo(position);
+    } catch (e) {
+      console.warn(e);
+    }
+  };
+
+  render() {
+    const { attachment, alignment, groupStyle, onLongPress } = this.props;
+    const { playing, loading, position, duration } = this.state;
+
+    return (
+      <TouchableOpacity onLongPress={onLongPress} activeOpacity={1}>
+        <Container alignment={alignment} groupStyle={groupStyle}>
+          <PlayButton onPress={this.togglePlay} disabled={loading}>
+            <PlayButtonText>{playing ? '❚❚' : '▶'}</PlayButtonText>
+          </PlayButton>
+          <Details>
+            <TouchableWithoutFeedback onPress={this.seek}>
+              <View
+                onLayout={(e) =>
+                  (this.waveformWidth = e.nativeEvent.layout.width)
+                }
+              >
+                <Waveform
+                  levels={attachment.waveform_data}
+                  progress={duration ? position / duration : 0}
+                />
+              </View>
+            </TouchableWithoutFeedback>
+            <Duration>
+              {formatDuration(
+                (playing || position > 0 ? position : duration) / 1000,
+              )}
+            </Duration>
+          </Details>
+        </Container>
+        {attachment.actions && attachment.actions.length > 0 && (
+          <AttachmentActions
+            key={'key-actions-' + attachment.id}
+            {...attachment}
+            actionHandler={this.props.actionHandler}
+          />
+        )}
+      </TouchableOpacity>
+    );
+  }
+}
+
+const AudioAttachmentWithTheme = themed(AudioAttachment);
+export { AudioAttachmentWithTheme as AudioAttachment };
@@ -0,0 +1,57 @@
+import React from 'react';
+import styled from '@stream-io/styled-components';
+import { themed } from '../styles/theme';
+import PropTypes from 'prop-types';
+
+const Container = styled.TouchableOpacity`
+  margin-left: 8;
+  ${({ theme }) => theme.messageInput.audioRecordButton.css}
+`;
+
+const AudioRecordButtonIcon = styled.Text`
+  font-size: 15;
+  opacity: ${({ recording }) => (recording ? 1 : 0.6)};
+  ${({ theme }) => theme.messageInput.audioRecordButtonIcon.css}
+`;
+
+/**
+ * UI Component for hold-to-record button in MessageInput component. Recording starts when button is
+ * pressed for a while, and stops when it's released.
+ *
+ * @extends PureComponent
+ * @example ./docs/AudioRecordButton.md
+ */
+export const AudioRecordButton = themed(
+  class AudioRecordButton extends React.PureComponent {
+    static themePath = 'messageInput';
+    static propTypes = {
+      /** Function that starts the recording */
+      startRecording: PropTypes.func.isRequired,
+      /** Function that stops the recording */
+      stopRecording: PropTypes.func.isRequired,
+      /** If recording is in progress */
+      recording: PropTypes.bool,
+      /** Disables the button */
+      disabled: PropTypes.bool,
+    };
+
+    static defaultProps = {
+      recording: false,
+      disabled: false,
+    };
+
+    render() {
+      const { startRecording, stopRecording, recording, disabled } = this.props;
+      return (
+        <Container
+          onLongPress={startRecording}
+          onPressOut={stopRecording}
+          delayLongPress={200}
+          disabled={disabled}
+        >
+          <AudioRecordButtonIcon recording={recording}>🎙</AudioRecordButtonIcon>
+        </Container>
+      );
+    }
+  },
+);
@@ -127,6 +127,40 @@ class Channel extends PureComponent {
     doUpdateMessageRequest: PropTypes.func,
     /** Disables the channel UI if channel is frozen */
     disableIfFrozenChannel: PropTypes.bool,
+    /**
+     * Id of the message to open the channel at, instead of the latest message.
+     * e.g., when channel is opened from search result or push notification.
+     *
+     * Messages around it are loaded and message is highlighted in MessageList.
+     * Newer messages are loaded as user scrolls down.
+     */
+    initialMessageId: PropTypes.string,
+    /**
+     * When should the channel be marked as read. MessageList shows the unread separator above the first
+     * message, which was unread when channel was opened, regardless of this policy.
+     *
+     * - `open` (default) As soon as the channel is opened, and when user scrolls to the latest message
+     * - `scroll` Only when the latest message is visible i.e., list is scrolled to the bottom
+     * - `manual` Never automatically. Use `markRead` function from [channel context](#channelcontext).
+     */
+    markReadPolicy: PropTypes.oneOf(['open', 'scroll', 'manual']),
+    /**
+     * Instance of [ReactionRegistry](#reactionregistry), containing the reactions available in full reaction picker.
+     * Reactions of registry, which are not part of `supportedReactions`, are also rendered in ReactionList.
+     * Defaults to registry with set of common emoji.
+     */
+    reactionRegistry: PropTypes.object,
+    /**
+     * Tray of messages scheduled to be sent later, rendered above the children when channel has scheduled messages.
+     * Messages can be edited, sent now or cancelled from the tray.
+     *
+     * Defaults to and accepts same props as: [ScheduledMessages](https://getstream.github.io/stream-chat-react-native/#scheduledmessages)
+     * Set it to null to not render the tray.
+     */
+    ScheduledMessages: PropTypes.oneOfType([
+      PropTypes.node,
+      PropTypes.elementType,
+    ]),
   };
 
   static defaultProps = {
@@ -8,11 +8,31 @@ import PropTypes from 'prop-types';
 import Immutable from 'seamless-immutable';
 import debounce from 'lodash/debounce';
 import throttle from 'lodash/throttle';
-import { emojiData } from '../utils';
+import {
+  emojiData,
+  getPinnedMessages,
+  defaultReactionRegistry,
+  getPoll,
+  setPoll,
+  getPollVotes,
+  getPollVoteChanges,
+  getPollVoteReactionType,
+  applyPollVoteChanges,
+  closePoll,
+} from '../utils';
+import { getMessageRequestData } from '../utils/Outbox';
+import { isDuplicateMessageError } from '../utils/errors';
+import {
+  getNewestLoadedAt,
+  getMessagesInWindow,
+  replaceQueriedMessages,
+  revertQueriedMessages,
+} from '../utils/messageWindow';
 
 import { LoadingIndicator } from './LoadingIndicator';
 import { LoadingErrorIndicator } from './LoadingErrorIndicator';
 import { EmptyStateIndicator } from './EmptyStateIndicator';
+import { ScheduledMessages } from './ScheduledMessages';
 import { logChatPromiseExecution } from 'stream-chat';
 
 /**
@@ -54,6 +74,11 @@ class ChannelInner extends PureComponent {
       trailing: true,
     });
 
+    this._saveToCacheThrottled = throttle(this.saveToCache, 2000, {
+      leading: false,
+      trailing: true,
+    });
+
     this.messageInputBox = false;
 
     this.props.logger('Channel component', 'Constructor', {
@@ -108,6 +133,61 @@ class ChannelInner extends PureComponent {
     doUpdateMessageRequest: PropTypes.func,
     /** Disables the channel UI if channel is frozen */
     disableIfFrozenChannel: PropTypes.bool,
+    /**
+     * Instance of Outbox class, passed via the Chat Context.
+     * Messages sent while offline are queued in it and sent once connection is recovered.
+     */
+    outbox: PropTypes.object,
+    /**
+     * Instance of ChannelCache class, passed via the Chat Context.
+     * If available, channel is rendered immediately using the cached state from last session.
+     */
+    cache: PropTypes.object,
+    /**
+     * Instance of DraftStore class, passed via the Chat Context.
+     * Unsent messages of `MessageInput` are saved in it as drafts.
+     */
+    drafts: PropTypes.object,
+    /**
+     * Instance of MessageScheduler class, passed via the Chat Context.
+     * Messages scheduled from `MessageInput` are held in it and sent at the chosen time.
+     */
+    scheduler: PropTypes.object,
+    /**
+     * Instance of LiveLocationManager class, passed via the Chat Context.
+     * Live locations shared from `MessageInput` are kept up to date by it.
+     */
+    liveLocations: PropTypes.object,
+    /** Ids of users muted by current user, passed via the Chat Context. Their messages are collapsed in MessageList. */
+    mutedUsers: PropTypes.array,
+    /** Function to mute the user, passed via the Chat Context */
+    muteUser: PropTypes.func,
+    /** Function to unmute the user, passed via the Chat Context */
+    unmuteUser: PropTypes.func,
+    /**
+     * Tray of scheduled messages, rendered above the children when channel has scheduled messages.
+     * Defaults to and accepts same props as: [ScheduledMessages](https://getstream.github.io/stream-chat-react-native/#scheduledmessages)
+     * Set it to null to not render the tray.
+     */
+    ScheduledMessages: PropTypes.oneOfType([
+      PropTypes.node,
+      PropTypes.elementType,
+    ]),
+    /**
+     * Id of the message to open the channel at (e.g., from search result or push notification).
+     * Messages around it are loaded and message is highlighted.
+     */
+    initialMessageId: PropTypes.string,
+    /**
+     * When should the channel be marked as read.
+     *
+     * - `open` As soon as the channel is opened, and when user scrolls to the latest message
+     * - `scroll` Only when the latest message is visible i.e., list is scrolled to the bottom
+     * - `manual` Never automatically. Use `markRead` function from channel context.
+     */
+    markReadPolicy: PropTypes.oneOf(['open', 'scroll', 'manual']),
+    /** Instance of ReactionRegistry, containing the reactions available in full reaction picker */
+    reactionRegistry: PropTypes.object,
   };
 
   static defaultProps = {
@@ -115,6 +195,9 @@ class ChannelInner extends PureComponent {
     LoadingErrorIndicator,
     EmptyStateIndicator,
     emojiData,
+    reactionRegistry: defaultReactionRegistry,
+    markReadPolicy: 'open',
+    ScheduledMessages,
     logger: () => {},
   };
 
@@ -131,6 +214,9 @@ class ChannelInner extends PureComponent {
     }
 
     if (this.props.channel.id !== prevProps.channel.id) {
+      this.stopListeningToOutbox();
+      this.stopListeningToScheduler();
+      this.props.client.off('connection.recovered', this.handleCacheSync);
       const resetState = this.getInitialStateFromProps(this.props);
       this.setState(resetState);
       await this.initChannel();
@@ -145,12 +231,29 @@ class ChannelInner extends PureComponent {
       // Loading more messages
       loadingMore: false,
       hasMore: true,
+      // Loading newer messages, when channel is not opened at the latest message
+      loadingMoreNewer: false,
+      hasMoreNewer: false,
+      // Date of the newest loaded message, when there are newer messages to load.
+      // Messages received after it (e.g., new messages) are not shown until we paginate to latest message.
+      newestLoadedAt: null,
+      // Message which was scrolled to, using scrollToMessage
+      targetedMessage: null,
+      // Message which is being quoted in the reply, which is currently being composed in MessageInput
+      quotedMessage: false,
+      // First message received after current user's last_read, at the time channel was opened.
+      // MessageList shows the unread separator above it.
+      firstUnreadMessageId: null,
       messages: Immutable([]),
       online: props.isOnline,
       typing: Immutable({}),
       watchers: Immutable({}),
       members: Immutable({}),
       read: Immutable({}),
+      // Messages of this channel, which are queued in outbox
+      pendingMessages: [],
+      // Entries of scheduler for this channel - { id, message, send_at, failed }
+      scheduledMessages: [],
       thread: props.thread,
       threadMessages: [],
       threadLoadingMore: false,
@@ -180,12 +283,24 @@ class ChannelInner extends PureComponent {
     const channel = this.props.channel;
     let errored = false;
     if (!channel.initialized) {
+      const restored = await this.restoreFromCache();
       try {
-        await channel.watch();
+        const state = await channel.watch();
+        if (restored) {
+          // Replace the cached messages with the latest ones, instead of merging them. Otherwise
+          // messages deleted in the meantime would stay, and there may be gap in the message list.
+          channel.state.clearMessages();
+          channel.state.addMessagesSorted(state.messages);
+        }
       } catch (e) {
         if (this._unmounted) return;
-        this.setState({ error: e });
         errored = true;
+        if (restored) {
+          // Keep showing the cached state, and try again once we are back online.
+          this.props.client.on('connection.recovered', this.handleCacheSync);
+        } else {
+          this.setState({ error: e });
+        }
       }
     }
 
@@ -193,9 +308,53 @@ class ChannelInner extends PureComponent {
     if (!errored) {
       this.copyChannelState();
       this.listenToChanges();
+      if (this.props.initialMessageId) {
+        await this.scrollToMessage(this.props.initialMessageId);
+      }
     }
   }
 
+  /**
+   * Renders the cached state of channel (if any), while channel is being fetched from server.
+   *
+   * @returns {boolean} true if channel state was restored from cache
+   */
+  async restoreFromCache() {
+    const { cache, channel, client } = this.props;
+    if (!cache) return false;
+
+    if (channel.state.messages.length === 0) {
+      const state = await cache.getChannelState(client.userID, channel.cid);
+      if (state) cache.restoreChannel(channel, state);
+    }
+
+    if (this._unmounted || channel.state.messages.length === 0) return false;
+
+    this.setState({
+      messages: channel.state.messages,
+      read: channel.state.read,
+      watchers: channel.state.watchers,
+      members: channel.state.members,
+      watcher_count: channel.state.watcher_count,
+      loading: false,
+    });
+
+    return true;
+  }
+
+  handleCacheSync = async () => {
+    this.props.client.off('connection.recovered', this.handleCacheSync);
+    if (this._unmounted) return;
+    await this.initChannel();
+  };
+
+  saveToCache = () => {
+    const { cache, channel, client } = this.props;
+    if (!cache || !channel.initialized) return;
+
+    cache.setChannelState(client.userID, channel);
+  };
+
   async componentDidMount() {
     this.props.logger('Channel component', 'componentDidMount', {
       tags: ['lifecycle', 'channel'],
@@ -214,9 +373,14 @@ class ChannelInner extends PureComponent {
 
     this.props.channel.off(this.handleEvent);
     this.props.client.off('connection.recovered', this.handleEvent);
+    this.props.client.off('connection.recovered', this.handleCacheSync);
+    this.stopListeningToOutbox();
+    this.stopListeningToScheduler();
+    this._saveToCacheThrottled.flush();
 
     this._loadMoreFinishedDebounced.cancel();
     this._loadMoreThreadFinishedDebounced.cancel();
+    clearTimeout(this.clearTargetedMessageTimeout);
     this._setStateThrottled.cancel();
     this._unmounted = true;
   }
@@ -233,9 +397,31 @@ class ChannelInner extends PureComponent {
       watcher_count: channel.state.watcher_count,
       loading: false,
       typing: Immutable({}),
+      firstUnreadMessageId: this.getFirstUnreadMessageId(),
     });
+    this._saveToCacheThrottled();
+
+    if (this.props.markReadPolicy === 'open' && channel.countUnread() > 0)
+      this.markRead();
+  }
+
+  /**
+   * Returns the id of first message (from other users) received after the last_read of current user.
+   * Nothing is returned if user has never read the channel.
+   */
+  getFirstUnreadMessageId() {
+    const { channel, client } = this.props;
+    const lastRead = channel.lastRead();
+    if (!lastRead) return null;
+
+    const firstUnreadMessage = channel.state.messages.find(
+      (m) =>
+        m.type === 'regular' &&
+        m.user.id !== client.userID &&
+        m.created_at > lastRead,
+    );
 
-    if (channel.countUnread() > 0) this.markRead();
+    return firstUnreadMessage ? firstUnreadMessage.id : null;
   }
 
   markRead = () => {
@@ -258,8 +444,163 @@ class ChannelInner extends PureComponent {
     this.props.client.on('connection.recovered', this.handleEvent);
     const channel = this.props.channel;
     channel.on(this.handleEvent);
+    this.listenToOutbox();
+    this.listenToScheduler();
+  }
+
+  async listenToOutbox() {
+    const { outbox, channel } = this.props;
+    if (!outbox) return;
+
+    // Errors are propagated to outbox, so that it can retry later.
+    this.unregisterOutboxSender = outbox.registerSender(
+      channel.cid,
+      this.sendOutboxMessage,
+    );
+    this.unsubscribeOutbox = outbox.subscribe(this.handleOutboxEvent);
+
+    await outbox.load();
+    this.restorePendingMessages();
+  }
+
+  sendOutboxMessage = async (message) => {
+    try {
+      return await this._sendMessageRequest(message);
+    } catch (error) {
+      // Previous attempt reached the server, but its response was lost. Outbox considers the message as sent.
+      if (isDuplicateMessageError(error)) {
+        this.updateMessage({ ...message, status: 'received' });
+      }
+      throw error;
+    }
+  };
+
+  stopListeningToOutbox() {
+    this.unregisterOutboxSender && this.unregisterOutboxSender();
+    this.unsubscribeOutbox && this.unsubscribeOutbox();
+    this.unregisterOutboxSender = null;
+    this.unsubscribeOutbox = null;
+  }
+
+  getPendingMessages() {
+    const { outbox, channel } = this.props;
+    return outbox.getEntries(channel.cid).map((entry) => entry.message);
+  }
+
+  // Adds the messages queued in outbox (e.g., in previous session) to the channel state.
+  restorePendingMessages() {
+    const channel = this.props.channel;
+    const pendingMessages = this.getPendingMessages();
+    if (this._unmounted) return;
+    if (pendingMessages.length === 0) return;
+
+    channel.state.addMessagesSorted(
+      pendingMessages.map((message) => ({ ...message, status: 'sending' })),
+    );
+    this.setState({ messages: channel.state.messages, pendingMessages });
+  }
+
+  handleOutboxEvent = (e) => {
+    if (
+      e.type === 'outbox.discarded' &&
+      e.entry.cid === this.props.channel.cid
+    ) {
+      this.updateMessage({ ...e.entry.message, status: 'failed' });
+    }
+
+    if (this._unmounted) return;
+    this.setState({ pendingMessages: this.getPendingMessages() });
+  };
+
+  async listenToScheduler() {
+    const { scheduler, channel } = this.props;
+    if (!scheduler) return;
+
+    this.unregisterScheduledSender = scheduler.registerSender(
+      channel.cid,
+      this.sendScheduledMessage,
+    );
+    this.unsubscribeScheduler = scheduler.subscribe(this.handleSchedulerEvent);
+
+    await scheduler.load();
+    this.handleSchedulerEvent();
   }
 
+  stopListeningToScheduler() {
+    this.unregisterScheduledSender && this.unregisterScheduledSender();
+    this.unsubscribeScheduler && this.unsubscribeScheduler();
+    this.unregisterScheduledSender = null;
+    this.unsubscribeScheduler = null;
+  }
+
+  handleSchedulerEvent = () => {
+    const { scheduler, channel } = this.props;
+    if (this._unmounted) return;
+    this.setState({ scheduledMessages: scheduler.getEntries(channel.cid) });
+  };
+
+  // Scheduled messages show up in the list (or thread) right away, same as the ones sent from MessageInput.
+  // Unlike sendMessage, it rejects if message couldn't be sent, so that scheduler keeps it as failed.
+  // Message keeps the id it got when it was scheduled, so that its retries can't create a duplicate on server.
+  sendScheduledMessage = async ({
+    id,
+    text,
+    attachments = [],
+    parent_id,
+    mentioned_users,
+    ...extraFields
+  }) => {
+    const parent = parent_id ? { id: parent_id } : undefined;
+    const messagePreview = this.createMessagePreview(
+      text,
+      attachments,
+      parent,
+      mentioned_users,
+      id ? { ...extraFields, id } : extraFields,
+    );
+
+    if (!parent && this.state.hasMoreNewer) {
+      await this.jumpToLatestMessage();
+    }
+    this.updateMessage(messagePreview);
+
+    try {
+      await this._sendMessageRequest(messagePreview);
+    } catch (error) {
+      // Previous attempt reached the server, but its response was lost.
+      if (isDuplicateMessageError(error)) {
+        this.updateMessage({ ...messagePreview, status: 'received' });
+      } else {
+        this.removeMessage(messagePreview);
+      }
+      throw error;
+    }
+  };
+
+  /**
+   * Schedules the message to be sent later.
+   *
+   * @param {object} message `{ text, attachments, mentioned_users, parent_id, ...extraFields }`
+   * @param {Date} sendAt Time at which message should be sent
+   */
+  scheduleMessage = (message, sendAt) =>
+    this.props.scheduler.schedule(
+      this.props.channel.cid,
+      // Same format as the id of message preview (`createMessagePreview`).
+      {
+        ...message,
+        id: message.id || `${this.props.client.userID}-${uuidv4()}`,
+      },
+      sendAt,
+    );
+
+  updateScheduledMessage = (id, changes) =>
+    this.props.scheduler.update(id, changes);
+
+  cancelScheduledMessage = (id) => this.props.scheduler.cancel(id);
+
+  sendScheduledMessageNow = (id) => this.props.scheduler.sendNow(id);
+
   openThread = (message) => {
     const channel = this.props.channel;
     const threadMessages = channel.state.threads[message.id] || [];
@@ -343,6 +684,20 @@ class ChannelInner extends PureComponent {
       editing: false,
     });
   };
+
+  setQuotedMessageState = (message) => {
+    if (this._unmounted) return;
+    this.setState({
+      quotedMessage: message,
+    });
+  };
+
+  clearQuotedMessageState = () => {
+    if (this._unmounted) return;
+    this.setState({
+      quotedMessage: false,
+    });
+  };
   removeMessage = (message) => {
     const channel = this.props.channel;
     channel.state.removeMessage(message);
@@ -405,57 +760,187 @@ class ChannelInner extends PureComponent {
     return this.props.client.updateMessage(updatedMessage);
   };
 
-  _sendMessage = async (message) => {
-    // Scrape the reserved fields if present.
-    const {
-      text,
-      attachments,
-      id,
-      parent_id,
-      mentioned_users,
-      html,
-      __html,
-      type,
-      status,
-      user,
-      created_at,
-      reactions,
-      ...extraFields
-    } = message;
-
-    const messageData = {
-      text,
-      attachments,
-      id,
-      parent_id,
-      mentioned_users,
-      ...extraFields,
+  pinMessage = (message) => this.setMessagePinned(message, true);
+
+  unpinMessage = (message) => this.setMessagePinned(message, false);
+
+  setMessagePinned = async (message, pinned) => {
+    const { user } = this.props.client;
+    const pinState = pinned
+      ? {
+          pinned: true,
+          pinned_at: new Date().toISOString(),
+          pinned_by: { id: user.id, name: user.name, image: user.image },
+        }
+      : { pinned: false, pinned_at: null, pinned_by: null };
+
+    // Update the local state right away, and revert it if the request fails.
+    this.updateMessage({ ...message, ...pinState });
+
+    try {
+      const response = await this.editMessage(
+        this.getMessageUpdateData({ ...message, ...pinState }),
+      );
+      if (response && response.message) this.updateMessage(response.message);
+    } catch (e) {
+      this.updateMessage(message);
+      throw e;
+    }
+  };
+
+  getMessageUpdateData = (message) => {
+    const messageData = getMessageRequestData(message);
+
+    return {
+      ...messageData,
+      mentioned_users: (message.mentioned_users || []).map((u) => u.id || u),
     };
+  };
+
+  /**
+   * Votes are saved as reactions on the poll message (one reaction type per option), which every member can add.
+   * Other members receive the new tallies with `reaction.new` and `reaction.deleted` events.
+   */
+  votePoll = async (message, optionId) => {
+    const { channel, client } = this.props;
+    const poll = getPoll(message);
+    if (!poll) return;
+
+    const changes = getPollVoteChanges(
+      poll,
+      optionId,
+      getPollVotes(message).own,
+    );
+    if (!changes) return;
+
+    this.updateMessage(applyPollVoteChanges(message, changes, client.user));
 
     try {
-      let messageResponse;
-      if (this.props.doSendMessageRequest) {
-        messageResponse = await this.props.doSendMessageRequest(
-          this.props.channel.cid,
-          messageData,
+      // New vote is added first, so that user doesn't lose their vote if moving it fails halfway.
+      const responses = [];
+      for (const added of changes.add) {
+        responses.push(
+          await channel.sendReaction(message.id, {
+            type: getPollVoteReactionType(added),
+          }),
         );
-      } else {
-        messageResponse = await this.props.channel.sendMessage(messageData);
       }
-
-      // replace it after send is completed
-      if (messageResponse.message) {
-        messageResponse.message.status = 'received';
-        this.updateMessage(messageResponse.message);
+      for (const removed of changes.remove) {
+        responses.push(
+          await channel.deleteReaction(
+            message.id,
+            getPollVoteReactionType(removed),
+          ),
+        );
       }
+
+      const response = responses[responses.length - 1];
+      if (response && response.message) this.updateMessage(response.message);
+    } catch (e) {
+      this.updateMessage(message);
+      throw e;
+    }
+  };
+
+  /** Poll can only be closed by its creator, who is the author of message - so it's saved by updating the message. */
+  closePoll = (message) => this.updatePoll(message, closePoll);
+
+  updatePoll = async (message, update) => {
+    const poll = getPoll(message);
+    if (!poll) return;
+
+    const updatedPoll = update(poll);
+    if (updatedPoll === poll) return;
+
+    const updatedMessage = setPoll(message, updatedPoll);
+    this.updateMessage(updatedMessage);
+
+    try {
+      const response = await this.editMessage(
+        this.getMessageUpdateData(updatedMessage),
+      );
+      if (response && response.message) this.updateMessage(response.message);
+    } catch (e) {
+      this.updateMessage(message);
+      throw e;
+    }
+  };
+
+  /**
+   * Keeps the sent live location message up to date, until it's stopped or expires.
+   *
+   * @param message Message with live location attachment
+   * @param stopWatching Function to stop the location updates, returned by `shareLocation` native handler
+   */
+  startLiveLocation = (message, stopWatching) => {
+    const { liveLocations } = this.props;
+    if (!liveLocations) {
+      stopWatching && stopWatching();
+      return;
+    }
+
+    liveLocations.start(message, {
+      updateMessage: (updatedMessage) =>
+        this.editMessage(this.getMessageUpdateData(updatedMessage)),
+      stopWatching,
+    });
+  };
+
+  _sendMessageRequest = async (message) => {
+    // Scrape the reserved fields if present.
+    const messageData = getMessageRequestData(message);
+
+    let messageResponse;
+    if (this.props.doSendMessageRequest) {
+      messageResponse = await this.props.doSendMessageRequest(
+        this.props.channel.cid,
+        messageData,
+      );
+    } else {
+      messageResponse = await this.props.channel.sendMessage(messageData);
+    }
+
+    // replace it after send is completed
+    if (messageResponse.message) {
+      messageResponse.message.status = 'received';
+      this.updateMessage(messageResponse.message);
+    }
+
+    return messageResponse.message;
+  };
+
+  // Resolves to the message with its final status - `received`, `failed` or `sending` (when it's queued in outbox).
+  _sendMessage = async (message) => {
+    try {
+      return await this._sendMessageRequest(message);
     } catch (error) {
       console.log(error);
+
+      // connection dropped while sending the message, so try again once its back.
+      if (this.props.outbox && this.props.isOnline === false) {
+        await this.queueMessage(message);
+        return message;
+      }
+
       // set the message to failed..
       message.status = 'failed';
       this.updateMessage(message);
+      return message;
     }
   };
 
+  queueMessage = async (message) => {
+    await this.props.outbox.enqueue(this.props.channel.cid, message);
+  };
+
+  /**
+   * Removes the message from outbox (so that it won't be sent) as well as from the channel.
+   */
+  cancelPendingMessage = async (message) => {
+    await this.props.outbox.cancel(message.id);
+    this.removeMessage(message);
+  };
+
   sendMessage = async ({
     text,
     attachments = [],
@@ -475,14 +960,26 @@ class ChannelInner extends PureComponent {
       extraFields,
     );
 
+    // Message is added at the end of the list, so make sure we are not somewhere in the history.
+    if (!parent && this.state.hasMoreNewer) {
+      await this.jumpToLatestMessage();
+    }
+
     // first we add the message to the UI
     this.updateMessage(messagePreview, {
       messageInput: '',
       commands: [],
       userAutocomplete: [],
+      // User has caught up with the messages by replying, so unread separator is not needed anymore.
+      ...(!parent ? { firstUnreadMessageId: null } : {}),
     });
 
-    await this._sendMessage(messagePreview);
+    if (this.props.outbox && this.props.isOnline === false) {
+      await this.queueMessage(messagePreview);
+      return messagePreview;
+    }
+
+    return this._sendMessage(messagePreview);
   };
 
   retrySendMessage = async (message) => {
@@ -532,6 +1029,7 @@ class ChannelInner extends PureComponent {
       typing: channel.state.typing,
       watcher_count: channel.state.watcher_count,
     });
+    this._saveToCacheThrottled();
   };
 
   addToEventHistory = (e) => {
@@ -619,8 +1117,150 @@ class ChannelInner extends PureComponent {
     });
   };
 
+  loadMoreNewer = async () => {
+    if (this.state.loadingMoreNewer || !this.state.hasMoreNewer) return;
+    if (this._unmounted) return;
+    this.setState({ loadingMoreNewer: true });
+
+    const messages = this.getVisibleMessages();
+    const newestID = messages.length ? messages[messages.length - 1].id : null;
+    const perPage = 100;
+    let queryResponse;
+    try {
+      queryResponse = await this.props.channel.query({
+        messages: { limit: perPage, id_gt: newestID },
+      });
+    } catch (e) {
+      console.warn('message pagination request failed with error', e);
+      if (this._unmounted) return;
+      this.setState({ loadingMoreNewer: false });
+      return;
+    }
+
+    const newestLoadedAt = getNewestLoadedAt(queryResponse.messages, perPage);
+
+    if (this._unmounted) return;
+    this.setState({
+      loadingMoreNewer: false,
+      hasMoreNewer: !!newestLoadedAt,
+      newestLoadedAt,
+      messages: this.props.channel.state.messages,
+    });
+  };
+
+  /**
+   * Replaces the messages in channel state with the ones returned by queries.
+   * Current messages are shown until all the queries respond, and they are kept if any of them fail.
+   */
+  queryMessages = async (...queries) => {
+    const channel = this.props.channel;
+    const previousMessages = channel.state.messages;
+    const responses = [];
+    let queriedMessages = [];
+
+    try {
+      for (const messagesQuery of queries) {
+        const response = await channel.query({ messages: messagesQuery });
+        responses.push(response);
+        queriedMessages = [...queriedMessages, ...response.messages];
+      }
+    } catch (e) {
+      channel.state.messages = revertQueriedMessages(
+        channel.state.messages,
+        previousMessages,
+        queriedMessages,
+      );
+      throw e;
+    }
+
+    channel.state.messages = replaceQueriedMessages(
+      channel.state.messages,
+      previousMessages,
+      queriedMessages,
+    );
+    return responses;
+  };
+
+  /**
+   * Loads the messages around given message (if they are not already loaded), so that
+   * MessageList can scroll to it. Message is highlighted for few seconds.
+   *
+   * @param {string} messageId Id of the message
+   */
+  scrollToMessage = async (messageId) => {
+    const isLoaded = this.getVisibleMessages().some((m) => m.id === messageId);
+
+    if (!isLoaded) {
+      if (this._unmounted) return;
+      this.setState({ loadingMore: true });
+
+      const perPage = 50;
+      let olderResponse;
+      let newerResponse;
+      try {
+        [olderResponse, newerResponse] = await this.queryMessages(
+          { limit: perPage, id_lte: messageId },
+          { limit: perPage, id_gt: messageId },
+        );
+      } catch (e) {
+        console.warn('failed to load messages around message', e);
+        if (this._unmounted) return;
+        this.setState({ loadingMore: false });
+        return;
+      }
+
+      const newestLoadedAt = getNewestLoadedAt(newerResponse.messages, perPage);
+
+      if (this._unmounted) return;
+      this.setState({
+        loadingMore: false,
+        hasMore: olderResponse.messages.length === perPage,
+        hasMoreNewer: !!newestLoadedAt,
+        newestLoadedAt,
+        messages: this.props.channel.state.messages,
+      });
+    }
+
+    if (this._unmounted) return;
+    this.setState({ targetedMessage: messageId });
+
+    clearTimeout(this.clearTargetedMessageTimeout);
+    this.clearTargetedMessageTimeout = setTimeout(() => {
+      if (this._unmounted) return;
+      this.setState({ targetedMessage: null });
+    }, 3000);
+  };
+
+  /** Loads the latest messages, when channel was scrolled to some message in history. */
+  jumpToLatestMessage = async () => {
+    if (!this.state.hasMoreNewer) return;
+
+    const perPage = 100;
+    let response;
+    try {
+      [response] = await this.queryMessages({ limit: perPage });
+    } catch (e) {
+      console.warn('failed to load latest messages', e);
+      return;
+    }
+
+    if (this._unmounted) return;
+    this.setState({
+      hasMore: response.messages.length === perPage,
+      hasMoreNewer: false,
+      newestLoadedAt: null,
+      messages: this.props.channel.state.messages,
+    });
+  };
+
+  // Channel state keeps receiving new messages, even if we are somewhere in history.
+  // Those are hidden until we paginate to the latest messages.
+  getVisibleMessages = () =>
+    getMessagesInWindow(this.state.messages, this.state.newestLoadedAt);
+
   getContext = () => ({
     ...this.state,
+    messages: this.getVisibleMessages(),
     client: this.props.client,
     channel: this.props.channel,
     Message: this.props.Message,
@@ -629,24 +1269,60 @@ class ChannelInner extends PureComponent {
     removeMessage: this.removeMessage,
     sendMessage: this.sendMessage,
     editMessage: this.editMessage,
+    pinnedMessages: getPinnedMessages(this.state.messages),
+    pinMessage: this.pinMessage,
+    unpinMessage: this.unpinMessage,
+    votePoll: this.votePoll,
+    closePoll: this.closePoll,
+    liveLocations: this.props.liveLocations,
+    startLiveLocation: this.startLiveLocation,
     retrySendMessage: this.retrySendMessage,
+    outbox: this.props.outbox,
+    drafts: this.props.drafts,
+    mutedUsers: this.props.mutedUsers,
+    muteUser: this.props.muteUser,
+    unmuteUser: this.props.unmuteUser,
+    cancelPendingMessage: this.cancelPendingMessage,
+    scheduledMessages: this.state.scheduledMessages,
+    scheduleMessage: this.props.scheduler ? this.scheduleMessage : undefined,
+    updateScheduledMessage: this.updateScheduledMessage,
+    cancelScheduledMessage: this.cancelScheduledMessage,
+    sendScheduledMessageNow: this.sendScheduledMessageNow,
     setEditingState: this.setEditingState,
     clearEditingState: this.clearEditingState,
+    setQuotedMessageState: this.setQuotedMessageState,
+    clearQuotedMessageState: this.clearQuotedMessageState,
     EmptyStateIndicator: this.props.EmptyStateIndicator,
     markRead: this._markReadThrottled,
     loadMore: this._loadMoreThrottled,
+    loadMoreNewer: this.loadMoreNewer,
+    markReadPolicy: this.props.markReadPolicy,
+    scrollToMessage: this.scrollToMessage,
+    jumpToLatestMessage: this.jumpToLatestMessage,
     // thread related
     openThread: this.openThread,
     closeThread: this.closeThread,
     loadMoreThread: this.loadMoreThread,
     emojiData: this.props.emojiData,
+    reactionRegistry: this.props.reactionRegistry,
     disabled:
       this.props.channel.data &&
       this.props.channel.data.frozen &&
       this.props.disableIfFrozenChannel,
   });
 
-  renderComponent = () => this.props.children;
+  renderComponent = () => {
+    const { ScheduledMessages, children } = this.props;
+    if (!ScheduledMessages || this.state.scheduledMessages.length === 0)
+      return children;
+
+    return (
+      <>
+        <ScheduledMessages />
+        {children}
+      </>
+    );
+  };
 
   renderLoading = () => {
     const Indicator = this.props.LoadingIndicator;
@@ -5,6 +5,15 @@ import { withChatContext } from '../context';
 import { ChannelListMessenger } from './ChannelListMessenger';
 import Immutable from 'seamless-immutable';
 import debounce from 'lodash/debounce';
+import throttle from 'lodash/throttle';
+
+import {
+  CHANNEL_QUICK_FILTERS,
+  combineFilters,
+  getChannelSearchFilters,
+  matchesChannelSearch,
+} from '../utils/channelSearch';
+import { matchesChannelFilters } from '../utils/channelFilters';
 
 import { LoadingIndicator } from './LoadingIndicator';
 import { LoadingErrorIndicator } from './LoadingErrorIndicator';
@@ -12,6 +21,13 @@ import { EmptyStateIndicator } from './EmptyStateIndicator';
 import uniqBy from 'lodash/uniqBy';
 import uniqWith from 'lodash/uniqWith';
 import isEqual from 'lodash/isEqual';
+import {
+  CHANNEL_ACTIONS,
+  isChannelMuted,
+  markChannelUnread,
+  setChannelLastRead,
+  sortPinnedChannels,
+} from '../utils/channelActions';
 
 export const isPromise = (thing) => {
   const promise = thing && typeof thing.then === 'function';
@@ -19,6 +35,8 @@ export const isPromise = (thing) => {
 };
 
 export const DEFAULT_QUERY_CHANNELS_LIMIT = 10;
+// Number of next pages loaded automatically for quick filter with `predicate`, before user has to load more manually.
+const MAX_QUICK_FILTER_PAGES = 3;
 /**
  * ChannelList - A preview list of channels, allowing you to select the channel you want to open.
  * This components doesn't provide any UI for the list. UI is provided by component `List` which should be
@@ -137,6 +155,38 @@ const ChannelList = withChatContext(
        * ```
        */
       additionalFlatListProps: PropTypes.object,
+      /**
+       * Instance of ChannelCache class. Avaiable from [Chat context](#chatcontext).
+       * If available, list is rendered immediately using the channels from last session, and
+       * then replaced by channels from server once the query resolves.
+       */
+      cache: PropTypes.object,
+      /**
+       * Function that overrides default behaviour when user performs an action on channel, from swipe actions or
+       * long press menu of `Preview`.
+       *
+       * @param {Component} thisArg Reference to ChannelList component
+       * @param {Channel} channel   Channel, on which action is performed
+       * @param {string} action     One of `CHANNEL_ACTIONS` - mute, markRead, pin, archive, leave, delete
+       * */
+      onChannelAction: PropTypes.func,
+      /**
+       * Instance of ChannelPreferences class. Avaiable from [Chat context](#chatcontext).
+       * Pinned channels are kept on top of the list, and archived channels are moved to "Archived" section (until they receive a new mention).
+       */
+      channelPreferences: PropTypes.object,
+      /**
+       * If true, search input and quick filters are shown above the list (rendered by `Search` component of `List`).
+       * Search filters the loaded channels by name and member names right away, and also searches the channels on
+       * server (if not all the channels are loaded yet).
+       */
+      hasSearch: PropTypes.bool,
+      /** Quick filters shown below search input - 'unread' | 'direct' | 'groups' | 'muted' */
+      quickFilters: PropTypes.arrayOf(
+        PropTypes.oneOf(Object.keys(CHANNEL_QUICK_FILTERS)),
+      ),
+      /** Minimum length of search term, to search the channels on server */
+      minSearchQueryLength: PropTypes.number,
     };
 
     static defaultProps = {
@@ -153,6 +203,9 @@ const ChannelList = withChatContext(
       lockChannelOrder: false,
       additionalFlatListProps: {},
       logger: () => {},
+      hasSearch: false,
+      quickFilters: Object.keys(CHANNEL_QUICK_FILTERS),
+      minSearchQueryLength: 2,
     };
 
     constructor(props) {
@@ -165,6 +218,13 @@ const ChannelList = withChatContext(
         hasNextPage: true,
         refreshing: false,
         offset: 0,
+        ...this.getChannelPreferences(),
+        searchQuery: '',
+        searchResults: Immutable([]),
+        searching: false,
+        quickFilter: null,
+        // Number of next pages loaded automatically for active quick filter.
+        quickFilterPages: 0,
       };
 
       this.menuButton = React.createRef();
@@ -173,7 +233,15 @@ const ChannelList = withChatContext(
         leading: true,
         trailing: true,
       });
+      this._saveToCacheThrottled = throttle(this.saveToCache, 2000, {
+        leading: false,
+        trailing: true,
+      });
+      this._searchChannelsDebounced = debounce(this.searchChannels, 300);
       this.queryActive = false;
+      // Incremented when list is reset, so that responses of previous queries are ignored.
+      this.queryId = 0;
+      this.restoredFromCache = false;
       this._unmounted = false;
     }
 
@@ -184,26 +252,33 @@ const ChannelList = withChatContext(
         state: this.state,
       });
 
+      if (this.props.channelPreferences) {
+        this.unsubscribeChannelPreferences = this.props.channelPreferences.subscribe(
+          this.handleChannelPreferencesChange,
+        );
+      }
+
+      await this.restoreFromCache();
       await this._queryChannelsDebounced();
       this.listenToChanges();
     }
 
-    async componentDidUpdate(prevProps) {
-      // do we need deepequal?
+    async componentDidUpdate(prevProps, prevState) {
+      // Props are compared deeply, since filters are usually defined inline e.g., `filters={{ type: 'messaging' }}`.
       if (
         !isEqual(prevProps.filters, this.props.filters) ||
-        !isEqual(prevProps.sort, this.props.sort)
+        !isEqual(prevProps.sort, this.props.sort) ||
+        !isEqual(prevProps.options, this.props.options)
       ) {
-        await this.setState({
-          error: false,
-          channels: Immutable([]),
-          channelIds: Immutable([]),
-          loadingChannels: true,
-          hasNextPage: true,
-          refreshing: false,
-          offset: 0,
-        });
-        await this.queryChannels();
+        await this.resetChannels();
+      }
+
+      if (
+        prevState.channels !== this.state.channels ||
+        prevState.quickFilter !== this.state.quickFilter ||
+        prevState.searchQuery !== this.state.searchQuery
+      ) {
+        this.loadMoreForQuickFilter();
       }
 
       this.props.logger('ChannelList component', 'componentDidUpdate', {
@@ -222,7 +297,12 @@ const ChannelList = withChatContext(
 
       this._unmounted = true;
       this.props.client.off(this.handleEvent);
+      if (this.unsubscribeChannelPreferences) {
+        this.unsubscribeChannelPreferences();
+      }
       this._queryChannelsDebounced.cancel();
+      this._searchChannelsDebounced.cancel();
+      this._saveToCacheThrottled.flush();
     }
 
     static getDerivedStateFromError(error) {
@@ -233,22 +313,66 @@ const ChannelList = withChatContext(
       console.warn(error, info);
     }
 
+    /** Returns the filters of query - `filters` prop, combined with filters of active quick filter */
+    getFilters = () => {
+      const { quickFilter } = this.state;
+      return combineFilters(
+        this.props.filters,
+        quickFilter && CHANNEL_QUICK_FILTERS[quickFilter].filters,
+      );
+    };
+
+    /**
+     * Clears the list and queries the channels from first page, e.g., when filters change.
+     * Queries which are in progress are cancelled - their responses are ignored.
+     */
+    resetChannels = async () => {
+      this.queryId += 1;
+      this.queryActive = false;
+      this._queryChannelsDebounced.cancel();
+      this._searchChannelsDebounced.cancel();
+      if (this._unmounted) return;
+
+      await this.setState({
+        error: false,
+        channels: Immutable([]),
+        channelIds: Immutable([]),
+        loadingChannels: true,
+        hasNextPage: true,
+        refreshing: false,
+        offset: 0,
+        searchResults: Immutable([]),
+        searching: false,
+        quickFilterPages: 0,
+      });
+      await this.queryChannels();
+
+      // Search results have to match the new filters as well.
+      if (this.state.searchQuery) {
+        this.onChangeSearchQuery(this.state.searchQuery);
+      }
+    };
+
     queryChannels = async (resync = false) => {
       // Don't query again if query is already active or there are no more results.
       if (this.queryActive || !this.state.hasNextPage) return;
 
       this.queryActive = true;
+      const queryId = this.queryId;
 
       if (this._unmounted) {
         this.queryActive = false;
         return;
       }
-      const { options, filters, sort } = this.props;
+      const { sort } = this.props;
+      const filters = this.getFilters();
+      let { options } = this.props;
       let offset;
 
       if (resync) {
         offset = 0;
-        options.limit = this.state.channels.length;
+        // Options are copied, so that change of limit isn't detected as change of props.
+        options = { ...options, limit: this.state.channels.length };
         if (this._unmounted) return;
         this.setState({
           offset: 0,
@@ -271,6 +395,15 @@ const ChannelList = withChatContext(
         },
       });
 
+      // Messages restored from cache are replaced by the latest ones from server, instead of merging
+      // them. Otherwise messages deleted in the meantime would stay, and there may be gaps in message list.
+      // They are shown until the response arrives.
+      const restoredChannels =
+        offset === 0 && this.restoredFromCache
+          ? this.state.channels.filter((c) => !c.initialized)
+          : [];
+      const cachedMessages = restoredChannels.map((c) => c.state.messages);
+
       const channelPromise = this.props.client.queryChannels(filters, sort, {
         ...options,
         offset,
@@ -280,6 +413,16 @@ const ChannelList = withChatContext(
         let channelQueryResponse = channelPromise;
         if (isPromise(channelQueryResponse)) {
           channelQueryResponse = await channelPromise;
+          // Channel state merges the messages from response into the cached ones, replacing the ones with same id.
+          // So the cached message objects, which are still there, weren't returned by server.
+          restoredChannels.forEach((c, i) => {
+            if (!c.initialized) return;
+            c.state.messages = c.state.messages.filter(
+              (m) => cachedMessages[i].indexOf(m) === -1,
+            );
+          });
+          // List was reset while query was in progress.
+          if (queryId !== this.queryId) return;
           if (offset === 0 && channelQueryResponse.length >= 1) {
             if (this._unmounted) return;
             this.props.setActiveChannel(channelQueryResponse[0]);
@@ -291,7 +434,14 @@ const ChannelList = withChatContext(
           let channels;
           let channelIds;
           let hasNextPage;
-          if (resync) {
+          if (offset === 0 && this.restoredFromCache) {
+            // Replace the channels restored from cache with the ones from server.
+            hasNextPage =
+              channelQueryResponse.length >=
+              (options.limit || DEFAULT_QUERY_CHANNELS_LIMIT);
+            channels = [...channelQueryResponse];
+            channelIds = [...channelQueryResponse.map((c) => c.id)];
+          } else if (resync) {
             channels = [...channelQueryResponse];
             channelIds = [...channelQueryResponse.map((c) => c.id)];
           } else {
@@ -319,15 +469,108 @@ const ChannelList = withChatContext(
             refreshing: false,
           };
         });
+        this.restoredFromCache = false;
+        if (offset === 0) this._saveToCacheThrottled();
       } catch (e) {
         console.warn(e);
 
-        if (this._unmounted) return;
-        this.setState({ error: e, refreshing: false });
+        if (this._unmounted || queryId !== this.queryId) return;
+        if (this.restoredFromCache) {
+          // Keep showing the channels from cache. List is queried again once connection is recovered.
+          this.setState({ refreshing: false });
+        } else {
+          this.setState({ error: e, refreshing: false });
+        }
       }
       this.queryActive = false;
     };
 
+    /**
+     * Renders the channels from last session (if cached), while channels are being queried.
+     */
+    restoreFromCache = async () => {
+      const { cache, client, sort } = this.props;
+      if (!cache) return;
+
+      const states = await cache.getChannelList(
+        client.userID,
+        this.getFilters(),
+        sort,
+      );
+      if (this._unmounted || !states || states.length === 0) return;
+      // Query has already finished, so there is no need to render the stale channels.
+      if (!this.state.loadingChannels) return;
+
+      const channels = states.map((state) =>
+        cache.restoreChannel(
+          client.channel(state.channel.type, state.channel.id),
+          state,
+        ),
+      );
+
+      this.restoredFromCache = true;
+      this.setState({
+        channels,
+        channelIds: channels.map((c) => c.id),
+        loadingChannels: false,
+      });
+    };
+
+    saveToCache = () => {
+      const { cache, client, sort, options } = this.props;
+      if (!cache) return;
+
+      cache.setChannelList(
+        client.userID,
+        this.getFilters(),
+        sort,
+        this.state.channels.slice(
+          0,
+          options.limit || DEFAULT_QUERY_CHANNELS_LIMIT,
+        ),
+      );
+    };
+
+    getChannelPreferences = () => {
+      const { channelPreferences, client } = this.props;
+      if (!channelPreferences) {
+        return {
+          pinnedChannels: Immutable([]),
+          archivedChannels: Immutable([]),
+        };
+      }
+
+      return {
+        pinnedChannels: Immutable(
+          channelPreferences.getPinnedChannels(client.userID),
+        ),
+        archivedChannels: Immutable(
+          channelPreferences.getArchivedChannels(client.userID),
+        ),
+      };
+    };
+
+    handleChannelPreferencesChange = (event) => {
+      if (this._unmounted) return;
+      if (event.userId && event.userId !== this.props.client.userID) return;
+
+      this.setState(this.getChannelPreferences());
+    };
+
+    /** Archived channel comes back to the list, when current user is mentioned in it */
+    unarchiveOnMention = (e) => {
+      const { channelPreferences, client } = this.props;
+      if (!channelPreferences || !e.message) return;
+
+      const cid = e.cid || (e.channel && e.channel.cid);
+      const mentioned = (e.message.mentioned_users || []).some(
+        (user) => user.id === client.userID,
+      );
+      if (mentioned && channelPreferences.isArchived(client.userID, cid)) {
+        channelPreferences.unarchive(client.userID, cid);
+      }
+    };
+
     listenToChanges() {
       this.props.client.on(this.handleEvent);
     }
@@ -347,8 +590,13 @@ const ChannelList = withChatContext(
         this.setState({ channels: [...newChannels] });
       }
 
+      if (e.type === 'message.new' || e.type === 'notification.message_new') {
+        this.unarchiveOnMention(e);
+      }
+
       if (e.type === 'message.new') {
         !this.props.lockChannelOrder && this.moveChannelUp(e.cid);
+        this._saveToCacheThrottled();
       }
 
       // make sure to re-render the channel list after connection is recovered
@@ -364,10 +612,13 @@ const ChannelList = withChatContext(
         ) {
           this.props.onMessageNew(this, e);
         } else {
+          const queryId = this.queryId;
           const channel = await this.getChannel(e.channel.type, e.channel.id);
+          if (!(await this.channelMatchesFilters(channel))) return;
 
+          // List has been reset in the meantime, so the channel is part of new query.
+          if (this._unmounted || queryId !== this.queryId) return;
           // move channel to starting position
-          if (this._unmounted) return;
           this.setState((prevState) => ({
             channels: uniqBy([channel, ...prevState.channels], 'cid'),
             channelIds: uniqWith(
@@ -387,9 +638,11 @@ const ChannelList = withChatContext(
         ) {
           this.props.onAddedToChannel(this, e);
         } else {
+          const queryId = this.queryId;
           const channel = await this.getChannel(e.channel.type, e.channel.id);
+          if (!(await this.channelMatchesFilters(channel))) return;
 
-          if (this._unmounted) return;
+          if (this._unmounted || queryId !== this.queryId) return;
           this.setState((prevState) => ({
             channels: uniqBy([channel, ...prevState.channels], 'cid'),
             channelIds: uniqWith(
@@ -469,6 +722,13 @@ const ChannelList = withChatContext(
         }
       }
 
+      // Re-render the previews, since mute status of channels is stored on client.
+      if (e.type === 'notification.channel_mutes_updated') {
+        this.setState((prevState) => ({
+          channels: [...prevState.channels],
+        }));
+      }
+
       if (e.type === 'channel.truncated') {
         this.setState((prevState) => ({
           channels: [...prevState.channels],
@@ -484,6 +744,28 @@ const ChannelList = withChatContext(
       return null;
     };
 
+    /**
+     * Returns true if channel matches the filters of list (including active quick filter), so that it can be added to the list.
+     * Filters which can't be checked locally, are checked by querying the channel.
+     */
+    channelMatchesFilters = async (channel) => {
+      const filters = this.getFilters();
+      const matches = matchesChannelFilters(channel, filters);
+      if (matches !== null) return matches;
+
+      try {
+        const channels = await this.props.client.queryChannels(
+          combineFilters(filters, { cid: { $in: [channel.cid] } }),
+          {},
+          { limit: 1, watch: false, presence: false },
+        );
+        return channels.length > 0;
+      } catch (e) {
+        console.warn('Failed to check if channel matches the filters', e);
+        return true;
+      }
+    };
+
     getChannel = async (type, id) => {
       const channel = this.props.client.channel(type, id);
       await channel.watch();
@@ -516,19 +798,257 @@ const ChannelList = withChatContext(
     };
 
     loadNextPage = () => {
+      // Search results are not paginated.
+      if (this.state.searchQuery) return;
+
+      this._queryChannelsDebounced();
+    };
+
+    /**
+     * Quick filters with `predicate` only filter the loaded channels, so next pages are loaded until there are
+     * enough matching channels to fill the list (otherwise list may be empty, and `onEndReached` never fires).
+     * At most `MAX_QUICK_FILTER_PAGES` are loaded this way, so that all the channels of user aren't loaded (and watched),
+     * when only few of them match. After that, user can load more using `LoadMore` button of list.
+     */
+    loadMoreForQuickFilter = () => {
+      const {
+        quickFilter,
+        quickFilterPages,
+        hasNextPage,
+        loadingChannels,
+        refreshing,
+        error,
+        searchQuery,
+      } = this.state;
+      const predicate =
+        quickFilter && CHANNEL_QUICK_FILTERS[quickFilter].predicate;
+      if (!predicate || !hasNextPage || loadingChannels || refreshing || error)
+        return;
+      // Search results are not paginated.
+      if (searchQuery) return;
+      if (quickFilterPages >= MAX_QUICK_FILTER_PAGES) return;
+
+      const limit = this.props.options.limit || DEFAULT_QUERY_CHANNELS_LIMIT;
+      if (this.getVisibleChannels().length >= limit) return;
+
+      this.setState((prevState) => ({
+        quickFilterPages: prevState.quickFilterPages + 1,
+      }));
       this._queryChannelsDebounced();
     };
 
+    /** Returns true if next pages are no longer loaded automatically for quick filter, and user can load more */
+    canLoadMoreForQuickFilter = () => {
+      const {
+        quickFilter,
+        quickFilterPages,
+        hasNextPage,
+        searchQuery,
+      } = this.state;
+      const predicate =
+        quickFilter && CHANNEL_QUICK_FILTERS[quickFilter].predicate;
+
+      return (
+        !!predicate &&
+        hasNextPage &&
+        !searchQuery &&
+        quickFilterPages >= MAX_QUICK_FILTER_PAGES
+      );
+    };
+
+    /** Loads next page of channels for quick filter, and allows the automatic loading of next pages again */
+    loadMoreQuickFilterChannels = async () => {
+      await this.setState({ quickFilterPages: 0 });
+      this.loadNextPage();
+    };
+
+    /** Toggles the quick filter. Filters which rebuild the query, reset the list. */
+    setQuickFilter = async (quickFilter) => {
+      const prevQuickFilter = this.state.quickFilter;
+      const nextQuickFilter =
+        prevQuickFilter === quickFilter ? null : quickFilter;
+      await this.setState({
+        quickFilter: nextQuickFilter,
+        quickFilterPages: 0,
+      });
+
+      const prevFilters =
+        prevQuickFilter && CHANNEL_QUICK_FILTERS[prevQuickFilter].filters;
+      const nextFilters =
+        nextQuickFilter && CHANNEL_QUICK_FILTERS[nextQuickFilter].filters;
+      if (!prevFilters && !nextFilters) return;
+
+      await this.resetChannels();
+    };
+
+    onChangeSearchQuery = (searchQuery) => {
+      this._searchChannelsDebounced.cancel();
+      // Results of previous search term may not match the new one.
+      this.setState({ searchQuery, searchResults: Immutable([]) });
+
+      // There is no need to search on server, if all the channels are already loaded.
+      if (
+        searchQuery.trim().length < this.props.minSearchQueryLength ||
+        !this.state.hasNextPage
+      ) {
+        this.setState({ searching: false });
+        return;
+      }
+
+      this.setState({ searching: true });
+      this._searchChannelsDebounced(searchQuery.trim());
+    };
+
+    searchChannels = async (query) => {
+      const { client, options, sort } = this.props;
+      const queryId = this.queryId;
+      try {
+        const searchResults = await client.queryChannels(
+          combineFilters(this.getFilters(), getChannelSearchFilters(query)),
+          sort,
+          { ...options, offset: 0 },
+        );
+
+        // Search term or filters have changed in the meantime.
+        if (
+          this._unmounted ||
+          queryId !== this.queryId ||
+          this.state.searchQuery.trim() !== query
+        )
+          return;
+        this.setState({ searchResults, searching: false });
+      } catch (e) {
+        console.warn('Failed to search the channels', e);
+        if (this._unmounted) return;
+        this.setState({ searching: false });
+      }
+    };
+
+    /** Returns the channels to render - matching the search term and active quick filter */
+    getVisibleChannels = () => {
+      const { channels, pinnedChannels, quickFilter, searchQuery } = this.state;
+      let visibleChannels = sortPinnedChannels(channels, pinnedChannels);
+
+      if (searchQuery.trim()) {
+        visibleChannels = uniqBy(
+          [
+            ...visibleChannels.filter((channel) =>
+              matchesChannelSearch(channel, searchQuery),
+            ),
+            ...this.state.searchResults,
+          ],
+          'cid',
+        );
+      }
+
+      const predicate =
+        quickFilter && CHANNEL_QUICK_FILTERS[quickFilter].predicate;
+      return predicate ? visibleChannels.filter(predicate) : visibleChannels;
+    };
+
+    removeChannel = (cid) => {
+      if (this._unmounted) return;
+      this.setState((prevState) => {
+        const channels = prevState.channels.filter(
+          (channel) => channel.cid !== cid,
+        );
+        return {
+          channels,
+          channelIds: channels.map((channel) => channel.id),
+          offset: Math.max(prevState.offset - 1, 0),
+        };
+      });
+    };
+
+    handleChannelAction = async (channel, action) => {
+      const { onChannelAction } = this.props;
+      if (onChannelAction && typeof onChannelAction === 'function') {
+        await onChannelAction(this, channel, action);
+      } else {
+        await this.performChannelAction(channel, action);
+      }
+    };
+
+    /**
+     * Performs the action on channel (one of `CHANNEL_ACTIONS`). Toggle actions (mute, markRead, pin, archive) are reverted, if
+     * they are already applied e.g., muted channel is unmuted. List is updated right away, without querying the channels again.
+     */
+    performChannelAction = async (channel, action) => {
+      const { client, channelPreferences } = this.props;
+      try {
+        switch (action) {
+          case CHANNEL_ACTIONS.mute:
+            if (isChannelMuted(channel)) await channel.unmute();
+            else await channel.mute();
+            break;
+          case CHANNEL_ACTIONS.markRead:
+            if (channel.countUnread() > 0) {
+              setChannelLastRead(channel, client.user, new Date());
+              await channel.markRead();
+            } else {
+              markChannelUnread(channel, client.user);
+            }
+            break;
+          case CHANNEL_ACTIONS.pin:
+            // Pins and archives are only kept in `channelPreferences` of Chat.
+            if (!channelPreferences) return;
+            if (channelPreferences.isPinned(client.userID, channel.cid)) {
+              await channelPreferences.unpin(client.userID, channel.cid);
+            } else {
+              await channelPreferences.pin(client.userID, channel.cid);
+            }
+            return;
+          case CHANNEL_ACTIONS.archive:
+            if (!channelPreferences) return;
+            if (channelPreferences.isArchived(client.userID, channel.cid)) {
+              await channelPreferences.unarchive(client.userID, channel.cid);
+            } else {
+              await channelPreferences.archive(client.userID, channel.cid);
+            }
+            return;
+          case CHANNEL_ACTIONS.leave:
+            await channel.removeMembers([client.userID]);
+            this.removeChannel(channel.cid);
+            if (channelPreferences) {
+              channelPreferences.remove(client.userID, channel.cid);
+            }
+            return;
+          case CHANNEL_ACTIONS.delete:
+            await channel.delete();
+            this.removeChannel(channel.cid);
+            if (channelPreferences) {
+              channelPreferences.remove(client.userID, channel.cid);
+            }
+            return;
+          default:
+            return;
+        }
+      } catch (e) {
+        console.warn(`Failed to perform the action "${action}" on channel`, e);
+      }
+
+      if (this._unmounted) return;
+      this.setState((prevState) => ({
+        channels: [...prevState.channels],
+      }));
+    };
+
     render() {
       const context = {
         loadNextPage: this.loadNextPage,
+        handleChannelAction: this.handleChannelAction,
+        onChangeSearchQuery: this.onChangeSearchQuery,
+        setQuickFilter: this.setQuickFilter,
+        loadMoreQuickFilterChannels: this.loadMoreQuickFilterChannels,
+        canLoadMoreForQuickFilter: this.canLoadMoreForQuickFilter(),
       };
       const List = this.props.List;
       const props = { ...this.props, setActiveChannel: this.props.onSelect };
+      const channels = this.getVisibleChannels();
 
       return (
         <React.Fragment>
-          <List {...props} {...this.state} {...context} />
+          <List {...props} {...this.state} channels={channels} {...context} />
         </React.Fragment>
       );
     }
@@ -0,0 +1,50 @@
+import React from 'react';
+import styled from '@stream-io/styled-components';
+import { themed } from '../styles/theme';
+import PropTypes from 'prop-types';
+import { withTranslationContext } from '../context';
+
+const Container = styled.TouchableOpacity`
+  align-items: center;
+  padding: 12px 10px;
+  ${({ theme }) => theme.channelListLoadMore.container.css}
+`;
+
+const Title = styled.Text`
+  font-size: 13;
+  font-weight: bold;
+  color: ${({ theme }) => theme.colors.primary};
+  ${({ theme }) => theme.channelListLoadMore.title.css}
+`;
+
+/**
+ * ChannelListLoadMore - Button at the end of [ChannelListMessenger](#channellistmessenger), to load more channels for
+ * active quick filter (e.g., unread), after [ChannelList](#channellist) stopped loading the next pages automatically.
+ *
+ * @extends PureComponent
+ * @example ./docs/ChannelListLoadMore.md
+ */
+class ChannelListLoadMore extends React.PureComponent {
+  static themePath = 'channelListLoadMore';
+
+  static propTypes = {
+    /** Loads more channels */
+    onPress: PropTypes.func,
+  };
+
+  render() {
+    const { onPress, t } = this.props;
+
+    return (
+      <Container onPress={onPress}>
+        <Title>{t('Load more channels')}</Title>
+      </Container>
+    );
+  }
+}
+
+const ChannelListLoadMoreWithContext = withTranslationContext(
+  themed(ChannelListLoadMore),
+);
+
+export { ChannelListLoadMoreWithContext as ChannelListLoadMore };
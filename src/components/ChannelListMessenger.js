@@ -3,7 +3,11 @@ import { FlatList } from 'react-native';
 import PropTypes from 'prop-types';
 import { ChannelPreview } from './ChannelPreview';
 import { ChannelPreviewMessenger } from './ChannelPreviewMessenger';
+import { ChannelListSectionHeader } from './ChannelListSectionHeader';
+import { ChannelListSearch } from './ChannelListSearch';
+import { ChannelListLoadMore } from './ChannelListLoadMore';
 import { withChatContext } from '../context';
+import { getChannelSections } from '../utils/channelActions';
 
 import { LoadingIndicator } from './LoadingIndicator';
 import { LoadingErrorIndicator } from './LoadingErrorIndicator';
@@ -12,6 +16,9 @@ import { EmptyStateIndicator } from './EmptyStateIndicator';
 /**
  * ChannelListMessenger - UI component for list of channels, allowing you to select the channel you want to open
  *
+ * If user has pinned or archived channels, list is split into sections - "Pinned" on top, followed by other channels,
+ * and collapsible "Archived" section at the bottom.
+ *
  * @example ./docs/ChannelListMessenger.md
  */
 const ChannelListMessenger = withChatContext(
@@ -69,6 +76,29 @@ const ChannelListMessenger = withChatContext(
        * ```
        */
       additionalFlatListProps: PropTypes.object,
+      /** Function to perform the action on channel, from swipe actions or long press menu of `Preview` */
+      handleChannelAction: PropTypes.func,
+      /** Cids of channels pinned to the top of list */
+      pinnedChannels: PropTypes.array,
+      /** Cids of archived channels */
+      archivedChannels: PropTypes.array,
+      /** UI Component to display the header of section. Defaults to [ChannelListSectionHeader](https://getstream.github.io/stream-chat-react-native/#channellistsectionheader) */
+      SectionHeader: PropTypes.oneOfType([
+        PropTypes.node,
+        PropTypes.elementType,
+      ]),
+      /** If search input and quick filters should be shown above the list */
+      hasSearch: PropTypes.bool,
+      /** UI Component to display search input and quick filters. Defaults to [ChannelListSearch](https://getstream.github.io/stream-chat-react-native/#channellistsearch) */
+      Search: PropTypes.oneOfType([PropTypes.node, PropTypes.elementType]),
+      /** Current search term */
+      searchQuery: PropTypes.string,
+      /** If `LoadMore` button should be shown at the end of list - when ChannelList stopped loading next pages for quick filter */
+      canLoadMoreForQuickFilter: PropTypes.bool,
+      /** Loads more channels for active quick filter */
+      loadMoreQuickFilterChannels: PropTypes.func,
+      /** UI Component for button to load more channels for quick filter. Defaults to [ChannelListLoadMore](https://getstream.github.io/stream-chat-react-native/#channellistloadmore) */
+      LoadMore: PropTypes.oneOfType([PropTypes.node, PropTypes.elementType]),
     };
 
     static defaultProps = {
@@ -76,11 +106,71 @@ const ChannelListMessenger = withChatContext(
       LoadingIndicator,
       LoadingErrorIndicator,
       EmptyStateIndicator,
+      SectionHeader: ChannelListSectionHeader,
+      Search: ChannelListSearch,
+      LoadMore: ChannelListLoadMore,
       // https://github.com/facebook/react-native/blob/a7a7970e543959e9db5281914d5f132beb01db8d/Libraries/Lists/VirtualizedList.js#L466
       loadMoreThreshold: 2,
       additionalFlatListProps: {},
     };
 
+    state = {
+      archivedCollapsed: true,
+    };
+
+    toggleArchived = () => {
+      this.setState((prevState) => ({
+        archivedCollapsed: !prevState.archivedCollapsed,
+      }));
+    };
+
+    /** Returns the channels, with headers of sections in between - if user has pinned or archived channels */
+    getListItems = () => {
+      const { channels, pinnedChannels, archivedChannels } = this.props;
+      const sections = getChannelSections(
+        channels,
+        pinnedChannels,
+        archivedChannels,
+      );
+      if (sections.pinned.length === 0 && sections.archived.length === 0) {
+        return sections.channels;
+      }
+
+      const items = [];
+      if (sections.pinned.length > 0) {
+        items.push({ key: 'section-pinned', section: 'pinned' });
+        items.push(...sections.pinned);
+        if (sections.channels.length > 0) {
+          items.push({ key: 'section-channels', section: 'channels' });
+        }
+      }
+      items.push(...sections.channels);
+      if (sections.archived.length > 0) {
+        items.push({
+          key: 'section-archived',
+          section: 'archived',
+          count: sections.archived.length,
+        });
+        if (!this.state.archivedCollapsed) items.push(...sections.archived);
+      }
+
+      return items;
+    };
+
+    renderSectionHeader = (item) => {
+      const SectionHeader = this.props.SectionHeader;
+      const collapsible = item.section === 'archived';
+
+      return (
+        <SectionHeader
+          section={item.section}
+          count={item.count}
+          collapsed={collapsible ? this.state.archivedCollapsed : undefined}
+          onPress={collapsible ? this.toggleArchived : undefined}
+        />
+      );
+    };
+
     renderLoading = () => {
       const Indicator = this.props.LoadingIndicator;
       return <Indicator listType="channel" />;
@@ -93,29 +183,53 @@ const ChannelListMessenger = withChatContext(
 
     renderEmptyState = () => {
       const Indicator = this.props.EmptyStateIndicator;
-      return <Indicator listType="channel" />;
+      return (
+        <Indicator
+          listType={this.props.searchQuery ? 'channelSearch' : 'channel'}
+        />
+      );
+    };
+
+    renderFooter = () => {
+      if (!this.props.canLoadMoreForQuickFilter) return null;
+
+      const LoadMore = this.props.LoadMore;
+      return <LoadMore onPress={this.props.loadMoreQuickFilterChannels} />;
     };
 
     renderChannels = () => (
       <FlatList
-        data={this.props.channels}
+        data={this.getListItems()}
         onEndReached={this.props.loadNextPage}
         onEndReachedThreshold={this.props.loadMoreThreshold}
         ListEmptyComponent={this.renderEmptyState}
-        renderItem={({ item: channel }) => (
-          <ChannelPreview
-            {...this.props}
-            key={channel.cid}
-            channel={channel}
-            Preview={this.props.Preview}
-          />
-        )}
-        keyExtractor={(item) => item.cid}
+        ListFooterComponent={this.renderFooter}
+        renderItem={({ item: channel }) =>
+          channel.section ? (
+            this.renderSectionHeader(channel)
+          ) : (
+            <ChannelPreview
+              {...this.props}
+              key={channel.cid}
+              channel={channel}
+              pinned={
+                !!this.props.pinnedChannels &&
+                this.props.pinnedChannels.indexOf(channel.cid) > -1
+              }
+              archived={
+                !!this.props.archivedChannels &&
+                this.props.archivedChannels.indexOf(channel.cid) > -1
+              }
+              Preview={this.props.Preview}
+            />
+          )
+        }
+        keyExtractor={(item) => item.cid || item.key}
         {...this.props.additionalFlatListProps}
       />
     );
 
-    render() {
+    renderList = () => {
       if (this.props.error) {
         return this.renderLoadingError();
       } else if (this.props.loadingChannels) {
@@ -123,6 +237,19 @@ const ChannelListMessenger = withChatContext(
       } else {
         return this.renderChannels();
       }
+    };
+
+    render() {
+      if (!this.props.hasSearch) return this.renderList();
+
+      // Search is rendered outside the list, so that it keeps the focus while channels are being loaded.
+      const Search = this.props.Search;
+      return (
+        <React.Fragment>
+          <Search {...this.props} />
+          {this.renderList()}
+        </React.Fragment>
+      );
     }
   },
 );
@@ -0,0 +1,174 @@
+import React from 'react';
+import { ActivityIndicator } from 'react-native';
+import PropTypes from 'prop-types';
+import styled from '@stream-io/styled-components';
+import { themed } from '../styles/theme';
+import { withTranslationContext } from '../context';
+import { IconSquare } from './IconSquare';
+import { CHANNEL_QUICK_FILTERS } from '../utils/channelSearch';
+
+import iconClose from '../images/icons/icon_close.png';
+
+const Container = styled.View`
+  border-bottom-color: #ebebeb;
+  border-bottom-width: 1;
+  ${({ theme }) => theme.channelListSearch.container.css}
+`;
+
+const InputContainer = styled.View`
+  flex-direction: row;
+  align-items: center;
+  margin: 10px;
+  padding-left: 10px;
+  padding-right: 5px;
+  min-height: 40;
+  border-radius: 10;
+  background-color: rgba(0, 0, 0, 0.05);
+  ${({ theme }) => theme.channelListSearch.inputContainer.css}
+`;
+
+const Input = styled.TextInput`
+  flex: 1;
+  ${({ theme }) => theme.channelListSearch.input.css}
+`;
+
+const QuickFilters = styled.ScrollView`
+  margin-bottom: 10px;
+  ${({ theme }) => theme.channelListSearch.quickFilters.css}
+`;
+
+const QuickFilter = styled.TouchableOpacity`
+  margin-left: 10px;
+  padding: 5px 12px;
+  border-radius: 15;
+  border-width: 1;
+  border-color: ${({ theme }) => theme.colors.primary};
+  background-color: ${({ active, theme }) =>
+    active ? theme.colors.primary : 'transparent'};
+  ${({ theme }) => theme.channelListSearch.quickFilter.css}
+`;
+
+const QuickFilterText = styled.Text`
+  font-size: 13;
+  color: ${({ active, theme }) =>
+    active ? theme.colors.textLight : theme.colors.primary};
+  ${({ theme }) => theme.channelListSearch.quickFilterText.css}
+`;
+
+/**
+ * ChannelListSearch - Search input and quick filters, shown above the list of channels by [ChannelListMessenger](#channellistmessenger),
+ * if `hasSearch` prop of [ChannelList](#channellist) is true.
+ *
+ * @example ./docs/ChannelListSearch.md
+ * @extends PureComponent
+ */
+class ChannelListSearch extends React.PureComponent {
+  static themePath = 'channelListSearch';
+
+  static propTypes = {
+    /** Current search term */
+    searchQuery: PropTypes.string,
+    /** Function to call, when search term changes */
+    onChangeSearchQuery: PropTypes.func,
+    /** If channels are being searched on server */
+    searching: PropTypes.bool,
+    /** Quick filters to show - 'unread' | 'direct' | 'groups' | 'muted' */
+    quickFilters: PropTypes.arrayOf(
+      PropTypes.oneOf(Object.keys(CHANNEL_QUICK_FILTERS)),
+    ),
+    /** Active quick filter */
+    quickFilter: PropTypes.string,
+    /** Function to toggle the quick filter */
+    setQuickFilter: PropTypes.func,
+    /** Placeholder for input. Defaults to translation of 'Search channels' */
+    placeholder: PropTypes.string,
+    /**
+     * Additional props for underlying TextInput component. These props will be forwarded as it is to TextInput component.
+     *
+     * @see See https://facebook.github.io/react-native/docs/textinput#reference
+     */
+    additionalTextInputProps: PropTypes.object,
+  };
+
+  static defaultProps = {
+    searchQuery: '',
+    quickFilters: [],
+  };
+
+  clear = () => {
+    this.props.onChangeSearchQuery('');
+  };
+
+  getQuickFilterTitle = (quickFilter) => {
+    const { t } = this.props;
+    switch (quickFilter) {
+      case 'unread':
+        return t('Unread');
+      case 'direct':
+        return t('Direct messages');
+      case 'groups':
+        return t('Groups');
+      case 'muted':
+        return t('Muted');
+      default:
+        return quickFilter;
+    }
+  };
+
+  render() {
+    const {
+      searchQuery,
+      onChangeSearchQuery,
+      searching,
+      quickFilters,
+      quickFilter,
+      setQuickFilter,
+      placeholder,
+      t,
+    } = this.props;
+
+    return (
+      <Container>
+        <InputContainer>
+          <Input
+            value={searchQuery}
+            onChangeText={onChangeSearchQuery}
+            placeholder={placeholder || t('Search channels')}
+            autoCorrect={false}
+            returnKeyType="search"
+            {...this.props.additionalTextInputProps}
+          />
+          {searching ? <ActivityIndicator size="small" /> : null}
+          {searchQuery ? (
+            <IconSquare icon={iconClose} onPress={this.clear} />
+          ) : null}
+        </InputContainer>
+        {quickFilters.length > 0 ? (
+          <QuickFilters
+            horizontal
+            showsHorizontalScrollIndicator={false}
+            keyboardShouldPersistTaps="handled"
+          >
+            {quickFilters.map((id) => (
+              <QuickFilter
+                key={id}
+                active={quickFilter === id}
+                onPress={() => setQuickFilter(id)}
+              >
+                <QuickFilterText active={quickFilter === id}>
+                  {this.getQuickFilterTitle(id)}
+                </QuickFilterText>
+              </QuickFilter>
+            ))}
+          </QuickFilters>
+        ) : null}
+      </Container>
+    );
+  }
+}
+
+const ChannelListSearchWithContext = withTranslationContext(
+  themed(ChannelListSearch),
+);
+
+export { ChannelListSearchWithContext as ChannelListSearch };
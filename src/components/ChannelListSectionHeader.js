@@ -0,0 +1,83 @@
+import React from 'react';
+import styled from '@stream-io/styled-components';
+import { themed } from '../styles/theme';
+import PropTypes from 'prop-types';
+import { withTranslationContext } from '../context';
+
+const Container = styled.TouchableOpacity`
+  flex-direction: row;
+  align-items: center;
+  padding: 8px 10px;
+  background-color: #f7f7f7;
+  border-bottom-color: #ebebeb;
+  border-bottom-width: 1;
+  ${({ theme }) => theme.channelListSectionHeader.container.css}
+`;
+
+const Title = styled.Text`
+  flex: 1;
+  font-size: 12;
+  font-weight: bold;
+  text-transform: uppercase;
+  color: ${({ theme }) => theme.colors.textGrey};
+  ${({ theme }) => theme.channelListSectionHeader.title.css}
+`;
+
+const Count = styled.Text`
+  font-size: 12;
+  color: ${({ theme }) => theme.colors.textGrey};
+  ${({ theme }) => theme.channelListSectionHeader.count.css}
+`;
+
+/**
+ * ChannelListSectionHeader - Header of a section in [ChannelListMessenger](#channellistmessenger).
+ * Sections are shown when user has pinned or archived channels. Archived section can be collapsed.
+ *
+ * @extends PureComponent
+ * @example ./docs/ChannelListSectionHeader.md
+ */
+class ChannelListSectionHeader extends React.PureComponent {
+  static themePath = 'channelListSectionHeader';
+
+  static propTypes = {
+    /** Section of list - 'pinned' | 'channels' | 'archived' */
+    section: PropTypes.oneOf(['pinned', 'channels', 'archived']).isRequired,
+    /** Number of channels in section. Only shown for collapsible section. */
+    count: PropTypes.number,
+    /** If section is collapsed. Undefined, if section can't be collapsed. */
+    collapsed: PropTypes.bool,
+    /** Toggles the collapsed state of section */
+    onPress: PropTypes.func,
+  };
+
+  getTitle = () => {
+    const { section, t } = this.props;
+    switch (section) {
+      case 'pinned':
+        return t('Pinned');
+      case 'archived':
+        return t('Archived');
+      default:
+        return t('Channels');
+    }
+  };
+
+  render() {
+    const { collapsed, count, onPress } = this.props;
+    const collapsible = typeof collapsed === 'boolean';
+
+    return (
+      <Container disabled={!collapsible || !onPress} onPress={onPress}>
+        <Title>{this.getTitle()}</Title>
+        {collapsible ? (
+          <Count>{`${count} ${collapsed ? '▸' : '▾'}`}</Count>
+        ) : null}
+      </Container>
+    );
+  }
+}
+
+const ChannelListSectionHeaderWithContext = withTranslationContext(
+  themed(ChannelListSectionHeader),
+);
+export { ChannelListSectionHeaderWithContext as ChannelListSectionHeader };
@@ -2,6 +2,7 @@ import React, { PureComponent } from 'react';
 import PropTypes from 'prop-types';
 
 import { withTranslationContext } from '../context';
+import { getChannelUnreadCount, isChannelMuted } from '../utils/channelActions';
 
 class ChannelPreview extends PureComponent {
   constructor(props) {
@@ -11,6 +12,7 @@ class ChannelPreview extends PureComponent {
       unread: 0,
       lastMessage: {},
       lastRead: new Date(),
+      draft: this.getDraft(),
     };
   }
 
@@ -18,7 +20,13 @@ class ChannelPreview extends PureComponent {
     channel: PropTypes.object.isRequired,
     client: PropTypes.object.isRequired,
     setActiveChannel: PropTypes.func,
+    /** Instance of DraftStore, available from [Chat Context](https://getstream.github.io/stream-chat-react-native/#chatcontext) */
+    drafts: PropTypes.object,
     Preview: PropTypes.oneOfType([PropTypes.node, PropTypes.elementType]),
+    /** List of channels. Preview is updated whenever list changes, e.g., when channel is muted or unmuted. */
+    channels: PropTypes.array,
+    /** Function to perform the action on channel, provided by [ChannelList](#channellist) */
+    handleChannelAction: PropTypes.func,
   };
 
   static defaultProps = {
@@ -28,20 +36,40 @@ class ChannelPreview extends PureComponent {
   componentDidMount() {
     // listen to change...
     const channel = this.props.channel;
-    this.setState({ unread: channel.countUnread() });
+    this.setState({ unread: getChannelUnreadCount(channel) });
     channel.on('message.new', this.handleNewMessageEvent);
     channel.on('message.read', this.handleReadEvent);
+    if (this.props.drafts) {
+      this.unsubscribeDrafts = this.props.drafts.subscribe(
+        this.handleDraftsChange,
+      );
+    }
   }
 
   componentWillUnmount() {
     const channel = this.props.channel;
     channel.off('message.new', this.handleNewMessageEvent);
     channel.off('message.read', this.handleReadEvent);
+    if (this.unsubscribeDrafts) this.unsubscribeDrafts();
+    this._unmounted = true;
   }
 
+  /** Returns the unsent draft of channel. Drafts of threads are not shown in preview. */
+  getDraft = () => {
+    const { drafts, channel } = this.props;
+    return drafts ? drafts.get(channel.cid) : null;
+  };
+
+  handleDraftsChange = (event) => {
+    if (event.cid && (event.cid !== this.props.channel.cid || event.parentId))
+      return;
+
+    this.setState({ draft: this.getDraft() });
+  };
+
   handleReadEvent = (event) => {
     if (event.user.id === this.props.client.userID) {
-      this.setState({ unread: this.props.channel.countUnread() });
+      this.setState({ unread: getChannelUnreadCount(this.props.channel) });
     }
   };
 
@@ -49,10 +77,17 @@ class ChannelPreview extends PureComponent {
     const channel = this.props.channel;
     this.setState({
       lastMessage: event.message,
-      unread: channel.countUnread(),
+      unread: getChannelUnreadCount(channel),
     });
   };
 
+  /** Updates the unread count right away, since channel can be marked as read or unread by the action */
+  handleChannelAction = async (channel, action) => {
+    await this.props.handleChannelAction(channel, action);
+    if (this._unmounted) return;
+    this.setState({ unread: getChannelUnreadCount(channel) });
+  };
+
   getLatestMessage = () => {
     const { channel, t, tDateTimeParser } = this.props;
     const message = channel.state.messages[channel.state.messages.length - 1];
@@ -97,10 +132,26 @@ class ChannelPreview extends PureComponent {
     return latestMessage;
   };
 
+  componentDidUpdate(prevProps) {
+    // Mute status is stored on client, so it's checked whenever list re-renders the previews (e.g., on `notification.channel_mutes_updated`).
+    if (prevProps.channels !== this.props.channels) {
+      this.setState({ unread: getChannelUnreadCount(this.props.channel) });
+    }
+  }
+
   render() {
     const props = { ...this.state, ...this.props };
-    const { Preview } = this.props;
-    return <Preview {...props} latestMessage={this.getLatestMessage()} />;
+    const { channel, Preview, handleChannelAction } = this.props;
+    return (
+      <Preview
+        {...props}
+        muted={isChannelMuted(channel)}
+        latestMessage={this.getLatestMessage()}
+        handleChannelAction={
+          handleChannelAction ? this.handleChannelAction : undefined
+        }
+      />
+    );
   }
 }
 
@@ -1,10 +1,55 @@
 import React, { PureComponent } from 'react';
+import { Alert, Animated, PanResponder } from 'react-native';
 import { Avatar } from './Avatar';
 import truncate from 'lodash/truncate';
-import styled from '@stream-io/styled-components';
+import styled, { withTheme } from '@stream-io/styled-components';
 import PropTypes from 'prop-types';
+import { ActionSheetCustom as ActionSheet } from 'react-native-actionsheet';
 import { themed } from '../styles/theme';
 import { withTranslationContext } from '../context';
+import { renderText } from '../utils/renderText';
+import {
+  CHANNEL_ACTIONS,
+  canPerformChannelAction,
+  isChannelMuted,
+} from '../utils/channelActions';
+
+const SWIPE_ACTION_WIDTH = 75;
+
+const SwipeContainer = styled.View`
+  overflow: hidden;
+  ${({ theme }) => theme.channelPreview.swipeContainer.css}
+`;
+
+const SwipeActions = styled.View`
+  position: absolute;
+  top: 0;
+  bottom: 0;
+  flex-direction: row;
+  ${({ side }) => (side === 'left' ? 'left: 0;' : 'right: 0;')}
+  ${({ theme }) => theme.channelPreview.swipeActions.css}
+`;
+
+const SwipeActionButton = styled.TouchableOpacity`
+  width: ${SWIPE_ACTION_WIDTH};
+  align-items: center;
+  justify-content: center;
+  background-color: ${({ destructive, theme }) =>
+    destructive ? '#e53935' : theme.colors.primary};
+  ${({ theme }) => theme.channelPreview.swipeActionButton.css}
+`;
+
+const SwipeActionButtonText = styled.Text`
+  color: white;
+  font-size: 13;
+  font-weight: bold;
+  ${({ theme }) => theme.channelPreview.swipeActionButtonText.css}
+`;
+
+const SwipeableRow = styled(Animated.View)`
+  background-color: white;
+  ${({ theme }) => theme.channelPreview.swipeableRow.css}
+`;
 
 const Container = styled.TouchableOpacity`
   display: flex;
@@ -12,6 +57,8 @@ const Container = styled.TouchableOpacity`
   border-bottom-color: #ebebeb;
   border-bottom-width: 1;
   padding: 10px;
+  opacity: ${({ muted, theme }) =>
+    muted ? theme.channelPreview.container.mutedOpacity : 1};
   ${({ theme }) => theme.channelPreview.container.css}
 `;
 
@@ -37,6 +84,12 @@ const Title = styled.Text`
   ${({ theme }) => theme.channelPreview.title.css}
 `;
 
+const MutedIcon = styled.Text`
+  font-size: 12;
+  margin-right: 5;
+  ${({ theme }) => theme.channelPreview.mutedIcon.css}
+`;
+
 const Date = styled.Text`
   color: #767676;
   font-size: 11;
@@ -57,9 +110,68 @@ const Message = styled.Text`
   ${({ theme }) => theme.channelPreview.message.css}
 `;
 
+const HighlightedMessage = withTheme(({ message, highlight, theme }) => {
+  const markdownStyles = theme ? theme.channelPreview.markdown : {};
+  return renderText(message, markdownStyles, highlight) || null;
+});
+
+const DraftLabel = styled.Text`
+  color: #c2185b;
+  font-weight: bold;
+  ${({ theme }) => theme.channelPreview.draft.css}
+`;
+
+const ActionSheetTitleContainer = styled.View`
+  width: 100%;
+  height: 100%;
+  align-items: center;
+  justify-content: center;
+  ${({ theme }) => theme.channelPreview.actionSheet.titleContainer.css};
+`;
+
+const ActionSheetTitleText = styled.Text`
+  color: #757575;
+  font-size: 14;
+  ${({ theme }) => theme.channelPreview.actionSheet.titleText.css};
+`;
+
+const ActionSheetButtonContainer = styled.View`
+  height: 50;
+  width: 100%;
+  align-items: center;
+  background-color: #fff;
+  justify-content: center;
+  ${({ theme }) => theme.channelPreview.actionSheet.buttonContainer.css};
+`;
+
+const ActionSheetButtonText = styled.Text`
+  font-size: 18;
+  color: ${({ destructive }) => (destructive ? 'red' : '#388cea')};
+  ${({ theme }) => theme.channelPreview.actionSheet.buttonText.css};
+`;
+
+const ActionSheetCancelButtonContainer = styled.View`
+  height: 50;
+  width: 100%;
+  align-items: center;
+  justify-content: center;
+  ${({ theme }) => theme.channelPreview.actionSheet.cancelButtonContainer.css};
+`;
+
+const ActionSheetCancelButtonText = styled.Text`
+  font-size: 18;
+  color: red;
+  ${({ theme }) => theme.channelPreview.actionSheet.cancelButtonText.css};
+`;
+
+const DESTRUCTIVE_ACTIONS = [CHANNEL_ACTIONS.leave, CHANNEL_ACTIONS.delete];
+
 /**
  * ChannelPreviewMessenger - UI component for individual item in list of channels.
  *
+ * Channel can be swiped left or right to reveal the actions (`swipeLeftActions` and `swipeRightActions`), and long pressed
+ * to open the menu with all the actions (`longPressActions`). Actions are performed by [ChannelList](#channellist).
+ *
  * @example ./docs/ChannelPreviewMessenger.md
  */
 class ChannelPreviewMessenger extends PureComponent {
@@ -73,8 +185,15 @@ class ChannelPreviewMessenger extends PureComponent {
     channel: PropTypes.object,
     /** Latest message (object) on channel */
     latestMessage: PropTypes.object,
-    /** Number of unread messages on channel */
+    /** Number of unread messages on channel. It's 0 for muted channel. */
     unread: PropTypes.number,
+    /** If channel is muted by current user. Muted channel is dimmed and marked with muted icon. */
+    muted: PropTypes.bool,
+    /**
+     * Search term to highlight in latest message e.g., when channel is displayed in [MessageSearch](#messagesearch) results.
+     * Message is rendered as markdown (`channelPreview.markdown` theme), instead of truncated text, if set.
+     */
+    highlight: PropTypes.string,
     /** Length at which latest message should be truncated */
     latestMessageLength: PropTypes.number,
     /**
@@ -87,16 +206,247 @@ class ChannelPreviewMessenger extends PureComponent {
      * default formated date. This default logic is part of ChannelPreview component.
      */
     formatLatestMessageDate: PropTypes.func,
+    /**
+     * Unsent draft of channel - `{ text, mentioned_users, imageUploads, fileUploads }`.
+     * If present, it's shown instead of latest message.
+     */
+    draft: PropTypes.object,
+    /**
+     * Function to perform the action on channel. Provided by [ChannelList](#channellist).
+     * Swipe actions and long press menu are disabled, if it's not provided.
+     *
+     * @param channel Channel object
+     * @param action One of `CHANNEL_ACTIONS` - mute, markRead, pin, archive, leave, delete
+     */
+    handleChannelAction: PropTypes.func,
+    /** If channel is pinned to the top of list */
+    pinned: PropTypes.bool,
+    /** If channel is archived */
+    archived: PropTypes.bool,
+    /**
+     * Actions revealed on the right side, when channel is swiped to the left.
+     * Toggle actions (mute, markRead, pin) are shown according to the state of channel, e.g., "Unmute" for muted channel.
+     */
+    swipeLeftActions: PropTypes.arrayOf(
+      PropTypes.oneOf(Object.keys(CHANNEL_ACTIONS)),
+    ),
+    /** Actions revealed on the left side, when channel is swiped to the right */
+    swipeRightActions: PropTypes.arrayOf(
+      PropTypes.oneOf(Object.keys(CHANNEL_ACTIONS)),
+    ),
+    /** Actions in the menu, which is opened by long pressing the channel. Leave and delete are only shown, if user is allowed to perform them. */
+    longPressActions: PropTypes.arrayOf(
+      PropTypes.oneOf(Object.keys(CHANNEL_ACTIONS)),
+    ),
+    /**
+     * Style object for action sheet (shown on long press).
+     * Check [react-native-actionsheet](https://github.com/beefe/react-native-actionsheet#props) for available styles
+     */
+    actionSheetStyles: PropTypes.object,
   };
 
   static defaultProps = {
     latestMessageLength: 30,
+    swipeLeftActions: [CHANNEL_ACTIONS.mute, CHANNEL_ACTIONS.archive],
+    swipeRightActions: [CHANNEL_ACTIONS.markRead, CHANNEL_ACTIONS.pin],
+    longPressActions: Object.keys(CHANNEL_ACTIONS),
+  };
+
+  constructor(props) {
+    super(props);
+
+    this.swipeX = new Animated.Value(0);
+    // Position of the row, when swipe actions are open.
+    this.swipeOffset = 0;
+    this.panResponder = PanResponder.create({
+      onMoveShouldSetPanResponder: (e, { dx, dy }) =>
+        Math.abs(dx) > 10 &&
+        Math.abs(dx) > Math.abs(dy) * 2 &&
+        (this.getActions(this.props.swipeLeftActions).length > 0 ||
+          this.getActions(this.props.swipeRightActions).length > 0),
+      onPanResponderTerminationRequest: () => false,
+      onPanResponderMove: (e, { dx }) =>
+        this.swipeX.setValue(this.clampSwipe(this.swipeOffset + dx)),
+      onPanResponderRelease: (e, { dx }) =>
+        this.endSwipe(this.clampSwipe(this.swipeOffset + dx)),
+      onPanResponderTerminate: () => this.endSwipe(0),
+    });
+  }
+
+  /** Returns the actions, which current user can perform on channel */
+  getActions = (actions) => {
+    const { channel, client, handleChannelAction } = this.props;
+    if (!handleChannelAction) return [];
+
+    return actions.filter((action) =>
+      canPerformChannelAction(channel, action, client.user),
+    );
+  };
+
+  getActionTitle = (action) => {
+    const { archived, channel, pinned, t } = this.props;
+    switch (action) {
+      case CHANNEL_ACTIONS.mute:
+        return isChannelMuted(channel) ? t('Unmute') : t('Mute');
+      case CHANNEL_ACTIONS.markRead:
+        // Unread count of muted channel isn't shown, but it can still be marked as read.
+        return channel.countUnread() > 0
+          ? t('Mark as read')
+          : t('Mark as unread');
+      case CHANNEL_ACTIONS.pin:
+        return pinned ? t('Unpin') : t('Pin');
+      case CHANNEL_ACTIONS.archive:
+        return archived ? t('Unarchive') : t('Archive');
+      case CHANNEL_ACTIONS.leave:
+        return t('Leave');
+      case CHANNEL_ACTIONS.delete:
+        return t('Delete');
+      default:
+        return action;
+    }
+  };
+
+  clampSwipe = (x) => {
+    const leftWidth =
+      this.getActions(this.props.swipeRightActions).length * SWIPE_ACTION_WIDTH;
+    const rightWidth =
+      this.getActions(this.props.swipeLeftActions).length * SWIPE_ACTION_WIDTH;
+
+    return Math.max(-rightWidth, Math.min(leftWidth, x));
+  };
+
+  /** Opens the actions on either side, if row is swiped past half of their width. Closes them otherwise. */
+  endSwipe = (x) => {
+    const leftWidth =
+      this.getActions(this.props.swipeRightActions).length * SWIPE_ACTION_WIDTH;
+    const rightWidth =
+      this.getActions(this.props.swipeLeftActions).length * SWIPE_ACTION_WIDTH;
+
+    let toValue = 0;
+    if (leftWidth > 0 && x > leftWidth / 2) toValue = leftWidth;
+    else if (rightWidth > 0 && x < -rightWidth / 2) toValue = -rightWidth;
+
+    this.swipeOffset = toValue;
+    Animated.spring(this.swipeX, {
+      toValue,
+      useNativeDriver: true,
+    }).start();
   };
 
   onSelectChannel = () => {
+    if (this.swipeOffset !== 0) {
+      this.endSwipe(0);
+      return;
+    }
+
     this.props.setActiveChannel(this.props.channel);
   };
 
+  onLongPress = () => {
+    if (this.swipeOffset !== 0) this.endSwipe(0);
+    if (this.getActions(this.props.longPressActions).length > 0) {
+      this.ActionSheet.show();
+    }
+  };
+
+  onActionPress = (action) => {
+    const { channel, handleChannelAction, t } = this.props;
+    this.endSwipe(0);
+    if (DESTRUCTIVE_ACTIONS.indexOf(action) === -1) {
+      handleChannelAction(channel, action);
+      return;
+    }
+
+    // Leaving or deleting the channel can't be undone, so ask user to confirm it first.
+    const leave = action === CHANNEL_ACTIONS.leave;
+    Alert.alert(
+      leave ? t('Leave channel') : t('Delete channel'),
+      leave
+        ? t('Are you sure you want to leave this channel?')
+        : t('Are you sure you want to delete this channel?'),
+      [
+        { text: t('Cancel'), style: 'cancel' },
+        {
+          text: this.getActionTitle(action),
+          style: 'destructive',
+          onPress: () => handleChannelAction(channel, action),
+        },
+      ],
+    );
+  };
+
+  renderSwipeActions = (side, actions) => {
+    if (actions.length === 0) return null;
+
+    return (
+      <SwipeActions side={side}>
+        {actions.map((action) => (
+          <SwipeActionButton
+            key={action}
+            destructive={DESTRUCTIVE_ACTIONS.indexOf(action) > -1}
+            onPress={() => this.onActionPress(action)}
+          >
+            <SwipeActionButtonText numberOfLines={2}>
+              {this.getActionTitle(action)}
+            </SwipeActionButtonText>
+          </SwipeActionButton>
+        ))}
+      </SwipeActions>
+    );
+  };
+
+  renderActionSheet = () => {
+    const { t, actionSheetStyles } = this.props;
+    const actions = this.getActions(this.props.longPressActions);
+    if (actions.length === 0) return null;
+
+    const options = [{ id: 'cancel', title: t('Cancel') }].concat(
+      actions.map((action) => ({
+        id: action,
+        title: this.getActionTitle(action),
+      })),
+    );
+
+    return (
+      <ActionSheet
+        ref={(o) => {
+          this.ActionSheet = o;
+        }}
+        title={
+          <ActionSheetTitleContainer>
+            <ActionSheetTitleText>{t('Choose an action')}</ActionSheetTitleText>
+          </ActionSheetTitleContainer>
+        }
+        options={options.map((o, i) => {
+          if (i === 0) {
+            return (
+              <ActionSheetCancelButtonContainer>
+                <ActionSheetCancelButtonText>
+                  {t('Cancel')}
+                </ActionSheetCancelButtonText>
+              </ActionSheetCancelButtonContainer>
+            );
+          }
+          return (
+            <ActionSheetButtonContainer key={o.id}>
+              <ActionSheetButtonText
+                destructive={DESTRUCTIVE_ACTIONS.indexOf(o.id) > -1}
+              >
+                {o.title}
+              </ActionSheetButtonText>
+            </ActionSheetButtonContainer>
+          );
+        })}
+        cancelButtonIndex={0}
+        destructiveButtonIndex={0}
+        onPress={(index) => {
+          if (index > 0) this.onActionPress(options[index].id);
+        }}
+        styles={actionSheetStyles}
+      />
+    );
+  };
+
   renderAvatar = (otherMembers) => {
     const { channel } = this.props;
     if (channel.data.image)
@@ -116,8 +466,50 @@ class ChannelPreviewMessenger extends PureComponent {
     return <Avatar size={40} name={channel.data.name} />;
   };
 
+  renderMessage = () => {
+    const {
+      draft,
+      highlight,
+      latestMessage,
+      latestMessageLength,
+      t,
+    } = this.props;
+
+    if (draft) {
+      return (
+        <Message>
+          <DraftLabel>{t('Draft:')} </DraftLabel>
+          {draft.text
+            ? truncate(draft.text.replace(/\n/g, ' '), {
+                length: latestMessageLength,
+              })
+            : t('🏙 Attachment...')}
+        </Message>
+      );
+    }
+
+    if (highlight && latestMessage && latestMessage.messageObject.text) {
+      return (
+        <HighlightedMessage
+          message={latestMessage.messageObject}
+          highlight={highlight}
+        />
+      );
+    }
+
+    return (
+      <Message unread={this.props.unread > 0 ? this.props.unread : undefined}>
+        {!latestMessage
+          ? t('Nothing yet...')
+          : truncate(latestMessage.text.replace(/\n/g, ' '), {
+              length: latestMessageLength,
+            })}
+      </Message>
+    );
+  };
+
   render() {
-    const { channel, t } = this.props;
+    const { channel, muted, t } = this.props;
     let otherMembers = [];
     let name = channel.data.name;
     const isValidName = name && typeof name === 'string';
@@ -133,32 +525,47 @@ class ChannelPreviewMessenger extends PureComponent {
     }
     const formatLatestMessageDate = this.props.formatLatestMessageDate;
     return (
-      <Container onPress={this.onSelectChannel}>
-        {this.renderAvatar(otherMembers)}
-        <Details>
-          <DetailsTop>
-            <Title ellipsizeMode="tail" numberOfLines={1}>
-              {name}
-            </Title>
-            <Date>
-              {formatLatestMessageDate
-                ? formatLatestMessageDate(
-                    this.props.latestMessage.messageObject.created_at,
-                  )
-                : this.props.latestMessage.created_at}
-            </Date>
-          </DetailsTop>
-          <Message
-            unread={this.props.unread > 0 ? this.props.unread : undefined}
+      <SwipeContainer>
+        {this.renderSwipeActions(
+          'left',
+          this.getActions(this.props.swipeRightActions),
+        )}
+        {this.renderSwipeActions(
+          'right',
+          this.getActions(this.props.swipeLeftActions),
+        )}
+        <SwipeableRow
+          style={{ transform: [{ translateX: this.swipeX }] }}
+          {...this.panResponder.panHandlers}
+        >
+          <Container
+            onPress={this.onSelectChannel}
+            onLongPress={this.onLongPress}
+            muted={muted}
           >
-            {!this.props.latestMessage
-              ? t('Nothing yet...')
-              : truncate(this.props.latestMessage.text.replace(/\n/g, ' '), {
-                  length: this.props.latestMessageLength,
-                })}
-          </Message>
-        </Details>
-      </Container>
+            {this.renderAvatar(otherMembers)}
+            <Details>
+              <DetailsTop>
+                <Title ellipsizeMode="tail" numberOfLines={1}>
+                  {name}
+                </Title>
+                {muted && (
+                  <MutedIcon accessibilityLabel={t('Muted')}>🔕</MutedIcon>
+                )}
+                <Date>
+                  {formatLatestMessageDate
+                    ? formatLatestMessageDate(
+                        this.props.latestMessage.messageObject.created_at,
+                      )
+                    : this.props.latestMessage.created_at}
+                </Date>
+              </DetailsTop>
+              {this.renderMessage()}
+            </Details>
+          </Container>
+        </SwipeableRow>
+        {this.renderActionSheet()}
+      </SwipeContainer>
     );
   }
 }
@@ -2,9 +2,18 @@ import React, { PureComponent } from 'react';
 import PropTypes from 'prop-types';
 import { ChatContext, TranslationContext } from '../context';
 import { NetInfo } from '../native';
+import { logChatPromiseExecution } from 'stream-chat';
+import isEqual from 'lodash/isEqual';
 
 import { themed } from '../styles/theme';
 import { Streami18n } from '../utils/Streami18n';
+import { Outbox, getMessageRequestData } from '../utils/Outbox';
+import { ChannelCache } from '../utils/ChannelCache';
+import { DraftStore } from '../utils/DraftStore';
+import { MessageScheduler } from '../utils/MessageScheduler';
+import { LiveLocationManager } from '../utils/LiveLocationManager';
+import { ChannelPreferences } from '../utils/ChannelPreferences';
+import { getMutedUserIds } from '../utils/userMutes';
 /**
  * Chat - Wrapper component for Chat. The needs to be placed around any other chat components.
  * This Chat component provides the ChatContext to all other components.
@@ -15,6 +24,15 @@ import { Streami18n } from '../utils/Streami18n';
  * - channels (the list of channels)
  * - setActiveChannel (a function to set the currently active channel)
  * - channel (the currently active channel)
+ * - outbox (queue of messages which will be sent once connection is recovered)
+ * - cache (cached state of channels from last session)
+ * - drafts (unsent messages of channels and threads)
+ * - scheduler (messages which will be sent later)
+ * - liveLocations (live locations being shared by current user)
+ * - channelPreferences (pinned and archived channels of current user)
+ * - mutedUsers (ids of users muted by current user)
+ * - muteUser (a function to mute the user)
+ * - unmuteUser (a function to unmute the user)
  *
  * It also exposes the withChatContext HOC which you can use to consume the ChatContext
  *
@@ -87,6 +105,78 @@ export const Chat = themed(
        * ```
        */
       i18nInstance: PropTypes.instanceOf(Streami18n),
+      /**
+       * Instance of Outbox class. Messages sent while the user is offline are queued in outbox and
+       * automatically sent (in order) when connection is recovered.
+       *
+       * By default queue is only kept in memory. To make it survive app restarts, provide a persistent storage adapter:
+       *
+       * ```
+       * const outbox = new Outbox({ storage: AsyncStorage });
+       * <Chat client={chatClient} outbox={outbox}>
+       *  ...
+       * </Chat>
+       * ```
+       */
+      outbox: PropTypes.instanceOf(Outbox),
+      /**
+       * Instance of ChannelCache class. If provided, Channel and ChannelList components render immediately
+       * using the state from last session, while the latest state is being fetched from server.
+       *
+       * ```
+       * const cache = new ChannelCache({ storage: AsyncStorage });
+       * <Chat client={chatClient} cache={cache}>
+       *  ...
+       * </Chat>
+       * ```
+       */
+      cache: PropTypes.instanceOf(ChannelCache),
+      /**
+       * Instance of DraftStore class. Unsent text and attachments of `MessageInput` are saved in it as draft (per channel and per thread),
+       * and restored when user comes back to the channel.
+       *
+       * By default drafts are only kept in memory. To make them survive app restarts, provide a persistent storage adapter:
+       *
+       * ```
+       * const drafts = new DraftStore({ storage: AsyncStorage });
+       * <Chat client={chatClient} drafts={drafts}>
+       *  ...
+       * </Chat>
+       * ```
+       */
+      drafts: PropTypes.instanceOf(DraftStore),
+      /**
+       * Instance of MessageScheduler class. Messages scheduled from `MessageInput` (by long pressing the send button)
+       * are held in it and sent at the chosen time.
+       *
+       * By default scheduled messages are only kept in memory. To make them survive app restarts, provide a persistent storage adapter:
+       *
+       * ```
+       * const scheduler = new MessageScheduler({ storage: AsyncStorage });
+       * <Chat client={chatClient} scheduler={scheduler}>
+       *  ...
+       * </Chat>
+       * ```
+       */
+      scheduler: PropTypes.instanceOf(MessageScheduler),
+      /**
+       * Instance of LiveLocationManager class. Live locations shared from `MessageInput` are kept up to date by it,
+       * until they are stopped or expire - also after user leaves the channel. All of them are stopped when Chat unmounts.
+       */
+      liveLocations: PropTypes.instanceOf(LiveLocationManager),
+      /**
+       * Instance of ChannelPreferences class. Channels pinned and archived from `ChannelList` are stored in it.
+       *
+       * By default preferences are only kept in memory. To make them survive app restarts, provide a persistent storage adapter:
+       *
+       * ```
+       * const channelPreferences = new ChannelPreferences({ storage: AsyncStorage });
+       * <Chat client={chatClient} channelPreferences={channelPreferences}>
+       *  ...
+       * </Chat>
+       * ```
+       */
+      channelPreferences: PropTypes.instanceOf(ChannelPreferences),
     };
 
     static defaultProps = {
@@ -102,8 +192,16 @@ export const Chat = themed(
         isOnline: true,
         connectionRecovering: false,
         t: null,
+        mutedUsers: getMutedUserIds(props.client.user),
       };
 
+      this.outbox = props.outbox || new Outbox();
+      this.drafts = props.drafts || new DraftStore();
+      this.scheduler = props.scheduler || new MessageScheduler();
+      this.liveLocations = props.liveLocations || new LiveLocationManager();
+      this.channelPreferences =
+        props.channelPreferences || new ChannelPreferences();
+
       this.unsubscribeNetInfo = null;
       this.setConnectionListener();
 
@@ -116,10 +214,17 @@ export const Chat = themed(
       });
 
       this.props.client.on('connection.recovered', () => {
+        this.flushOutbox();
+        logChatPromiseExecution(
+          this.scheduler.retry(),
+          'retry scheduled messages',
+        );
         if (this._unmounted) return;
         this.setState({ connectionRecovering: false });
       });
 
+      this.props.client.on(this.handleEvent);
+
       this._unmounted = false;
     }
 
@@ -143,8 +248,23 @@ export const Chat = themed(
         this.setState({ t });
       });
 
-      const { t, tDateTimeParser } = await streami18n.getTranslators();
+      // Drafts and channel preferences are loaded before rendering, so that MessageInput and ChannelList can restore them on mount.
+      const [{ t, tDateTimeParser }] = await Promise.all([
+        streami18n.getTranslators(),
+        this.drafts.load(),
+        this.channelPreferences.load(),
+      ]);
       this.setState({ t, tDateTimeParser });
+
+      // Send the messages left in outbox from previous session.
+      const { wsConnection } = this.props.client;
+      if (wsConnection && wsConnection.isHealthy) this.flushOutbox();
+
+      // Messages which became due while the app was closed, are sent right away.
+      logChatPromiseExecution(
+        this.scheduler.start(this.sendScheduledMessage),
+        'start message scheduler',
+      );
     }
 
     componentDidUpdate() {
@@ -167,8 +287,60 @@ export const Chat = themed(
       this.props.client.off('connection.changed');
       this.props.client.off(this.handleEvent);
       this.unsubscribeNetInfo && this.unsubscribeNetInfo();
+      this.outbox.stop();
+      this.scheduler.stop();
+      this.liveLocations.stopAll();
     }
 
+    handleEvent = (event) => {
+      // Mutes are received with user object, when connection is established.
+      if (
+        (event.type === 'health.check' ||
+          event.type === 'notification.mutes_updated') &&
+        event.me
+      ) {
+        this.setMutedUsers(getMutedUserIds(event.me));
+      }
+    };
+
+    setMutedUsers = (mutedUsers) => {
+      if (this._unmounted || isEqual(mutedUsers, this.state.mutedUsers)) return;
+      this.setState({ mutedUsers });
+    };
+
+    /** Mutes the user. Messages of muted users are collapsed in MessageList. */
+    muteUser = async (userId) => {
+      await this.props.client.muteUser(userId);
+      // Don't wait for `notification.mutes_updated` event, to update the UI right away.
+      if (this.state.mutedUsers.indexOf(userId) > -1) return;
+      this.setMutedUsers([...this.state.mutedUsers, userId]);
+    };
+
+    unmuteUser = async (userId) => {
+      await this.props.client.unmuteUser(userId);
+      this.setMutedUsers(this.state.mutedUsers.filter((id) => id !== userId));
+    };
+
+    flushOutbox = () => {
+      this.outbox.flush(this.sendOutboxMessage);
+    };
+
+    // Used for queued messages of channels, which are not currently rendered by Channel component.
+    sendOutboxMessage = (cid, message) => {
+      const [type, ...id] = cid.split(':');
+      const channel = this.props.client.channel(type, id.join(':'));
+
+      return channel.sendMessage(getMessageRequestData(message));
+    };
+
+    // Used for scheduled messages of channels, which are not currently rendered by Channel component.
+    sendScheduledMessage = (cid, message) => {
+      const [type, ...id] = cid.split(':');
+      const channel = this.props.client.channel(type, id.join(':'));
+
+      return channel.sendMessage(message);
+    };
+
     notifyChatClient = (isConnected) => {
       if (this.props.client != null && this.props.client.wsConnection != null) {
         if (isConnected) {
@@ -211,6 +383,15 @@ export const Chat = themed(
       setActiveChannel: this.setActiveChannel,
       isOnline: this.state.isOnline,
       connectionRecovering: this.state.connectionRecovering,
+      outbox: this.outbox,
+      cache: this.props.cache,
+      drafts: this.drafts,
+      scheduler: this.scheduler,
+      liveLocations: this.liveLocations,
+      channelPreferences: this.channelPreferences,
+      mutedUsers: this.state.mutedUsers,
+      muteUser: this.muteUser,
+      unmuteUser: this.unmuteUser,
       logger: this.props.logger,
     });
 
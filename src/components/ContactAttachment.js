@@ -0,0 +1,237 @@
+import React from 'react';
+import { Linking } from 'react-native';
+import PropTypes from 'prop-types';
+import styled from '@stream-io/styled-components';
+
+import { themed } from '../styles/theme';
+import {
+  withChannelContext,
+  withChatContext,
+  withTranslationContext,
+} from '../context';
+import { Avatar } from './Avatar';
+import { findContactMember, getContactFromAttachment } from '../utils/contacts';
+
+const Container = styled.View`
+  width: 250;
+  background-color: #ebebeb;
+  padding: 10px;
+  border-radius: ${({ groupStyle }) => {
+    if (groupStyle === 'middle' || groupStyle === 'bottom') return 0;
+
+    return 16;
+  }};
+  border-bottom-left-radius: ${({ alignment, groupStyle }) => {
+    if (groupStyle === 'top' || groupStyle === 'middle') return 0;
+
+    return alignment === 'right' ? 16 : 2;
+  }};
+  border-bottom-right-radius: ${({ alignment, groupStyle }) => {
+    if (groupStyle === 'top' || groupStyle === 'middle') return 0;
+
+    return alignment === 'left' ? 16 : 2;
+  }};
+  ${({ theme }) => theme.message.contact.container.css}
+`;
+
+const Header = styled.View`
+  flex-direction: row;
+  align-items: center;
+  margin-bottom: 4;
+  ${({ theme }) => theme.message.contact.header.css}
+`;
+
+const HeaderDetails = styled.View`
+  flex: 1;
+  margin-left: 8;
+  ${({ theme }) => theme.message.contact.headerDetails.css}
+`;
+
+const Name = styled.Text`
+  font-weight: bold;
+  font-size: 15;
+  ${({ theme }) => theme.message.contact.name.css}
+`;
+
+const Organization = styled.Text`
+  font-size: 12;
+  color: ${({ theme }) => theme.colors.textGrey};
+  ${({ theme }) => theme.message.contact.organization.css}
+`;
+
+const Row = styled.TouchableOpacity`
+  padding-top: 6;
+  padding-bottom: 6;
+  border-top-width: 1;
+  border-top-color: rgba(0, 0, 0, 0.08);
+  ${({ theme }) => theme.message.contact.row.css}
+`;
+
+const RowLabel = styled.Text`
+  font-size: 11;
+  color: ${({ theme }) => theme.colors.textGrey};
+  ${({ theme }) => theme.message.contact.rowLabel.css}
+`;
+
+const RowValue = styled.Text`
+  font-size: 14;
+  color: ${({ theme }) => theme.colors.primary};
+  ${({ theme }) => theme.message.contact.rowValue.css}
+`;
+
+const OpenChatButton = styled.TouchableOpacity`
+  align-items: center;
+  padding-top: 8;
+  padding-bottom: 2;
+  border-top-width: 1;
+  border-top-color: rgba(0, 0, 0, 0.08);
+  ${({ theme }) => theme.message.contact.openChatButton.css}
+`;
+
+const OpenChatButtonText = styled.Text`
+  font-size: 14;
+  font-weight: bold;
+  color: ${({ theme }) => theme.colors.primary};
+  ${({ theme }) => theme.message.contact.openChatButtonText.css}
+`;
+
+/**
+ * ContactAttachment - Renders the contact attachment (`type: 'contact'`), shared from [MessageInput](#messageinput).
+ * Shows avatar, name and organization of contact, along with its phone numbers and emails, which can be called or mailed on press.
+ *
+ * If the contact is a member of channel (matched by user id, email or phone number), "Open in chat" button is shown,
+ * which opens the direct conversation with them.
+ *
+ * @example ./docs/ContactAttachment.md
+ * @extends PureComponent
+ */
+class ContactAttachment extends React.PureComponent {
+  static themePath = 'message.contact';
+
+  static propTypes = {
+    /** The attachment to render - `{ type: 'contact', contact: { name, phones, emails, organization, image, user_id }, vcard }` */
+    attachment: PropTypes.object.isRequired,
+    /**
+     * Position of message. 'right' | 'left'
+     * 'right' message belongs with current user while 'left' message belonds to other users.
+     * */
+    alignment: PropTypes.string,
+    /** Position of message in group - top, bottom, middle, single. */
+    groupStyle: PropTypes.oneOf(['single', 'top', 'middle', 'bottom']),
+    /** Handler for long press event on attachment */
+    onLongPress: PropTypes.func,
+    /**
+     * Function to open the conversation with contact, who is a member of channel.
+     * By default, distinct `messaging` channel with the user is watched and set as active channel
+     * (using `setActiveChannel` of [chat context](#chatcontext)). You should provide it, if you use navigation to show the channel.
+     *
+     * @param user Stream user of contact
+     */
+    openChat: PropTypes.func,
+    /** @see See [channel context](https://getstream.github.io/stream-chat-react-native/#channelcontext) */
+    members: PropTypes.object,
+    /** @see See [chat context](https://getstream.github.io/stream-chat-react-native/#chatcontext) */
+    setActiveChannel: PropTypes.func,
+  };
+
+  openUrl = (url) => {
+    Linking.openURL(url).catch((e) => console.warn('Failed to open', url, e));
+  };
+
+  openChatWithUser = async (user) => {
+    const { openChat, client, setActiveChannel } = this.props;
+    if (openChat) {
+      openChat(user);
+      return;
+    }
+
+    try {
+      const channel = client.channel('messaging', {
+        members: [client.userID, user.id],
+      });
+      await channel.watch();
+      setActiveChannel && setActiveChannel(channel);
+    } catch (e) {
+      console.warn('Failed to open the chat with contact', e);
+    }
+  };
+
+  renderRow = (key, label, value, url) => (
+    <Row
+      key={key}
+      onPress={() => this.openUrl(url)}
+      onLongPress={this.props.onLongPress}
+    >
+      {label ? <RowLabel>{label}</RowLabel> : null}
+      <RowValue>{value}</RowValue>
+    </Row>
+  );
+
+  render() {
+    const {
+      attachment,
+      alignment,
+      groupStyle,
+      members,
+      client,
+      t,
+    } = this.props;
+    const contact = getContactFromAttachment(attachment);
+    if (!contact) return null;
+
+    const member = findContactMember(contact, members);
+    const user =
+      member && member.user && member.user.id !== (client && client.userID)
+        ? member.user
+        : null;
+    const phones = contact.phones || [];
+    const emails = contact.emails || [];
+
+    return (
+      <Container alignment={alignment} groupStyle={groupStyle}>
+        <Header>
+          <Avatar
+            image={contact.image || (user && user.image)}
+            name={contact.name}
+            size={40}
+          />
+          <HeaderDetails>
+            <Name numberOfLines={1}>{contact.name}</Name>
+            {contact.organization ? (
+              <Organization numberOfLines={1}>
+                {contact.organization}
+              </Organization>
+            ) : null}
+          </HeaderDetails>
+        </Header>
+        {phones.map((phone, index) =>
+          this.renderRow(
+            `phone-${index}`,
+            phone.label,
+            phone.value,
+            `tel:${phone.value.replace(/[^\d+]/g, '')}`,
+          ),
+        )}
+        {emails.map((email, index) =>
+          this.renderRow(
+            `email-${index}`,
+            email.label,
+            email.value,
+            `mailto:${email.value}`,
+          ),
+        )}
+        {user ? (
+          <OpenChatButton onPress={() => this.openChatWithUser(user)}>
+            <OpenChatButtonText>{t('Open in chat')}</OpenChatButtonText>
+          </OpenChatButton>
+        ) : null}
+      </Container>
+    );
+  }
+}
+
+const ContactAttachmentWithContext = withTranslationContext(
+  withChatContext(withChannelContext(themed(ContactAttachment))),
+);
+
+export { ContactAttachmentWithContext as ContactAttachment };
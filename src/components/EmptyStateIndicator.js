@@ -7,9 +7,18 @@ export const EmptyStateIndicator = ({ listType }) => {
     case 'channel':
       Indicator = <Text>You have no channels currently</Text>;
       break;
+    case 'channelSearch':
+      Indicator = <Text>No channels found</Text>;
+      break;
     case 'message':
       Indicator = null;
       break;
+    case 'messageSearch':
+      Indicator = <Text>No messages found</Text>;
+      break;
+    case 'pinnedMessages':
+      Indicator = <Text>No pinned messages</Text>;
+      break;
     default:
       Indicator = <Text>No items exist</Text>;
       break;
@@ -3,7 +3,8 @@ import { View, Text, FlatList } from 'react-native';
 import PropTypes from 'prop-types';
 import { FileIcon } from './FileIcon';
 import { UploadProgressIndicator } from './UploadProgressIndicator';
-import { FileState, ProgressIndicatorTypes } from '../utils';
+import { Waveform } from './Waveform';
+import { FileState, ProgressIndicatorTypes, formatDuration } from '../utils';
 /**
  * FileUploadPreview
  *
@@ -55,6 +56,7 @@ export class FileUploadPreview extends React.PureComponent {
       <UploadProgressIndicator
         active={item.state !== FileState.UPLOADED}
         type={type}
+        progress={item.progress}
         action={this.props.retryUpload.bind(this, item.id)}
       >
         <View
@@ -70,14 +72,33 @@ export class FileUploadPreview extends React.PureComponent {
             borderWidth: 0.5,
           }}
         >
-          <View style={{ flexDirection: 'row', alignItems: 'center' }}>
-            <AttachmentFileIcon mimeType={item.file.type} size={20} />
-            <Text style={{ paddingLeft: 10 }}>
-              {item.file.name.length > 35
-                ? item.file.name.substring(0, 35).concat('...')
-                : item.file.name}
-            </Text>
-          </View>
+          {item.file.waveform ? (
+            // Voice message
+            <View
+              style={{ flex: 1, flexDirection: 'row', alignItems: 'center' }}
+            >
+              <Text style={{ paddingRight: 10 }}>
+                {formatDuration(item.file.duration)}
+              </Text>
+              <View style={{ flex: 1, paddingRight: 10 }}>
+                <Waveform levels={item.file.waveform} height={20} />
+              </View>
+            </View>
+          ) : (
+            <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+              <AttachmentFileIcon mimeType={item.file.type} size={20} />
+              <Text style={{ paddingLeft: 10 }}>
+                {item.file.name.length > 35
+                  ? item.file.name.substring(0, 35).concat('...')
+                  : item.file.name}
+              </Text>
+              {item.file.duration !== undefined ? (
+                <Text style={{ paddingLeft: 10, color: 'grey' }}>
+                  {formatDuration(item.file.duration)}
+                </Text>
+              ) : null}
+            </View>
+          )}
           <Text onPress={this.props.removeFile.bind(this, item.id)}>X</Text>
         </View>
       </UploadProgressIndicator>
@@ -0,0 +1,240 @@
+import React from 'react';
+import { FlatList } from 'react-native';
+import PropTypes from 'prop-types';
+import styled from '@stream-io/styled-components';
+import { themed } from '../styles/theme';
+import { withTranslationContext } from '../context';
+import { SKIN_TONES } from '../utils/ReactionRegistry';
+import { ReactionIcon } from './ReactionIcon';
+
+const RECENT_CATEGORY = 'recent';
+
+const Container = styled.View`
+  width: 320;
+  max-height: 400;
+  padding: 10px;
+  border-radius: 16;
+  background-color: white;
+  ${({ theme }) => theme.message.fullReactionPicker.container.css}
+`;
+
+const SearchInput = styled.TextInput`
+  min-height: 36;
+  padding-left: 10;
+  padding-right: 10;
+  border-radius: 10;
+  background-color: rgba(0, 0, 0, 0.05);
+  ${({ theme }) => theme.message.fullReactionPicker.searchInput.css}
+`;
+
+const Row = styled.View`
+  flex-direction: row;
+  align-items: center;
+  margin-top: 8;
+  ${({ theme }) => theme.message.fullReactionPicker.row.css}
+`;
+
+const SkinTone = styled.TouchableOpacity`
+  padding: 2px;
+  margin-right: 4;
+  border-radius: 6;
+  background-color: ${({ active }) =>
+    active ? 'rgba(0, 0, 0, 0.1)' : 'transparent'};
+  ${({ theme }) => theme.message.fullReactionPicker.skinTone.css}
+`;
+
+const Tab = styled.TouchableOpacity`
+  flex: 1;
+  align-items: center;
+  padding-bottom: 4;
+  border-bottom-width: 2;
+  border-bottom-color: ${({ active, theme }) =>
+    active ? theme.colors.primary : 'transparent'};
+  ${({ theme }) => theme.message.fullReactionPicker.tab.css}
+`;
+
+const TabIcon = styled.Text`
+  font-size: 18;
+  ${({ theme }) => theme.message.fullReactionPicker.tabIcon.css}
+`;
+
+const Emoji = styled.TouchableOpacity`
+  align-items: center;
+  justify-content: center;
+  height: 40;
+  ${({ theme }) => theme.message.fullReactionPicker.emoji.css}
+`;
+
+const EmptyText = styled.Text`
+  padding: 20px;
+  text-align: center;
+  color: #767676;
+  ${({ theme }) => theme.message.fullReactionPicker.emptyText.css}
+`;
+
+/**
+ * FullReactionPicker - Picker for all the reactions of [ReactionRegistry](#reactionregistry), grouped in categories,
+ * with recently used reactions, search and skin tones. It's opened using "more" button of [ReactionPicker](#reactionpicker).
+ *
+ * @example ./docs/FullReactionPicker.md
+ * @extends PureComponent
+ */
+class FullReactionPicker extends React.PureComponent {
+  static themePath = 'message.fullReactionPicker';
+
+  static propTypes = {
+    /** Instance of `ReactionRegistry`, containing the reactions to pick from */
+    reactionRegistry: PropTypes.object.isRequired,
+    /**
+     * Function to call when reaction is picked
+     *
+     * @param type Type of the reaction, including the skin tone e.g., `like_tone2`
+     */
+    handleReaction: PropTypes.func,
+    /** Number of reactions per row */
+    numColumns: PropTypes.number,
+  };
+
+  static defaultProps = {
+    numColumns: 8,
+  };
+
+  constructor(props) {
+    super(props);
+    const { reactionRegistry } = props;
+    this.state = {
+      query: '',
+      skinTone: reactionRegistry.skinTone,
+      activeCategory: this.getDefaultCategory(),
+    };
+  }
+
+  async componentDidMount() {
+    this._unmounted = false;
+    await this.props.reactionRegistry.load();
+    if (this._unmounted) return;
+
+    this.setState({
+      skinTone: this.props.reactionRegistry.skinTone,
+      activeCategory: this.getDefaultCategory(),
+    });
+  }
+
+  componentWillUnmount() {
+    this._unmounted = true;
+  }
+
+  getDefaultCategory = () => {
+    const { reactionRegistry } = this.props;
+    if (reactionRegistry.getRecent().length > 0) return RECENT_CATEGORY;
+
+    const categories = reactionRegistry.getCategories();
+    return categories.length > 0 ? categories[0].id : null;
+  };
+
+  setSkinTone = (skinTone) => {
+    this.setState({ skinTone });
+    this.props.reactionRegistry.setSkinTone(skinTone);
+  };
+
+  selectReaction = (reaction) => {
+    const type = this.props.reactionRegistry.getTypeWithSkinTone(
+      reaction.id,
+      this.state.skinTone,
+    );
+    if (this.props.handleReaction) this.props.handleReaction(type);
+  };
+
+  getReactions = () => {
+    const { reactionRegistry } = this.props;
+    const { activeCategory, query } = this.state;
+
+    if (query.trim()) return reactionRegistry.search(query);
+    if (activeCategory === RECENT_CATEGORY) {
+      return reactionRegistry.getRecent();
+    }
+
+    const category = reactionRegistry
+      .getCategories()
+      .find((c) => c.id === activeCategory);
+    return category ? category.reactions : [];
+  };
+
+  renderReaction = ({ item: reaction }) => {
+    const { numColumns, reactionRegistry } = this.props;
+    // Show the reaction in selected skin tone
+    const displayed =
+      reactionRegistry.get(
+        reactionRegistry.getTypeWithSkinTone(reaction.id, this.state.skinTone),
+      ) || reaction;
+
+    return (
+      <Emoji
+        style={{ width: `${100 / numColumns}%` }}
+        onPress={() => this.selectReaction(reaction)}
+      >
+        <ReactionIcon reaction={displayed} size={28} style={{ fontSize: 24 }} />
+      </Emoji>
+    );
+  };
+
+  render() {
+    const { numColumns, reactionRegistry, t } = this.props;
+    const { activeCategory, query, skinTone } = this.state;
+    const tabs = reactionRegistry.getCategories();
+    if (reactionRegistry.getRecent().length > 0) {
+      tabs.unshift({ id: RECENT_CATEGORY, icon: '🕘' });
+    }
+
+    return (
+      // Touches inside the picker shouldn't reach the backdrop, which dismisses it.
+      <Container onStartShouldSetResponder={() => true}>
+        <SearchInput
+          value={query}
+          placeholder={t('Search reactions')}
+          onChangeText={(text) => this.setState({ query: text })}
+          autoCorrect={false}
+        />
+        <Row>
+          {SKIN_TONES.map((modifier, index) => (
+            <SkinTone
+              key={`skin-tone-${index}`}
+              active={skinTone === index}
+              onPress={() => this.setSkinTone(index)}
+            >
+              <TabIcon>{`✋${modifier}`}</TabIcon>
+            </SkinTone>
+          ))}
+        </Row>
+        {!query.trim() && (
+          <Row>
+            {tabs.map((category) => (
+              <Tab
+                key={category.id}
+                active={category.id === activeCategory}
+                onPress={() => this.setState({ activeCategory: category.id })}
+              >
+                <TabIcon>{category.icon}</TabIcon>
+              </Tab>
+            ))}
+          </Row>
+        )}
+        <FlatList
+          key={`reactions-${numColumns}`}
+          data={this.getReactions()}
+          numColumns={numColumns}
+          renderItem={this.renderReaction}
+          keyExtractor={(item) => item.id}
+          keyboardShouldPersistTaps="handled"
+          ListEmptyComponent={<EmptyText>{t('No reactions found')}</EmptyText>}
+        />
+      </Container>
+    );
+  }
+}
+
+const FullReactionPickerWithContext = withTranslationContext(
+  themed(FullReactionPicker),
+);
+
+export { FullReactionPickerWithContext as FullReactionPicker };
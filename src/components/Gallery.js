@@ -87,6 +87,8 @@ class Gallery extends React.PureComponent {
 
     const images = [...this.props.images].map((i) => ({
       url: makeImageCompatibleUrl(i.image_url || i.thumb_url),
+      // Caption of image, shown in the image viewer
+      caption: i.text,
     }));
 
     if (images.length === 1) {
@@ -135,6 +137,10 @@ class Gallery extends React.PureComponent {
                     }}
                   />
                 )}
+                renderFooter={(index) => (
+                  <GalleryCaption caption={images[index].caption} />
+                )}
+                footerContainerStyle={{ width: '100%' }}
               />
             </SafeAreaView>
           </Modal>
@@ -237,6 +243,10 @@ class Gallery extends React.PureComponent {
                   }}
                 />
               )}
+              renderFooter={(index) => (
+                <GalleryCaption caption={images[index].caption} />
+              )}
+              footerContainerStyle={{ width: '100%' }}
             />
           </SafeAreaView>
         </Modal>
@@ -275,6 +285,26 @@ const GalleryHeader = ({ handleDismiss }) => (
   </HeaderContainer>
 );
 
+const CaptionContainer = styled.View`
+  width: 100%;
+  padding: 16px;
+  background-color: rgba(0, 0, 0, 0.5);
+  ${({ theme }) => theme.message.gallery.caption.container.css}
+`;
+
+const CaptionText = styled.Text`
+  color: white;
+  font-size: 14;
+  ${({ theme }) => theme.message.gallery.caption.text.css}
+`;
+
+const GalleryCaption = ({ caption }) =>
+  caption ? (
+    <CaptionContainer>
+      <CaptionText>{caption}</CaptionText>
+    </CaptionContainer>
+  ) : null;
+
 const GalleyWithContext = withTranslationContext(
   withMessageContentContext(themed(Gallery)),
 );
@@ -1,10 +1,11 @@
 import React from 'react';
-import { FlatList } from 'react-native';
+import { Animated, FlatList, PanResponder } from 'react-native';
 import { UploadProgressIndicator } from './UploadProgressIndicator';
 import PropTypes from 'prop-types';
 import { FileState, ProgressIndicatorTypes } from '../utils';
 import styled from '@stream-io/styled-components';
 import { themed } from '../styles/theme';
+import { withTranslationContext } from '../context';
 
 import closeRound from '../images/icons/close-round.png';
 
@@ -42,9 +43,46 @@ const Upload = styled.Image`
   width: 50;
   height: 50;
   border-radius: 10;
+  border-width: ${({ selected }) => (selected ? 2 : 0)};
+  border-color: ${({ theme }) => theme.colors.primary};
   ${({ theme }) => theme.messageInput.imageUploadPreview.upload.css};
 `;
 
+const CaptionContainer = styled.View`
+  flex-direction: row;
+  align-items: center;
+  padding: 0px 10px 10px 15px;
+  ${({ theme }) => theme.messageInput.imageUploadPreview.captionContainer.css};
+`;
+
+const CaptionInput = styled.TextInput`
+  flex: 1;
+  font-size: 13;
+  padding: 6px 10px;
+  border-radius: 10;
+  background-color: rgba(0, 0, 0, 0.05);
+  ${({ theme }) => theme.messageInput.imageUploadPreview.captionInput.css};
+`;
+
+const EditButton = styled.TouchableOpacity`
+  margin-left: 10;
+  ${({ theme }) => theme.messageInput.imageUploadPreview.editButton.css};
+`;
+
+const EditButtonText = styled.Text`
+  font-size: 13;
+  font-weight: bold;
+  color: ${({ theme }) => theme.colors.primary};
+  ${({ theme }) => theme.messageInput.imageUploadPreview.editButtonText.css};
+`;
+
+// Width of item including its margin, used to calculate the new position of dragged item.
+const ITEM_WIDTH = 55;
+
+const TouchableItem = styled.TouchableOpacity`
+  ${({ theme }) => theme.messageInput.imageUploadPreview.item.css};
+`;
+
 const DismissImage = styled.Image`
   width: 10;
   height: 10;
@@ -52,16 +90,34 @@ const DismissImage = styled.Image`
 `;
 
 /**
- * UI Component to preview the images set for upload
+ * UI Component to preview the images set for upload.
+ *
+ * Tapping an image selects it, to add a caption or edit (crop/rotate) the image. Images can be reordered by long pressing and dragging them.
  *
  * @example ./docs/ImageUploadPreview.md
  * @extends PureComponent
  */
-export const ImageUploadPreview = themed(
+const ImageUploadPreview = themed(
   class ImageUploadPreview extends React.PureComponent {
     static themePath = 'messageInput.imageUploadPreview';
     constructor(props) {
       super(props);
+      this.state = {
+        selectedId: null,
+        draggingId: null,
+      };
+
+      this.dragX = new Animated.Value(0);
+      this.panResponder = PanResponder.create({
+        // Touches are only captured once an image was long pressed, otherwise they reach the images and the list.
+        onMoveShouldSetPanResponderCapture: () => !!this.state.draggingId,
+        onPanResponderGrant: () => {
+          this.panning = true;
+        },
+        onPanResponderMove: Animated.event([null, { dx: this.dragX }]),
+        onPanResponderRelease: (e, { dx }) => this.endDrag(dx),
+        onPanResponderTerminate: () => this.endDrag(0),
+      });
     }
     static propTypes = {
       /**
@@ -92,6 +148,63 @@ export const ImageUploadPreview = themed(
        * @param id Index of image in `imageUploads` array in state of MessageInput.
        */
       retryUpload: PropTypes.func,
+      /**
+       * Function to set the caption of image, which is sent as `text` of image attachment.
+       *
+       * @param id Id of image
+       * @param caption
+       */
+      setImageCaption: PropTypes.func,
+      /**
+       * Function to move the image to given position. Images can't be reordered, if it's not provided.
+       *
+       * @param id Id of image
+       * @param index New index of image
+       */
+      moveImage: PropTypes.func,
+      /**
+       * Function to open the image editor (crop/rotate) for image. Edit button is not shown, if it's not provided.
+       *
+       * @param id Id of image
+       */
+      editImage: PropTypes.func,
+    };
+
+    toggleSelected = (id) => {
+      this.setState((prevState) => ({
+        selectedId: prevState.selectedId === id ? null : id,
+      }));
+    };
+
+    startDrag = (id) => {
+      const { moveImage, imageUploads } = this.props;
+      if (!moveImage || imageUploads.length < 2) return;
+
+      this.panning = false;
+      this.dragX.setValue(0);
+      this.setState({ draggingId: id });
+    };
+
+    endDrag = (dx) => {
+      const { draggingId } = this.state;
+      this.panning = false;
+      if (!draggingId) return;
+
+      const index = this.props.imageUploads.findIndex(
+        (image) => image.id === draggingId,
+      );
+      const offset = Math.round(dx / ITEM_WIDTH);
+      if (index !== -1 && offset !== 0) {
+        this.props.moveImage(draggingId, index + offset);
+      }
+
+      this.dragX.setValue(0);
+      this.setState({ draggingId: null });
+    };
+
+    onPressOut = () => {
+      // Image was long pressed, but not dragged.
+      if (this.state.draggingId && !this.panning) this.endDrag(0);
     };
 
     _renderItem = ({ item }) => {
@@ -104,18 +217,37 @@ export const ImageUploadPreview = themed(
 
       if (item.state === FileState.UPLOAD_FAILED)
         type = ProgressIndicatorTypes.RETRY;
+      const dragging = this.state.draggingId === item.id;
       return (
-        <React.Fragment>
+        <Animated.View
+          style={
+            dragging
+              ? {
+                  opacity: 0.8,
+                  zIndex: 1,
+                  transform: [{ translateX: this.dragX }],
+                }
+              : null
+          }
+        >
           <ItemContainer>
             <UploadProgressIndicator
               active={item.state !== FileState.UPLOADED}
               type={type}
               action={retryUpload && retryUpload.bind(this, item.id)}
             >
-              <Upload
-                resizeMode="cover"
-                source={{ uri: item.url || item.file.uri }}
-              />
+              <TouchableItem
+                onPress={() => this.toggleSelected(item.id)}
+                onLongPress={() => this.startDrag(item.id)}
+                onPressOut={this.onPressOut}
+                activeOpacity={0.8}
+              >
+                <Upload
+                  resizeMode="cover"
+                  source={{ uri: item.url || item.file.uri }}
+                  selected={this.state.selectedId === item.id}
+                />
+              </TouchableItem>
             </UploadProgressIndicator>
             <Dismiss
               onPress={() => {
@@ -125,7 +257,29 @@ export const ImageUploadPreview = themed(
               <DismissImage source={closeRound} />
             </Dismiss>
           </ItemContainer>
-        </React.Fragment>
+        </Animated.View>
+      );
+    };
+
+    renderCaption = (image) => {
+      const { setImageCaption, editImage, t } = this.props;
+      if (!setImageCaption && !editImage) return null;
+
+      return (
+        <CaptionContainer>
+          {setImageCaption ? (
+            <CaptionInput
+              value={image.caption || ''}
+              onChangeText={(text) => setImageCaption(image.id, text)}
+              placeholder={t('Add a caption')}
+            />
+          ) : null}
+          {editImage && image.file && image.file.uri ? (
+            <EditButton onPress={() => editImage(image.id)}>
+              <EditButtonText>{t('Edit')}</EditButtonText>
+            </EditButton>
+          ) : null}
+        </CaptionContainer>
       );
     };
 
@@ -133,17 +287,32 @@ export const ImageUploadPreview = themed(
       if (!this.props.imageUploads || this.props.imageUploads.length === 0)
         return null;
 
+      const selected = this.props.imageUploads.find(
+        (image) => image.id === this.state.selectedId,
+      );
+
       return (
-        <Container>
-          <FlatList
-            horizontal
-            style={{ flex: 1 }}
-            data={this.props.imageUploads}
-            keyExtractor={(item) => item.id}
-            renderItem={this._renderItem}
-          />
-        </Container>
+        <React.Fragment>
+          <Container {...this.panResponder.panHandlers}>
+            <FlatList
+              horizontal
+              style={{ flex: 1 }}
+              data={this.props.imageUploads}
+              extraData={this.state}
+              keyExtractor={(item) => item.id}
+              renderItem={this._renderItem}
+              scrollEnabled={!this.state.draggingId}
+            />
+          </Container>
+          {selected ? this.renderCaption(selected) : null}
+        </React.Fragment>
       );
     }
   },
 );
+
+const ImageUploadPreviewWithContext = withTranslationContext(
+  ImageUploadPreview,
+);
+
+export { ImageUploadPreviewWithContext as ImageUploadPreview };
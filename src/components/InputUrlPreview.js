@@ -0,0 +1,116 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import styled from '@stream-io/styled-components';
+import { themed } from '../styles/theme';
+import { withTranslationContext } from '../context';
+import { makeImageCompatibleUrl } from '../utils';
+
+import closeRound from '../images/icons/close-round.png';
+
+const Container = styled.View`
+  flex-direction: row;
+  align-items: center;
+  margin: 10px;
+  margin-bottom: 0;
+  padding: 6px;
+  border-left-width: 3;
+  border-left-color: ${({ theme }) => theme.colors.primary};
+  background-color: ${({ theme }) => theme.colors.light};
+  ${({ theme }) => theme.messageInput.urlPreview.container.css};
+`;
+
+const Thumbnail = styled.Image`
+  width: 40;
+  height: 40;
+  border-radius: 4;
+  margin-right: 8;
+  ${({ theme }) => theme.messageInput.urlPreview.thumbnail.css};
+`;
+
+const Details = styled.View`
+  flex: 1;
+  ${({ theme }) => theme.messageInput.urlPreview.details.css};
+`;
+
+const Title = styled.Text`
+  font-weight: bold;
+  font-size: 13;
+  ${({ theme }) => theme.messageInput.urlPreview.title.css};
+`;
+
+const Description = styled.Text`
+  font-size: 12;
+  color: #767676;
+  ${({ theme }) => theme.messageInput.urlPreview.description.css};
+`;
+
+const Dismiss = styled.TouchableOpacity`
+  width: 20;
+  height: 20;
+  margin-left: 8;
+  align-items: center;
+  justify-content: center;
+  ${({ theme }) => theme.messageInput.urlPreview.dismiss.css};
+`;
+
+const DismissImage = styled.Image`
+  width: 10;
+  height: 10;
+  ${({ theme }) => theme.messageInput.urlPreview.dismissImage.css};
+`;
+
+/**
+ * UI Component to preview the link, found in the message being composed in [MessageInput](#messageinput).
+ * Preview data is provided by `enrichURL` handler of MessageInput. If user dismisses it, message is sent without the preview.
+ *
+ * @example ./docs/InputUrlPreview.md
+ * @extends PureComponent
+ */
+class InputUrlPreview extends React.PureComponent {
+  static themePath = 'messageInput.urlPreview';
+
+  static propTypes = {
+    /** Url found in message */
+    url: PropTypes.string.isRequired,
+    /** Attachment returned by `enrichURL` handler - `{ title, text, image_url, thumb_url, title_link }` */
+    attachment: PropTypes.object,
+    /** True while the preview is being fetched */
+    loading: PropTypes.bool,
+    /** Function to dismiss the preview */
+    onDismiss: PropTypes.func,
+  };
+
+  render() {
+    const { url, attachment, loading, onDismiss, t } = this.props;
+    if (!loading && !attachment) return null;
+
+    const image = attachment && (attachment.thumb_url || attachment.image_url);
+
+    return (
+      <Container>
+        {image ? (
+          <Thumbnail source={{ uri: makeImageCompatibleUrl(image) }} />
+        ) : null}
+        <Details>
+          <Title numberOfLines={1}>
+            {loading ? t('Loading link preview...') : attachment.title || url}
+          </Title>
+          <Description numberOfLines={1}>
+            {loading ? url : attachment.text || attachment.title_link || url}
+          </Description>
+        </Details>
+        {onDismiss ? (
+          <Dismiss onPress={onDismiss}>
+            <DismissImage source={closeRound} />
+          </Dismiss>
+        ) : null}
+      </Container>
+    );
+  }
+}
+
+const InputUrlPreviewWithContext = withTranslationContext(
+  themed(InputUrlPreview),
+);
+
+export { InputUrlPreviewWithContext as InputUrlPreview };
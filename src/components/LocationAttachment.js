@@ -0,0 +1,225 @@
+import React from 'react';
+import { Linking, Platform } from 'react-native';
+import PropTypes from 'prop-types';
+import styled from '@stream-io/styled-components';
+
+import { themed } from '../styles/theme';
+import { withChannelContext, withTranslationContext } from '../context';
+import { isLiveLocationActive } from '../utils/LiveLocationManager';
+
+const Container = styled.TouchableOpacity`
+  width: 250;
+  overflow: hidden;
+  background-color: #ebebeb;
+  border-radius: ${({ groupStyle }) => {
+    if (groupStyle === 'middle' || groupStyle === 'bottom') return 0;
+
+    return 16;
+  }};
+  border-bottom-left-radius: ${({ alignment, groupStyle }) => {
+    if (groupStyle === 'top' || groupStyle === 'middle') return 0;
+
+    return alignment === 'right' ? 16 : 2;
+  }};
+  border-bottom-right-radius: ${({ alignment, groupStyle }) => {
+    if (groupStyle === 'top' || groupStyle === 'middle') return 0;
+
+    return alignment === 'left' ? 16 : 2;
+  }};
+  ${({ theme }) => theme.message.location.container.css}
+`;
+
+const Map = styled.View`
+  height: 120;
+  align-items: center;
+  justify-content: center;
+  background-color: #d6e4d3;
+  ${({ theme }) => theme.message.location.map.css}
+`;
+
+const MapImage = styled.Image`
+  height: 120;
+  ${({ theme }) => theme.message.location.mapImage.css}
+`;
+
+const Pin = styled.Text`
+  font-size: 28;
+  ${({ theme }) => theme.message.location.pin.css}
+`;
+
+const Details = styled.View`
+  padding: 8px 10px;
+  ${({ theme }) => theme.message.location.details.css}
+`;
+
+const Title = styled.Text`
+  font-weight: bold;
+  font-size: 14;
+  ${({ theme }) => theme.message.location.title.css}
+`;
+
+const Coordinates = styled.Text`
+  font-size: 12;
+  margin-top: 2;
+  color: ${({ theme }) => theme.colors.textGrey};
+  ${({ theme }) => theme.message.location.coordinates.css}
+`;
+
+const Footer = styled.View`
+  flex-direction: row;
+  justify-content: space-between;
+  align-items: center;
+  margin-top: 4;
+  ${({ theme }) => theme.message.location.footer.css}
+`;
+
+const Status = styled.Text`
+  font-size: 12;
+  color: ${({ active, theme }) =>
+    active ? theme.colors.primary : theme.colors.textGrey};
+  ${({ theme }) => theme.message.location.status.css}
+`;
+
+const StopButton = styled.TouchableOpacity`
+  ${({ theme }) => theme.message.location.stopButton.css}
+`;
+
+const StopButtonText = styled.Text`
+  font-size: 12;
+  font-weight: bold;
+  color: ${({ theme }) => theme.colors.primary};
+  ${({ theme }) => theme.message.location.stopButtonText.css}
+`;
+
+const getMapsUrl = ({ latitude, longitude }) =>
+  Platform.OS === 'ios'
+    ? `http://maps.apple.com/?ll=${latitude},${longitude}&q=${latitude},${longitude}`
+    : `geo:${latitude},${longitude}?q=${latitude},${longitude}`;
+
+/**
+ * LocationAttachment - Renders the location attachment, shared from [MessageInput](#messageinput).
+ * Shows a map (placeholder, unless `getMapImageUrl` is provided) and coordinates, and opens the location in maps app on press.
+ *
+ * Live location is updated in place by its sender, until it's stopped or expires. Sender can stop sharing it from the attachment.
+ *
+ * @example ./docs/LocationAttachment.md
+ * @extends PureComponent
+ */
+class LocationAttachment extends React.PureComponent {
+  static themePath = 'message.location';
+
+  static propTypes = {
+    /** The attachment to render - `{ type: 'location', latitude, longitude, accuracy, live, live_id, live_until, stopped_at, updated_at }` */
+    attachment: PropTypes.object.isRequired,
+    /**
+     * Position of message. 'right' | 'left'
+     * 'right' message belongs with current user while 'left' message belonds to other users.
+     * */
+    alignment: PropTypes.string,
+    /** Position of message in group - top, bottom, middle, single. */
+    groupStyle: PropTypes.oneOf(['single', 'top', 'middle', 'bottom']),
+    /** Handler for long press event on attachment */
+    onLongPress: PropTypes.func,
+    /**
+     * Function which returns the url of static map image for location, e.g., from Google Static Maps API.
+     * Placeholder is shown instead of map, if it's not provided.
+     *
+     * @param attachment Location attachment
+     */
+    getMapImageUrl: PropTypes.func,
+    /** @see See [channel context](https://getstream.github.io/stream-chat-react-native/#channelcontext) */
+    liveLocations: PropTypes.object,
+  };
+
+  componentDidMount() {
+    const { liveLocations } = this.props;
+    if (liveLocations) {
+      this.unsubscribe = liveLocations.subscribe(() => this.forceUpdate());
+    }
+  }
+
+  componentWillUnmount() {
+    this.unsubscribe && this.unsubscribe();
+  }
+
+  openMaps = () => {
+    Linking.openURL(getMapsUrl(this.props.attachment)).catch((e) =>
+      console.warn('Failed to open the location', e),
+    );
+  };
+
+  stopSharing = () => {
+    this.props.liveLocations.stop(this.props.attachment.live_id);
+  };
+
+  getStatus = (active) => {
+    const { attachment, t, tDateTimeParser } = this.props;
+    if (!attachment.live) return null;
+
+    return active
+      ? t('Live until {{ time }}', {
+          time: tDateTimeParser(attachment.live_until).format('LT'),
+        })
+      : t('Live location ended');
+  };
+
+  render() {
+    const {
+      attachment,
+      alignment,
+      groupStyle,
+      onLongPress,
+      getMapImageUrl,
+      liveLocations,
+      t,
+    } = this.props;
+    const { latitude, longitude } = attachment;
+    if (typeof latitude !== 'number' || typeof longitude !== 'number') {
+      return null;
+    }
+
+    const active = isLiveLocationActive(attachment);
+    const sharing =
+      active && !!liveLocations && liveLocations.isSharing(attachment.live_id);
+    const mapImageUrl = getMapImageUrl && getMapImageUrl(attachment);
+
+    return (
+      <Container
+        alignment={alignment}
+        groupStyle={groupStyle}
+        onPress={this.openMaps}
+        onLongPress={onLongPress}
+      >
+        {mapImageUrl ? (
+          <MapImage source={{ uri: mapImageUrl }} resizeMode="cover" />
+        ) : (
+          <Map>
+            <Pin>📍</Pin>
+          </Map>
+        )}
+        <Details>
+          <Title>{attachment.live ? t('Live location') : t('Location')}</Title>
+          <Coordinates>
+            {`${latitude.toFixed(5)}, ${longitude.toFixed(5)}`}
+          </Coordinates>
+          {attachment.live ? (
+            <Footer>
+              <Status active={active}>{this.getStatus(active)}</Status>
+              {sharing ? (
+                <StopButton onPress={this.stopSharing}>
+                  <StopButtonText>{t('Stop sharing')}</StopButtonText>
+                </StopButton>
+              ) : null}
+            </Footer>
+          ) : null}
+        </Details>
+      </Container>
+    );
+  }
+}
+
+const LocationAttachmentWithContext = withTranslationContext(
+  withChannelContext(themed(LocationAttachment)),
+);
+
+export { LocationAttachmentWithContext as LocationAttachment };
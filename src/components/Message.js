@@ -5,7 +5,12 @@ import { MessageSimple } from './MessageSimple';
 import PropTypes from 'prop-types';
 import deepequal from 'deep-equal';
 import { withKeyboardContext } from '../context';
-import { MESSAGE_ACTIONS } from '../utils';
+import {
+  MESSAGE_ACTIONS,
+  POLL_ACTIONS,
+  getPollMessageForDisplay,
+} from '../utils';
+import { isMessageFromMutedUser } from '../utils/userMutes';
 
 /**
  * Message - A high level component which implements all the logic required for a message.
@@ -34,6 +39,8 @@ const Message = withKeyboardContext(
       channel: PropTypes.object.isRequired,
       /** A list of users that have read this message **/
       readBy: PropTypes.array,
+      /** `last` to show the read state only for the latest message, or `all` to show it for every message of current user */
+      readReceiptsMode: PropTypes.oneOf(['last', 'all']),
       /** groupStyles, a list of styles to apply to this message. ie. top, bottom, single etc */
       groupStyles: PropTypes.array,
       /** Editing, if the message is currently being edited */
@@ -49,7 +56,7 @@ const Message = withKeyboardContext(
        * */
       Attachment: PropTypes.oneOfType([PropTypes.node, PropTypes.elementType]),
       /**
-       * Array of allowed actions on message. e.g. ['edit', 'delete', 'reactions', 'reply']
+       * Array of allowed actions on message. e.g. ['edit', 'delete', 'reactions', 'reply', 'quote', 'pin', 'info', 'mute']
        * If all the actions need to be disabled, empty array or false should be provided as value of prop.
        * */
       messageActions: PropTypes.oneOfType([PropTypes.bool, PropTypes.array]),
@@ -58,6 +65,24 @@ const Message = withKeyboardContext(
       /** @see See [Channel Context](https://getstream.github.io/stream-chat-react-native/#channelcontext) */
       setEditingState: PropTypes.func,
       /** @see See [Channel Context](https://getstream.github.io/stream-chat-react-native/#channelcontext) */
+      setQuotedMessageState: PropTypes.func,
+      /** @see See [Channel Context](https://getstream.github.io/stream-chat-react-native/#channelcontext) */
+      scrollToMessage: PropTypes.func,
+      /** @see See [Channel Context](https://getstream.github.io/stream-chat-react-native/#channelcontext) */
+      pinMessage: PropTypes.func,
+      /** @see See [Channel Context](https://getstream.github.io/stream-chat-react-native/#channelcontext) */
+      unpinMessage: PropTypes.func,
+      /** @see See [Channel Context](https://getstream.github.io/stream-chat-react-native/#channelcontext) */
+      votePoll: PropTypes.func,
+      /** @see See [Channel Context](https://getstream.github.io/stream-chat-react-native/#channelcontext) */
+      closePoll: PropTypes.func,
+      /** @see See [Channel Context](https://getstream.github.io/stream-chat-react-native/#channelcontext) */
+      mutedUsers: PropTypes.array,
+      /** @see See [Channel Context](https://getstream.github.io/stream-chat-react-native/#channelcontext) */
+      muteUser: PropTypes.func,
+      /** @see See [Channel Context](https://getstream.github.io/stream-chat-react-native/#channelcontext) */
+      unmuteUser: PropTypes.func,
+      /** @see See [Channel Context](https://getstream.github.io/stream-chat-react-native/#channelcontext) */
       updateMessage: PropTypes.func,
       /** @see See [Channel Context](https://getstream.github.io/stream-chat-react-native/#channelcontext) */
       removeMessage: PropTypes.func,
@@ -85,6 +110,13 @@ const Message = withKeyboardContext(
       readOnly: PropTypes.bool,
       /** Disables the message UI. Which means, message actions, reactions won't work. */
       disabled: PropTypes.bool,
+      /** Highlights the message, e.g. when message list is scrolled to it */
+      highlighted: PropTypes.bool,
+      /**
+       * Instance of ReactionRegistry. Reactions added to message are saved as recently used in it.
+       * Available from [channel context](https://getstream.github.io/stream-chat-react-native/#channelcontext)
+       */
+      reactionRegistry: PropTypes.object,
     };
 
     static defaultProps = {
@@ -130,6 +162,25 @@ const Message = withKeyboardContext(
         shouldUpdate = true;
       }
 
+      if (!shouldUpdate && nextProps.highlighted !== this.props.highlighted) {
+        shouldUpdate = true;
+      }
+
+      if (
+        !shouldUpdate &&
+        nextProps.readReceiptsMode !== this.props.readReceiptsMode
+      ) {
+        shouldUpdate = true;
+      }
+
+      // author of message has been muted or unmuted.
+      if (
+        !shouldUpdate &&
+        this.isUserMuted(nextProps) !== this.isUserMuted(this.props)
+      ) {
+        shouldUpdate = true;
+      }
+
       return shouldUpdate;
     }
 
@@ -157,6 +208,21 @@ const Message = withKeyboardContext(
 
     canDeleteMessage = () => this.canEditMessage();
 
+    canPinMessage = () => this.canEditMessage();
+
+    /** Returns true if author of message is muted by current user */
+    isUserMuted = (props = this.props) =>
+      isMessageFromMutedUser(
+        props.message,
+        props.mutedUsers,
+        props.client.userID,
+      );
+
+    canMuteUser = () =>
+      !!this.props.muteUser &&
+      !!this.props.message.user &&
+      !this.isMyMessage(this.props.message);
+
     handleFlag = async (event) => {
       event.preventDefault();
 
@@ -164,17 +230,37 @@ const Message = withKeyboardContext(
       await this.props.client.flagMessage(message.id);
     };
 
+    /** Mutes the author of message, or unmutes them if they are already muted */
     handleMute = async (event) => {
-      event.preventDefault();
+      if (event !== undefined && event.preventDefault) {
+        event.preventDefault();
+      }
 
       const message = this.props.message;
-      await this.props.client.flagMessage(message.user.id);
+      if (this.isUserMuted()) {
+        await this.props.unmuteUser(message.user.id);
+      } else {
+        await this.props.muteUser(message.user.id);
+      }
     };
 
     handleEdit = () => {
       this.props.setEditingState(this.props.message);
     };
 
+    handleQuote = () => {
+      this.props.setQuotedMessageState(this.props.message);
+    };
+
+    handlePin = async () => {
+      const message = this.props.message;
+      if (message.pinned) {
+        await this.props.unpinMessage(message);
+      } else {
+        await this.props.pinMessage(message);
+      }
+    };
+
     handleDelete = async () => {
       const message = this.props.message;
       const data = await this.props.client.deleteMessage(message.id);
@@ -235,6 +321,10 @@ const Message = withKeyboardContext(
           messageID,
           reaction,
         );
+
+        if (this.props.reactionRegistry) {
+          this.props.reactionRegistry.addRecent(reactionType);
+        }
       }
 
       try {
@@ -248,6 +338,22 @@ const Message = withKeyboardContext(
 
     handleAction = async (name, value, event) => {
       event.preventDefault();
+
+      // Poll actions are handled locally, rest are sent to server as command actions.
+      // Poll is reverted if the request fails, so error is only reported.
+      if (name === POLL_ACTIONS.VOTE || name === POLL_ACTIONS.CLOSE) {
+        try {
+          if (name === POLL_ACTIONS.VOTE) {
+            await this.props.votePoll(this.props.message, value);
+          } else {
+            await this.props.closePoll(this.props.message);
+          }
+        } catch (e) {
+          console.warn(e);
+        }
+        return;
+      }
+
       const messageID = this.props.message.id;
       const formData = {};
       formData[name] = value;
@@ -276,10 +382,21 @@ const Message = withKeyboardContext(
       if (dismissKeyboardOnMessageTouch) dismissKeyboard();
     };
 
+    // Votes of poll are reactions, which are rendered by poll attachment instead of reaction list.
+    // Message for display is only computed again when message changes, so that memoized components don't re-render.
+    getDisplayMessage = () => {
+      const { message } = this.props;
+      if (message !== this.displayMessageSource) {
+        this.displayMessageSource = message;
+        this.displayMessage = getPollMessageForDisplay(message);
+      }
+
+      return this.displayMessage;
+    };
+
     getTotalReactionCount = () => {
-      const { emojiData } = this.props;
       let count = null;
-      const reactionCounts = this.props.message.reaction_counts;
+      const reactionCounts = this.getDisplayMessage().reaction_counts;
 
       if (
         reactionCounts !== null &&
@@ -287,10 +404,9 @@ const Message = withKeyboardContext(
         Object.keys(reactionCounts).length > 0
       ) {
         count = 0;
+        // Reactions which are not part of emojiData are rendered as well, so they are counted too.
         Object.keys(reactionCounts).map((key) => {
-          if (emojiData.find((e) => e.id === key)) {
-            count += reactionCounts[key];
-          }
+          count += reactionCounts[key];
 
           return count;
         });
@@ -322,6 +438,7 @@ const Message = withKeyboardContext(
           <Component
             {...this.props}
             {...actionProps}
+            message={this.getDisplayMessage()}
             client={this.props.client}
             channel={this.props.channel}
             actionsEnabled={actionsEnabled}
@@ -332,7 +449,8 @@ const Message = withKeyboardContext(
             handleReaction={this.handleReaction}
             getTotalReactionCount={this.getTotalReactionCount}
             handleFlag={this.handleFlag}
-            handleMute={this.handleMute}
+            handleMute={this.canMuteUser() ? this.handleMute : undefined}
+            isUserMuted={this.isUserMuted}
             handleAction={this.handleAction}
             handleRetry={this.handleRetry}
             isMyMessage={this.isMyMessage}
@@ -340,8 +458,17 @@ const Message = withKeyboardContext(
             isModerator={this.isModerator}
             canEditMessage={this.canEditMessage}
             canDeleteMessage={this.canDeleteMessage}
+            canPinMessage={this.canPinMessage}
             handleEdit={this.handleEdit}
+            handleQuote={
+              this.props.setQuotedMessageState ? this.handleQuote : undefined
+            }
             handleDelete={this.handleDelete}
+            handlePin={
+              this.props.pinMessage && this.props.unpinMessage
+                ? this.handlePin
+                : undefined
+            }
             openThread={
               this.props.openThread && this.props.openThread.bind(this, message)
             }
@@ -10,22 +10,49 @@ import { logChatPromiseExecution } from 'stream-chat';
 import { ImageUploadPreview } from './ImageUploadPreview';
 import { FileUploadPreview } from './FileUploadPreview';
 import { IconSquare } from './IconSquare';
-import { pickImage, pickDocument } from '../native';
+import {
+  pickImage,
+  pickDocument,
+  pickVideo,
+  recordAudio,
+  shareLocation,
+  pickContact,
+  editImage,
+} from '../native';
 import { lookup } from 'mime-types';
 import Immutable from 'seamless-immutable';
-import { FileState, ACITriggerSettings } from '../utils';
+import {
+  FileState,
+  ACITriggerSettings,
+  formatDuration,
+  resampleWaveform,
+  uploadFileWithProgress,
+  createPollAttachment,
+  createLocationAttachment,
+  createContactAttachment,
+} from '../utils';
 import PropTypes from 'prop-types';
 import uniq from 'lodash/uniq';
+import uuidv4 from 'uuid/v4';
+import debounce from 'lodash/debounce';
 import styled from '@stream-io/styled-components';
 import { themed } from '../styles/theme';
 import { SendButton } from './SendButton';
 import { AttachButton } from './AttachButton';
+import { AudioRecordButton } from './AudioRecordButton';
+import { Waveform } from './Waveform';
+import { SchedulePicker as DefaultSchedulePicker } from './SchedulePicker';
+import { InputUrlPreview as DefaultInputUrlPreview } from './InputUrlPreview';
+import { PollComposer as DefaultPollComposer } from './PollComposer';
+import { getFirstUrl } from '../utils/links';
+import { finishUpload, startUpload } from '../utils/upload';
 
 import { ActionSheetCustom as ActionSheet } from 'react-native-actionsheet';
 // import iconMedia from '../images/icons/icon_attach-media.png';
 
 import iconGallery from '../images/icons/icon_attach-media.png';
 import iconFolder from '../images/icons/icon_folder.png';
+import iconPath from '../images/icons/icon_path.png';
 import iconClose from '../images/icons/icon_close.png';
 import { AutoCompleteInput } from './AutoCompleteInput';
 
@@ -39,6 +66,20 @@ function S4() {
   return (((1 + Math.random()) * 0x10000) | 0).toString(16).substring(1);
 }
 
+// Shorter recordings are discarded, since they are most likely accidental.
+const MIN_AUDIO_DURATION = 1000;
+const WAVEFORM_BARS = 40;
+
+// Videos and recorded voice messages are sent as video/audio attachments, so that they can be played in message list.
+const getFileAttachmentType = (file) => {
+  const mimeType = file.type || '';
+  if (mimeType.startsWith('video/')) return 'video';
+  if (mimeType.startsWith('audio/') && file.duration !== undefined)
+    return 'audio';
+
+  return 'file';
+};
+
 const Container = styled(({ padding, ...rest }) => <View {...rest} />)`
   display: flex;
   flex-direction: column;
@@ -74,6 +115,35 @@ const EditingBoxHeaderTitle = styled.Text`
   ${({ theme }) => theme.messageInput.editingBoxHeaderTitle.css}
 `;
 
+const QuotedMessageContainer = styled.View`
+  flex-direction: row;
+  align-items: center;
+  padding: 10px;
+  padding-bottom: 0;
+  ${({ theme }) => theme.messageInput.quotedMessageContainer.css}
+`;
+
+const QuotedMessageDetails = styled.View`
+  flex: 1;
+  padding-left: 8;
+  border-left-width: 3;
+  border-left-color: ${({ theme }) => theme.colors.primary};
+  ${({ theme }) => theme.messageInput.quotedMessageDetails.css}
+`;
+
+const QuotedMessageTitle = styled.Text`
+  font-weight: bold;
+  font-size: 12;
+  color: ${({ theme }) => theme.colors.primary};
+  ${({ theme }) => theme.messageInput.quotedMessageTitle.css}
+`;
+
+const QuotedMessageText = styled.Text`
+  font-size: 13;
+  color: ${({ theme }) => theme.colors.textGrey};
+  ${({ theme }) => theme.messageInput.quotedMessageText.css}
+`;
+
 const InputBoxContainer = styled.View`
   display: flex;
   flex-direction: row;
@@ -85,6 +155,33 @@ const InputBoxContainer = styled.View`
   ${({ theme }) => theme.messageInput.inputBoxContainer.css}
 `;
 
+const RecordingContainer = styled.View`
+  flex: 1;
+  flex-direction: row;
+  align-items: center;
+  ${({ theme }) => theme.messageInput.recordingContainer.css}
+`;
+
+const RecordingIndicator = styled.View`
+  width: 8;
+  height: 8;
+  border-radius: 4;
+  background-color: red;
+  ${({ theme }) => theme.messageInput.recordingIndicator.css}
+`;
+
+const RecordingDuration = styled.Text`
+  margin-left: 8;
+  margin-right: 8;
+  font-size: 13;
+  ${({ theme }) => theme.messageInput.recordingDuration.css}
+`;
+
+const RecordingWaveform = styled.View`
+  flex: 1;
+  ${({ theme }) => theme.messageInput.recordingWaveform.css}
+`;
+
 const ActionSheetTitleContainer = styled.View`
   flex-direction: row;
   justify-content: space-between;
@@ -129,7 +226,25 @@ class MessageInput extends PureComponent {
       props.editing,
       props.initialValue,
     );
-    this.state = { ...state };
+    this.state = {
+      ...state,
+      recording: false,
+      // in milliseconds
+      recordingDuration: 0,
+      recordingLevels: [],
+      schedulePickerVisible: false,
+      // Preview of the first url in text - { url, attachment, loading }
+      urlPreview: null,
+      // Urls whose preview was dismissed by user. Message is sent without their preview.
+      dismissedUrls: [],
+      pollComposerVisible: false,
+      pollQuestion: '',
+    };
+    // Recording object returned by `recordAudio` native handler
+    this.recording = null;
+    this.recordingRequested = false;
+    this._saveDraftDebounced = debounce(this.saveDraft, 300);
+    this._detectUrlDebounced = debounce(this.detectUrl, 500);
   }
 
   static themePath = 'messageInput';
@@ -160,10 +275,50 @@ class MessageInput extends PureComponent {
     maxNumberOfFiles: PropTypes.number,
     /** If component should have image picker functionality  */
     hasImagePicker: PropTypes.bool,
+    /**
+     * If component should let user edit (crop/rotate) the images. Editor is opened right after picking a single image (before it's uploaded),
+     * and it can be opened for any of the images from preview.
+     * Only available if `editImage` native handler is registered.
+     */
+    hasImageEditor: PropTypes.bool,
     /** @see See [keyboard context](https://getstream.github.io/stream-chat-react-native/#keyboardcontext) */
     dismissKeyboard: PropTypes.func,
     /** If component should have file picker functionality  */
     hasFilePicker: PropTypes.bool,
+    /**
+     * If component should have video picker functionality.
+     * Option to upload video is only shown if `pickVideo` native handler is registered (e.g., by stream-chat-expo).
+     */
+    hasVideoPicker: PropTypes.bool,
+    /**
+     * If component should have hold-to-record button for voice messages.
+     * Button is only shown if `recordAudio` native handler is registered (e.g., using `registerAudioHandlers`).
+     */
+    hasAudioRecorder: PropTypes.bool,
+    /**
+     * If component should offer `/poll` command. Sending the command opens the poll composer,
+     * and text after the command is used as question of poll.
+     */
+    hasPolls: PropTypes.bool,
+    /**
+     * If component should have options to share the location, and live location.
+     * Options are only shown if `shareLocation` native handler is registered (e.g., by stream-chat-expo).
+     */
+    hasLocationSharing: PropTypes.bool,
+    /**
+     * If component should have option to share a contact from address book.
+     * Option is only shown if `pickContact` native handler is registered.
+     */
+    hasContactSharing: PropTypes.bool,
+    /** Duration of shared live location, in milliseconds */
+    liveLocationDuration: PropTypes.number,
+    /**
+     * Keeps the sent live location message up to date.
+     * @see See [channel context](https://getstream.github.io/stream-chat-react-native/#channelcontext)
+     */
+    startLiveLocation: PropTypes.func,
+    /** @see See [channel context](https://getstream.github.io/stream-chat-react-native/#channelcontext) */
+    liveLocations: PropTypes.object,
     /** @see See [channel context](https://getstream.github.io/stream-chat-react-native/#channelcontext) */
     members: PropTypes.object,
     /** @see See [channel context](https://getstream.github.io/stream-chat-react-native/#channelcontext) */
@@ -172,6 +327,13 @@ class MessageInput extends PureComponent {
     editing: PropTypes.oneOfType([PropTypes.object, PropTypes.bool]),
     /** @see See [channel context](https://getstream.github.io/stream-chat-react-native/#channelcontext) */
     clearEditingState: PropTypes.func,
+    /**
+     * Message which is being quoted. Next message sent from input will be a reply to it.
+     * @see See [channel context](https://getstream.github.io/stream-chat-react-native/#channelcontext)
+     */
+    quotedMessage: PropTypes.oneOfType([PropTypes.object, PropTypes.bool]),
+    /** @see See [channel context](https://getstream.github.io/stream-chat-react-native/#channelcontext) */
+    clearQuotedMessageState: PropTypes.func,
     /** @see See [channel context](https://getstream.github.io/stream-chat-react-native/#channelcontext) */
     client: PropTypes.object,
     /** @see See [channel context](https://getstream.github.io/stream-chat-react-native/#channelcontext) */
@@ -180,6 +342,11 @@ class MessageInput extends PureComponent {
     parent: PropTypes.object,
     /** @see See [channel context](https://getstream.github.io/stream-chat-react-native/#channelcontext) */
     channel: PropTypes.object,
+    /**
+     * Instance of DraftStore. Unsent text, mentions and attachments are saved in it as draft, and restored when input is mounted again.
+     * @see See [channel context](https://getstream.github.io/stream-chat-react-native/#channelcontext)
+     */
+    drafts: PropTypes.object,
     /**
      * Ref callback to set reference on input box container
      * @see See [keyboard context](https://getstream.github.io/stream-chat-react-native/#keyboardcontext)
@@ -203,6 +370,52 @@ class MessageInput extends PureComponent {
      * Defaults to and accepts same props as: [AttachButton](https://getstream.github.io/stream-chat-react-native/#attachbutton)
      * */
     AttachButton: PropTypes.oneOfType([PropTypes.node, PropTypes.elementType]),
+    /**
+     * Custom UI component to pick the time of scheduled message. It's opened by long pressing the send button.
+     *
+     * Defaults to and accepts same props as: [SchedulePicker](https://getstream.github.io/stream-chat-react-native/#schedulepicker)
+     * */
+    SchedulePicker: PropTypes.oneOfType([
+      PropTypes.node,
+      PropTypes.elementType,
+    ]),
+    /**
+     * Schedules the message to be sent later. Long press on send button is disabled, if it's not available.
+     * @see See [channel context](https://getstream.github.io/stream-chat-react-native/#channelcontext)
+     */
+    scheduleMessage: PropTypes.func,
+    /**
+     * Function to fetch the preview of url, found in the message being composed. If provided, preview is shown above the input,
+     * and is sent as attachment of message. If user dismisses the preview, message is sent with `skip_enrich_url: true`.
+     *
+     * @param url Url found in message
+     * @returns Promise resolving to attachment - `{ title, text, title_link, image_url, thumb_url }`, or null if there is no preview
+     */
+    enrichURL: PropTypes.func,
+    /**
+     * Custom UI component to preview the url, found in the message being composed.
+     *
+     * Defaults to and accepts same props as: [InputUrlPreview](https://getstream.github.io/stream-chat-react-native/#inputurlpreview)
+     * */
+    InputUrlPreview: PropTypes.oneOfType([
+      PropTypes.node,
+      PropTypes.elementType,
+    ]),
+    /**
+     * Custom UI component to create a poll. It's opened by `/poll` command.
+     *
+     * Defaults to and accepts same props as: [PollComposer](https://getstream.github.io/stream-chat-react-native/#pollcomposer)
+     * */
+    PollComposer: PropTypes.oneOfType([PropTypes.node, PropTypes.elementType]),
+    /**
+     * Custom UI component for hold-to-record button of voice messages.
+     *
+     * Defaults to and accepts same props as: [AudioRecordButton](https://getstream.github.io/stream-chat-react-native/#audiorecordbutton)
+     * */
+    AudioRecordButton: PropTypes.oneOfType([
+      PropTypes.node,
+      PropTypes.elementType,
+    ]),
     /**
      * Additional props for underlying TextInput component. These props will be forwarded as it is to TextInput component.
      *
@@ -228,10 +441,21 @@ class MessageInput extends PureComponent {
 
   static defaultProps = {
     hasImagePicker: true,
+    hasImageEditor: true,
     hasFilePicker: true,
+    hasVideoPicker: true,
+    hasAudioRecorder: true,
+    hasPolls: true,
+    hasLocationSharing: true,
+    hasContactSharing: true,
+    liveLocationDuration: 15 * 60 * 1000,
     disabled: false,
     SendButton,
     AttachButton,
+    AudioRecordButton,
+    SchedulePicker: DefaultSchedulePicker,
+    InputUrlPreview: DefaultInputUrlPreview,
+    PollComposer: DefaultPollComposer,
   };
 
   getMessageDetailsForState = (message, initialValue) => {
@@ -242,6 +466,25 @@ class MessageInput extends PureComponent {
     const attachments = [];
     let mentioned_users = [];
     let text = initialValue || '';
+    const draft = message ? null : this.getDraft();
+
+    if (draft) {
+      text = draft.text || text;
+      mentioned_users = [...(draft.mentioned_users || [])];
+      // Uploads which didn't finish before input was unmounted, can't be resumed. So they are restored as failed.
+      const restoreUpload = (upload) => ({
+        ...upload,
+        state: upload.url ? FileState.UPLOADED : FileState.UPLOAD_FAILED,
+      });
+      for (const upload of draft.imageUploads || []) {
+        imageOrder.push(upload.id);
+        imageUploads[upload.id] = restoreUpload(upload);
+      }
+      for (const upload of draft.fileUploads || []) {
+        fileOrder.push(upload.id);
+        fileUploads[upload.id] = restoreUpload(upload);
+      }
+    }
 
     if (message) {
       text = message.text;
@@ -254,6 +497,25 @@ class MessageInput extends PureComponent {
             url: attach.image_url,
             state: 'finished',
             file: { name: attach.fallback },
+            caption: attach.text,
+          };
+        } else if (
+          (attach.type === 'audio' || attach.type === 'video') &&
+          !attach.og_scrape_url
+        ) {
+          const id = generateRandomId();
+          fileOrder.push(id);
+          fileUploads[id] = {
+            id,
+            url: attach.asset_url,
+            state: 'finished',
+            file: {
+              name: attach.title,
+              type: attach.mime_type,
+              size: attach.file_size,
+              duration: attach.duration,
+              waveform: attach.waveform_data,
+            },
           };
         } else if (attach.type === 'file') {
           const id = generateRandomId();
@@ -285,10 +547,47 @@ class MessageInput extends PureComponent {
       fileOrder,
       fileUploads: Immutable(fileUploads),
       mentioned_users,
-      numberOfUploads: 0,
+      numberOfUploads: imageOrder.length + fileOrder.length,
     };
   };
 
+  /** Returns the saved draft of channel (or thread, if input is rendered in thread) */
+  getDraft = () => {
+    const { drafts, channel, parent } = this.props;
+    if (!drafts || !channel) return null;
+
+    return drafts.get(channel.cid, parent && parent.id);
+  };
+
+  /** Saves the current content of input as draft. Content of input while editing a message is not a draft. */
+  saveDraft = () => {
+    const { drafts, channel, parent, editing } = this.props;
+    if (!drafts || !channel || editing) return;
+
+    const { text, mentioned_users } = this.state;
+    const serializeUpload = ({ id, url, file, caption }) => ({
+      id,
+      url,
+      file,
+      ...(caption ? { caption } : {}),
+    });
+    logChatPromiseExecution(
+      drafts.set(channel.cid, parent && parent.id, {
+        text,
+        mentioned_users,
+        imageUploads: this.state.imageOrder
+          .map((id) => this.state.imageUploads[id])
+          .filter(Boolean)
+          .map(serializeUpload),
+        fileUploads: this.state.fileOrder
+          .map((id) => this.state.fileUploads[id])
+          .filter(Boolean)
+          .map(serializeUpload),
+      }),
+      'save draft',
+    );
+  };
+
   getUsers = () => {
     const users = [];
     const members = this.props.members;
@@ -314,10 +613,42 @@ class MessageInput extends PureComponent {
 
   componentDidMount() {
     if (this.props.editing) this.inputBox.focus();
+    // Text may have been restored from draft.
+    if (this.props.enrichURL && !this.props.editing && this.state.text) {
+      this.detectUrl(this.state.text);
+    }
   }
 
-  componentDidUpdate(prevProps) {
+  componentWillUnmount() {
+    this._unmounted = true;
+    this._saveDraftDebounced.flush();
+    this._detectUrlDebounced.cancel();
+    this.recordingRequested = false;
+    if (this.recording) {
+      logChatPromiseExecution(this.recording.cancel(), 'cancel recording');
+      this.recording = null;
+    }
+  }
+
+  componentDidUpdate(prevProps, prevState) {
+    if (
+      !this.props.editing &&
+      (this.state.text !== prevState.text ||
+        this.state.mentioned_users !== prevState.mentioned_users ||
+        this.state.imageUploads !== prevState.imageUploads ||
+        this.state.imageOrder !== prevState.imageOrder ||
+        this.state.fileUploads !== prevState.fileUploads)
+    ) {
+      this._saveDraftDebounced();
+    }
     if (this.props.editing) this.inputBox.focus();
+    if (
+      this.props.quotedMessage &&
+      this.props.quotedMessage !== prevProps.quotedMessage &&
+      this.getQuotedMessage()
+    ) {
+      this.inputBox.focus();
+    }
     if (
       this.props.editing &&
       prevProps.editing &&
@@ -355,6 +686,20 @@ class MessageInput extends PureComponent {
     }
   }
 
+  /**
+   * Returns the quoted message, if it belongs to the list this input sends messages to
+   * i.e., quoted message from thread shouldn't be shown in input of main channel and vice versa.
+   */
+  getQuotedMessage = () => {
+    const { quotedMessage, parent } = this.props;
+    if (!quotedMessage) return null;
+
+    const parentId = parent ? parent.id : undefined;
+    return (quotedMessage.parent_id || undefined) === parentId
+      ? quotedMessage
+      : null;
+  };
+
   onSelectItem = (item) => {
     this.setState((prevState) => ({
       mentioned_users: [...prevState.mentioned_users, item.id],
@@ -394,7 +739,10 @@ class MessageInput extends PureComponent {
     return false;
   };
 
-  sendMessage = () => {
+  /**
+   * Returns the attachments of message being composed, or null if some of the uploads are still in progress.
+   */
+  getAttachments = () => {
     const attachments = [];
     for (const id of this.state.imageOrder) {
       const image = this.state.imageUploads[id];
@@ -403,12 +751,13 @@ class MessageInput extends PureComponent {
       }
       if (image.state === FileState.UPLOADING) {
         // TODO: show error to user that they should wait until image is uploaded
-        return;
+        return null;
       }
       attachments.push({
         type: 'image',
         image_url: image.url,
         fallback: image.file.name,
+        ...(image.caption ? { text: image.caption } : {}),
       });
     }
 
@@ -419,17 +768,97 @@ class MessageInput extends PureComponent {
       }
       if (upload.state === FileState.UPLOADING) {
         // TODO: show error to user that they should wait until image is uploaded
-        return;
+        return null;
       }
-      attachments.push({
-        type: 'file',
+      const attachment = {
+        type: getFileAttachmentType(upload.file),
         asset_url: upload.url,
         title: upload.file.name,
         mime_type: upload.file.type,
         file_size: upload.file.size,
-      });
+      };
+      if (upload.file.duration !== undefined) {
+        attachment.duration = upload.file.duration;
+      }
+      if (upload.file.waveform) {
+        attachment.waveform_data = upload.file.waveform;
+      }
+      attachments.push(attachment);
     }
 
+    const urlPreviewAttachment = this.getUrlPreviewAttachment();
+    if (urlPreviewAttachment) attachments.push(urlPreviewAttachment);
+
+    return attachments;
+  };
+
+  /**
+   * Fetches the preview of first url in text, using `enrichURL` handler.
+   * Urls dismissed by user are not previewed again, until the message is sent.
+   */
+  detectUrl = async (text) => {
+    if (this._unmounted) return;
+
+    const url = getFirstUrl(text);
+    const { urlPreview, dismissedUrls } = this.state;
+    if (!url || dismissedUrls.indexOf(url) !== -1) {
+      if (urlPreview) this.setState({ urlPreview: null });
+      return;
+    }
+    if (urlPreview && urlPreview.url === url) return;
+
+    this.setState({ urlPreview: { url, attachment: null, loading: true } });
+    let attachment = null;
+    try {
+      attachment = await this.props.enrichURL(url);
+    } catch (e) {
+      console.warn('Failed to fetch the preview of url', e);
+    }
+
+    // Text may have changed while the preview was being fetched.
+    if (
+      this._unmounted ||
+      !this.state.urlPreview ||
+      this.state.urlPreview.url !== url
+    )
+      return;
+
+    this.setState({
+      urlPreview: { url, attachment: attachment || null, loading: false },
+    });
+  };
+
+  dismissUrlPreview = () => {
+    this.setState((prevState) => ({
+      urlPreview: null,
+      dismissedUrls: prevState.urlPreview
+        ? [...prevState.dismissedUrls, prevState.urlPreview.url]
+        : prevState.dismissedUrls,
+    }));
+  };
+
+  /** Returns the preview of url as attachment, if it's still part of the text */
+  getUrlPreviewAttachment = () => {
+    const { urlPreview, text } = this.state;
+    if (this.props.editing || !urlPreview || !urlPreview.attachment)
+      return null;
+    if (getFirstUrl(text) !== urlPreview.url) return null;
+
+    return { ...urlPreview.attachment, og_scrape_url: urlPreview.url };
+  };
+
+  /** Returns true if user has dismissed the preview of url in text, so that server doesn't add the preview either */
+  isUrlPreviewDismissed = () => {
+    const url = getFirstUrl(this.state.text);
+    return !!url && this.state.dismissedUrls.indexOf(url) !== -1;
+  };
+
+  sendMessage = () => {
+    if (this.openPollComposerForCommand()) return;
+
+    const attachments = this.getAttachments();
+    if (!attachments) return;
+
     // Disallow sending message if its empty.
     if (!this.state.text && attachments.length === 0) return;
 
@@ -449,27 +878,85 @@ class MessageInput extends PureComponent {
         .then(this.props.clearEditingState);
       logChatPromiseExecution(updateMessagePromise, 'update message');
     } else {
+      const quotedMessage = this.getQuotedMessage();
+      const extraFields = quotedMessage
+        ? { quoted_message_id: quotedMessage.id }
+        : {};
+      if (this.isUrlPreviewDismissed()) extraFields.skip_enrich_url = true;
+
       try {
         this.props.sendMessage({
           text: this.state.text,
           parent: this.props.parent,
           mentioned_users: uniq(this.state.mentioned_users),
           attachments,
+          ...extraFields,
         });
-        this.setState({
-          text: '',
-          imageUploads: Immutable({}),
-          imageOrder: Immutable([]),
-          fileUploads: Immutable({}),
-          fileOrder: Immutable([]),
-          mentioned_users: [],
-        });
+        if (quotedMessage) this.props.clearQuotedMessageState();
+        this.clearInput();
       } catch (err) {
         console.log('Fialed');
       }
     }
   };
 
+  clearInput = () => {
+    this._detectUrlDebounced.cancel();
+    this.setState({
+      text: '',
+      imageUploads: Immutable({}),
+      imageOrder: Immutable([]),
+      fileUploads: Immutable({}),
+      fileOrder: Immutable([]),
+      mentioned_users: [],
+      urlPreview: null,
+      dismissedUrls: [],
+    });
+  };
+
+  /** Messages can be scheduled if scheduler is available, except while editing a message */
+  canScheduleMessage = () =>
+    !!this.props.scheduleMessage &&
+    !this.props.editing &&
+    this.isValidMessage();
+
+  openSchedulePicker = () => {
+    if (!this.canScheduleMessage()) return;
+    this.setState({ schedulePickerVisible: true });
+  };
+
+  closeSchedulePicker = () => {
+    this.setState({ schedulePickerVisible: false });
+  };
+
+  /**
+   * Schedules the message being composed, to be sent at given time. Input is cleared, as the message is sent.
+   *
+   * @param {Date} sendAt
+   */
+  scheduleMessage = (sendAt) => {
+    const attachments = this.getAttachments();
+    if (!attachments) return;
+    if (!this.state.text && attachments.length === 0) return;
+
+    const quotedMessage = this.getQuotedMessage();
+    const message = {
+      text: this.state.text,
+      attachments,
+      mentioned_users: uniq(this.state.mentioned_users),
+    };
+    if (this.props.parent) message.parent_id = this.props.parent.id;
+    if (quotedMessage) message.quoted_message_id = quotedMessage.id;
+    if (this.isUrlPreviewDismissed()) message.skip_enrich_url = true;
+
+    logChatPromiseExecution(
+      this.props.scheduleMessage(message, sendAt),
+      'schedule message',
+    );
+    if (quotedMessage) this.props.clearQuotedMessageState();
+    this.clearInput();
+  };
+
   updateMessage = async () => {
     try {
       await this.props.client.editMessage({
@@ -546,6 +1033,24 @@ class MessageInput extends PureComponent {
           file,
           this.props.channel,
         );
+      } else if (getFileAttachmentType(file) === 'video') {
+        // Videos can be large, so progress of upload is shown.
+        response = await uploadFileWithProgress(this.props.channel, file.uri, {
+          name: file.name,
+          contentType: file.type,
+          onProgress: (progress) => {
+            this.setState((prevState) =>
+              prevState.fileUploads[id]
+                ? {
+                    fileUploads: prevState.fileUploads.setIn(
+                      [id, 'progress'],
+                      progress,
+                    ),
+                  }
+                : {},
+            );
+          },
+        });
       } else {
         response = await this.props.channel.sendFile(file.uri);
       }
@@ -577,19 +1082,264 @@ class MessageInput extends PureComponent {
     }));
   };
 
-  _pickImage = async () => {
+  startRecording = async () => {
+    if (this.recordingRequested || !recordAudio) return;
     if (
       this.props.maxNumberOfFiles &&
       this.state.numberOfUploads >= this.props.maxNumberOfFiles
     )
       return;
 
-    const result = await pickImage();
-    if (result.cancelled) {
+    this.recordingRequested = true;
+    this.setState({
+      recording: true,
+      recordingDuration: 0,
+      recordingLevels: [],
+    });
+
+    let recording;
+    try {
+      recording = await recordAudio({ onProgress: this.onRecordingProgress });
+    } catch (e) {
+      console.warn(e);
+      this.recordingRequested = false;
+      if (!this._unmounted) this.setState({ recording: false });
       return;
     }
 
-    this.uploadNewImage(result);
+    this.recording = recording;
+    // Button was released, while recording was being started.
+    if (this._unmounted) {
+      this.recording = null;
+      logChatPromiseExecution(recording.cancel(), 'cancel recording');
+    } else if (!this.recordingRequested) {
+      await this.finishRecording();
+    }
+  };
+
+  onRecordingProgress = ({ duration, level }) => {
+    if (this._unmounted || !this.recordingRequested) return;
+
+    this.setState((prevState) => ({
+      recordingDuration: duration,
+      recordingLevels:
+        level === undefined || level === null
+          ? prevState.recordingLevels
+          : [...prevState.recordingLevels, level],
+    }));
+  };
+
+  stopRecording = async () => {
+    if (!this.recordingRequested) return;
+
+    this.recordingRequested = false;
+    this.setState({ recording: false });
+    // Recording hasn't started yet. It will be finished once it starts.
+    if (!this.recording) return;
+
+    await this.finishRecording();
+  };
+
+  /** Stops the recording and uploads it, same as any other file */
+  finishRecording = async () => {
+    const recording = this.recording;
+    const levels = this.state.recordingLevels;
+    this.recording = null;
+
+    let result;
+    try {
+      result = await recording.stop();
+    } catch (e) {
+      console.warn(e);
+      return;
+    }
+
+    if (this._unmounted || !result || result.duration < MIN_AUDIO_DURATION)
+      return;
+
+    const name = result.uri.split('/').pop();
+    this.uploadNewFile({
+      uri: result.uri,
+      name,
+      duration: Math.round(result.duration / 100) / 10,
+      waveform: resampleWaveform(levels, WAVEFORM_BARS),
+    });
+  };
+
+  _pickVideo = async () => {
+    if (
+      this.props.maxNumberOfFiles &&
+      this.state.numberOfUploads >= this.props.maxNumberOfFiles
+    )
+      return;
+
+    const result = await pickVideo();
+    if (!result || result.cancelled) {
+      return;
+    }
+
+    this.uploadNewFile({
+      uri: result.uri,
+      name: result.name || result.uri.split('/').pop(),
+      duration: result.duration,
+    });
+  };
+
+  /**
+   * Sends the current location of device as message with location attachment. Live location
+   * is handed over to `startLiveLocation`, which updates the message until sharing is stopped.
+   *
+   * @param {boolean} live
+   */
+  _shareLocation = async (live) => {
+    const { client, parent, liveLocationDuration } = this.props;
+    // Id of message is generated here, so that live location updates can refer to it.
+    const id = `${client.userID}-${uuidv4()}`;
+    let attachment = null;
+    let result;
+
+    try {
+      result = await shareLocation({
+        live,
+        onUpdate: (location) => {
+          if (!attachment || !this.props.liveLocations) return;
+          this.props.liveLocations.update(attachment.live_id, location);
+        },
+      });
+    } catch (e) {
+      console.warn('Failed to get the location', e);
+      return;
+    }
+    if (!result || result.cancelled) return;
+
+    attachment = createLocationAttachment(result, {
+      live,
+      duration: liveLocationDuration,
+    });
+    const message = { id, text: '', attachments: [attachment] };
+
+    let sentMessage;
+    try {
+      sentMessage = await this.props.sendMessage({ ...message, parent });
+    } catch (e) {
+      console.warn('Failed to send the location', e);
+    }
+
+    // Live location can only be updated once the message exists on server.
+    const sent = sentMessage && sentMessage.status === 'received';
+    if (live && sent && this.props.startLiveLocation) {
+      this.props.startLiveLocation(message, result.stop);
+    } else {
+      result.stop && result.stop();
+    }
+  };
+
+  _pickContact = async () => {
+    let result;
+    try {
+      result = await pickContact();
+    } catch (e) {
+      console.warn('Failed to pick the contact', e);
+      return;
+    }
+    if (!result || result.cancelled) return;
+
+    try {
+      await this.props.sendMessage({
+        text: '',
+        parent: this.props.parent,
+        attachments: [createContactAttachment(result)],
+      });
+    } catch (e) {
+      console.warn('Failed to send the contact', e);
+    }
+  };
+
+  _pickImage = async () => {
+    const { maxNumberOfFiles } = this.props;
+    const remaining = maxNumberOfFiles
+      ? maxNumberOfFiles - this.state.numberOfUploads
+      : undefined;
+    if (remaining !== undefined && remaining <= 0) return;
+
+    const result = await pickImage({ multiple: true, maxFiles: remaining });
+    if (!result || result.cancelled) {
+      return;
+    }
+
+    // Handlers which don't support multiple selection resolve to single image.
+    let images = result.images || [result];
+    if (remaining !== undefined) images = images.slice(0, remaining);
+
+    if (images.length === 1 && this.canEditImages()) {
+      const edited = await this.openImageEditor(images[0]);
+      if (!edited) return;
+
+      images = [edited];
+    }
+
+    images.forEach((image) => this.uploadNewImage(image));
+  };
+
+  canEditImages = () => this.props.hasImageEditor && !!editImage;
+
+  /** Opens the image editor, and resolves to edited image - or null if user cancelled the editing. */
+  openImageEditor = async (image) => {
+    try {
+      const result = await editImage(image);
+      if (!result || result.cancelled) return null;
+
+      return {
+        ...image,
+        uri: result.uri,
+        width: result.width,
+        height: result.height,
+      };
+    } catch (e) {
+      console.warn('Failed to edit the image', e);
+      return null;
+    }
+  };
+
+  /** Edits the image, which has already been added to the message, and uploads the edited version */
+  _editImage = async (id) => {
+    const img = this.state.imageUploads[id];
+    if (!img || !img.file.uri) return;
+
+    const edited = await this.openImageEditor(img.file);
+    if (!edited || !this.state.imageUploads[id]) return;
+
+    await this.setState((prevState) => ({
+      // Upload of the original file may still be in progress - its result is ignored, as it has different token.
+      imageUploads: startUpload(prevState.imageUploads, id, null, {
+        file: edited,
+        url: undefined,
+      }),
+    }));
+    this._uploadImage(id);
+  };
+
+  _setImageCaption = (id, caption) => {
+    this.setState((prevState) => {
+      if (!prevState.imageUploads[id]) return {};
+
+      return {
+        imageUploads: prevState.imageUploads.setIn([id, 'caption'], caption),
+      };
+    });
+  };
+
+  /** Moves the image to given position, which determines the order of images in sent message */
+  _moveImage = (id, toIndex) => {
+    this.setState((prevState) => {
+      const order = prevState.imageOrder.filter((_id) => _id !== id);
+      if (order.length === prevState.imageOrder.length) return {};
+
+      const index = Math.max(0, Math.min(toIndex, order.length));
+      return {
+        imageOrder: [...order.slice(0, index), id, ...order.slice(index)],
+      };
+    });
   };
 
   uploadNewImage = (image) => {
@@ -645,12 +1395,12 @@ class MessageInput extends PureComponent {
       return;
     }
     const { file } = img;
+    const token = generateRandomId();
 
     await this.setState((prevState) => ({
-      imageUploads: prevState.imageUploads.setIn(
-        [id, 'state'],
-        FileState.UPLOADING,
-      ),
+      imageUploads: startUpload(prevState.imageUploads, id, token, {
+        state: FileState.UPLOADING,
+      }),
     }));
 
     let response = {};
@@ -678,33 +1428,42 @@ class MessageInput extends PureComponent {
     } catch (e) {
       console.warn(e);
       await this.setState((prevState) => {
-        const image = prevState.imageUploads[id];
-        if (!image) {
+        if (!prevState.imageUploads[id]) {
           return {
             numberOfUploads: prevState.numberOfUploads - 1,
           };
         }
+        const imageUploads = finishUpload(prevState.imageUploads, id, token, {
+          state: FileState.UPLOAD_FAILED,
+        });
+        // Image was edited or uploaded again meanwhile, and that upload is in progress instead.
+        if (!imageUploads) return {};
 
         return {
-          imageUploads: prevState.imageUploads.setIn(
-            [id, 'state'],
-            FileState.UPLOAD_FAILED,
-          ),
+          imageUploads,
           numberOfUploads: prevState.numberOfUploads - 1,
         };
       });
 
       return;
     }
-    this.setState((prevState) => ({
-      imageUploads: prevState.imageUploads
-        .setIn([id, 'state'], FileState.UPLOADED)
-        .setIn([id, 'url'], response.file),
-    }));
+    this.setState((prevState) => {
+      const imageUploads = finishUpload(prevState.imageUploads, id, token, {
+        state: FileState.UPLOADED,
+        url: response.file,
+      });
+      // Upload finished after image was removed, edited or uploaded again, so its url is stale.
+      if (!imageUploads) return {};
+
+      return { imageUploads };
+    });
   };
 
   onChangeText = (text) => {
     this.setState({ text });
+    if (this.props.enrichURL && !this.props.editing) {
+      this._detectUrlDebounced(text);
+    }
 
     if (text) {
       logChatPromiseExecution(
@@ -724,28 +1483,147 @@ class MessageInput extends PureComponent {
   setInputBoxRef = (o) => (this.inputBox = o);
 
   getCommands = () => {
+    const { hasPolls, editing, t } = this.props;
     const config = this.props.channel.getConfig();
+    const allCommands = (config && config.commands) || [];
+
+    if (!hasPolls || editing) return allCommands;
+
+    // Poll command is handled by the input itself, and never sent to server.
+    return [
+      ...allCommands,
+      {
+        name: 'poll',
+        args: t('[question]'),
+        description: t('Create a poll'),
+      },
+    ];
+  };
+
+  /** Opens the poll composer if text is `/poll` command, question being the rest of the text. Returns true if it was opened. */
+  openPollComposerForCommand = () => {
+    if (!this.props.hasPolls || this.props.editing) return false;
+
+    const match = /^\/poll(?:\s+|$)([\s\S]*)$/.exec(this.state.text);
+    if (!match) return false;
+
+    this.setState({ pollComposerVisible: true, pollQuestion: match[1] });
+    return true;
+  };
 
-    if (!config) return [];
+  closePollComposer = () => {
+    this.setState({ pollComposerVisible: false });
+  };
+
+  /**
+   * Sends the poll as message with poll attachment. Question of poll is used as text of message.
+   *
+   * @param {object} poll `{ question, options, multiple_choice, anonymous, closes_at }`
+   */
+  sendPoll = (poll) => {
+    const attachment = createPollAttachment(poll, this.props.client.userID);
 
-    const allCommands = config.commands;
-    return allCommands;
+    try {
+      this.props.sendMessage({
+        text: attachment.poll.question,
+        parent: this.props.parent,
+        attachments: [attachment],
+      });
+      // Only the command is cleared, attachments which user might have added are kept.
+      this._detectUrlDebounced.cancel();
+      this.setState({ text: '', urlPreview: null, dismissedUrls: [] });
+    } catch (e) {
+      console.warn('Failed to send the poll', e);
+    }
   };
 
   closeAttachActionSheet = () => {
     this.attachActionSheet.hide();
   };
 
-  renderInputContainer = () => {
+  /** Returns the list of enabled attachment pickers, in the order they are shown in action sheet */
+  getAttachmentPickers = () => {
     const {
       hasImagePicker,
+      hasVideoPicker,
       hasFilePicker,
+      hasLocationSharing,
+      hasContactSharing,
+      editing,
+      t,
+    } = this.props;
+    const pickers = [];
+    if (hasImagePicker) {
+      pickers.push({
+        icon: iconGallery,
+        text: t('Upload a photo'),
+        pick: this._pickImage,
+      });
+    }
+    if (hasVideoPicker && pickVideo) {
+      pickers.push({
+        icon: iconGallery,
+        text: t('Upload a video'),
+        pick: this._pickVideo,
+      });
+    }
+    if (hasFilePicker) {
+      pickers.push({
+        icon: iconFolder,
+        text: t('Upload a file'),
+        pick: this._pickFile,
+      });
+    }
+    // Location and contact are sent as new message, so they can't be added while editing.
+    if (hasLocationSharing && shareLocation && !editing) {
+      pickers.push({
+        icon: iconPath,
+        text: t('Share location'),
+        pick: () => this._shareLocation(false),
+      });
+      pickers.push({
+        icon: iconPath,
+        text: t('Share live location'),
+        pick: () => this._shareLocation(true),
+      });
+    }
+    if (hasContactSharing && pickContact && !editing) {
+      pickers.push({
+        icon: iconFolder,
+        text: t('Share contact'),
+        pick: this._pickContact,
+      });
+    }
+
+    return pickers;
+  };
+
+  openAttachmentPicker = async () => {
+    const pickers = this.getAttachmentPickers();
+    if (pickers.length > 1) {
+      await this.props.dismissKeyboard();
+      this.attachActionSheet.show();
+    } else if (pickers.length === 1) {
+      pickers[0].pick();
+    }
+  };
+
+  renderInputContainer = () => {
+    const {
       SendButton,
       AttachButton,
+      AudioRecordButton,
+      hasAudioRecorder,
       disabled,
       Input,
+      SchedulePicker,
+      InputUrlPreview,
+      PollComposer,
       t,
     } = this.props;
+    const showAudioRecorder =
+      hasAudioRecorder && !!recordAudio && !this.props.editing;
+    const attachmentPickers = this.getAttachmentPickers();
 
     let additionalTextInputProps = this.props.additionalTextInputProps || {};
 
@@ -758,6 +1636,14 @@ class MessageInput extends PureComponent {
 
     return (
       <Container padding={this.state.imageUploads.length > 0}>
+        {this.state.urlPreview && !this.props.editing && (
+          <InputUrlPreview
+            url={this.state.urlPreview.url}
+            attachment={this.state.urlPreview.attachment}
+            loading={this.state.urlPreview.loading}
+            onDismiss={this.dismissUrlPreview}
+          />
+        )}
         {this.state.fileUploads && (
           <FileUploadPreview
             removeFile={this._removeFile}
@@ -772,6 +1658,9 @@ class MessageInput extends PureComponent {
           <ImageUploadPreview
             removeImage={this._removeImage}
             retryUpload={this._uploadImage}
+            setImageCaption={this._setImageCaption}
+            moveImage={this._moveImage}
+            editImage={this.canEditImages() ? this._editImage : undefined}
             imageUploads={this.state.imageOrder.map(
               (id) => this.state.imageUploads[id],
             )}
@@ -793,30 +1682,17 @@ class MessageInput extends PureComponent {
               />
             </ActionSheetTitleContainer>
           }
-          options={[
-            /* eslint-disable */
+          options={attachmentPickers.map((picker) => (
             <AttachmentActionSheetItem
-              icon={iconGallery}
-              text={t('Upload a photo')}
-            />,
-            <AttachmentActionSheetItem
-              icon={iconFolder}
-              text={t('Upload a file')}
-            />,
-            /* eslint-enable */
-          ]}
+              key={picker.text}
+              icon={picker.icon}
+              text={picker.text}
+            />
+          ))}
           onPress={(index) => {
             // https://github.com/beefe/react-native-actionsheet/issues/36
             setTimeout(() => {
-              switch (index) {
-                case 0:
-                  this._pickImage();
-                  break;
-                case 1:
-                  this._pickFile();
-                  break;
-                default:
-              }
+              if (attachmentPickers[index]) attachmentPickers[index].pick();
             }, 1);
           }}
           styles={this.props.actionSheetStyles}
@@ -834,22 +1710,22 @@ class MessageInput extends PureComponent {
               uploadNewFile={this.uploadNewFile}
               _uploadFile={this._uploadFile}
               _pickImage={this._pickImage}
+              _pickVideo={this._pickVideo}
               uploadNewImage={this.uploadNewImage}
               _removeImage={this._removeImage}
               _removeFile={this._removeFile}
               _uploadImage={this._uploadImage}
+              startRecording={this.startRecording}
+              stopRecording={this.stopRecording}
+              recording={this.state.recording}
+              hasAudioRecorder={showAudioRecorder}
               onChange={this.onChangeText}
               getCommands={this.getCommands}
               closeAttachActionSheet={this.closeAttachActionSheet}
               appendText={this.appendText}
               setInputBoxRef={this.setInputBoxRef}
-              handleOnPress={async () => {
-                if (hasImagePicker && hasFilePicker) {
-                  await this.props.dismissKeyboard();
-                  this.attachActionSheet.show();
-                } else if (hasImagePicker && !hasFilePicker) this._pickImage();
-                else if (!hasImagePicker && hasFilePicker) this._pickFile();
-              }}
+              handleOnPress={this.openAttachmentPicker}
+              openSchedulePicker={this.openSchedulePicker}
               triggerSettings={ACITriggerSettings({
                 users: this.getUsers(),
                 commands: this.getCommands(),
@@ -862,42 +1738,77 @@ class MessageInput extends PureComponent {
             />
           ) : (
             <>
-              <AttachButton
-                disabled={disabled}
-                handleOnPress={async () => {
-                  if (hasImagePicker && hasFilePicker) {
-                    await this.props.dismissKeyboard();
-                    this.attachActionSheet.show();
-                  } else if (hasImagePicker && !hasFilePicker)
-                    this._pickImage();
-                  else if (!hasImagePicker && hasFilePicker) this._pickFile();
-                }}
-              />
-              <AutoCompleteInput
-                openSuggestions={this.props.openSuggestions}
-                closeSuggestions={this.props.closeSuggestions}
-                updateSuggestions={this.props.updateSuggestions}
-                value={this.state.text}
-                onChange={this.onChangeText}
-                getCommands={this.getCommands}
-                setInputBoxRef={this.setInputBoxRef}
-                triggerSettings={ACITriggerSettings({
-                  users: this.getUsers(),
-                  commands: this.getCommands(),
-                  onMentionSelectItem: this.onSelectItem,
-                  t,
-                })}
-                additionalTextInputProps={additionalTextInputProps}
-              />
+              {this.state.recording ? (
+                <RecordingContainer>
+                  <RecordingIndicator />
+                  <RecordingDuration>
+                    {formatDuration(this.state.recordingDuration / 1000)}
+                  </RecordingDuration>
+                  <RecordingWaveform>
+                    <Waveform
+                      levels={this.state.recordingLevels.slice(-WAVEFORM_BARS)}
+                      bars={WAVEFORM_BARS}
+                      progress={1}
+                    />
+                  </RecordingWaveform>
+                </RecordingContainer>
+              ) : (
+                <>
+                  <AttachButton
+                    disabled={disabled}
+                    handleOnPress={this.openAttachmentPicker}
+                  />
+                  <AutoCompleteInput
+                    openSuggestions={this.props.openSuggestions}
+                    closeSuggestions={this.props.closeSuggestions}
+                    updateSuggestions={this.props.updateSuggestions}
+                    value={this.state.text}
+                    onChange={this.onChangeText}
+                    getCommands={this.getCommands}
+                    setInputBoxRef={this.setInputBoxRef}
+                    triggerSettings={ACITriggerSettings({
+                      users: this.getUsers(),
+                      commands: this.getCommands(),
+                      onMentionSelectItem: this.onSelectItem,
+                      t,
+                    })}
+                    additionalTextInputProps={additionalTextInputProps}
+                  />
+                </>
+              )}
+              {showAudioRecorder && (
+                <AudioRecordButton
+                  startRecording={this.startRecording}
+                  stopRecording={this.stopRecording}
+                  recording={this.state.recording}
+                  disabled={disabled}
+                />
+              )}
               <SendButton
                 title={t('Send message')}
                 sendMessage={this.sendMessage}
+                onLongPress={
+                  this.props.scheduleMessage && !this.props.editing
+                    ? this.openSchedulePicker
+                    : undefined
+                }
                 editing={this.props.editing}
                 disabled={disabled || !this.isValidMessage()}
               />
             </>
           )}
         </InputBoxContainer>
+        <SchedulePicker
+          visible={this.state.schedulePickerVisible}
+          onSchedule={this.scheduleMessage}
+          onDismiss={this.closeSchedulePicker}
+        />
+        <PollComposer
+          visible={this.state.pollComposerVisible}
+          initialQuestion={this.state.pollQuestion}
+          onSubmit={this.sendPoll}
+          onDismiss={this.closePollComposer}
+        />
       </Container>
     );
   };
@@ -926,6 +1837,33 @@ class MessageInput extends PureComponent {
       );
     }
 
+    const quotedMessage = this.getQuotedMessage();
+    if (quotedMessage) {
+      return (
+        <React.Fragment>
+          <QuotedMessageContainer>
+            <QuotedMessageDetails>
+              <QuotedMessageTitle numberOfLines={1}>
+                {t('Reply to {{ name }}', {
+                  name: quotedMessage.user.name || quotedMessage.user.id,
+                })}
+              </QuotedMessageTitle>
+              <QuotedMessageText numberOfLines={1}>
+                {quotedMessage.text || t('Attachment')}
+              </QuotedMessageText>
+            </QuotedMessageDetails>
+            <IconSquare
+              onPress={() => {
+                this.props.clearQuotedMessageState();
+              }}
+              icon={iconClose}
+            />
+          </QuotedMessageContainer>
+          {this.renderInputContainer()}
+        </React.Fragment>
+      );
+    }
+
     return this.renderInputContainer();
   }
 }
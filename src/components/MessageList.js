@@ -9,7 +9,11 @@ import { Message } from './Message';
 import { EventIndicator } from './EventIndicator';
 import { MessageNotification } from './MessageNotification';
 import { DateSeparator } from './DateSeparator';
+import { UnreadSeparator } from './UnreadSeparator';
+import { MutedMessage } from './MutedMessage';
 import { TypingIndicator } from './TypingIndicator';
+import { getMessageReadBy } from '../utils/readReceipts';
+import { isMessageFromMutedUser } from '../utils/userMutes';
 
 const ListContainer = styled.FlatList`
   flex: 1;
@@ -62,15 +66,19 @@ class MessageList extends PureComponent {
     this.state = {
       newMessagesNotification: false,
       online: props.online,
+      // Ids of messages from muted users, which user has chosen to show.
+      shownMutedMessages: [],
     };
     this.yOffset = 0;
+    // Set once the list is positioned (or channel is marked read) after channel is loaded from server.
+    this.initialPositionSet = false;
   }
 
   static propTypes = {
     /** Turn off grouping of messages by user */
     noGroupByUser: PropTypes.bool,
     /**
-     * Array of allowed actions on message. e.g. ['edit', 'delete', 'reactions', 'reply']
+     * Array of allowed actions on message. e.g. ['edit', 'delete', 'reactions', 'reply', 'quote']
      * If all the actions need to be disabled, empty array or false should be provided as value of prop.
      * */
     messageActions: PropTypes.oneOfType([PropTypes.bool, PropTypes.array]),
@@ -133,11 +141,64 @@ class MessageList extends PureComponent {
     setEditingState: PropTypes.func,
     /** Function to clear the editing state. */
     clearEditingState: PropTypes.func,
+    /**
+     * This method gets called when user selects quote action on some message. It sets `quotedMessage` property in state to message being quoted.
+     * **Available from [channel context](https://getstream.github.io/stream-chat-react-native/#channelcontext)**
+     *
+     * @param message A [message object](https://getstream.io/chat/docs/#message_format) which is being quoted
+     */
+    setQuotedMessageState: PropTypes.func,
     /**
      * A message object which is currently in edit state.
      */
     editing: PropTypes.oneOfType([PropTypes.object, PropTypes.bool]),
     loadMore: PropTypes.func,
+    /**
+     * Function to load next page of newer messages, when channel is opened at some message in history
+     * (e.g., using `scrollToMessage`). **Available from [channel context](https://getstream.github.io/stream-chat-react-native/#channelcontext)**
+     */
+    loadMoreNewer: PropTypes.func,
+    /** If there are newer messages to load. **Available from [channel context](https://getstream.github.io/stream-chat-react-native/#channelcontext)** */
+    hasMoreNewer: PropTypes.bool,
+    /**
+     * Id of the message to scroll to and highlight. It gets set by `scrollToMessage` function of channel context.
+     * **Available from [channel context](https://getstream.github.io/stream-chat-react-native/#channelcontext)**
+     */
+    targetedMessage: PropTypes.string,
+    /**
+     * Function to load the messages around given message and scroll to it. Used when quoted message is pressed.
+     * **Available from [channel context](https://getstream.github.io/stream-chat-react-native/#channelcontext)**
+     */
+    scrollToMessage: PropTypes.func,
+    /** Function to pin a message. **Available from [channel context](https://getstream.github.io/stream-chat-react-native/#channelcontext)** */
+    pinMessage: PropTypes.func,
+    /** Function to unpin a message. **Available from [channel context](https://getstream.github.io/stream-chat-react-native/#channelcontext)** */
+    unpinMessage: PropTypes.func,
+    /** Function to vote for an option of poll. **Available from [channel context](https://getstream.github.io/stream-chat-react-native/#channelcontext)** */
+    votePoll: PropTypes.func,
+    /** Function to close a poll. **Available from [channel context](https://getstream.github.io/stream-chat-react-native/#channelcontext)** */
+    closePoll: PropTypes.func,
+    /** Function to load the latest messages and scroll to them. **Available from [channel context](https://getstream.github.io/stream-chat-react-native/#channelcontext)** */
+    jumpToLatestMessage: PropTypes.func,
+    /**
+     * Id of the first message, which was unread when channel was opened. Unread separator is rendered above it.
+     * **Available from [channel context](https://getstream.github.io/stream-chat-react-native/#channelcontext)**
+     */
+    firstUnreadMessageId: PropTypes.string,
+    /**
+     * When should the channel be marked as read - `open`, `scroll` or `manual`. Set it using `markReadPolicy` prop of [Channel](#channel).
+     * **Available from [channel context](https://getstream.github.io/stream-chat-react-native/#channelcontext)**
+     */
+    markReadPolicy: PropTypes.oneOf(['open', 'scroll', 'manual']),
+    /** Open the channel scrolled to the first unread message, instead of the latest message */
+    initialScrollToFirstUnread: PropTypes.bool,
+    /**
+     * Which messages should show the read state (delivered / read by):
+     *
+     * - `last` - only the latest message
+     * - `all` - every message sent by current user
+     */
+    readReceiptsMode: PropTypes.oneOf(['last', 'all']),
     /**
      * Typing indicator UI component to render
      *
@@ -160,6 +221,28 @@ class MessageList extends PureComponent {
      * Defaults to and accepts same props as: [DateSeparator](https://getstream.github.io/stream-chat-react-native/#dateseparator)
      * */
     DateSeparator: PropTypes.oneOfType([PropTypes.node, PropTypes.elementType]),
+    /**
+     * UI component to separate the unread messages from read ones
+     *
+     * Defaults to and accepts same props as: [UnreadSeparator](https://getstream.github.io/stream-chat-react-native/#unreadseparator)
+     * */
+    UnreadSeparator: PropTypes.oneOfType([
+      PropTypes.node,
+      PropTypes.elementType,
+    ]),
+    /**
+     * UI component to render instead of the message sent by muted user. Message is shown once user chooses to show it.
+     * Set it to null to render the messages of muted users as usual.
+     *
+     * Defaults to and accepts same props as: [MutedMessage](https://getstream.github.io/stream-chat-react-native/#mutedmessage)
+     * */
+    MutedMessage: PropTypes.oneOfType([PropTypes.node, PropTypes.elementType]),
+    /** Ids of users muted by current user. **Available from [channel context](https://getstream.github.io/stream-chat-react-native/#channelcontext)** */
+    mutedUsers: PropTypes.array,
+    /** Function to mute the user. **Available from [channel context](https://getstream.github.io/stream-chat-react-native/#channelcontext)** */
+    muteUser: PropTypes.func,
+    /** Function to unmute the user. **Available from [channel context](https://getstream.github.io/stream-chat-react-native/#channelcontext)** */
+    unmuteUser: PropTypes.func,
     /**
      * @deprecated User EventIndicator instead.
      *
@@ -235,7 +318,11 @@ class MessageList extends PureComponent {
 
   static defaultProps = {
     DateSeparator,
+    UnreadSeparator,
+    MutedMessage,
     EventIndicator,
+    initialScrollToFirstUnread: false,
+    readReceiptsMode: 'last',
     disableWhileEditing: true,
     // https://github.com/facebook/react-native/blob/a7a7970e543959e9db5281914d5f132beb01db8d/Libraries/Lists/VirtualizedList.js#L466
     loadMoreThreshold: 2,
@@ -247,6 +334,8 @@ class MessageList extends PureComponent {
 
   componentDidMount() {
     this.setLastReceived(this.props.messages);
+    if (this.props.targetedMessage) this.scrollToTargetedMessage();
+    this.setInitialPosition();
   }
 
   componentDidUpdate(prevProps) {
@@ -254,6 +343,23 @@ class MessageList extends PureComponent {
       this.setState({ online: this.props.online });
     }
 
+    this.setInitialPosition();
+
+    if (
+      this.props.targetedMessage &&
+      this.props.targetedMessage !== prevProps.targetedMessage
+    ) {
+      this.scrollToTargetedMessage();
+      this.setLastReceived(this.props.messages);
+      return;
+    }
+
+    // Last message is not the latest one, so there is nothing to scroll down to.
+    if (this.props.hasMoreNewer && !this.props.threadList) {
+      this.setLastReceived(this.props.messages);
+      return;
+    }
+
     // handle new messages being sent/received
     const currentLastMessage = this.props.messages[
       this.props.messages.length - 1
@@ -354,7 +460,21 @@ class MessageList extends PureComponent {
       }
     }
 
-    return newMessages;
+    return this.insertUnreadSeparator(newMessages);
+  };
+
+  insertUnreadSeparator = (messages) => {
+    const { firstUnreadMessageId, threadList } = this.props;
+    if (!firstUnreadMessageId || threadList) return messages;
+
+    const index = messages.findIndex((m) => m.id === firstUnreadMessageId);
+    if (index === -1) return messages;
+
+    messages.splice(index, 0, {
+      type: 'message.unread_separator',
+      id: 'unread-separator',
+    });
+    return messages;
   };
 
   getGroupStyles = (m) => {
@@ -377,11 +497,16 @@ class MessageList extends PureComponent {
         continue;
       }
 
+      if (message.type === 'message.unread_separator') {
+        continue;
+      }
+
       const userId = message.user ? message.user.id : null;
 
       const isTopMessage =
         !previousMessage ||
         previousMessage.type === 'message.date' ||
+        previousMessage.type === 'message.unread_separator' ||
         previousMessage.type === 'system' ||
         previousMessage.type === 'channel.event' ||
         (previousMessage.attachments &&
@@ -393,6 +518,7 @@ class MessageList extends PureComponent {
       const isBottomMessage =
         !nextMessage ||
         nextMessage.type === 'message.date' ||
+        nextMessage.type === 'message.unread_separator' ||
         nextMessage.type === 'system' ||
         nextMessage.type === 'channel.event' ||
         (nextMessage.attachments && nextMessage.attachments.length !== 0) ||
@@ -444,7 +570,72 @@ class MessageList extends PureComponent {
       newMessagesNotification: false,
     });
     this.flatList.scrollToIndex({ index: 0 });
-    if (!this.props.threadList) this.props.markRead();
+    if (!this.props.threadList && this.props.markReadPolicy !== 'manual')
+      this.props.markRead();
+  };
+
+  goToLatestMessages = async () => {
+    await this.props.jumpToLatestMessage();
+    this.flatList && this.flatList.scrollToIndex({ index: 0 });
+  };
+
+  scrollToTargetedMessage = () => {
+    if (!this.flatList || !this.messagesWithDates) return;
+
+    const index = this.messagesWithDates.findIndex(
+      (m) => m.id === this.props.targetedMessage,
+    );
+    if (index === -1) return;
+
+    this.flatList.scrollToIndex({ index, viewPosition: 0.5 });
+  };
+
+  scrollToFirstUnreadMessage = () => {
+    if (!this.flatList || !this.messagesWithDates) return false;
+
+    const index = this.messagesWithDates.findIndex(
+      (m) => m.type === 'message.unread_separator',
+    );
+    if (index === -1) return false;
+
+    this.flatList.scrollToIndex({ index, viewPosition: 0.5 });
+    return true;
+  };
+
+  /**
+   * Once the channel is loaded from server, scrolls to the first unread message (if `initialScrollToFirstUnread` is set).
+   * Otherwise latest message is visible, so channel is marked read for `scroll` policy.
+   */
+  setInitialPosition = () => {
+    const { channel, threadList } = this.props;
+    if (this.initialPositionSet || threadList || !channel.initialized) return;
+    this.initialPositionSet = true;
+
+    if (this.props.targetedMessage) return;
+    if (
+      this.props.initialScrollToFirstUnread &&
+      this.scrollToFirstUnreadMessage()
+    )
+      return;
+
+    if (
+      this.props.markReadPolicy === 'scroll' &&
+      !this.props.hasMoreNewer &&
+      channel.countUnread() > 0
+    )
+      this.props.markRead();
+  };
+
+  // Items are not measured until they are rendered, so scroll close to the item first and try again.
+  handleScrollToIndexFailed = (info) => {
+    this.flatList.scrollToOffset({
+      offset: info.averageItemLength * info.index,
+      animated: false,
+    });
+    setTimeout(() => {
+      if (!this.flatList || info.index >= this.messagesWithDates.length) return;
+      this.flatList.scrollToIndex({ index: info.index, viewPosition: 0.5 });
+    }, 100);
   };
 
   setLastReceived = (messages) => {
@@ -500,12 +691,26 @@ class MessageList extends PureComponent {
       const DateSeparator =
         this.props.dateSeparator || this.props.DateSeparator;
       return <DateSeparator message={message} />;
+    } else if (message.type === 'message.unread_separator') {
+      const UnreadSeparator = this.props.UnreadSeparator;
+      return <UnreadSeparator message={message} />;
     } else if (message.type === 'channel.event') {
       const EventIndicator =
         this.props.eventIndicator || this.props.EventIndicator;
       return <EventIndicator event={message.event} />;
+    } else if (this.isMessageCollapsed(message)) {
+      const MutedMessage = this.props.MutedMessage;
+      return (
+        <MutedMessage
+          message={message}
+          onShow={() => this.showMutedMessage(message.id)}
+        />
+      );
     } else if (message.type !== 'message.read') {
-      const readBy = this.readData[message.id] || [];
+      const readBy =
+        this.props.readReceiptsMode === 'all'
+          ? getMessageReadBy(message, this.props.read)
+          : this.readData[message.id] || [];
       return (
         <Message
           client={this.props.client}
@@ -516,6 +721,7 @@ class MessageList extends PureComponent {
           Message={this.props.Message}
           Attachment={this.props.Attachment}
           readBy={readBy}
+          readReceiptsMode={this.props.readReceiptsMode}
           disabled={this.props.disabled}
           lastReceivedId={
             this.state.lastReceivedId === message.id
@@ -527,6 +733,15 @@ class MessageList extends PureComponent {
             this.props.dismissKeyboardOnMessageTouch
           }
           setEditingState={this.props.setEditingState}
+          setQuotedMessageState={this.props.setQuotedMessageState}
+          mutedUsers={this.props.mutedUsers}
+          muteUser={this.props.muteUser}
+          unmuteUser={this.props.unmuteUser}
+          scrollToMessage={this.props.scrollToMessage}
+          pinMessage={this.props.pinMessage}
+          unpinMessage={this.props.unpinMessage}
+          votePoll={this.props.votePoll}
+          closePoll={this.props.closePoll}
           editing={this.props.editing}
           threadList={this.props.threadList}
           messageActions={this.props.messageActions}
@@ -534,7 +749,12 @@ class MessageList extends PureComponent {
           removeMessage={this.props.removeMessage}
           retrySendMessage={this.props.retrySendMessage}
           openThread={this.props.openThread}
+          highlighted={
+            !!this.props.targetedMessage &&
+            this.props.targetedMessage === message.id
+          }
           emojiData={this.props.emojiData}
+          reactionRegistry={this.props.reactionRegistry}
           actionSheetStyles={this.props.actionSheetStyles}
           AttachmentFileIcon={this.props.AttachmentFileIcon}
         />
@@ -542,11 +762,36 @@ class MessageList extends PureComponent {
     }
   };
 
+  /** Messages of muted users are collapsed, until user chooses to show them */
+  isMessageCollapsed = (message) =>
+    !!this.props.MutedMessage &&
+    isMessageFromMutedUser(
+      message,
+      this.props.mutedUsers,
+      this.props.client.userID,
+    ) &&
+    this.state.shownMutedMessages.indexOf(message.id) === -1;
+
+  showMutedMessage = (messageId) => {
+    this.setState((prevState) => ({
+      shownMutedMessages: [...prevState.shownMutedMessages, messageId],
+    }));
+  };
+
   handleScroll = (event) => {
     const yOffset = event.nativeEvent.contentOffset.y;
     const removeNewMessageNotification = yOffset <= 0;
+    const hasMoreNewer = this.props.hasMoreNewer && !this.props.threadList;
+
+    // List is inverted, so newer messages are at the start of list.
+    if (hasMoreNewer && yOffset <= event.nativeEvent.layoutMeasurement.height) {
+      this.props.loadMoreNewer();
+    }
+
     if (
       !this.props.threadList &&
+      this.props.markReadPolicy !== 'manual' &&
+      !hasMoreNewer &&
       removeNewMessageNotification &&
       this.props.channel.countUnread() > 0
     )
@@ -589,6 +834,7 @@ class MessageList extends PureComponent {
     const messageGroupStyles = this.getGroupStyles(messagesWithDates);
     this.readData = this.getReadStates(messagesWithDates);
     messagesWithDates.reverse();
+    this.messagesWithDates = messagesWithDates;
 
     const typing = Object.values(this.props.typing);
     let showTypingIndicator;
@@ -628,6 +874,7 @@ class MessageList extends PureComponent {
             onScroll={this.handleScroll}
             ListFooterComponent={HeaderComponent}
             onEndReached={this.props.loadMore}
+            onScrollToIndexFailed={this.handleScrollToIndexFailed}
             inverted
             keyboardShouldPersistTaps="always"
             keyExtractor={(item) =>
@@ -661,6 +908,13 @@ class MessageList extends PureComponent {
               onPress={this.goToNewMessages}
             />
           )}
+          {this.props.hasMoreNewer && !this.props.threadList && (
+            <MessageNotification
+              showNotification
+              onPress={this.goToLatestMessages}
+              text={t('Jump to latest')}
+            />
+          )}
           {!this.state.online && (
             <ErrorNotification>
               <ErrorNotificationText>
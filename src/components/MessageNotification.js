@@ -11,7 +11,9 @@ const Container = styled.TouchableOpacity`
   align-items: center;
   justify-content: center;
   height: 27px;
-  width: 112px;
+  min-width: 112px;
+  padding-left: 10px;
+  padding-right: 10px;
   z-index: 10;
   margin-bottom: 0;
   border-radius: 13px;
@@ -43,6 +45,8 @@ class MessageNotification extends PureComponent {
     showNotification: PropTypes.bool,
     /** Onclick handler */
     onPress: PropTypes.func.isRequired,
+    /** Text of the notification. Defaults to 'New Messages' */
+    text: PropTypes.string,
   };
 
   static defaultProps = {
@@ -81,7 +85,7 @@ class MessageNotification extends PureComponent {
         >
           <Container onPress={this.props.onPress}>
             <MessageNotificationText>
-              {t('New Messages')}
+              {this.props.text || t('New Messages')}
             </MessageNotificationText>
           </Container>
         </Animated.View>
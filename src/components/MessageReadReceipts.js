@@ -0,0 +1,162 @@
+import React, { PureComponent } from 'react';
+import { SectionList, TouchableOpacity } from 'react-native';
+import PropTypes from 'prop-types';
+import styled from '@stream-io/styled-components';
+import { themed } from '../styles/theme';
+import { withChannelContext, withTranslationContext } from '../context';
+import { getReadReceipts } from '../utils/readReceipts';
+import { Avatar } from './Avatar';
+import { CloseButton } from './CloseButton';
+
+const Container = styled.View`
+  flex: 1;
+  background-color: white;
+  ${({ theme }) => theme.messageReadReceipts.container.css}
+`;
+
+const Header = styled.View`
+  flex-direction: row;
+  align-items: center;
+  justify-content: space-between;
+  padding: 10px;
+  border-bottom-width: 1;
+  border-bottom-color: rgba(0, 0, 0, 0.1);
+  ${({ theme }) => theme.messageReadReceipts.header.css}
+`;
+
+const HeaderTitle = styled.Text`
+  font-weight: bold;
+  font-size: 16;
+  ${({ theme }) => theme.messageReadReceipts.headerTitle.css}
+`;
+
+const SectionTitle = styled.Text`
+  padding: 8px 10px;
+  font-weight: bold;
+  font-size: 13;
+  color: #767676;
+  background-color: #f5f5f5;
+  ${({ theme }) => theme.messageReadReceipts.sectionTitle.css}
+`;
+
+const Row = styled.View`
+  flex-direction: row;
+  align-items: center;
+  padding: 8px 10px;
+  ${({ theme }) => theme.messageReadReceipts.row.css}
+`;
+
+const Name = styled.Text`
+  flex: 1;
+  margin-left: 10;
+  font-size: 14;
+  ${({ theme }) => theme.messageReadReceipts.name.css}
+`;
+
+const Timestamp = styled.Text`
+  font-size: 12;
+  color: #767676;
+  ${({ theme }) => theme.messageReadReceipts.timestamp.css}
+`;
+
+const EmptyText = styled.Text`
+  padding: 8px 10px;
+  font-size: 13;
+  color: #767676;
+  ${({ theme }) => theme.messageReadReceipts.emptyText.css}
+`;
+
+/**
+ * MessageReadReceipts - Lists the members of channel who have read the given message (with the time of read),
+ * and the ones who haven't read it yet. It's derived from the read state of channel, so it updates as members read the channel.
+ *
+ * It's opened by "Info" message action (`MESSAGE_ACTIONS.info`) of [MessageSimple](#messagesimple), but can also be rendered as a
+ * separate screen. It must be rendered inside [Channel](#channel) component.
+ *
+ * @example ./docs/MessageReadReceipts.md
+ * @extends PureComponent
+ */
+class MessageReadReceipts extends PureComponent {
+  static themePath = 'messageReadReceipts';
+
+  static propTypes = {
+    /** [Message object](https://getstream.io/chat/docs/#message_format) to show the read receipts of */
+    message: PropTypes.object.isRequired,
+    /** Read state of channel. Available from [channel context](#channelcontext) */
+    read: PropTypes.object,
+    /** Members of channel. Available from [channel context](#channelcontext) */
+    members: PropTypes.object,
+    /** If provided, close button is shown in header, which calls this function */
+    onClose: PropTypes.func,
+  };
+
+  static defaultProps = {
+    read: {},
+    members: {},
+  };
+
+  renderItem = ({ item: readState }) => {
+    const { tDateTimeParser } = this.props;
+    const { user, last_read } = readState;
+
+    return (
+      <Row>
+        <Avatar image={user.image} name={user.name || user.id} size={32} />
+        <Name>{user.name || user.id}</Name>
+        {readState.read && last_read ? (
+          <Timestamp>{tDateTimeParser(last_read).calendar()}</Timestamp>
+        ) : null}
+      </Row>
+    );
+  };
+
+  render() {
+    const { message, read, members, onClose, t } = this.props;
+    const { readBy, notReadBy } = getReadReceipts(message, read, members);
+    const sections = [
+      {
+        key: 'read',
+        title: `${t('Read by')} (${readBy.length})`,
+        data: readBy.map((readState) => ({ ...readState, read: true })),
+      },
+      {
+        key: 'notRead',
+        title: `${t('Not read yet')} (${notReadBy.length})`,
+        data: notReadBy,
+      },
+    ];
+
+    return (
+      <Container>
+        <Header>
+          <HeaderTitle>{t('Message Info')}</HeaderTitle>
+          {onClose ? (
+            <TouchableOpacity onPress={onClose}>
+              <CloseButton />
+            </TouchableOpacity>
+          ) : null}
+        </Header>
+        <SectionList
+          sections={sections}
+          renderItem={this.renderItem}
+          renderSectionHeader={({ section }) => (
+            <SectionTitle>{section.title}</SectionTitle>
+          )}
+          renderSectionFooter={({ section }) =>
+            section.data.length === 0 ? (
+              <EmptyText>{t('Nobody')}</EmptyText>
+            ) : null
+          }
+          keyExtractor={(item) => item.user.id}
+          stickySectionHeadersEnabled={false}
+        />
+      </Container>
+    );
+  }
+}
+
+const MessageReadReceiptsWithContext = withTranslationContext(
+  withChannelContext(themed(MessageReadReceipts)),
+);
+
+export { MessageReadReceiptsWithContext as MessageReadReceipts };
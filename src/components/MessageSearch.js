@@ -0,0 +1,254 @@
+import React, { PureComponent } from 'react';
+import PropTypes from 'prop-types';
+import debounce from 'lodash/debounce';
+import isEqual from 'lodash/isEqual';
+import uniqBy from 'lodash/uniqBy';
+import { withChatContext } from '../context';
+import { MessageSearchList } from './MessageSearchList';
+import { MessageSearchInput } from './MessageSearchInput';
+import { MessageSearchResult } from './MessageSearchResult';
+
+import { LoadingIndicator } from './LoadingIndicator';
+import { LoadingErrorIndicator } from './LoadingErrorIndicator';
+import { EmptyStateIndicator } from './EmptyStateIndicator';
+
+export const DEFAULT_SEARCH_LIMIT = 20;
+
+/**
+ * MessageSearch - Searches the messages of current user's channels (or a single channel) and lists the results.
+ * Like ChannelList, this component only contains the logic of search. UI is provided by component `List`,
+ * which defaults to [MessageSearchList](#messagesearchlist).
+ *
+ * @extends PureComponent
+ * @example ./docs/MessageSearch.md
+ */
+const MessageSearch = withChatContext(
+  class MessageSearch extends PureComponent {
+    static propTypes = {
+      /** Client object. Avaiable from [Chat context](#chatcontext) */
+      client: PropTypes.object,
+      /**
+       * Channel to search the messages in. If not provided, messages are searched in all the channels matching `filters`.
+       */
+      channel: PropTypes.object,
+      /**
+       * Object containing filters for the channels to search in. Defaults to channels, which current user is member of.
+       * @see See [Search documentation](https://getstream.io/chat/docs/#search) for a list of available fields for filter.
+       * */
+      filters: PropTypes.object,
+      /** Number of results to load per page */
+      limit: PropTypes.number,
+      /** Delay (in ms) after user stops typing, before search request is sent */
+      debounceInterval: PropTypes.number,
+      /** Minimum length of search term, to start searching */
+      minQueryLength: PropTypes.number,
+      /**
+       * Function called when user selects some result. e.g., you can open the channel at selected message,
+       * using `initialMessageId` prop of [Channel](#channel) component.
+       *
+       * @param message Selected [message object](https://getstream.io/chat/docs/#message_format)
+       * @param channel Channel object, which message belongs to
+       * */
+      onSelectResult: PropTypes.func,
+      /** UI Component to render the search input and list of results. Defaults to [MessageSearchList](#messagesearchlist) */
+      List: PropTypes.oneOfType([PropTypes.node, PropTypes.elementType]),
+      /** UI Component for search input. Defaults to [MessageSearchInput](#messagesearchinput) */
+      SearchInput: PropTypes.oneOfType([PropTypes.node, PropTypes.elementType]),
+      /** UI Component to display individual result. Defaults to [MessageSearchResult](#messagesearchresult) */
+      SearchResult: PropTypes.oneOfType([
+        PropTypes.node,
+        PropTypes.elementType,
+      ]),
+      /** The loading indicator to use */
+      LoadingIndicator: PropTypes.oneOfType([
+        PropTypes.node,
+        PropTypes.elementType,
+      ]),
+      /** The indicator to use when there is error in searching messages */
+      LoadingErrorIndicator: PropTypes.oneOfType([
+        PropTypes.node,
+        PropTypes.elementType,
+      ]),
+      /** The indicator to use when there are no results */
+      EmptyStateIndicator: PropTypes.oneOfType([
+        PropTypes.node,
+        PropTypes.elementType,
+      ]),
+      /** For flatlist  */
+      loadMoreThreshold: PropTypes.number,
+      /**
+       * Additional props for underlying FlatList of results.
+       *
+       * You can find list of all the available FlatList props here - https://facebook.github.io/react-native/docs/flatlist#props
+       */
+      additionalFlatListProps: PropTypes.object,
+    };
+
+    static defaultProps = {
+      List: MessageSearchList,
+      SearchInput: MessageSearchInput,
+      SearchResult: MessageSearchResult,
+      LoadingIndicator,
+      LoadingErrorIndicator,
+      EmptyStateIndicator,
+      limit: DEFAULT_SEARCH_LIMIT,
+      debounceInterval: 300,
+      minQueryLength: 1,
+      loadMoreThreshold: 2,
+      additionalFlatListProps: {},
+    };
+
+    constructor(props) {
+      super(props);
+      this.state = {
+        query: '',
+        results: [],
+        error: false,
+        searching: false,
+        loadingMore: false,
+        hasNextPage: false,
+      };
+
+      this._searchDebounced = debounce(this.search, props.debounceInterval);
+      // Incremented for every new search, to ignore the responses of outdated searches.
+      this.searchId = 0;
+      this._unmounted = false;
+    }
+
+    componentDidUpdate(prevProps) {
+      const prevCid = prevProps.channel && prevProps.channel.cid;
+      const cid = this.props.channel && this.props.channel.cid;
+      if (prevCid !== cid || !isEqual(prevProps.filters, this.props.filters)) {
+        this.search();
+      }
+    }
+
+    componentWillUnmount() {
+      this._unmounted = true;
+      this._searchDebounced.cancel();
+    }
+
+    getFilters = () => {
+      const { channel, client, filters } = this.props;
+      if (channel) return { cid: channel.cid };
+      if (filters) return filters;
+
+      return { members: { $in: [client.userID] } };
+    };
+
+    isValidQuery = (query) =>
+      !!query && query.trim().length >= this.props.minQueryLength;
+
+    onChangeQuery = (query) => {
+      this.setState({ query });
+      this.searchId += 1;
+      this._searchDebounced.cancel();
+
+      if (!this.isValidQuery(query)) {
+        this.setState({
+          results: [],
+          error: false,
+          searching: false,
+          loadingMore: false,
+          hasNextPage: false,
+        });
+        return;
+      }
+
+      this.setState({ searching: true, error: false });
+      this._searchDebounced();
+    };
+
+    /**
+     * Searches the messages for current query.
+     *
+     * @param {boolean} loadMore If true, next page of results is loaded and appended to existing results.
+     */
+    search = async (loadMore = false) => {
+      const { query } = this.state;
+      if (this._unmounted || !this.isValidQuery(query)) return;
+
+      const { client, limit } = this.props;
+      const offset = loadMore ? this.state.results.length : 0;
+      const searchId = loadMore ? this.searchId : ++this.searchId;
+
+      this.setState(
+        loadMore
+          ? { loadingMore: true }
+          : { searching: true, error: false, hasNextPage: false },
+      );
+
+      try {
+        const response = await client.search(this.getFilters(), query.trim(), {
+          limit,
+          offset,
+        });
+        if (this._unmounted || searchId !== this.searchId) return;
+
+        const messages = response.results.map((result) => result.message);
+        this.setState((prevState) => ({
+          results: loadMore
+            ? uniqBy([...prevState.results, ...messages], 'id')
+            : messages,
+          hasNextPage: messages.length >= limit,
+          searching: false,
+          loadingMore: false,
+        }));
+      } catch (error) {
+        if (this._unmounted || searchId !== this.searchId) return;
+
+        console.warn(error);
+        this.setState({ error, searching: false, loadingMore: false });
+      }
+    };
+
+    loadNextPage = async () => {
+      const { hasNextPage, loadingMore, searching } = this.state;
+      if (!hasNextPage || loadingMore || searching) return;
+
+      await this.search(true);
+    };
+
+    /** Returns the channel object for message from search results */
+    getResultChannel = (message) => {
+      const { channel, client } = this.props;
+      if (message.channel) {
+        const resultChannel = client.channel(
+          message.channel.type,
+          message.channel.id,
+        );
+        // Channel, which isn't watched yet, doesn't have any data - so use the one returned with search results.
+        if (
+          !resultChannel.initialized &&
+          Object.keys(resultChannel.data || {}).length === 0
+        ) {
+          resultChannel.data = message.channel;
+        }
+
+        return resultChannel;
+      }
+
+      return channel;
+    };
+
+    selectResult = (message) => {
+      if (this.props.onSelectResult) {
+        this.props.onSelectResult(message, this.getResultChannel(message));
+      }
+    };
+
+    render() {
+      const context = {
+        onChangeQuery: this.onChangeQuery,
+        loadNextPage: this.loadNextPage,
+        selectResult: this.selectResult,
+        getResultChannel: this.getResultChannel,
+      };
+      const List = this.props.List;
+
+      return <List {...this.props} {...this.state} {...context} />;
+    }
+  },
+);
+
+export { MessageSearch };
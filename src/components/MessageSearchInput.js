@@ -0,0 +1,77 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import styled from '@stream-io/styled-components';
+import { themed } from '../styles/theme';
+import { withTranslationContext } from '../context';
+import { IconSquare } from './IconSquare';
+
+import iconClose from '../images/icons/icon_close.png';
+
+const Container = styled.View`
+  flex-direction: row;
+  align-items: center;
+  margin: 10px;
+  padding-left: 10px;
+  padding-right: 5px;
+  min-height: 40;
+  border-radius: 10;
+  background-color: rgba(0, 0, 0, 0.05);
+  ${({ theme }) => theme.messageSearch.input.container.css}
+`;
+
+const Input = styled.TextInput`
+  flex: 1;
+  ${({ theme }) => theme.messageSearch.input.input.css}
+`;
+
+/**
+ * MessageSearchInput - UI component for search input of [MessageSearch](#messagesearch)
+ *
+ * @example ./docs/MessageSearch.md
+ */
+class MessageSearchInput extends React.PureComponent {
+  static themePath = 'messageSearch.input';
+
+  static propTypes = {
+    /** Current search term */
+    value: PropTypes.string,
+    /** Function to call, when search term changes */
+    onChangeText: PropTypes.func,
+    /** Placeholder for input. Defaults to translation of 'Search messages' */
+    placeholder: PropTypes.string,
+    /**
+     * Additional props for underlying TextInput component. These props will be forwarded as it is to TextInput component.
+     *
+     * @see See https://facebook.github.io/react-native/docs/textinput#reference
+     */
+    additionalTextInputProps: PropTypes.object,
+  };
+
+  clear = () => {
+    this.props.onChangeText('');
+  };
+
+  render() {
+    const { value, onChangeText, placeholder, t } = this.props;
+
+    return (
+      <Container>
+        <Input
+          value={value}
+          onChangeText={onChangeText}
+          placeholder={placeholder || t('Search messages')}
+          autoCorrect={false}
+          returnKeyType="search"
+          {...this.props.additionalTextInputProps}
+        />
+        {value ? <IconSquare icon={iconClose} onPress={this.clear} /> : null}
+      </Container>
+    );
+  }
+}
+
+const MessageSearchInputWithContext = withTranslationContext(
+  themed(MessageSearchInput),
+);
+
+export { MessageSearchInputWithContext as MessageSearchInput };
@@ -0,0 +1,174 @@
+import React, { PureComponent } from 'react';
+import { FlatList } from 'react-native';
+import PropTypes from 'prop-types';
+import styled from '@stream-io/styled-components';
+import { themed } from '../styles/theme';
+import { withTranslationContext } from '../context';
+import { Spinner } from './Spinner';
+
+const Container = styled.View`
+  flex: 1;
+  ${({ theme }) => theme.messageSearch.list.container.css}
+`;
+
+const Footer = styled.View`
+  align-items: center;
+  padding: 10px;
+  ${({ theme }) => theme.messageSearch.list.footer.css}
+`;
+
+/**
+ * MessageSearchList - UI component for [MessageSearch](#messagesearch). It renders the search input and list of results.
+ *
+ * @example ./docs/MessageSearch.md
+ */
+class MessageSearchList extends PureComponent {
+  static themePath = 'messageSearch.list';
+
+  static propTypes = {
+    /** Current search term */
+    query: PropTypes.string,
+    /** List of [message objects](https://getstream.io/chat/docs/#message_format) matching the search term */
+    results: PropTypes.array,
+    /** If there is error in searching messages */
+    error: PropTypes.oneOfType([PropTypes.bool, PropTypes.object]),
+    /** If first page of results is being loaded. LoadingIndicator will be displayed if true */
+    searching: PropTypes.bool,
+    /** If next page of results is being loaded */
+    loadingMore: PropTypes.bool,
+    /** Function to call, when search term changes */
+    onChangeQuery: PropTypes.func,
+    /** Loads next page of results */
+    loadNextPage: PropTypes.func,
+    /**
+     * Function to call when result is selected
+     *
+     * @param message Selected message
+     */
+    selectResult: PropTypes.func,
+    /**
+     * Returns the channel object, which message from search results belongs to
+     *
+     * @param message Message object
+     */
+    getResultChannel: PropTypes.func,
+    /** @see See [Chat Context](https://getstream.github.io/stream-chat-react-native/#chatcontext) */
+    client: PropTypes.object,
+    /** Channel to search the messages in. Channel name is not displayed on results, if set. */
+    channel: PropTypes.object,
+    /** UI Component for search input. Defaults to [MessageSearchInput](#messagesearchinput) */
+    SearchInput: PropTypes.oneOfType([PropTypes.node, PropTypes.elementType]),
+    /** UI Component to display individual result. Defaults to [MessageSearchResult](#messagesearchresult) */
+    SearchResult: PropTypes.oneOfType([PropTypes.node, PropTypes.elementType]),
+    /** The loading indicator to use */
+    LoadingIndicator: PropTypes.oneOfType([
+      PropTypes.node,
+      PropTypes.elementType,
+    ]),
+    /** The indicator to use when there is error in searching messages */
+    LoadingErrorIndicator: PropTypes.oneOfType([
+      PropTypes.node,
+      PropTypes.elementType,
+    ]),
+    /** The indicator to use when there are no results */
+    EmptyStateIndicator: PropTypes.oneOfType([
+      PropTypes.node,
+      PropTypes.elementType,
+    ]),
+    /** For flatlist  */
+    loadMoreThreshold: PropTypes.number,
+    /** Additional props for underlying FlatList of results. */
+    additionalFlatListProps: PropTypes.object,
+  };
+
+  static defaultProps = {
+    results: [],
+    loadMoreThreshold: 2,
+    additionalFlatListProps: {},
+  };
+
+  renderLoading = () => {
+    const { LoadingIndicator: Indicator, t } = this.props;
+    return <Indicator listType="default" loadingText={t('Searching ...')} />;
+  };
+
+  renderLoadingError = () => {
+    const Indicator = this.props.LoadingErrorIndicator;
+    return <Indicator error={this.props.error} listType="default" />;
+  };
+
+  renderEmptyState = () => {
+    // Nothing has been searched yet.
+    if (!this.props.query || this.props.searching) return null;
+
+    const Indicator = this.props.EmptyStateIndicator;
+    return <Indicator listType="messageSearch" />;
+  };
+
+  renderFooter = () => {
+    if (!this.props.loadingMore) return null;
+
+    return (
+      <Footer>
+        <Spinner />
+      </Footer>
+    );
+  };
+
+  renderResults = () => {
+    const { SearchResult } = this.props;
+
+    return (
+      <FlatList
+        data={this.props.results}
+        onEndReached={this.props.loadNextPage}
+        onEndReachedThreshold={this.props.loadMoreThreshold}
+        ListEmptyComponent={this.renderEmptyState}
+        ListFooterComponent={this.renderFooter}
+        keyboardShouldPersistTaps="handled"
+        renderItem={({ item: message }) => (
+          <SearchResult
+            message={message}
+            query={this.props.query}
+            showChannelName={!this.props.channel}
+            channel={this.props.getResultChannel(message)}
+            client={this.props.client}
+            onSelect={this.props.selectResult}
+          />
+        )}
+        keyExtractor={(item) => item.id}
+        {...this.props.additionalFlatListProps}
+      />
+    );
+  };
+
+  renderBody = () => {
+    if (this.props.error) {
+      return this.renderLoadingError();
+    } else if (this.props.searching && this.props.results.length === 0) {
+      return this.renderLoading();
+    } else {
+      return this.renderResults();
+    }
+  };
+
+  render() {
+    const { SearchInput } = this.props;
+
+    return (
+      <Container>
+        <SearchInput
+          value={this.props.query}
+          onChangeText={this.props.onChangeQuery}
+        />
+        {this.renderBody()}
+      </Container>
+    );
+  }
+}
+
+const MessageSearchListWithContext = withTranslationContext(
+  themed(MessageSearchList),
+);
+
+export { MessageSearchListWithContext as MessageSearchList };
@@ -0,0 +1,165 @@
+import React, { PureComponent } from 'react';
+import PropTypes from 'prop-types';
+import styled from '@stream-io/styled-components';
+import { themed } from '../styles/theme';
+import { withTranslationContext } from '../context';
+import { ChannelPreviewMessenger } from './ChannelPreviewMessenger';
+import { MessageAvatar } from './MessageSimple/MessageAvatar';
+import { MessageTextContainer } from './MessageSimple/MessageTextContainer';
+
+const Container = styled.TouchableOpacity`
+  display: flex;
+  flex-direction: row;
+  border-bottom-color: #ebebeb;
+  border-bottom-width: 1;
+  padding: 10px;
+  ${({ theme }) => theme.messageSearch.result.container.css}
+`;
+
+const Details = styled.View`
+  display: flex;
+  flex-direction: column;
+  flex: 1;
+  ${({ theme }) => theme.messageSearch.result.details.css}
+`;
+
+const DetailsTop = styled.View`
+  display: flex;
+  flex-direction: row;
+  justify-content: space-between;
+  ${({ theme }) => theme.messageSearch.result.detailsTop.css}
+`;
+
+const Title = styled.Text`
+  font-weight: bold;
+  font-size: 14;
+  flex: 1;
+  ${({ theme }) => theme.messageSearch.result.title.css}
+`;
+
+const Date = styled.Text`
+  color: #767676;
+  font-size: 11;
+  text-align: right;
+  ${({ theme }) => theme.messageSearch.result.date.css}
+`;
+
+const EmptyText = styled.Text`
+  color: #767676;
+  font-size: 13;
+  ${({ theme }) => theme.messageSearch.result.emptyText.css}
+`;
+
+/**
+ * MessageSearchResult - UI component for individual result in [MessageSearch](#messagesearch).
+ * Words of the search term are highlighted in message text.
+ *
+ * Results from all the channels are rendered as [ChannelPreviewMessenger](#channelpreviewmessenger) of the channel,
+ * which message belongs to. Results from single channel are rendered with avatar and text of [MessageSimple](#messagesimple).
+ *
+ * @example ./docs/MessageSearch.md
+ */
+class MessageSearchResult extends PureComponent {
+  static themePath = 'messageSearch.result';
+
+  static propTypes = {
+    /** [Message object](https://getstream.io/chat/docs/#message_format) from search results */
+    message: PropTypes.object.isRequired,
+    /** Search term to highlight in message text */
+    query: PropTypes.string,
+    /** If channel, which message belongs to, should be displayed i.e., if result is rendered as channel preview */
+    showChannelName: PropTypes.bool,
+    /** Channel object, which message belongs to. Required, if `showChannelName` is true. */
+    channel: PropTypes.object,
+    /** @see See [Chat Context](https://getstream.github.io/stream-chat-react-native/#chatcontext) */
+    client: PropTypes.object,
+    /**
+     * Function to call when result is pressed
+     *
+     * @param message Message object
+     */
+    onSelect: PropTypes.func,
+    /**
+     * Formatter function for date of message.
+     * @param date Message date
+     * @returns Formatted date string
+     *
+     * By default today's date is shown in 'HH:mm A' format and other dates are displayed in 'DD/MM/YY' format.
+     */
+    formatMessageDate: PropTypes.func,
+  };
+
+  static defaultProps = {
+    showChannelName: true,
+  };
+
+  onSelect = () => {
+    if (this.props.onSelect) this.props.onSelect(this.props.message);
+  };
+
+  formatDate = (date) => {
+    const { formatMessageDate, tDateTimeParser } = this.props;
+    if (formatMessageDate) return formatMessageDate(date);
+
+    const parsedDate = tDateTimeParser(date);
+    return parsedDate.isSame(new Date(), 'day')
+      ? parsedDate.format('LT')
+      : parsedDate.format('L');
+  };
+
+  render() {
+    const { channel, client, message, query, showChannelName, t } = this.props;
+
+    if (showChannelName && channel) {
+      return (
+        <ChannelPreviewMessenger
+          channel={channel}
+          client={client}
+          latestMessage={{
+            text: message.text || t('🏙 Attachment...'),
+            created_at: message.created_at,
+            messageObject: message,
+          }}
+          highlight={query}
+          formatLatestMessageDate={this.formatDate}
+          setActiveChannel={this.onSelect}
+        />
+      );
+    }
+
+    const user = message.user || {};
+    return (
+      <Container onPress={this.onSelect}>
+        <MessageAvatar
+          message={{ ...message, user }}
+          alignment="left"
+          showAvatar
+        />
+        <Details>
+          <DetailsTop>
+            <Title ellipsizeMode="tail" numberOfLines={1}>
+              {user.name || user.id}
+            </Title>
+            <Date>{this.formatDate(message.created_at)}</Date>
+          </DetailsTop>
+          {message.text ? (
+            <MessageTextContainer
+              message={{ ...message, attachments: message.attachments || [] }}
+              alignment="left"
+              groupStyles={['single']}
+              highlight={query}
+            />
+          ) : (
+            <EmptyText>{t('🏙 Attachment...')}</EmptyText>
+          )}
+        </Details>
+      </Container>
+    );
+  }
+}
+
+const MessageSearchResultWithContext = withTranslationContext(
+  themed(MessageSearchResult),
+);
+
+export { MessageSearchResultWithContext as MessageSearchResult };
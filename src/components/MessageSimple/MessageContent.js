@@ -1,13 +1,22 @@
 import React from 'react';
+import { Modal } from 'react-native';
 import { MessageContentContext, withTranslationContext } from '../../context';
 import styled from '@stream-io/styled-components';
 import { themed } from '../../styles/theme';
 import { Attachment } from '../Attachment';
 import { ActionSheetCustom as ActionSheet } from 'react-native-actionsheet';
 import { ReactionList } from '../ReactionList';
+import { ReactionDetails } from '../ReactionDetails';
+import { MessageReadReceipts } from '../MessageReadReceipts';
 import { MessageTextContainer } from './MessageTextContainer';
 import { MessageReplies } from './MessageReplies';
-import { MESSAGE_ACTIONS } from '../../utils';
+import { QuotedMessage } from './QuotedMessage';
+import { PinnedIndicator } from './PinnedIndicator';
+import {
+  MESSAGE_ACTIONS,
+  getPoll,
+  getRegisteredAttachmentType,
+} from '../../utils';
 import Immutable from 'seamless-immutable';
 import PropTypes from 'prop-types';
 import { Gallery } from '../Gallery';
@@ -222,6 +231,21 @@ class MessageContent extends React.PureComponent {
      * `editing` prop is then used by MessageInput component to switch to edit mode.
      */
     handleEdit: PropTypes.func,
+    /**
+     * Handler to quote a current message. It sets current message as value of `quotedMessage` property of channel context.
+     * `quotedMessage` prop is then used by MessageInput component to send the next message as a reply to it.
+     */
+    handleQuote: PropTypes.func,
+    /** Handler to pin a current message, or unpin it if it's already pinned. */
+    handlePin: PropTypes.func,
+    /** Returns true if current user is allowed to pin the message */
+    canPinMessage: PropTypes.func,
+    /** Handler to mute the author of message, or unmute them if they are already muted. Not available for own messages. */
+    handleMute: PropTypes.func,
+    /** Returns true if author of message is muted by current user */
+    isUserMuted: PropTypes.func,
+    /** @see See [channel context](https://getstream.github.io/stream-chat-react-native/#channelcontext) */
+    scrollToMessage: PropTypes.func,
     // enable hiding reaction count from reaction picker
     hideReactionCount: PropTypes.bool,
     // enable hiding reaction owners from reaction picker
@@ -248,6 +272,19 @@ class MessageContent extends React.PureComponent {
       PropTypes.node,
       PropTypes.elementType,
     ]),
+    /**
+     * Custom UI component to display the message quoted in current message.
+     * Defaults to: https://github.com/GetStream/stream-chat-react-native/blob/master/src/components/MessageSimple/QuotedMessage.js
+     */
+    QuotedMessage: PropTypes.oneOfType([PropTypes.node, PropTypes.elementType]),
+    /**
+     * Custom UI component to indicate that current message is pinned.
+     * Defaults to: https://github.com/GetStream/stream-chat-react-native/blob/master/src/components/MessageSimple/PinnedIndicator.js
+     */
+    PinnedIndicator: PropTypes.oneOfType([
+      PropTypes.node,
+      PropTypes.elementType,
+    ]),
     MessageHeader: PropTypes.oneOfType([PropTypes.node, PropTypes.elementType]),
     MessageFooter: PropTypes.oneOfType([PropTypes.node, PropTypes.elementType]),
     /**
@@ -255,6 +292,22 @@ class MessageContent extends React.PureComponent {
      * Defaults to: https://github.com/GetStream/stream-chat-react-native/blob/master/src/components/ReactionList.js
      */
     ReactionList: PropTypes.oneOfType([PropTypes.node, PropTypes.elementType]),
+    /**
+     * Custom UI component to display all the reactions of message, opened by long pressing the reaction list.
+     * Defaults to: https://github.com/GetStream/stream-chat-react-native/blob/master/src/components/ReactionDetails.js
+     */
+    ReactionDetails: PropTypes.oneOfType([
+      PropTypes.node,
+      PropTypes.elementType,
+    ]),
+    /**
+     * Custom UI component to display the read receipts of message, opened by "Info" message action.
+     * Defaults to: https://github.com/GetStream/stream-chat-react-native/blob/master/src/components/MessageReadReceipts.js
+     */
+    MessageReadReceipts: PropTypes.oneOfType([
+      PropTypes.node,
+      PropTypes.elementType,
+    ]),
     /**
      * e.g.,
      * [
@@ -277,12 +330,23 @@ class MessageContent extends React.PureComponent {
      * ]
      */
     supportedReactions: PropTypes.array,
+    /**
+     * Instance of ReactionRegistry, containing the reactions available in full reaction picker.
+     * Available from [channel context](https://getstream.github.io/stream-chat-react-native/#channelcontext)
+     */
+    reactionRegistry: PropTypes.object,
     /** Open the reaction picker */
     openReactionPicker: PropTypes.func,
     /** Dismiss the reaction picker */
     dismissReactionPicker: PropTypes.func,
     /** Boolean - if reaction picker is visible. Hides the reaction list in that case */
     reactionPickerVisible: PropTypes.bool,
+    /** Open the sheet with details of all the reactions */
+    openReactionDetails: PropTypes.func,
+    /** Dismiss the sheet with details of all the reactions */
+    dismissReactionDetails: PropTypes.func,
+    /** Boolean - if sheet with details of reactions is visible */
+    reactionDetailsVisible: PropTypes.bool,
     /** Custom UI component for message text */
     MessageText: PropTypes.oneOfType([PropTypes.node, PropTypes.elementType]),
     /**
@@ -311,6 +375,46 @@ class MessageContent extends React.PureComponent {
       PropTypes.node,
       PropTypes.elementType,
     ]),
+    /**
+     * Custom UI component to display audio attachment e.g., voice message.
+     * Deaults to https://github.com/GetStream/stream-chat-react-native/blob/master/src/components/AudioAttachment.js
+     */
+    AudioAttachment: PropTypes.oneOfType([
+      PropTypes.node,
+      PropTypes.elementType,
+    ]),
+    /**
+     * Custom UI component to display video attachment.
+     * Deaults to https://github.com/GetStream/stream-chat-react-native/blob/master/src/components/VideoAttachment.js
+     */
+    VideoAttachment: PropTypes.oneOfType([
+      PropTypes.node,
+      PropTypes.elementType,
+    ]),
+    /**
+     * Custom UI component to display poll attachment.
+     * Deaults to https://github.com/GetStream/stream-chat-react-native/blob/master/src/components/PollAttachment.js
+     */
+    PollAttachment: PropTypes.oneOfType([
+      PropTypes.node,
+      PropTypes.elementType,
+    ]),
+    /**
+     * Custom UI component to display location attachment.
+     * Deaults to https://github.com/GetStream/stream-chat-react-native/blob/master/src/components/LocationAttachment.js
+     */
+    LocationAttachment: PropTypes.oneOfType([
+      PropTypes.node,
+      PropTypes.elementType,
+    ]),
+    /**
+     * Custom UI component to display contact attachment.
+     * Deaults to https://github.com/GetStream/stream-chat-react-native/blob/master/src/components/ContactAttachment.js
+     */
+    ContactAttachment: PropTypes.oneOfType([
+      PropTypes.node,
+      PropTypes.elementType,
+    ]),
     /**
      * Custom UI component for attachment icon for type 'file' attachment.
      * Defaults to: https://github.com/GetStream/stream-chat-react-native/blob/master/src/components/FileIcon.js
@@ -369,7 +473,11 @@ class MessageContent extends React.PureComponent {
     repliesEnabled: true,
     MessageText: false,
     ReactionList,
+    ReactionDetails,
+    MessageReadReceipts,
     MessageReplies,
+    QuotedMessage,
+    PinnedIndicator,
     Gallery,
     FileAttachment,
     FileAttachmentGroup,
@@ -382,7 +490,9 @@ class MessageContent extends React.PureComponent {
     super(props);
 
     this.ActionSheet = false;
-    this.state = {};
+    this.state = {
+      readReceiptsVisible: false,
+    };
   }
 
   openThread = () => {
@@ -403,6 +513,38 @@ class MessageContent extends React.PureComponent {
     this.props.handleEdit();
   };
 
+  handleQuote = () => {
+    this.props.handleQuote();
+  };
+
+  handlePin = async () => {
+    try {
+      await this.props.handlePin();
+    } catch (e) {
+      console.warn(e);
+    }
+  };
+
+  handleMute = async () => {
+    try {
+      await this.props.handleMute();
+    } catch (e) {
+      console.warn(e);
+    }
+  };
+
+  openReadReceipts = () => {
+    this.setState({ readReceiptsVisible: true });
+  };
+
+  closeReadReceipts = () => {
+    this.setState({ readReceiptsVisible: false });
+  };
+
+  openQuotedMessage = (messageId) => {
+    if (this.props.scrollToMessage) this.props.scrollToMessage(messageId);
+  };
+
   /**
    * @todo: Remove the method in future 1.0.0.
    * This method has been moved to `ReactionPickerWrapper`.
@@ -436,6 +578,18 @@ class MessageContent extends React.PureComponent {
       case MESSAGE_ACTIONS.reply:
         this.openThread();
         break;
+      case MESSAGE_ACTIONS.quote:
+        this.handleQuote();
+        break;
+      case MESSAGE_ACTIONS.pin:
+        this.handlePin();
+        break;
+      case MESSAGE_ACTIONS.mute:
+        this.handleMute();
+        break;
+      case MESSAGE_ACTIONS.info:
+        this.openReadReceipts();
+        break;
       case MESSAGE_ACTIONS.reactions:
         this.props.openReactionPicker();
         break;
@@ -453,6 +607,8 @@ class MessageContent extends React.PureComponent {
       disabled,
       Message,
       ReactionList,
+      ReactionDetails,
+      MessageReadReceipts,
       handleReaction,
       hideReactionCount,
       hideReactionOwners,
@@ -465,17 +621,24 @@ class MessageContent extends React.PureComponent {
       repliesEnabled,
       canEditMessage,
       canDeleteMessage,
+      canPinMessage,
       MessageHeader,
       MessageFooter,
       supportedReactions,
+      reactionRegistry,
       openReactionPicker,
       dismissReactionPicker,
       reactionPickerVisible,
+      openReactionDetails,
+      dismissReactionDetails,
+      reactionDetailsVisible,
       handleAction,
       AttachmentFileIcon,
       MessageText,
       channel,
       MessageReplies,
+      QuotedMessage,
+      PinnedIndicator,
       AttachmentActions,
       Card,
       CardHeader,
@@ -486,6 +649,11 @@ class MessageContent extends React.PureComponent {
       Gallery,
       FileAttachment,
       FileAttachmentGroup,
+      AudioAttachment,
+      VideoAttachment,
+      PollAttachment,
+      LocationAttachment,
+      ContactAttachment,
       t,
       tDateTimeParser,
     } = this.props;
@@ -503,16 +671,22 @@ class MessageContent extends React.PureComponent {
       message.latest_reactions.length > 0;
 
     const options = [{ id: 'cancel', title: 'Cancel' }];
+    // Attachments of registered types are rendered by their own component, and not grouped with images or files.
     const images =
       hasAttachment &&
       message.attachments.filter(
         (item) =>
-          item.type === 'image' && !item.title_link && !item.og_scrape_url,
+          item.type === 'image' &&
+          !item.title_link &&
+          !item.og_scrape_url &&
+          !getRegisteredAttachmentType(item),
       );
 
     const files =
       hasAttachment &&
-      message.attachments.filter((item) => item.type === 'file');
+      message.attachments.filter(
+        (item) => item.type === 'file' && !getRegisteredAttachmentType(item),
+      );
 
     if (
       messageActions &&
@@ -533,6 +707,50 @@ class MessageContent extends React.PureComponent {
     ) {
       options.splice(1, 0, { id: MESSAGE_ACTIONS.reply, title: t('Reply') });
     }
+
+    if (
+      messageActions &&
+      messageActions.indexOf(MESSAGE_ACTIONS.quote) > -1 &&
+      this.props.handleQuote
+    ) {
+      options.splice(1, 0, { id: MESSAGE_ACTIONS.quote, title: t('Quote') });
+    }
+
+    if (
+      messageActions &&
+      messageActions.indexOf(MESSAGE_ACTIONS.info) > -1 &&
+      MessageReadReceipts &&
+      isMyMessage(message) &&
+      message.status === 'received'
+    ) {
+      options.splice(1, 0, { id: MESSAGE_ACTIONS.info, title: t('Info') });
+    }
+
+    if (
+      messageActions &&
+      messageActions.indexOf(MESSAGE_ACTIONS.mute) > -1 &&
+      this.props.handleMute
+    ) {
+      options.splice(1, 0, {
+        id: MESSAGE_ACTIONS.mute,
+        title:
+          this.props.isUserMuted && this.props.isUserMuted()
+            ? t('Unmute User')
+            : t('Mute User'),
+      });
+    }
+
+    if (
+      messageActions &&
+      messageActions.indexOf(MESSAGE_ACTIONS.pin) > -1 &&
+      this.props.handlePin &&
+      canPinMessage()
+    ) {
+      options.splice(1, 0, {
+        id: MESSAGE_ACTIONS.pin,
+        title: message.pinned ? t('Unpin Message') : t('Pin Message'),
+      });
+    }
     if (
       messageActions &&
       messageActions.indexOf(MESSAGE_ACTIONS.edit) > -1 &&
@@ -606,6 +824,9 @@ class MessageContent extends React.PureComponent {
               hideReactionOwners={hideReactionOwners}
               openReactionPicker={openReactionPicker}
               dismissReactionPicker={dismissReactionPicker}
+              openReactionDetails={
+                ReactionDetails ? openReactionDetails : undefined
+              }
               message={message}
               alignment={alignment}
               offset={{
@@ -614,6 +835,7 @@ class MessageContent extends React.PureComponent {
                 right: 10,
               }}
               supportedReactions={supportedReactions}
+              reactionRegistry={reactionRegistry}
             >
               {message.latest_reactions &&
                 message.latest_reactions.length > 0 && (
@@ -624,27 +846,58 @@ class MessageContent extends React.PureComponent {
                     getTotalReactionCount={getTotalReactionCount}
                     reactionCounts={message.reaction_counts}
                     supportedReactions={supportedReactions}
+                    reactionRegistry={reactionRegistry}
                   />
                 )}
             </ReactionPickerWrapper>
           )}
+          {reactionsEnabled && ReactionDetails && (
+            <ReactionDetails
+              visible={!!reactionDetailsVisible}
+              message={message}
+              channel={channel}
+              client={this.props.client}
+              handleReaction={handleReaction}
+              handleDismiss={dismissReactionDetails}
+              supportedReactions={supportedReactions}
+              reactionRegistry={reactionRegistry}
+            />
+          )}
+          {MessageReadReceipts && this.state.readReceiptsVisible && (
+            <Modal
+              visible
+              animationType="slide"
+              onRequestClose={this.closeReadReceipts}
+            >
+              <MessageReadReceipts
+                message={message}
+                onClose={this.closeReadReceipts}
+              />
+            </Modal>
+          )}
           {MessageHeader && <MessageHeader {...this.props} />}
+          {PinnedIndicator && message.pinned ? (
+            <PinnedIndicator message={message} alignment={alignment} />
+          ) : null}
           {/* Reason for collapsible: https://github.com/facebook/react-native/issues/12966 */}
           <ContainerInner
             alignment={alignment}
             ref={(o) => (this.messageContainer = o)}
             collapsable={false}
           >
+            {QuotedMessage && message.quoted_message_id ? (
+              <QuotedMessage
+                message={message}
+                channel={channel}
+                alignment={alignment}
+                onPress={this.openQuotedMessage}
+              />
+            ) : null}
             {hasAttachment &&
               message.attachments.map((attachment, index) => {
-                // We handle files separately
-                if (attachment.type === 'file') return null;
-                if (
-                  attachment.type === 'image' &&
-                  !attachment.title_link &&
-                  !attachment.og_scrape_url
-                )
-                  return null;
+                // We handle files and images separately
+                if (files.indexOf(attachment) !== -1) return null;
+                if (images.indexOf(attachment) !== -1) return null;
                 return (
                   <Attachment
                     key={`${message.id}-${index}`}
@@ -655,6 +908,11 @@ class MessageContent extends React.PureComponent {
                     Giphy={Giphy}
                     Card={Card}
                     FileAttachment={FileAttachment}
+                    AudioAttachment={AudioAttachment}
+                    VideoAttachment={VideoAttachment}
+                    PollAttachment={PollAttachment}
+                    LocationAttachment={LocationAttachment}
+                    ContactAttachment={ContactAttachment}
                     AttachmentActions={AttachmentActions}
                     CardHeader={CardHeader}
                     CardCover={CardCover}
@@ -676,17 +934,22 @@ class MessageContent extends React.PureComponent {
             {images && images.length > 0 && (
               <Gallery alignment={alignment} images={images} />
             )}
-            <MessageTextContainer
-              message={message}
-              groupStyles={groupStyles}
-              isMyMessage={isMyMessage}
-              MessageText={MessageText}
-              disabled={message.status === 'failed' || message.type === 'error'}
-              alignment={alignment}
-              Message={Message}
-              openThread={this.openThread}
-              handleReaction={handleReaction}
-            />
+            {/* Text of poll message is its question, which is already shown by PollAttachment. */}
+            {!getPoll(message) && (
+              <MessageTextContainer
+                message={message}
+                groupStyles={groupStyles}
+                isMyMessage={isMyMessage}
+                MessageText={MessageText}
+                disabled={
+                  message.status === 'failed' || message.type === 'error'
+                }
+                alignment={alignment}
+                Message={Message}
+                openThread={this.openThread}
+                handleReaction={handleReaction}
+              />
+            )}
           </ContainerInner>
           {repliesEnabled ? (
             <MessageReplies
@@ -64,9 +64,15 @@ export const MessageStatus = ({
   message,
   lastReceivedId,
   threadList,
+  readReceiptsMode,
 }) => {
   const renderStatus = () => {
     const justReadByMe = readBy.length === 1 && readBy[0].id === client.user.id;
+    // In `all` mode, status is shown for every message of current user, not only the latest one.
+    const showReadState =
+      readReceiptsMode === 'all'
+        ? message.user && message.user.id === client.user.id
+        : message.id === lastReceivedId;
 
     if (message.status === 'sending') {
       return (
@@ -77,7 +83,7 @@ export const MessageStatus = ({
     } else if (
       readBy.length !== 0 &&
       !threadList &&
-      message.id === lastReceivedId &&
+      showReadState &&
       !justReadByMe
     ) {
       const lastReadUser = readBy.filter(
@@ -95,7 +101,7 @@ export const MessageStatus = ({
     } else if (
       message.status === 'received' &&
       message.type !== 'ephemeral' &&
-      message.id === lastReceivedId &&
+      showReadState &&
       !threadList
     ) {
       return (
@@ -124,4 +130,6 @@ MessageStatus.propTypes = {
   lastReceivedId: PropTypes.string,
   /** Boolean if current message is part of thread */
   isThreadList: PropTypes.bool,
+  /** `last` (default) to show the read state only for the latest message, or `all` to show it for every message of current user */
+  readReceiptsMode: PropTypes.oneOf(['last', 'all']),
 };
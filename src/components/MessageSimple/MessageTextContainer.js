@@ -48,6 +48,7 @@ export const MessageTextContainer = withTheme((props) => {
     groupStyles = ['bottom'],
     alignment,
     MessageText = false,
+    highlight,
   } = props;
 
   const hasAttachment = message.attachments.length > 0 ? true : false;
@@ -67,7 +68,7 @@ export const MessageTextContainer = withTheme((props) => {
         type={message.type}
       >
         {!MessageText ? (
-          renderText(message, markdownStyles)
+          renderText(message, markdownStyles, highlight)
         ) : (
           <MessageText {...props} renderText={renderText} />
         )}
@@ -92,6 +93,8 @@ MessageTextContainer.propTypes = {
    * @param message
    * */
   isMyMessage: PropTypes.func,
+  /** Search term to highlight in message text e.g., in [MessageSearch](#messagesearch) results */
+  highlight: PropTypes.string,
   /** Custom UI component for message text */
   MessageText: PropTypes.oneOfType([PropTypes.node, PropTypes.elementType]),
   /** Complete theme object. Its a [defaultTheme](https://github.com/GetStream/stream-chat-react-native/blob/master/src/styles/theme.js#L22) merged with customized theme provided as prop to Chat component */
@@ -0,0 +1,46 @@
+import React from 'react';
+import styled from '@stream-io/styled-components';
+import PropTypes from 'prop-types';
+
+import { withTranslationContext } from '../../context';
+
+const Container = styled.View`
+  flex-direction: row;
+  align-items: center;
+  margin-bottom: 2;
+  align-self: ${({ alignment }) =>
+    alignment === 'left' ? 'flex-start' : 'flex-end'};
+  ${({ theme }) => theme.message.pinnedIndicator.container.css}
+`;
+
+const PinnedText = styled.Text`
+  font-size: 11;
+  color: ${({ theme }) => theme.colors.textGrey};
+  ${({ theme }) => theme.message.pinnedIndicator.text.css}
+`;
+
+const PinnedIndicator = ({ message, alignment, t }) => {
+  if (!message.pinned) return null;
+
+  const pinnedBy = message.pinned_by;
+  return (
+    <Container alignment={alignment}>
+      <PinnedText numberOfLines={1}>
+        {pinnedBy
+          ? t('📌 Pinned by {{ name }}', { name: pinnedBy.name || pinnedBy.id })
+          : t('📌 Pinned')}
+      </PinnedText>
+    </Container>
+  );
+};
+
+PinnedIndicator.propTypes = {
+  /** Current [message object](https://getstream.io/chat/docs/#message_format) */
+  message: PropTypes.object,
+  /** right | left */
+  alignment: PropTypes.oneOf(['right', 'left']),
+};
+
+const PinnedIndicatorWithContext = withTranslationContext(PinnedIndicator);
+
+export { PinnedIndicatorWithContext as PinnedIndicator };
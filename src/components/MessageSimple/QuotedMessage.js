@@ -0,0 +1,99 @@
+import React from 'react';
+import styled from '@stream-io/styled-components';
+import PropTypes from 'prop-types';
+
+import { withTranslationContext } from '../../context';
+
+const Container = styled.TouchableOpacity`
+  max-width: 250;
+  margin-top: 2;
+  padding: 5px;
+  padding-left: 8;
+  padding-right: 8;
+  border-left-width: 3;
+  border-left-color: ${({ theme }) => theme.colors.primary};
+  border-radius: 4;
+  background-color: ${({ theme }) => theme.colors.light};
+  align-self: ${({ alignment }) =>
+    alignment === 'left' ? 'flex-start' : 'flex-end'};
+  ${({ theme }) => theme.message.quotedMessage.container.css}
+`;
+
+const UserName = styled.Text`
+  font-weight: bold;
+  font-size: 12;
+  color: ${({ theme }) => theme.colors.primary};
+  ${({ theme }) => theme.message.quotedMessage.userName.css}
+`;
+
+const QuotedText = styled.Text`
+  font-size: 13;
+  color: ${({ theme }) => theme.colors.textGrey};
+  ${({ theme }) => theme.message.quotedMessage.text.css}
+`;
+
+/**
+ * Returns the message quoted in given message. Server may provide the quoted message
+ * as `quoted_message`, otherwise we look for it in messages already loaded in channel.
+ */
+export const getQuotedMessage = (message, channel) => {
+  if (!message.quoted_message_id) return null;
+  if (message.quoted_message) return message.quoted_message;
+  if (!channel || !channel.state) return null;
+
+  const messages = message.parent_id
+    ? channel.state.threads[message.parent_id] || []
+    : channel.state.messages;
+
+  return messages.find((m) => m.id === message.quoted_message_id) || null;
+};
+
+const QuotedMessage = ({ message, channel, alignment, onPress, t }) => {
+  if (!message.quoted_message_id) return null;
+
+  const quotedMessage = getQuotedMessage(message, channel);
+
+  let text;
+  if (!quotedMessage) {
+    text = t('Tap to see the original message');
+  } else if (quotedMessage.deleted_at) {
+    text = t('This message was deleted ...');
+  } else if (quotedMessage.text) {
+    text = quotedMessage.text;
+  } else {
+    text = t('Attachment');
+  }
+
+  return (
+    <Container
+      alignment={alignment}
+      onPress={() => onPress && onPress(message.quoted_message_id)}
+    >
+      {quotedMessage && quotedMessage.user ? (
+        <UserName numberOfLines={1}>
+          {quotedMessage.user.name || quotedMessage.user.id}
+        </UserName>
+      ) : null}
+      <QuotedText numberOfLines={2}>{text}</QuotedText>
+    </Container>
+  );
+};
+
+QuotedMessage.propTypes = {
+  /** Current [message object](https://getstream.io/chat/docs/#message_format), which quotes another message */
+  message: PropTypes.object,
+  /** Current channel object */
+  channel: PropTypes.object,
+  /** right | left */
+  alignment: PropTypes.oneOf(['right', 'left']),
+  /**
+   * Handler for press on quoted message. By default it scrolls to the original message.
+   *
+   * @param messageId Id of the quoted message
+   */
+  onPress: PropTypes.func,
+};
+
+const QuotedMessageWithContext = withTranslationContext(QuotedMessage);
+
+export { QuotedMessageWithContext as QuotedMessage };
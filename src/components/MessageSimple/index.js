@@ -18,6 +18,10 @@ const Container = styled.View`
     alignment === 'left' ? 'flex-start' : 'flex-end'};
   margin-bottom: ${({ hasMarginBottom, isVeryLastMessage }) =>
     hasMarginBottom ? (isVeryLastMessage ? 30 : 20) : 0};
+  background-color: ${({ highlighted, theme }) =>
+    highlighted
+      ? theme.message.container.highlightedBackgroundColor
+      : 'transparent'};
   ${({ theme }) => theme.message.container.css}
 `;
 
@@ -73,6 +77,22 @@ export const MessageSimple = themed(
         PropTypes.node,
         PropTypes.elementType,
       ]),
+      /**
+       * Custom UI component to display all the reactions of message, opened by long pressing the reaction list.
+       * Defaults to: https://github.com/GetStream/stream-chat-react-native/blob/master/src/components/ReactionDetails.js
+       */
+      ReactionDetails: PropTypes.oneOfType([
+        PropTypes.node,
+        PropTypes.elementType,
+      ]),
+      /**
+       * Custom UI component to display the read receipts of message, opened by "Info" message action.
+       * Defaults to: https://github.com/GetStream/stream-chat-react-native/blob/master/src/components/MessageReadReceipts.js
+       */
+      MessageReadReceipts: PropTypes.oneOfType([
+        PropTypes.node,
+        PropTypes.elementType,
+      ]),
       /** Custom UI component for message text */
       MessageText: PropTypes.oneOfType([PropTypes.node, PropTypes.elementType]),
       /**
@@ -101,6 +121,46 @@ export const MessageSimple = themed(
         PropTypes.node,
         PropTypes.elementType,
       ]),
+      /**
+       * Custom UI component to display audio attachment e.g., voice message.
+       * Deaults to https://github.com/GetStream/stream-chat-react-native/blob/master/src/components/AudioAttachment.js
+       */
+      AudioAttachment: PropTypes.oneOfType([
+        PropTypes.node,
+        PropTypes.elementType,
+      ]),
+      /**
+       * Custom UI component to display video attachment.
+       * Deaults to https://github.com/GetStream/stream-chat-react-native/blob/master/src/components/VideoAttachment.js
+       */
+      VideoAttachment: PropTypes.oneOfType([
+        PropTypes.node,
+        PropTypes.elementType,
+      ]),
+      /**
+       * Custom UI component to display poll attachment.
+       * Deaults to https://github.com/GetStream/stream-chat-react-native/blob/master/src/components/PollAttachment.js
+       */
+      PollAttachment: PropTypes.oneOfType([
+        PropTypes.node,
+        PropTypes.elementType,
+      ]),
+      /**
+       * Custom UI component to display location attachment.
+       * Deaults to https://github.com/GetStream/stream-chat-react-native/blob/master/src/components/LocationAttachment.js
+       */
+      LocationAttachment: PropTypes.oneOfType([
+        PropTypes.node,
+        PropTypes.elementType,
+      ]),
+      /**
+       * Custom UI component to display contact attachment.
+       * Deaults to https://github.com/GetStream/stream-chat-react-native/blob/master/src/components/ContactAttachment.js
+       */
+      ContactAttachment: PropTypes.oneOfType([
+        PropTypes.node,
+        PropTypes.elementType,
+      ]),
       /**
        * Custom UI component for attachment icon for type 'file' attachment.
        * Defaults to: https://github.com/GetStream/stream-chat-react-native/blob/master/src/components/FileIcon.js
@@ -147,7 +207,7 @@ export const MessageSimple = themed(
       /** enabled replies, this is usually set by the parent component based on channel configs */
       repliesEnabled: PropTypes.bool.isRequired,
       /**
-       * Array of allowed actions on message. e.g. ['edit', 'delete', 'reactions', 'reply']
+       * Array of allowed actions on message. e.g. ['edit', 'delete', 'reactions', 'reply', 'quote']
        * If all the actions need to be disabled, empty array or false should be provided as value of prop.
        * */
       messageActions: PropTypes.oneOfType([PropTypes.bool, PropTypes.array]),
@@ -233,6 +293,31 @@ export const MessageSimple = themed(
        * `editing` prop is then used by MessageInput component to switch to edit mode.
        */
       handleEdit: PropTypes.func,
+      /**
+       * Handler to quote a current message. It sets current message as value of `quotedMessage` property of channel context.
+       * `quotedMessage` prop is then used by MessageInput component to send the next message as a reply to it.
+       */
+      handleQuote: PropTypes.func,
+      /**
+       * Custom UI component to display the message quoted in current message.
+       * Defaults to: https://github.com/GetStream/stream-chat-react-native/blob/master/src/components/MessageSimple/QuotedMessage.js
+       */
+      QuotedMessage: PropTypes.oneOfType([
+        PropTypes.node,
+        PropTypes.elementType,
+      ]),
+      /** Handler to pin a current message, or unpin it if it's already pinned. */
+      handlePin: PropTypes.func,
+      /** Handler to mute the author of message, or unmute them if they are already muted. Not available for own messages. */
+      handleMute: PropTypes.func,
+      /**
+       * Custom UI component to indicate that current message is pinned.
+       * Defaults to: https://github.com/GetStream/stream-chat-react-native/blob/master/src/components/MessageSimple/PinnedIndicator.js
+       */
+      PinnedIndicator: PropTypes.oneOfType([
+        PropTypes.node,
+        PropTypes.elementType,
+      ]),
       /** @see See [keyboard context](https://getstream.io/chat/docs/#keyboardcontext) */
       dismissKeyboard: PropTypes.func,
       /** Handler for actions. Actions in combination with attachments can be used to build [commands](https://getstream.io/chat/docs/#channel_commands). */
@@ -303,6 +388,11 @@ export const MessageSimple = themed(
        * ]
        */
       supportedReactions: PropTypes.array,
+      /**
+       * Instance of ReactionRegistry, containing the reactions available in full reaction picker.
+       * Available from [channel context](https://getstream.github.io/stream-chat-react-native/#channelcontext)
+       */
+      reactionRegistry: PropTypes.object,
       /*
        * @deprecated Please use `disabled` instead.
        *
@@ -311,6 +401,8 @@ export const MessageSimple = themed(
       readOnly: PropTypes.bool,
       /** Disables the message UI. Which means, message actions, reactions won't work. */
       disabled: PropTypes.bool,
+      /** Highlights the message, e.g. when message list is scrolled to it */
+      highlighted: PropTypes.bool,
     };
 
     static defaultProps = {
@@ -334,6 +426,7 @@ export const MessageSimple = themed(
       // open the reaction picker.
       this.state = {
         reactionPickerVisible: false,
+        reactionDetailsVisible: false,
       };
     }
 
@@ -352,6 +445,15 @@ export const MessageSimple = themed(
       this.setState({ reactionPickerVisible: false });
     };
 
+    openReactionDetails = async () => {
+      await this.props.dismissKeyboard();
+      this.setState({ reactionDetailsVisible: true });
+    };
+
+    dismissReactionDetails = () => {
+      this.setState({ reactionDetailsVisible: false });
+    };
+
     static themePath = 'message';
 
     render() {
@@ -398,6 +500,9 @@ export const MessageSimple = themed(
         reactionPickerVisible: this.state.reactionPickerVisible,
         openReactionPicker: this.openReactionPicker,
         dismissReactionPicker: this.dismissReactionPicker,
+        reactionDetailsVisible: this.state.reactionDetailsVisible,
+        openReactionDetails: this.openReactionDetails,
+        dismissReactionDetails: this.dismissReactionDetails,
         alignment,
         groupStyles: hasReactions ? ['bottom'] : groupStyles,
       };
@@ -407,6 +512,7 @@ export const MessageSimple = themed(
           alignment={alignment}
           hasMarginBottom={hasMarginBottom}
           isVeryLastMessage={isVeryLastMessage}
+          highlighted={this.props.highlighted}
         >
           {alignment === 'right' ? (
             <React.Fragment>
@@ -430,3 +536,5 @@ export { MessageStatus } from './MessageStatus';
 export { MessageContent } from './MessageContent';
 export { MessageAvatar } from './MessageAvatar';
 export { MessageTextContainer } from './MessageTextContainer';
+export { QuotedMessage } from './QuotedMessage';
+export { PinnedIndicator } from './PinnedIndicator';
@@ -0,0 +1,74 @@
+import React from 'react';
+import styled from '@stream-io/styled-components';
+import { themed } from '../styles/theme';
+import PropTypes from 'prop-types';
+import { withTranslationContext } from '../context';
+
+const Container = styled.View`
+  flex-direction: row;
+  align-items: center;
+  align-self: flex-start;
+  margin-top: 2;
+  margin-bottom: 2;
+  margin-left: 40;
+  padding: 8px;
+  border-radius: 16;
+  border-width: 1;
+  border-color: rgba(0, 0, 0, 0.08);
+  ${({ theme }) => theme.messageList.mutedMessage.container.css}
+`;
+
+const Text = styled.Text`
+  font-size: 12;
+  font-style: italic;
+  color: #767676;
+  ${({ theme }) => theme.messageList.mutedMessage.text.css}
+`;
+
+const Button = styled.TouchableOpacity`
+  margin-left: 8;
+  ${({ theme }) => theme.messageList.mutedMessage.button.css}
+`;
+
+const ButtonText = styled.Text`
+  font-size: 12;
+  font-weight: bold;
+  color: ${({ theme }) => theme.colors.primary};
+  ${({ theme }) => theme.messageList.mutedMessage.buttonText.css}
+`;
+
+/**
+ * MutedMessage - Rendered by [MessageList](#messagelist) instead of the message sent by muted user.
+ * Message is shown once "Show message" is pressed.
+ *
+ * @extends PureComponent
+ * @example ./docs/MutedMessage.md
+ */
+class MutedMessage extends React.PureComponent {
+  static propTypes = {
+    /** Message sent by muted user */
+    message: PropTypes.object,
+    /** Function to show the message */
+    onShow: PropTypes.func,
+  };
+
+  static themePath = 'messageList.mutedMessage';
+
+  render() {
+    const { onShow, t } = this.props;
+
+    return (
+      <Container>
+        <Text>{t('Message from muted user')}</Text>
+        {onShow && (
+          <Button onPress={onShow}>
+            <ButtonText>{t('Show message')}</ButtonText>
+          </Button>
+        )}
+      </Container>
+    );
+  }
+}
+
+const MutedMessageWithContext = withTranslationContext(themed(MutedMessage));
+export { MutedMessageWithContext as MutedMessage };
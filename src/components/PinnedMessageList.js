@@ -0,0 +1,94 @@
+import React, { PureComponent } from 'react';
+import { FlatList } from 'react-native';
+import PropTypes from 'prop-types';
+import styled from '@stream-io/styled-components';
+import { themed } from '../styles/theme';
+import { withChannelContext } from '../context';
+import { MessageSearchResult } from './MessageSearchResult';
+import { EmptyStateIndicator } from './EmptyStateIndicator';
+
+const Container = styled.View`
+  flex: 1;
+  ${({ theme }) => theme.pinnedMessageList.container.css}
+`;
+
+/**
+ * PinnedMessageList - Lists the pinned messages of current channel, most recently pinned first.
+ * Pressing a message scrolls the [MessageList](#messagelist) to it. It must be rendered inside [Channel](#channel) component.
+ *
+ * @example ./docs/PinnedMessageList.md
+ * @extends PureComponent
+ */
+class PinnedMessageList extends PureComponent {
+  static themePath = 'pinnedMessageList';
+
+  static propTypes = {
+    /** Pinned messages of current channel. Available from [channel context](#channelcontext) */
+    pinnedMessages: PropTypes.array,
+    /** @see See [channel context](#channelcontext) */
+    scrollToMessage: PropTypes.func,
+    /**
+     * Function called when user selects some message, after message list is scrolled to it. e.g., you can close the panel of pinned messages here.
+     *
+     * @param message Selected [message object](https://getstream.io/chat/docs/#message_format)
+     */
+    onSelectMessage: PropTypes.func,
+    /** UI Component to display individual pinned message. Defaults to [MessageSearchResult](#messagesearchresult) */
+    PinnedMessage: PropTypes.oneOfType([PropTypes.node, PropTypes.elementType]),
+    /** The indicator to use when there are no pinned messages */
+    EmptyStateIndicator: PropTypes.oneOfType([
+      PropTypes.node,
+      PropTypes.elementType,
+    ]),
+    /** Additional props for underlying FlatList of pinned messages. */
+    additionalFlatListProps: PropTypes.object,
+  };
+
+  static defaultProps = {
+    pinnedMessages: [],
+    PinnedMessage: MessageSearchResult,
+    EmptyStateIndicator,
+    additionalFlatListProps: {},
+  };
+
+  selectMessage = async (message) => {
+    if (this.props.scrollToMessage) {
+      await this.props.scrollToMessage(message.id);
+    }
+
+    if (this.props.onSelectMessage) this.props.onSelectMessage(message);
+  };
+
+  renderEmptyState = () => {
+    const Indicator = this.props.EmptyStateIndicator;
+    return <Indicator listType="pinnedMessages" />;
+  };
+
+  render() {
+    const { PinnedMessage } = this.props;
+
+    return (
+      <Container>
+        <FlatList
+          data={this.props.pinnedMessages}
+          ListEmptyComponent={this.renderEmptyState}
+          renderItem={({ item: message }) => (
+            <PinnedMessage
+              message={message}
+              showChannelName={false}
+              onSelect={this.selectMessage}
+            />
+          )}
+          keyExtractor={(item) => item.id}
+          {...this.props.additionalFlatListProps}
+        />
+      </Container>
+    );
+  }
+}
+
+const PinnedMessageListWithContext = withChannelContext(
+  themed(PinnedMessageList),
+);
+
+export { PinnedMessageListWithContext as PinnedMessageList };
@@ -0,0 +1,275 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import styled from '@stream-io/styled-components';
+
+import { themed } from '../styles/theme';
+import { withChannelContext, withTranslationContext } from '../context';
+import { POLL_ACTIONS, getPollResults, isPollClosed } from '../utils/polls';
+
+const Container = styled.View`
+  width: 250;
+  background-color: #ebebeb;
+  padding: 10px;
+  border-radius: ${({ groupStyle }) => {
+    if (groupStyle === 'middle' || groupStyle === 'bottom') return 0;
+
+    return 16;
+  }};
+  border-bottom-left-radius: ${({ alignment, groupStyle }) => {
+    if (groupStyle === 'top' || groupStyle === 'middle') return 0;
+
+    return alignment === 'right' ? 16 : 2;
+  }};
+  border-bottom-right-radius: ${({ alignment, groupStyle }) => {
+    if (groupStyle === 'top' || groupStyle === 'middle') return 0;
+
+    return alignment === 'left' ? 16 : 2;
+  }};
+  ${({ theme }) => theme.message.poll.container.css}
+`;
+
+const Question = styled.Text`
+  font-weight: bold;
+  font-size: 15;
+  ${({ theme }) => theme.message.poll.question.css}
+`;
+
+const Subtitle = styled.Text`
+  font-size: 12;
+  margin-top: 2;
+  margin-bottom: 6;
+  color: ${({ theme }) => theme.colors.textGrey};
+  ${({ theme }) => theme.message.poll.subtitle.css}
+`;
+
+const Option = styled.TouchableOpacity`
+  padding-top: 6;
+  padding-bottom: 6;
+  ${({ theme }) => theme.message.poll.option.css}
+`;
+
+const OptionHeader = styled.View`
+  flex-direction: row;
+  align-items: center;
+  ${({ theme }) => theme.message.poll.optionHeader.css}
+`;
+
+const Checkbox = styled.View`
+  width: 18;
+  height: 18;
+  margin-right: 8;
+  border-width: 2;
+  border-radius: ${({ multipleChoice }) => (multipleChoice ? 4 : 9)};
+  border-color: ${({ theme }) => theme.colors.primary};
+  background-color: ${({ checked, theme }) =>
+    checked ? theme.colors.primary : 'transparent'};
+  ${({ theme }) => theme.message.poll.checkbox.css}
+`;
+
+const OptionText = styled.Text`
+  flex: 1;
+  font-size: 14;
+  ${({ theme }) => theme.message.poll.optionText.css}
+`;
+
+const OptionVotes = styled.Text`
+  font-size: 12;
+  margin-left: 8;
+  color: ${({ theme }) => theme.colors.textGrey};
+  ${({ theme }) => theme.message.poll.optionVotes.css}
+`;
+
+const Bar = styled.View`
+  height: 4;
+  margin-top: 4;
+  border-radius: 2;
+  background-color: rgba(0, 0, 0, 0.08);
+  ${({ theme }) => theme.message.poll.bar.css}
+`;
+
+const BarFill = styled.View`
+  height: 4;
+  border-radius: 2;
+  background-color: ${({ theme }) => theme.colors.primary};
+  ${({ theme }) => theme.message.poll.barFill.css}
+`;
+
+const Voters = styled.Text`
+  font-size: 11;
+  margin-top: 2;
+  color: ${({ theme }) => theme.colors.textGrey};
+  ${({ theme }) => theme.message.poll.voters.css}
+`;
+
+const Footer = styled.View`
+  flex-direction: row;
+  justify-content: space-between;
+  align-items: center;
+  margin-top: 6;
+  ${({ theme }) => theme.message.poll.footer.css}
+`;
+
+const FooterText = styled.Text`
+  font-size: 12;
+  color: ${({ theme }) => theme.colors.textGrey};
+  ${({ theme }) => theme.message.poll.footerText.css}
+`;
+
+const CloseButton = styled.TouchableOpacity`
+  ${({ theme }) => theme.message.poll.closeButton.css}
+`;
+
+const CloseButtonText = styled.Text`
+  font-size: 12;
+  font-weight: bold;
+  color: ${({ theme }) => theme.colors.primary};
+  ${({ theme }) => theme.message.poll.closeButtonText.css}
+`;
+
+/**
+ * PollAttachment - Renders the poll attachment, created with `/poll` command of [MessageInput](#messageinput).
+ * Tapping an option votes for it (or removes the vote), using `poll_vote` action, and poll creator can close the poll
+ * using `poll_close` action. Results (votes and percentage) are shown per option, along with the voters - unless poll is anonymous.
+ * Votes (`poll.votes`) are read from the reactions of message by [Message](#message), see `getPollVotes`.
+ *
+ * @example ./docs/PollAttachment.md
+ * @extends PureComponent
+ */
+class PollAttachment extends React.PureComponent {
+  static themePath = 'message.poll';
+
+  static propTypes = {
+    /**
+     * The attachment to render - `{ type: 'poll', poll: { question, options, multiple_choice, anonymous, closes_at, closed, created_by, votes } }`.
+     * `votes` (`{ counts, voters, own }`) are added by [Message](#message), from the reactions of message.
+     */
+    attachment: PropTypes.object.isRequired,
+    /**
+     * Position of message. 'right' | 'left'
+     * 'right' message belongs with current user while 'left' message belonds to other users.
+     * */
+    alignment: PropTypes.string,
+    /** Handler for actions. Votes are sent as `poll_vote` action with option id as value. */
+    actionHandler: PropTypes.func,
+    /** Position of message in group - top, bottom, middle, single. */
+    groupStyle: PropTypes.oneOf(['single', 'top', 'middle', 'bottom']),
+    /** Handler for long press event on attachment */
+    onLongPress: PropTypes.func,
+    /** Maximum number of voter names shown per option */
+    maxVisibleVoters: PropTypes.number,
+  };
+
+  static defaultProps = {
+    maxVisibleVoters: 3,
+  };
+
+  vote = (optionId, event) => {
+    const { actionHandler } = this.props;
+    actionHandler && actionHandler(POLL_ACTIONS.VOTE, optionId, event);
+  };
+
+  close = (event) => {
+    const { actionHandler } = this.props;
+    actionHandler && actionHandler(POLL_ACTIONS.CLOSE, true, event);
+  };
+
+  getVotersText = (voters) => {
+    const { members, maxVisibleVoters, t } = this.props;
+    const names = voters.slice(0, maxVisibleVoters).map((id) => {
+      const member = members && members[id];
+      return (member && member.user && member.user.name) || id;
+    });
+    const remaining = voters.length - names.length;
+
+    return remaining > 0
+      ? t('{{ names }} and {{ remaining }} more', {
+          names: names.join(', '),
+          remaining,
+        })
+      : names.join(', ');
+  };
+
+  getSubtitle = (poll, closed) => {
+    const { t, tDateTimeParser } = this.props;
+    const parts = [
+      poll.multiple_choice ? t('Multiple choice') : t('Single choice'),
+    ];
+    if (poll.anonymous) parts.push(t('Voters hidden'));
+    if (closed) {
+      parts.push(t('Poll closed'));
+    } else if (poll.closes_at) {
+      parts.push(
+        t('Closes {{ time }}', {
+          time: tDateTimeParser(poll.closes_at).calendar(),
+        }),
+      );
+    }
+
+    return parts.join(' · ');
+  };
+
+  render() {
+    const {
+      attachment,
+      alignment,
+      groupStyle,
+      onLongPress,
+      client,
+      t,
+    } = this.props;
+    const { poll } = attachment;
+    if (!poll || !poll.options) return null;
+
+    const userId = client && client.userID;
+    const closed = isPollClosed(poll);
+    const results = getPollResults(poll, poll.votes);
+
+    return (
+      <Container alignment={alignment} groupStyle={groupStyle}>
+        <Question>{poll.question}</Question>
+        <Subtitle>{this.getSubtitle(poll, closed)}</Subtitle>
+        {results.options.map((option) => (
+          <Option
+            key={option.id}
+            disabled={closed}
+            onPress={(event) => this.vote(option.id, event)}
+            onLongPress={onLongPress}
+          >
+            <OptionHeader>
+              <Checkbox
+                checked={option.voted}
+                multipleChoice={poll.multiple_choice}
+              />
+              <OptionText>{option.text}</OptionText>
+              <OptionVotes>{`${option.votes} · ${option.percentage}%`}</OptionVotes>
+            </OptionHeader>
+            <Bar>
+              <BarFill style={{ width: `${option.percentage}%` }} />
+            </Bar>
+            {!poll.anonymous && option.voters.length > 0 ? (
+              <Voters numberOfLines={1}>
+                {this.getVotersText(option.voters)}
+              </Voters>
+            ) : null}
+          </Option>
+        ))}
+        <Footer>
+          <FooterText>
+            {t('{{ voterCount }} voted', { voterCount: results.totalVoters })}
+          </FooterText>
+          {!closed && poll.created_by && poll.created_by === userId ? (
+            <CloseButton onPress={this.close}>
+              <CloseButtonText>{t('Close poll')}</CloseButtonText>
+            </CloseButton>
+          ) : null}
+        </Footer>
+      </Container>
+    );
+  }
+}
+
+const PollAttachmentWithContext = withTranslationContext(
+  withChannelContext(themed(PollAttachment)),
+);
+
+export { PollAttachmentWithContext as PollAttachment };
@@ -0,0 +1,396 @@
+import React from 'react';
+import { Modal, ScrollView, Switch } from 'react-native';
+import PropTypes from 'prop-types';
+import styled from '@stream-io/styled-components';
+import { themed } from '../styles/theme';
+import { withTranslationContext } from '../context';
+import {
+  MAX_POLL_OPTIONS,
+  getPollCloseOptions,
+  isValidPoll,
+} from '../utils/polls';
+import { pickDateTime } from '../native';
+
+const Backdrop = styled.TouchableOpacity`
+  flex: 1;
+  justify-content: flex-end;
+  background-color: rgba(0, 0, 0, 0.3);
+  ${({ theme }) => theme.pollComposer.backdrop.css}
+`;
+
+const Sheet = styled.View`
+  max-height: 90%;
+  padding-top: 10;
+  padding-bottom: 10;
+  border-top-left-radius: 16;
+  border-top-right-radius: 16;
+  background-color: white;
+  ${({ theme }) => theme.pollComposer.container.css}
+`;
+
+const Title = styled.Text`
+  font-weight: bold;
+  font-size: 16;
+  text-align: center;
+  margin-bottom: 8;
+  ${({ theme }) => theme.pollComposer.title.css}
+`;
+
+const Section = styled.View`
+  padding: 8px 16px;
+  ${({ theme }) => theme.pollComposer.section.css}
+`;
+
+const Label = styled.Text`
+  font-size: 12;
+  font-weight: bold;
+  margin-bottom: 4;
+  color: #767676;
+  ${({ theme }) => theme.pollComposer.label.css}
+`;
+
+const Input = styled.TextInput`
+  flex: 1;
+  font-size: 14;
+  padding: 8px;
+  border-radius: 8;
+  background-color: #f5f5f5;
+  ${({ theme }) => theme.pollComposer.input.css}
+`;
+
+const OptionRow = styled.View`
+  flex-direction: row;
+  align-items: center;
+  margin-bottom: 6;
+  ${({ theme }) => theme.pollComposer.optionRow.css}
+`;
+
+const RemoveOption = styled.TouchableOpacity`
+  padding: 8px;
+  ${({ theme }) => theme.pollComposer.removeOption.css}
+`;
+
+const RemoveOptionText = styled.Text`
+  font-size: 14;
+  color: #767676;
+  ${({ theme }) => theme.pollComposer.removeOptionText.css}
+`;
+
+const SettingRow = styled.View`
+  flex-direction: row;
+  justify-content: space-between;
+  align-items: center;
+  padding: 6px 16px;
+  ${({ theme }) => theme.pollComposer.settingRow.css}
+`;
+
+const SettingText = styled.Text`
+  font-size: 14;
+  ${({ theme }) => theme.pollComposer.settingText.css}
+`;
+
+const CloseOptions = styled.View`
+  flex-direction: row;
+  flex-wrap: wrap;
+  ${({ theme }) => theme.pollComposer.closeOptions.css}
+`;
+
+const CloseOption = styled.TouchableOpacity`
+  padding: 6px 10px;
+  margin-right: 6;
+  margin-bottom: 6;
+  border-radius: 14;
+  border-width: 1;
+  border-color: ${({ theme }) => theme.colors.primary};
+  background-color: ${({ selected, theme }) =>
+    selected ? theme.colors.primary : 'transparent'};
+  ${({ theme }) => theme.pollComposer.closeOption.css}
+`;
+
+const CloseOptionText = styled.Text`
+  font-size: 12;
+  color: ${({ selected, theme }) =>
+    selected ? 'white' : theme.colors.primary};
+  ${({ theme }) => theme.pollComposer.closeOptionText.css}
+`;
+
+const Actions = styled.View`
+  flex-direction: row;
+  justify-content: flex-end;
+  padding: 8px 16px;
+  ${({ theme }) => theme.pollComposer.actions.css}
+`;
+
+const Action = styled.TouchableOpacity`
+  margin-left: 16;
+  ${({ theme }) => theme.pollComposer.action.css}
+`;
+
+const ActionText = styled.Text`
+  font-size: 14;
+  font-weight: bold;
+  color: ${({ disabled, theme }) =>
+    disabled ? '#767676' : theme.colors.primary};
+  ${({ theme }) => theme.pollComposer.actionText.css}
+`;
+
+/**
+ * PollComposer - Bottom sheet to create a poll - question, options, single/multiple choice, hidden voters and close time.
+ *
+ * It's opened by [MessageInput](#messageinput), when user sends the `/poll` command. Text after the command is used as question.
+ * Poll is sent as message with [poll attachment](#pollattachment).
+ *
+ * @example ./docs/PollComposer.md
+ * @extends PureComponent
+ */
+class PollComposer extends React.PureComponent {
+  static themePath = 'pollComposer';
+
+  static propTypes = {
+    /** Set to true to show the sheet */
+    visible: PropTypes.bool,
+    /** Question to prefill, e.g. text after `/poll` command */
+    initialQuestion: PropTypes.string,
+    /**
+     * Function called with the poll data, when user creates the poll
+     *
+     * @param poll `{ question, options, multiple_choice, anonymous, closes_at }`, options are strings
+     */
+    onSubmit: PropTypes.func.isRequired,
+    /** Function to close the sheet */
+    onDismiss: PropTypes.func,
+    /** Maximum number of options */
+    maxOptions: PropTypes.number,
+    /**
+     * Function which returns the preset close times - `[{ key, label, date }]`. Labels of default options are translated,
+     * custom labels are rendered as they are. Defaults to `getPollCloseOptions` util.
+     *
+     * @param now Current time
+     */
+    getPollCloseOptions: PropTypes.func,
+  };
+
+  static defaultProps = {
+    initialQuestion: '',
+    maxOptions: MAX_POLL_OPTIONS,
+    getPollCloseOptions,
+  };
+
+  constructor(props) {
+    super(props);
+    this.state = this.getInitialState();
+  }
+
+  componentDidUpdate(prevProps) {
+    if (this.props.visible && !prevProps.visible) {
+      this.setState(this.getInitialState());
+    }
+  }
+
+  getInitialState = () => ({
+    question: this.props.initialQuestion,
+    options: ['', ''],
+    multiple_choice: false,
+    anonymous: false,
+    closeOptionKey: 'never',
+    closesAt: null,
+  });
+
+  // Labels are translated explicitly (and not as `t(option.label)`), so that they are picked by translation key extraction.
+  getCloseOptionLabel = (option) => {
+    const { t } = this.props;
+    switch (option.key) {
+      case 'never':
+        return t('Never');
+      case '1h':
+        return t('In 1 hour');
+      case '1d':
+        return t('In 1 day');
+      case '1w':
+        return t('In 1 week');
+      default:
+        return option.label;
+    }
+  };
+
+  setOption = (index, text) => {
+    this.setState((prevState) => ({
+      options: prevState.options.map((option, i) =>
+        i === index ? text : option,
+      ),
+    }));
+  };
+
+  addOption = () => {
+    this.setState((prevState) => ({
+      options: [...prevState.options, ''],
+    }));
+  };
+
+  removeOption = (index) => {
+    this.setState((prevState) => ({
+      options: prevState.options.filter((option, i) => i !== index),
+    }));
+  };
+
+  pickCustomCloseTime = async () => {
+    const result = await pickDateTime({ minimumDate: new Date() });
+    if (!result || result.cancelled || !result.date) return;
+
+    this.setState({ closeOptionKey: 'custom', closesAt: result.date });
+  };
+
+  submit = () => {
+    const { onSubmit, onDismiss } = this.props;
+    const {
+      question,
+      options,
+      multiple_choice,
+      anonymous,
+      closeOptionKey,
+      closesAt,
+    } = this.state;
+    if (!isValidPoll({ question, options })) return;
+
+    // Preset close times are relative to the time of sending.
+    const closeOption = this.props
+      .getPollCloseOptions(new Date())
+      .find((option) => option.key === closeOptionKey);
+
+    onDismiss && onDismiss();
+    onSubmit({
+      question,
+      options,
+      multiple_choice,
+      anonymous,
+      closes_at: closeOption ? closeOption.date : closesAt,
+    });
+  };
+
+  renderCloseOption = (key, label, onPress) => {
+    const selected = this.state.closeOptionKey === key;
+    return (
+      <CloseOption key={key} selected={selected} onPress={onPress}>
+        <CloseOptionText selected={selected}>{label}</CloseOptionText>
+      </CloseOption>
+    );
+  };
+
+  render() {
+    const { visible, onDismiss, maxOptions, t, tDateTimeParser } = this.props;
+    if (!visible) return null;
+
+    const {
+      question,
+      options,
+      multiple_choice,
+      anonymous,
+      closeOptionKey,
+      closesAt,
+    } = this.state;
+    const closeOptions = this.props.getPollCloseOptions(new Date());
+    const valid = isValidPoll({ question, options });
+
+    return (
+      <Modal
+        visible={visible}
+        transparent
+        animationType="slide"
+        onRequestClose={onDismiss}
+      >
+        <Backdrop onPress={onDismiss} activeOpacity={1}>
+          {/* Touches inside the sheet shouldn't reach the backdrop, which dismisses it. */}
+          <Sheet onStartShouldSetResponder={() => true}>
+            <Title>{t('Create poll')}</Title>
+            <ScrollView keyboardShouldPersistTaps="handled">
+              <Section>
+                <Label>{t('Question')}</Label>
+                <OptionRow>
+                  <Input
+                    value={question}
+                    onChangeText={(text) => this.setState({ question: text })}
+                    placeholder={t('Ask a question')}
+                    autoFocus={!question}
+                  />
+                </OptionRow>
+              </Section>
+              <Section>
+                <Label>{t('Options')}</Label>
+                {options.map((option, index) => (
+                  <OptionRow key={index}>
+                    <Input
+                      value={option}
+                      onChangeText={(text) => this.setOption(index, text)}
+                      placeholder={t('Option {{ number }}', {
+                        number: index + 1,
+                      })}
+                    />
+                    {options.length > 2 ? (
+                      <RemoveOption onPress={() => this.removeOption(index)}>
+                        <RemoveOptionText>✕</RemoveOptionText>
+                      </RemoveOption>
+                    ) : null}
+                  </OptionRow>
+                ))}
+                {options.length < maxOptions ? (
+                  <Action onPress={this.addOption}>
+                    <ActionText>{t('Add option')}</ActionText>
+                  </Action>
+                ) : null}
+              </Section>
+              <SettingRow>
+                <SettingText>{t('Multiple choice')}</SettingText>
+                <Switch
+                  value={multiple_choice}
+                  onValueChange={(value) =>
+                    this.setState({ multiple_choice: value })
+                  }
+                />
+              </SettingRow>
+              <SettingRow>
+                <SettingText>{t('Hide voters')}</SettingText>
+                <Switch
+                  value={anonymous}
+                  onValueChange={(value) => this.setState({ anonymous: value })}
+                />
+              </SettingRow>
+              <Section>
+                <Label>{t('Close poll')}</Label>
+                <CloseOptions>
+                  {closeOptions.map((option) =>
+                    this.renderCloseOption(
+                      option.key,
+                      this.getCloseOptionLabel(option),
+                      () => this.setState({ closeOptionKey: option.key }),
+                    ),
+                  )}
+                  {pickDateTime
+                    ? this.renderCloseOption(
+                        'custom',
+                        closeOptionKey === 'custom' && closesAt
+                          ? tDateTimeParser(closesAt).format('ddd LT')
+                          : t('Custom time...'),
+                        this.pickCustomCloseTime,
+                      )
+                    : null}
+                </CloseOptions>
+              </Section>
+            </ScrollView>
+            <Actions>
+              <Action onPress={onDismiss}>
+                <ActionText>{t('Cancel')}</ActionText>
+              </Action>
+              <Action onPress={this.submit} disabled={!valid}>
+                <ActionText disabled={!valid}>{t('Create poll')}</ActionText>
+              </Action>
+            </Actions>
+          </Sheet>
+        </Backdrop>
+      </Modal>
+    );
+  }
+}
+
+const PollComposerWithContext = withTranslationContext(themed(PollComposer));
+
+export { PollComposerWithContext as PollComposer };
@@ -0,0 +1,356 @@
+import React from 'react';
+import { FlatList, Modal } from 'react-native';
+import PropTypes from 'prop-types';
+import styled from '@stream-io/styled-components';
+import uniqBy from 'lodash/uniqBy';
+import { themed } from '../styles/theme';
+import { withTranslationContext } from '../context';
+import { emojiData } from '../utils';
+import { getReaction, getReactionTypes } from '../utils/reactions';
+import { isPollVoteReaction } from '../utils/polls';
+import { Avatar } from './Avatar';
+import { ReactionIcon } from './ReactionIcon';
+import { Spinner } from './Spinner';
+
+const Backdrop = styled.TouchableOpacity`
+  flex: 1;
+  justify-content: flex-end;
+  background-color: rgba(0, 0, 0, 0.3);
+  ${({ theme }) => theme.message.reactionDetails.backdrop.css}
+`;
+
+const Sheet = styled.View`
+  max-height: 60%;
+  min-height: 200;
+  padding-top: 10;
+  border-top-left-radius: 16;
+  border-top-right-radius: 16;
+  background-color: white;
+  ${({ theme }) => theme.message.reactionDetails.container.css}
+`;
+
+const Title = styled.Text`
+  font-weight: bold;
+  font-size: 16;
+  text-align: center;
+  margin-bottom: 8;
+  ${({ theme }) => theme.message.reactionDetails.title.css}
+`;
+
+const Tabs = styled.ScrollView`
+  flex-grow: 0;
+  border-bottom-width: 1;
+  border-bottom-color: rgba(0, 0, 0, 0.1);
+  ${({ theme }) => theme.message.reactionDetails.tabs.css}
+`;
+
+const Tab = styled.TouchableOpacity`
+  flex-direction: row;
+  align-items: center;
+  padding: 8px 12px;
+  border-bottom-width: 2;
+  border-bottom-color: ${({ active, theme }) =>
+    active ? theme.colors.primary : 'transparent'};
+  ${({ theme }) => theme.message.reactionDetails.tab.css}
+`;
+
+const TabText = styled.Text`
+  margin-left: 4;
+  font-size: 14;
+  ${({ theme }) => theme.message.reactionDetails.tabText.css}
+`;
+
+const Row = styled.TouchableOpacity`
+  flex-direction: row;
+  align-items: center;
+  padding: 8px 16px;
+  ${({ theme }) => theme.message.reactionDetails.row.css}
+`;
+
+const Details = styled.View`
+  flex: 1;
+  margin-left: 10;
+  ${({ theme }) => theme.message.reactionDetails.details.css}
+`;
+
+const Name = styled.Text`
+  font-weight: bold;
+  font-size: 14;
+  ${({ theme }) => theme.message.reactionDetails.name.css}
+`;
+
+const RemoveText = styled.Text`
+  font-size: 12;
+  color: #767676;
+  ${({ theme }) => theme.message.reactionDetails.removeText.css}
+`;
+
+const EmptyText = styled.Text`
+  padding: 20px;
+  text-align: center;
+  color: #767676;
+  ${({ theme }) => theme.message.reactionDetails.emptyText.css}
+`;
+
+const ALL_REACTIONS = 'all';
+
+const getReactionKey = (reaction) => `${reaction.user.id}-${reaction.type}`;
+
+/**
+ * ReactionDetails - Bottom sheet listing all the reactions of message, grouped by reaction type.
+ * Reactions are fetched from API page by page, so that all the reactions are available (and not just `latest_reactions` of message).
+ * Current user can remove their own reaction by pressing it.
+ *
+ * It's opened by long pressing the [ReactionList](#reactionlist) of message.
+ *
+ * @example ./docs/ReactionDetails.md
+ * @extends PureComponent
+ */
+class ReactionDetails extends React.PureComponent {
+  static themePath = 'message.reactionDetails';
+
+  static propTypes = {
+    /** Set to true to show the sheet */
+    visible: PropTypes.bool,
+    /** Message to show the reactions of */
+    message: PropTypes.object,
+    /** Channel object of message */
+    channel: PropTypes.object,
+    /** Client object. Used to find the reactions of current user */
+    client: PropTypes.object,
+    /**
+     * Function to toggle the reaction of current user on message. It is called with type of reaction, to remove it.
+     *
+     * @param type Type of the reaction
+     */
+    handleReaction: PropTypes.func,
+    /** Function to close the sheet */
+    handleDismiss: PropTypes.func,
+    /** Reactions to render the icons for. Defaults to `emojiData` */
+    supportedReactions: PropTypes.array,
+    /** Instance of ReactionRegistry, used to render the icons of reactions which are not part of `supportedReactions` */
+    reactionRegistry: PropTypes.object,
+    /** Number of reactions to load per page */
+    limit: PropTypes.number,
+  };
+
+  static defaultProps = {
+    supportedReactions: emojiData,
+    limit: 25,
+  };
+
+  constructor(props) {
+    super(props);
+    this.state = this.getInitialState();
+    this._unmounted = false;
+  }
+
+  getInitialState = () => ({
+    reactions: [],
+    activeType: ALL_REACTIONS,
+    loading: false,
+    loadingMore: false,
+    hasNextPage: true,
+    error: false,
+  });
+
+  componentDidMount() {
+    if (this.props.visible) this.loadReactions();
+  }
+
+  componentDidUpdate(prevProps) {
+    if (!prevProps.visible && this.props.visible) {
+      this.setState(this.getInitialState(), () => this.loadReactions());
+    }
+  }
+
+  componentWillUnmount() {
+    this._unmounted = true;
+  }
+
+  /**
+   * Loads the reactions of message.
+   *
+   * @param {boolean} loadMore If true, next page of reactions is loaded and appended to existing reactions.
+   */
+  loadReactions = async (loadMore = false) => {
+    const { channel, message, limit } = this.props;
+    const offset = loadMore ? this.state.reactions.length : 0;
+
+    this.setState(loadMore ? { loadingMore: true } : { loading: true });
+
+    try {
+      const response = await channel.getReactions(message.id, {
+        limit,
+        offset,
+      });
+      if (this._unmounted) return;
+
+      const reactions = response.reactions || [];
+      this.setState((prevState) => ({
+        reactions: loadMore
+          ? uniqBy([...prevState.reactions, ...reactions], getReactionKey)
+          : reactions,
+        hasNextPage: reactions.length >= limit,
+        loading: false,
+        loadingMore: false,
+        error: false,
+      }));
+    } catch (error) {
+      if (this._unmounted) return;
+
+      console.warn(error);
+      this.setState({ error, loading: false, loadingMore: false });
+    }
+  };
+
+  loadNextPage = async () => {
+    const { hasNextPage, loading, loadingMore, error } = this.state;
+    if (!hasNextPage || loading || loadingMore || error) return;
+
+    await this.loadReactions(true);
+  };
+
+  // Votes of poll are stored as reactions, but they are shown in poll instead. They are filtered out at render,
+  // since offset of next page is based on the number of loaded reactions.
+  getReactions = () =>
+    this.state.reactions.filter((r) => !isPollVoteReaction(r.type));
+
+  isOwnReaction = (reaction) =>
+    !!this.props.client && reaction.user.id === this.props.client.userID;
+
+  removeReaction = async (reaction) => {
+    const key = getReactionKey(reaction);
+    this.setState((prevState) => ({
+      reactions: prevState.reactions.filter((r) => getReactionKey(r) !== key),
+    }));
+
+    try {
+      await this.props.handleReaction(reaction.type);
+    } catch (e) {
+      console.warn('Failed to remove the reaction', e);
+    }
+  };
+
+  renderIcon = (type, size) => {
+    const { supportedReactions, reactionRegistry } = this.props;
+    return (
+      <ReactionIcon
+        type={type}
+        reaction={getReaction(type, supportedReactions, reactionRegistry)}
+        size={size}
+        style={{ fontSize: size }}
+      />
+    );
+  };
+
+  renderTabs = () => {
+    const { message, t } = this.props;
+    const { activeType } = this.state;
+    const reactions = this.getReactions();
+    const counts = message.reaction_counts || {};
+    const types = getReactionTypes(message, reactions);
+    const total =
+      Object.values(counts).reduce((sum, count) => sum + count, 0) ||
+      reactions.length;
+
+    return (
+      <Tabs horizontal showsHorizontalScrollIndicator={false}>
+        <Tab
+          active={activeType === ALL_REACTIONS}
+          onPress={() => this.setState({ activeType: ALL_REACTIONS })}
+        >
+          <TabText>{`${t('All')} ${total}`}</TabText>
+        </Tab>
+        {types.map((type) => (
+          <Tab
+            key={type}
+            active={activeType === type}
+            onPress={() => this.setState({ activeType: type })}
+          >
+            {this.renderIcon(type, 16)}
+            <TabText>{counts[type] || ''}</TabText>
+          </Tab>
+        ))}
+      </Tabs>
+    );
+  };
+
+  renderReaction = ({ item: reaction }) => {
+    const { t } = this.props;
+    const isOwn = this.isOwnReaction(reaction);
+    const user = reaction.user;
+
+    return (
+      <Row
+        disabled={!isOwn || !this.props.handleReaction}
+        onPress={() => this.removeReaction(reaction)}
+      >
+        <Avatar image={user.image} name={user.name || user.id} size={32} />
+        <Details>
+          <Name>{isOwn ? t('You') : user.name || user.id}</Name>
+          {isOwn && this.props.handleReaction ? (
+            <RemoveText>{t('Tap to remove')}</RemoveText>
+          ) : null}
+        </Details>
+        {this.renderIcon(reaction.type, 20)}
+      </Row>
+    );
+  };
+
+  renderEmptyState = () => {
+    const { t } = this.props;
+    const { error, loading } = this.state;
+    if (loading) return <Spinner />;
+
+    return (
+      <EmptyText>
+        {error ? t('Error loading reactions') : t('No reactions yet')}
+      </EmptyText>
+    );
+  };
+
+  render() {
+    const { visible, handleDismiss, t } = this.props;
+    const { activeType, loadingMore } = this.state;
+    const reactions = this.getReactions();
+    if (!visible) return null;
+
+    const data =
+      activeType === ALL_REACTIONS
+        ? reactions
+        : reactions.filter((r) => r.type === activeType);
+
+    return (
+      <Modal
+        visible={visible}
+        transparent
+        animationType="slide"
+        onRequestClose={handleDismiss}
+      >
+        <Backdrop onPress={handleDismiss} activeOpacity={1}>
+          {/* Touches inside the sheet shouldn't reach the backdrop, which dismisses it. */}
+          <Sheet onStartShouldSetResponder={() => true}>
+            <Title>{t('Reactions')}</Title>
+            {this.renderTabs()}
+            <FlatList
+              data={data}
+              renderItem={this.renderReaction}
+              keyExtractor={getReactionKey}
+              ListEmptyComponent={this.renderEmptyState}
+              ListFooterComponent={loadingMore ? <Spinner /> : null}
+              onEndReached={this.loadNextPage}
+              onEndReachedThreshold={0.5}
+            />
+          </Sheet>
+        </Backdrop>
+      </Modal>
+    );
+  }
+}
+
+const ReactionDetailsWithContext = withTranslationContext(
+  themed(ReactionDetails),
+);
+
+export { ReactionDetailsWithContext as ReactionDetails };
@@ -0,0 +1,43 @@
+import React from 'react';
+import { Image, Text } from 'react-native';
+import PropTypes from 'prop-types';
+
+/**
+ * ReactionIcon - Renders the icon of reaction - emoji, or image for custom reactions.
+ * Unknown reaction types are rendered as `:type:`, so that they are not hidden from user.
+ */
+export const ReactionIcon = ({ reaction, type, size, style }) => {
+  if (reaction && reaction.image) {
+    return (
+      <Image
+        source={{ uri: reaction.image }}
+        resizeMode="contain"
+        style={{ width: size, height: size }}
+      />
+    );
+  }
+
+  if (reaction && reaction.icon) {
+    return <Text style={style}>{reaction.icon}</Text>;
+  }
+
+  return (
+    <Text style={[{ fontSize: Math.round(size * 0.6) }, style]}>
+      :{type || (reaction && reaction.id)}:
+    </Text>
+  );
+};
+
+ReactionIcon.propTypes = {
+  /** Reaction object - `{ id, icon, image }` from `supportedReactions` or `ReactionRegistry`. Null if reaction type is unknown. */
+  reaction: PropTypes.object,
+  /** Reaction type */
+  type: PropTypes.string,
+  /** Size of image (for custom reactions) */
+  size: PropTypes.number,
+  style: PropTypes.oneOfType([PropTypes.object, PropTypes.array]),
+};
+
+ReactionIcon.defaultProps = {
+  size: 16,
+};
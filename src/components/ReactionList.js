@@ -126,6 +126,11 @@ export const ReactionList = themed(
        * ]
        */
       supportedReactions: PropTypes.array,
+      /**
+       * Instance of ReactionRegistry. Reactions which are not part of `supportedReactions` are looked up in it.
+       * Reaction types which are unknown to both, are rendered as `:type:`
+       */
+      reactionRegistry: PropTypes.object,
     };
 
     render() {
@@ -135,12 +140,17 @@ export const ReactionList = themed(
         visible,
         alignment,
         supportedReactions,
+        reactionRegistry,
       } = this.props;
       return (
         <TouchableWrapper alignment={alignment} activeOpacity={1}>
           <Container visible={visible}>
             <Reactions>
-              {renderReactions(latestReactions, supportedReactions)}
+              {renderReactions(
+                latestReactions,
+                supportedReactions,
+                reactionRegistry,
+              )}
             </Reactions>
             <ReactionCount reactionCounts={getTotalReactionCount()}>
               {getTotalReactionCount()}
@@ -5,6 +5,8 @@ import PropTypes from 'prop-types';
 
 import styled from '@stream-io/styled-components';
 import { Avatar } from './Avatar';
+import { FullReactionPicker as DefaultFullReactionPicker } from './FullReactionPicker';
+import { ReactionIcon } from './ReactionIcon';
 import { emojiData } from '../utils';
 
 const Container = styled.TouchableOpacity`
@@ -38,6 +40,23 @@ const Emoji = styled.Text`
   ${({ theme }) => theme.message.reactionPicker.emoji.css}
 `;
 
+const FullPickerContainer = styled.TouchableOpacity`
+  flex: 1;
+  align-items: center;
+  justify-content: center;
+  background-color: rgba(0, 0, 0, 0.3);
+  ${({ theme }) => theme.message.reactionPicker.fullPickerContainer.css}
+`;
+
+const MoreButton = styled.Text`
+  color: white;
+  font-size: 20;
+  font-weight: bold;
+  margin-bottom: 5;
+  margin-top: 5;
+  ${({ theme }) => theme.message.reactionPicker.moreButton.css}
+`;
+
 const ReactionCount = styled.Text`
   color: white;
   font-size: 10;
@@ -61,12 +80,23 @@ export const ReactionPicker = themed(
       rpTop: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
       rpRight: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
       supportedReactions: PropTypes.array,
+      /**
+       * Instance of `ReactionRegistry`. If provided, "more" button is shown after supported reactions,
+       * which opens the full reaction picker with all the reactions of registry.
+       */
+      reactionRegistry: PropTypes.object,
+      /** UI component for full reaction picker. Defaults to [FullReactionPicker](#fullreactionpicker) */
+      FullReactionPicker: PropTypes.oneOfType([
+        PropTypes.node,
+        PropTypes.elementType,
+      ]),
     };
 
     static defaultProps = {
       hideReactionCount: false,
       hideReactionOwners: false,
       supportedReactions: emojiData,
+      FullReactionPicker: DefaultFullReactionPicker,
       rpTop: 40,
       rpLeft: 30,
       rpRight: 10,
@@ -74,8 +104,29 @@ export const ReactionPicker = themed(
 
     constructor(props) {
       super(props);
+      this.state = {
+        fullPickerVisible: false,
+      };
+    }
+
+    componentDidUpdate(prevProps) {
+      if (
+        prevProps.reactionPickerVisible &&
+        !this.props.reactionPickerVisible
+      ) {
+        this.setState({ fullPickerVisible: false });
+      }
     }
 
+    openFullPicker = () => {
+      this.setState({ fullPickerVisible: true });
+    };
+
+    handleFullPickerReaction = (type) => {
+      this.props.handleReaction(type);
+      this.props.handleDismiss();
+    };
+
     getUsersPerReaction = (reactions, type) => {
       const filtered =
         reactions && reactions.filter((item) => item.type === type);
@@ -104,6 +155,8 @@ export const ReactionPicker = themed(
         rpTop,
         rpRight,
         supportedReactions,
+        reactionRegistry,
+        FullReactionPicker,
       } = this.props;
 
       if (!reactionPickerVisible) return null;
@@ -124,7 +177,15 @@ export const ReactionPicker = themed(
           onShow={() => {}}
           onRequestClose={handleDismiss}
         >
-          {reactionPickerVisible && (
+          {reactionPickerVisible && this.state.fullPickerVisible && (
+            <FullPickerContainer onPress={handleDismiss} activeOpacity={1}>
+              <FullReactionPicker
+                reactionRegistry={reactionRegistry}
+                handleReaction={this.handleFullPickerReaction}
+              />
+            </FullPickerContainer>
+          )}
+          {reactionPickerVisible && !this.state.fullPickerVisible && (
             <Container
               onPress={handleDismiss}
               leftAlign={Boolean(rpLeft)}
@@ -135,7 +196,8 @@ export const ReactionPicker = themed(
                   ...position,
                 }}
               >
-                {supportedReactions.map(({ id, icon }) => {
+                {supportedReactions.map((reaction) => {
+                  const { id, icon } = reaction;
                   const latestUser = this.getLatestUser(latestReactions, id);
                   const count = reactionCounts && reactionCounts[id];
                   return (
@@ -163,7 +225,11 @@ export const ReactionPicker = themed(
                           handleReaction(id);
                         }}
                       >
-                        {icon}
+                        {icon ? (
+                          icon
+                        ) : (
+                          <ReactionIcon reaction={reaction} size={24} />
+                        )}
                       </Emoji>
                       {!hideReactionCount && (
                         <ReactionCount>{count > 0 ? count : ''}</ReactionCount>
@@ -171,6 +237,15 @@ export const ReactionPicker = themed(
                     </Column>
                   );
                 })}
+                {reactionRegistry && (
+                  <Column>
+                    {!hideReactionOwners && (
+                      <View style={{ height: 18, width: 18 }} />
+                    )}
+                    <MoreButton onPress={this.openFullPicker}>＋</MoreButton>
+                    {!hideReactionCount && <ReactionCount />}
+                  </Column>
+                )}
               </ContainerView>
             </Container>
           )}
@@ -43,6 +43,8 @@ export class ReactionPickerWrapper extends React.PureComponent {
      * TODO: Remove following prop in 1.x.x
      */
     emojiData: PropTypes.array,
+    /** Instance of ReactionRegistry. If provided, reaction picker shows "more" button to open the full reaction picker. */
+    reactionRegistry: PropTypes.object,
     ReactionPicker: PropTypes.oneOfType([
       PropTypes.node,
       PropTypes.elementType,
@@ -50,6 +52,8 @@ export class ReactionPickerWrapper extends React.PureComponent {
     dismissReactionPicker: PropTypes.func,
     reactionPickerVisible: PropTypes.bool,
     openReactionPicker: PropTypes.func,
+    /** Opens the sheet with details of all the reactions. Called on long press */
+    openReactionDetails: PropTypes.func,
     style: PropTypes.any,
   };
 
@@ -108,6 +112,7 @@ export class ReactionPickerWrapper extends React.PureComponent {
       reactionPickerVisible,
       ReactionPicker,
       openReactionPicker,
+      openReactionDetails,
       hideReactionCount,
       hideReactionOwners,
     } = this.props;
@@ -116,6 +121,7 @@ export class ReactionPickerWrapper extends React.PureComponent {
         onPress={() => {
           openReactionPicker();
         }}
+        onLongPress={openReactionDetails}
         ref={(o) => (this.messageContainer = o)}
       >
         {this.props.children}
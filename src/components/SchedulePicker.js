@@ -0,0 +1,168 @@
+import React from 'react';
+import { Modal } from 'react-native';
+import PropTypes from 'prop-types';
+import styled from '@stream-io/styled-components';
+import { themed } from '../styles/theme';
+import { withTranslationContext } from '../context';
+import { getScheduleOptions } from '../utils/MessageScheduler';
+import { pickDateTime } from '../native';
+
+const Backdrop = styled.TouchableOpacity`
+  flex: 1;
+  justify-content: flex-end;
+  background-color: rgba(0, 0, 0, 0.3);
+  ${({ theme }) => theme.schedulePicker.backdrop.css}
+`;
+
+const Sheet = styled.View`
+  padding-top: 10;
+  padding-bottom: 10;
+  border-top-left-radius: 16;
+  border-top-right-radius: 16;
+  background-color: white;
+  ${({ theme }) => theme.schedulePicker.container.css}
+`;
+
+const Title = styled.Text`
+  font-weight: bold;
+  font-size: 16;
+  text-align: center;
+  margin-bottom: 8;
+  ${({ theme }) => theme.schedulePicker.title.css}
+`;
+
+const Option = styled.TouchableOpacity`
+  flex-direction: row;
+  justify-content: space-between;
+  align-items: center;
+  padding: 12px 16px;
+  ${({ theme }) => theme.schedulePicker.option.css}
+`;
+
+const OptionLabel = styled.Text`
+  font-size: 14;
+  ${({ theme }) => theme.schedulePicker.optionLabel.css}
+`;
+
+const OptionTime = styled.Text`
+  font-size: 13;
+  color: #767676;
+  ${({ theme }) => theme.schedulePicker.optionTime.css}
+`;
+
+/**
+ * SchedulePicker - Bottom sheet to choose the time, at which message should be sent.
+ * It offers preset times (e.g., "In 1 hour", "Tomorrow morning") and a custom time, if `pickDateTime` native handler is registered.
+ *
+ * It's opened by long pressing the send button of [MessageInput](#messageinput), and used by
+ * [ScheduledMessages](#scheduledmessages) to reschedule a message.
+ *
+ * @example ./docs/SchedulePicker.md
+ * @extends PureComponent
+ */
+class SchedulePicker extends React.PureComponent {
+  static themePath = 'schedulePicker';
+
+  static propTypes = {
+    /** Set to true to show the sheet */
+    visible: PropTypes.bool,
+    /**
+     * Function called with the chosen time
+     *
+     * @param date Date object
+     */
+    onSchedule: PropTypes.func.isRequired,
+    /** Function to close the sheet */
+    onDismiss: PropTypes.func,
+    /**
+     * Function which returns the preset times - `[{ key, label, date }]`. Labels of default options are translated,
+     * custom labels are rendered as they are. Defaults to `getScheduleOptions` util.
+     *
+     * @param now Current time
+     */
+    getScheduleOptions: PropTypes.func,
+  };
+
+  static defaultProps = {
+    getScheduleOptions,
+  };
+
+  // Labels are translated explicitly (and not as `t(option.label)`), so that they are picked by translation key extraction.
+  getOptionLabel = (option) => {
+    const { t } = this.props;
+    switch (option.key) {
+      case '30m':
+        return t('In 30 minutes');
+      case '1h':
+        return t('In 1 hour');
+      case '3h':
+        return t('In 3 hours');
+      case 'tomorrow':
+        return t('Tomorrow morning');
+      case 'monday':
+        return t('Monday morning');
+      default:
+        return option.label;
+    }
+  };
+
+  pickCustomTime = async () => {
+    const { onSchedule, onDismiss } = this.props;
+    const result = await pickDateTime({ minimumDate: new Date() });
+    if (!result || result.cancelled || !result.date) return;
+
+    onDismiss && onDismiss();
+    onSchedule(result.date);
+  };
+
+  selectOption = (option) => {
+    const { onSchedule, onDismiss } = this.props;
+    onDismiss && onDismiss();
+    onSchedule(option.date);
+  };
+
+  render() {
+    const { visible, onDismiss, t, tDateTimeParser } = this.props;
+    if (!visible) return null;
+
+    const options = this.props.getScheduleOptions(new Date());
+
+    return (
+      <Modal
+        visible={visible}
+        transparent
+        animationType="slide"
+        onRequestClose={onDismiss}
+      >
+        <Backdrop onPress={onDismiss} activeOpacity={1}>
+          {/* Touches inside the sheet shouldn't reach the backdrop, which dismisses it. */}
+          <Sheet onStartShouldSetResponder={() => true}>
+            <Title>{t('Schedule message')}</Title>
+            {options.map((option) => (
+              <Option
+                key={option.key}
+                onPress={() => this.selectOption(option)}
+              >
+                <OptionLabel>{this.getOptionLabel(option)}</OptionLabel>
+                <OptionTime>
+                  {tDateTimeParser(option.date).format('ddd LT')}
+                </OptionTime>
+              </Option>
+            ))}
+            {pickDateTime ? (
+              <Option onPress={this.pickCustomTime}>
+                <OptionLabel>{t('Custom time...')}</OptionLabel>
+              </Option>
+            ) : null}
+          </Sheet>
+        </Backdrop>
+      </Modal>
+    );
+  }
+}
+
+const SchedulePickerWithContext = withTranslationContext(
+  themed(SchedulePicker),
+);
+
+export { SchedulePickerWithContext as SchedulePicker };
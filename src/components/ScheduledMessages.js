@@ -0,0 +1,261 @@
+import React from 'react';
+import { ScrollView } from 'react-native';
+import PropTypes from 'prop-types';
+import styled from '@stream-io/styled-components';
+import { themed } from '../styles/theme';
+import { withChannelContext, withTranslationContext } from '../context';
+import { SchedulePicker as DefaultSchedulePicker } from './SchedulePicker';
+
+const Container = styled.View`
+  border-bottom-width: 1;
+  border-bottom-color: rgba(0, 0, 0, 0.1);
+  background-color: #f5f5f5;
+  ${({ theme }) => theme.scheduledMessages.container.css}
+`;
+
+const Header = styled.TouchableOpacity`
+  flex-direction: row;
+  justify-content: space-between;
+  padding: 8px 10px;
+  ${({ theme }) => theme.scheduledMessages.header.css}
+`;
+
+const HeaderTitle = styled.Text`
+  font-weight: bold;
+  font-size: 13;
+  ${({ theme }) => theme.scheduledMessages.headerTitle.css}
+`;
+
+const Row = styled.View`
+  padding: 8px 10px;
+  border-top-width: 1;
+  border-top-color: rgba(0, 0, 0, 0.05);
+  ${({ theme }) => theme.scheduledMessages.row.css}
+`;
+
+const MessageText = styled.Text`
+  font-size: 14;
+  ${({ theme }) => theme.scheduledMessages.text.css}
+`;
+
+const Input = styled.TextInput`
+  font-size: 14;
+  padding: 4px;
+  background-color: white;
+  ${({ theme }) => theme.scheduledMessages.input.css}
+`;
+
+const Time = styled.Text`
+  margin-top: 2;
+  font-size: 12;
+  color: ${({ failed }) => (failed ? '#ae0000' : '#767676')};
+  ${({ theme }) => theme.scheduledMessages.time.css}
+`;
+
+const Actions = styled.View`
+  flex-direction: row;
+  justify-content: flex-end;
+  margin-top: 4;
+  ${({ theme }) => theme.scheduledMessages.actions.css}
+`;
+
+const Action = styled.TouchableOpacity`
+  margin-left: 16;
+  ${({ theme }) => theme.scheduledMessages.action.css}
+`;
+
+const ActionText = styled.Text`
+  font-size: 13;
+  color: ${({ theme }) => theme.colors.primary};
+  ${({ theme }) => theme.scheduledMessages.actionText.css}
+`;
+
+/**
+ * ScheduledMessages - Tray listing the messages of channel, which are scheduled to be sent later.
+ * Each message can be edited, rescheduled, sent now or cancelled.
+ *
+ * It's rendered by [Channel](#channel) component above its children, when channel has scheduled messages.
+ * Messages are scheduled by long pressing the send button of [MessageInput](#messageinput).
+ *
+ * @example ./docs/ScheduledMessages.md
+ * @extends PureComponent
+ */
+class ScheduledMessages extends React.PureComponent {
+  static themePath = 'scheduledMessages';
+
+  static propTypes = {
+    /** Scheduled messages of channel - `[{ id, cid, message, send_at, failed }]`. Available from [channel context](#channelcontext) */
+    scheduledMessages: PropTypes.array,
+    /** @see See [channel context](#channelcontext) */
+    updateScheduledMessage: PropTypes.func,
+    /** @see See [channel context](#channelcontext) */
+    cancelScheduledMessage: PropTypes.func,
+    /** @see See [channel context](#channelcontext) */
+    sendScheduledMessageNow: PropTypes.func,
+    /**
+     * Custom UI component to pick the new time of message.
+     * Defaults to and accepts same props as: [SchedulePicker](#schedulepicker)
+     */
+    SchedulePicker: PropTypes.oneOfType([
+      PropTypes.node,
+      PropTypes.elementType,
+    ]),
+    /** Maximum height of the expanded list */
+    maxHeight: PropTypes.number,
+  };
+
+  static defaultProps = {
+    scheduledMessages: [],
+    SchedulePicker: DefaultSchedulePicker,
+    maxHeight: 200,
+  };
+
+  constructor(props) {
+    super(props);
+    this.state = {
+      expanded: false,
+      editingId: null,
+      editingText: '',
+      reschedulingId: null,
+    };
+  }
+
+  toggle = () => {
+    this.setState((prevState) => ({ expanded: !prevState.expanded }));
+  };
+
+  startEditing = (entry) => {
+    this.setState({
+      editingId: entry.id,
+      editingText: entry.message.text || '',
+    });
+  };
+
+  stopEditing = () => {
+    this.setState({ editingId: null, editingText: '' });
+  };
+
+  saveEditing = async () => {
+    const { editingId, editingText } = this.state;
+    this.stopEditing();
+
+    try {
+      await this.props.updateScheduledMessage(editingId, {
+        message: { text: editingText },
+      });
+    } catch (e) {
+      console.warn('Failed to update the scheduled message', e);
+    }
+  };
+
+  reschedule = async (id, date) => {
+    try {
+      await this.props.updateScheduledMessage(id, {
+        send_at: date,
+      });
+    } catch (e) {
+      console.warn('Failed to reschedule the message', e);
+    }
+  };
+
+  renderEntry = (entry) => {
+    const {
+      cancelScheduledMessage,
+      sendScheduledMessageNow,
+      t,
+      tDateTimeParser,
+    } = this.props;
+    const { editingId, editingText } = this.state;
+    const isEditing = editingId === entry.id;
+    const { message } = entry;
+
+    return (
+      <Row key={entry.id}>
+        {isEditing ? (
+          <Input
+            value={editingText}
+            onChangeText={(text) => this.setState({ editingText: text })}
+            multiline
+            autoFocus
+          />
+        ) : (
+          <MessageText numberOfLines={2}>
+            {message.text ||
+              (message.attachments && message.attachments.length
+                ? t('🏙 Attachment...')
+                : '')}
+          </MessageText>
+        )}
+        <Time failed={entry.failed}>
+          {entry.failed
+            ? t('Failed to send')
+            : t('Sends {{ time }}', {
+                time: tDateTimeParser(entry.send_at).calendar(),
+              })}
+        </Time>
+        <Actions>
+          {isEditing ? (
+            <>
+              <Action onPress={this.stopEditing}>
+                <ActionText>{t('Cancel')}</ActionText>
+              </Action>
+              <Action onPress={this.saveEditing}>
+                <ActionText>{t('Save')}</ActionText>
+              </Action>
+            </>
+          ) : (
+            <>
+              <Action onPress={() => this.startEditing(entry)}>
+                <ActionText>{t('Edit')}</ActionText>
+              </Action>
+              <Action
+                onPress={() => this.setState({ reschedulingId: entry.id })}
+              >
+                <ActionText>{t('Reschedule')}</ActionText>
+              </Action>
+              <Action onPress={() => sendScheduledMessageNow(entry.id)}>
+                <ActionText>{t('Send now')}</ActionText>
+              </Action>
+              <Action onPress={() => cancelScheduledMessage(entry.id)}>
+                <ActionText>{t('Cancel')}</ActionText>
+              </Action>
+            </>
+          )}
+        </Actions>
+      </Row>
+    );
+  };
+
+  render() {
+    const { scheduledMessages, SchedulePicker, maxHeight, t } = this.props;
+    const { expanded, reschedulingId } = this.state;
+    if (!scheduledMessages.length) return null;
+
+    return (
+      <Container>
+        <Header onPress={this.toggle}>
+          <HeaderTitle>
+            {`${t('Scheduled')} (${scheduledMessages.length})`}
+          </HeaderTitle>
+          <HeaderTitle>{expanded ? '▲' : '▼'}</HeaderTitle>
+        </Header>
+        {expanded ? (
+          <ScrollView style={{ maxHeight }} keyboardShouldPersistTaps="handled">
+            {scheduledMessages.map(this.renderEntry)}
+          </ScrollView>
+        ) : null}
+        <SchedulePicker
+          visible={!!reschedulingId}
+          onSchedule={(date) => this.reschedule(reschedulingId, date)}
+          onDismiss={() => this.setState({ reschedulingId: null })}
+        />
+      </Container>
+    );
+  }
+}
+
+const ScheduledMessagesWithContext = withTranslationContext(
+  withChannelContext(themed(ScheduledMessages)),
+);
+
+export { ScheduledMessagesWithContext as ScheduledMessages };
@@ -31,6 +31,8 @@ export const SendButton = themed(
       editing: PropTypes.oneOfType([PropTypes.object, PropTypes.bool]),
       /** Function that sends message */
       sendMessage: PropTypes.func.isRequired,
+      /** Function called on long press e.g., to schedule the message */
+      onLongPress: PropTypes.func,
       /** Disables the button */
       disabled: PropTypes.bool,
     };
@@ -40,9 +42,14 @@ export const SendButton = themed(
     };
 
     render() {
-      const { sendMessage, editing, title, disabled } = this.props;
+      const { sendMessage, onLongPress, editing, title, disabled } = this.props;
       return (
-        <Container title={title} onPress={sendMessage} disabled={disabled}>
+        <Container
+          title={title}
+          onPress={sendMessage}
+          onLongPress={onLongPress}
+          disabled={disabled}
+        >
           {editing ? (
             <SendButtonIcon source={iconEdit} />
           ) : (
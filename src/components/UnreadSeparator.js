@@ -0,0 +1,67 @@
+import React from 'react';
+import styled from '@stream-io/styled-components';
+import { themed } from '../styles/theme';
+import PropTypes from 'prop-types';
+import { withTranslationContext } from '../context';
+
+const Container = styled.View`
+  display: flex;
+  flex-direction: row;
+  justify-content: center;
+  align-items: center;
+  margin-top: 10;
+  margin-bottom: 10;
+  ${({ theme }) => theme.messageList.unreadSeparator.container.css}
+`;
+
+const Line = styled.View`
+  flex: 1;
+  height: 1;
+  background-color: ${({ theme }) => theme.colors.primary};
+  opacity: 0.5;
+  ${({ theme }) => theme.messageList.unreadSeparator.line.css}
+`;
+
+const Text = styled.Text`
+  margin-left: 5;
+  margin-right: 5;
+  text-align: center;
+  text-transform: uppercase;
+  font-weight: 700;
+  font-size: 10;
+  color: ${({ theme }) => theme.colors.primary};
+  ${({ theme }) => theme.messageList.unreadSeparator.text.css}
+`;
+
+/**
+ * UnreadSeparator - Rendered by [MessageList](#messagelist) above the first message, which was unread when
+ * channel was opened.
+ *
+ * @extends PureComponent
+ * @example ./docs/UnreadSeparator.md
+ */
+class UnreadSeparator extends React.PureComponent {
+  static propTypes = {
+    /** Separator item of message list i.e., `{ type: 'message.unread_separator' }` */
+    message: PropTypes.object,
+  };
+
+  static themePath = 'messageList.unreadSeparator';
+
+  render() {
+    const { t } = this.props;
+
+    return (
+      <Container>
+        <Line />
+        <Text>{t('Unread messages')}</Text>
+        <Line />
+      </Container>
+    );
+  }
+}
+
+const UnreadSeparatorWithContext = withTranslationContext(
+  themed(UnreadSeparator),
+);
+export { UnreadSeparatorWithContext as UnreadSeparator };
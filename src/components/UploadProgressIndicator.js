@@ -29,6 +29,14 @@ const Container = styled.View`
   ${({ theme }) => theme.messageInput.uploadProgressIndicator.container.css};
 `;
 
+const ProgressText = styled.Text`
+  color: white;
+  font-size: 10;
+  font-weight: bold;
+  margin-top: 4;
+  ${({ theme }) => theme.messageInput.uploadProgressIndicator.progressText.css};
+`;
+
 export const UploadProgressIndicator = themed(
   class UploadProgressIndicator extends React.PureComponent {
     static themePath = 'messageInput.uploadProgressIndicator';
@@ -43,10 +51,12 @@ export const UploadProgressIndicator = themed(
         ProgressIndicatorTypes.RETRY,
       ]),
       action: PropTypes.func,
+      /** Progress of upload, between 0 and 1. Percentage is shown under the spinner, if set. */
+      progress: PropTypes.number,
     };
 
     render() {
-      const { active, children, type } = this.props;
+      const { active, children, progress, type } = this.props;
       if (!active) {
         return <View>{children}</View>;
       }
@@ -69,6 +79,11 @@ export const UploadProgressIndicator = themed(
                 }}
               >
                 <ActivityIndicator style={{}} color="white" />
+                {typeof progress === 'number' && (
+                  <ProgressText>{`${Math.round(
+                    progress * 100,
+                  )}%`}</ProgressText>
+                )}
               </View>
             )}
             {type === ProgressIndicatorTypes.RETRY && (
@@ -0,0 +1,240 @@
+import React from 'react';
+import {
+  Linking,
+  Modal,
+  SafeAreaView,
+  TouchableOpacity,
+  View,
+} from 'react-native';
+import PropTypes from 'prop-types';
+import styled from '@stream-io/styled-components';
+
+import { themed } from '../styles/theme';
+import { VideoPlayer } from '../native';
+import { formatDuration, makeImageCompatibleUrl } from '../utils';
+import { AttachmentActions } from './AttachmentActions';
+import { CloseButton } from './CloseButton';
+
+const VIDEO_WIDTH = 240;
+const VIDEO_HEIGHT = 160;
+
+const Container = styled.View`
+  width: ${VIDEO_WIDTH};
+  height: ${VIDEO_HEIGHT};
+  overflow: hidden;
+  background-color: black;
+  border-radius: ${({ groupStyle }) => {
+    if (groupStyle === 'middle' || groupStyle === 'bottom') return 0;
+
+    return 16;
+  }};
+  border-bottom-left-radius: ${({ alignment, groupStyle }) => {
+    if (groupStyle === 'top' || groupStyle === 'middle') return 0;
+
+    return alignment === 'right' ? 16 : 2;
+  }};
+  border-bottom-right-radius: ${({ alignment, groupStyle }) => {
+    if (groupStyle === 'top' || groupStyle === 'middle') return 0;
+
+    return alignment === 'left' ? 16 : 2;
+  }};
+  ${({ theme }) => theme.message.video.container.css}
+`;
+
+const Thumbnail = styled.Image`
+  width: 100%;
+  height: 100%;
+  ${({ theme }) => theme.message.video.thumbnail.css}
+`;
+
+const PlayButtonContainer = styled.View`
+  position: absolute;
+  top: 0;
+  left: 0;
+  right: 0;
+  bottom: 0;
+  align-items: center;
+  justify-content: center;
+`;
+
+const PlayButton = styled.View`
+  width: 44;
+  height: 44;
+  border-radius: 22;
+  align-items: center;
+  justify-content: center;
+  background-color: rgba(0, 0, 0, 0.5);
+  ${({ theme }) => theme.message.video.playButton.css}
+`;
+
+const PlayButtonText = styled.Text`
+  color: white;
+  font-size: 18;
+  ${({ theme }) => theme.message.video.playButtonText.css}
+`;
+
+const DurationBadge = styled.View`
+  position: absolute;
+  right: 8;
+  bottom: 8;
+  padding: 2px;
+  padding-left: 6;
+  padding-right: 6;
+  border-radius: 8;
+  background-color: rgba(0, 0, 0, 0.6);
+  ${({ theme }) => theme.message.video.durationBadge.css}
+`;
+
+const DurationText = styled.Text`
+  color: white;
+  font-size: 11;
+  ${({ theme }) => theme.message.video.durationText.css}
+`;
+
+const FullscreenHeader = styled.View`
+  flex-direction: row;
+  justify-content: flex-end;
+  padding: 10px;
+  ${({ theme }) => theme.message.video.fullscreenHeader.css}
+`;
+
+/**
+ * VideoAttachment - Video attachment with thumbnail and duration badge. Video is played inline or in fullscreen,
+ * using `VideoPlayer` native handler. If handler is not registered, video url is opened instead.
+ *
+ * @example ./docs/VideoAttachment.md
+ * @extends PureComponent
+ */
+class VideoAttachment extends React.PureComponent {
+  static themePath = 'message.video';
+
+  static propTypes = {
+    /** The attachment to render */
+    attachment: PropTypes.object.isRequired,
+    /**
+     * Position of message. 'right' | 'left'
+     * 'right' message belongs with current user while 'left' message belonds to other users.
+     * */
+    alignment: PropTypes.string,
+    /** Handler for actions. Actions in combination with attachments can be used to build [commands](https://getstream.io/chat/docs/#channel_commands). */
+    actionHandler: PropTypes.func,
+    /** Position of message in group - top, bottom, middle, single. */
+    groupStyle: PropTypes.oneOf(['single', 'top', 'middle', 'bottom']),
+    /** Handler for long press event on attachment */
+    onLongPress: PropTypes.func,
+    /** Play the video inside the message, instead of fullscreen */
+    inline: PropTypes.bool,
+  };
+
+  static defaultProps = {
+    inline: false,
+  };
+
+  constructor(props) {
+    super(props);
+    this.state = {
+      playing: false,
+    };
+  }
+
+  play = () => {
+    if (!VideoPlayer) {
+      Linking.openURL(this.props.attachment.asset_url);
+      return;
+    }
+
+    this.setState({ playing: true });
+  };
+
+  stop = () => {
+    this.setState({ playing: false });
+  };
+
+  renderPlayer = (style) => (
+    <VideoPlayer
+      uri={this.props.attachment.asset_url}
+      style={style}
+      paused={false}
+      onEnd={this.stop}
+      onError={(e) => {
+        console.warn(e);
+        this.stop();
+      }}
+    />
+  );
+
+  render() {
+    const {
+      attachment,
+      alignment,
+      groupStyle,
+      inline,
+      onLongPress,
+    } = this.props;
+    const { playing } = this.state;
+    const thumbnail = attachment.thumb_url || attachment.image_url;
+
+    return (
+      <View>
+        <Container alignment={alignment} groupStyle={groupStyle}>
+          {playing && inline ? (
+            this.renderPlayer({ width: '100%', height: '100%' })
+          ) : (
+            <TouchableOpacity
+              onPress={this.play}
+              onLongPress={onLongPress}
+              activeOpacity={0.8}
+            >
+              {thumbnail ? (
+                <Thumbnail
+                  resizeMode="cover"
+                  source={{ uri: makeImageCompatibleUrl(thumbnail) }}
+                />
+              ) : (
+                <View style={{ width: '100%', height: '100%' }} />
+              )}
+              <PlayButtonContainer>
+                <PlayButton>
+                  <PlayButtonText>▶</PlayButtonText>
+                </PlayButton>
+              </PlayButtonContainer>
+              {attachment.duration ? (
+                <DurationBadge>
+                  <DurationText>
+                    {formatDuration(attachment.duration)}
+                  </DurationText>
+                </DurationBadge>
+              ) : null}
+            </TouchableOpacity>
+          )}
+        </Container>
+        {!inline && (
+          <Modal
+            visible={playing}
+            onRequestClose={this.stop}
+            supportedOrientations={['portrait', 'landscape']}
+          >
+            <SafeAreaView style={{ flex: 1, backgroundColor: 'black' }}>
+              <FullscreenHeader>
+                <TouchableOpacity onPress={this.stop}>
+                  <CloseButton />
+                </TouchableOpacity>
+              </FullscreenHeader>
+              {playing && this.renderPlayer({ flex: 1 })}
+            </SafeAreaView>
+          </Modal>
+        )}
+        {attachment.actions && attachment.actions.length > 0 && (
+          <AttachmentActions
+            key={'key-actions-' + attachment.id}
+            {...attachment}
+            actionHandler={this.props.actionHandler}
+          />
+        )}
+      </View>
+    );
+  }
+}
+
+const VideoAttachmentWithTheme = themed(VideoAttachment);
+export { VideoAttachmentWithTheme as VideoAttachment };
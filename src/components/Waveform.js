@@ -0,0 +1,63 @@
+import React from 'react';
+import styled from '@stream-io/styled-components';
+import PropTypes from 'prop-types';
+
+const Container = styled.View`
+  flex-direction: row;
+  align-items: center;
+  height: ${({ height }) => height};
+  ${({ theme }) => theme.waveform.container.css}
+`;
+
+const Bar = styled.View`
+  flex: 1;
+  margin-left: 1;
+  margin-right: 1;
+  border-radius: 1;
+  min-height: 2;
+  height: ${({ level, height }) => Math.max(2, Math.round(level * height))};
+  background-color: ${({ active, theme }) =>
+    active ? theme.colors.primary : theme.colors.textGrey};
+  ${({ active, theme }) =>
+    active ? theme.waveform.activeBar.css : theme.waveform.bar.css}
+`;
+
+/**
+ * Waveform - Bars representing the loudness of audio, used by voice messages.
+ * Bars up to `progress` are highlighted.
+ */
+export const Waveform = ({ levels, progress, height, bars }) => {
+  // Flat waveform, for audio without levels e.g., recorded on platform without metering support.
+  const data = levels && levels.length > 0 ? levels : Array(bars).fill(0);
+
+  return (
+    <Container height={height}>
+      {data.map((level, index) => (
+        <Bar
+          key={index}
+          level={level}
+          height={height}
+          active={index < Math.round(progress * data.length)}
+        />
+      ))}
+    </Container>
+  );
+};
+
+Waveform.propTypes = {
+  /** Loudness levels between 0 and 1 */
+  levels: PropTypes.arrayOf(PropTypes.number),
+  /** Played fraction of audio, between 0 and 1 */
+  progress: PropTypes.number,
+  /** Height of waveform */
+  height: PropTypes.number,
+  /** Number of bars to render, when levels are not available */
+  bars: PropTypes.number,
+};
+
+Waveform.defaultProps = {
+  levels: [],
+  progress: 0,
+  height: 24,
+  bars: 40,
+};
@@ -9,16 +9,35 @@ export { FileUploadPreview } from './FileUploadPreview';
 export { Gallery } from './Gallery';
 export { IconSquare } from './IconSquare';
 export { ImageUploadPreview } from './ImageUploadPreview';
+export { InputUrlPreview } from './InputUrlPreview';
 export { KeyboardCompatibleView } from './KeyboardCompatibleView';
 export { LoadingErrorIndicator } from './LoadingErrorIndicator';
 export { LoadingIndicator } from './LoadingIndicator';
 export { MentionsItem } from './MentionsItem';
 export { Message } from './Message';
 export { MessageNotification } from './MessageNotification';
+export { PinnedMessageList } from './PinnedMessageList';
+export { MessageReadReceipts } from './MessageReadReceipts';
+export { ScheduledMessages } from './ScheduledMessages';
+export { SchedulePicker } from './SchedulePicker';
+export { MessageSearch } from './MessageSearch';
+export { MessageSearchInput } from './MessageSearchInput';
+export { MessageSearchList } from './MessageSearchList';
+export { MessageSearchResult } from './MessageSearchResult';
 export { MessageSystem } from './MessageSystem';
 export { ReactionList } from './ReactionList';
 export { Spinner } from './Spinner';
 export { SuggestionsProvider } from './SuggestionsProvider';
+export { UnreadSeparator } from './UnreadSeparator';
+export { MutedMessage } from './MutedMessage';
+export { AudioAttachment } from './AudioAttachment';
+export { VideoAttachment } from './VideoAttachment';
+export { PollAttachment } from './PollAttachment';
+export { PollComposer } from './PollComposer';
+export { LocationAttachment } from './LocationAttachment';
+export { ContactAttachment } from './ContactAttachment';
+export { AudioRecordButton } from './AudioRecordButton';
+export { Waveform } from './Waveform';
 export { UploadProgressIndicator } from './UploadProgressIndicator';
 export { Attachment } from './Attachment';
 export { AttachmentActions } from './AttachmentActions';
@@ -32,9 +51,15 @@ export * from './MessageSimple';
 export { ChannelList } from './ChannelList';
 export { Thread } from './Thread';
 export { ChannelPreviewMessenger } from './ChannelPreviewMessenger';
+export { ChannelListSectionHeader } from './ChannelListSectionHeader';
+export { ChannelListLoadMore } from './ChannelListLoadMore';
+export { ChannelListSearch } from './ChannelListSearch';
 export { CloseButton } from './CloseButton';
 export { IconBadge } from './IconBadge';
 export { ReactionPicker } from './ReactionPicker';
+export { FullReactionPicker } from './FullReactionPicker';
+export { ReactionIcon } from './ReactionIcon';
+export { ReactionDetails } from './ReactionDetails';
 export { ReactionPickerWrapper } from './ReactionPickerWrapper';
 export { SendButton } from './SendButton';
 export { AttachButton } from './AttachButton';
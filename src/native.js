@@ -7,9 +7,84 @@ export let NetInfo = {
   fetch: fail,
   addEventListener: fail,
 };
+
+/**
+ * Handler to pick images. It's called with `{ multiple, maxFiles }` - when `multiple` is true, handler may let user select
+ * up to `maxFiles` images (no limit if it's undefined).
+ *
+ * `pickImage(options)` resolves to `{ cancelled, images }`, where images is an array of `{ uri, name, width, height }`.
+ * For backwards compatibility, it can also resolve to a single image - `{ cancelled, uri, name, width, height }`.
+ */
 export let pickImage = fail;
 export let pickDocument = fail;
 
+/**
+ * Optional handler to record voice messages. MessageInput doesn't show the record button, unless it's registered.
+ *
+ * `recordAudio({ onProgress })` starts the recording and resolves to an object with following functions:
+ *
+ * - `stop()` Stops the recording and resolves to `{ uri, duration }` (duration in milliseconds)
+ * - `cancel()` Stops the recording and discards it
+ *
+ * `onProgress` should be called periodically with `{ duration, level }`, where `level` is the current
+ * loudness between 0 and 1 (used to draw the waveform).
+ */
+export let recordAudio = null;
+
+/**
+ * Optional handler to play audio attachments. AudioAttachment opens the audio url (e.g., in browser), unless it's registered.
+ *
+ * `createAudioPlayer(uri, onStatusUpdate)` loads the audio and resolves to an object with following functions:
+ * `play()`, `pause()`, `seekTo(position)` and `unload()`.
+ *
+ * `onStatusUpdate` should be called with `{ isPlaying, position, duration, didJustFinish }` (position and duration in milliseconds).
+ */
+export let createAudioPlayer = null;
+
+/**
+ * Optional handler to pick a video. MessageInput doesn't show the option to upload video, unless it's registered.
+ *
+ * `pickVideo()` resolves to `{ cancelled, uri, name, duration }` (duration in seconds).
+ */
+export let pickVideo = null;
+
+/**
+ * Optional component to play video attachments. VideoAttachment opens the video url (e.g., in browser), unless it's registered.
+ * It receives props - `uri`, `style`, `paused`, `onEnd` and `onError`, and should render the video with native controls.
+ */
+export let VideoPlayer = null;
+
+/**
+ * Optional handler to pick date and time, e.g., for scheduled messages. Only preset times are offered, unless it's registered.
+ *
+ * `pickDateTime({ minimumDate })` resolves to `{ cancelled, date }`.
+ */
+export let pickDateTime = null;
+
+/**
+ * Optional handler to get the location of device. MessageInput doesn't show the options to share location, unless it's registered.
+ *
+ * `shareLocation({ live, onUpdate })` resolves to `{ cancelled, latitude, longitude, accuracy, stop }`.
+ * When `live` is true, `onUpdate` should be called with `{ latitude, longitude, accuracy }` whenever location changes,
+ * until `stop()` is called.
+ */
+export let shareLocation = null;
+
+/**
+ * Optional handler to pick a contact from address book. MessageInput doesn't show the option to share contact, unless it's registered.
+ *
+ * `pickContact()` resolves to `{ cancelled, name, phones, emails, organization, image }`,
+ * where phones and emails are arrays of `{ label, value }` (label being e.g., 'mobile' or 'work').
+ */
+export let pickContact = null;
+
+/**
+ * Optional handler to edit (crop/rotate) an image before it's uploaded. Images are uploaded as they are, unless it's registered.
+ *
+ * `editImage(image)` is called with `{ uri, name, width, height }` and resolves to `{ cancelled, uri, width, height }`.
+ */
+export let editImage = null;
+
 export const registerNativeHandlers = (handlers) => {
   if (handlers.NetInfo) {
     NetInfo = handlers.NetInfo;
@@ -22,4 +97,36 @@ export const registerNativeHandlers = (handlers) => {
   if (handlers.pickDocument) {
     pickDocument = handlers.pickDocument;
   }
+
+  if (handlers.recordAudio) {
+    recordAudio = handlers.recordAudio;
+  }
+
+  if (handlers.createAudioPlayer) {
+    createAudioPlayer = handlers.createAudioPlayer;
+  }
+
+  if (handlers.pickVideo) {
+    pickVideo = handlers.pickVideo;
+  }
+
+  if (handlers.VideoPlayer) {
+    VideoPlayer = handlers.VideoPlayer;
+  }
+
+  if (handlers.pickDateTime) {
+    pickDateTime = handlers.pickDateTime;
+  }
+
+  if (handlers.shareLocation) {
+    shareLocation = handlers.shareLocation;
+  }
+
+  if (handlers.pickContact) {
+    pickContact = handlers.pickContact;
+  }
+
+  if (handlers.editImage) {
+    editImage = handlers.editImage;
+  }
 };
@@ -31,10 +31,13 @@ export const defaultTheme = {
   },
 
   channelPreview: {
-    container: {},
+    container: {
+      mutedOpacity: 0.5,
+    },
     details: {},
     detailsTop: {},
     title: {},
+    mutedIcon: {},
     date: {},
     message: {
       color: '#767676',
@@ -42,6 +45,43 @@ export const defaultTheme = {
       fontWeight: 'normal',
       unreadFontWeight: 'bold',
     },
+    // Used instead of `message`, when `highlight` prop is set. Words of search term are rendered as `strong` text.
+    // Available options for styling text: https://github.com/CharlesMangwa/react-native-simple-markdown/tree/next#styles-1
+    markdown: {},
+    draft: {},
+    swipeContainer: {},
+    swipeableRow: {},
+    swipeActions: {},
+    swipeActionButton: {},
+    swipeActionButtonText: {},
+    actionSheet: {
+      titleContainer: {},
+      titleText: {},
+      buttonContainer: {},
+      buttonText: {},
+      cancelButtonContainer: {},
+      cancelButtonText: {},
+    },
+  },
+
+  channelListSearch: {
+    container: {},
+    inputContainer: {},
+    input: {},
+    quickFilters: {},
+    quickFilter: {},
+    quickFilterText: {},
+  },
+
+  channelListSectionHeader: {
+    container: {},
+    title: {},
+    count: {},
+  },
+
+  channelListLoadMore: {
+    container: {},
+    title: {},
   },
 
   closeButton: {
@@ -60,7 +100,9 @@ export const defaultTheme = {
   },
 
   message: {
-    container: {},
+    container: {
+      highlightedBackgroundColor: '#FBF4DD',
+    },
     content: {
       container: {
         borderRadiusL: 16,
@@ -104,6 +146,15 @@ export const defaultTheme = {
       messageRepliesText: {},
       image: {},
     },
+    quotedMessage: {
+      container: {},
+      userName: {},
+      text: {},
+    },
+    pinnedIndicator: {
+      container: {},
+      text: {},
+    },
     file: {
       container: {},
       details: {},
@@ -111,6 +162,64 @@ export const defaultTheme = {
       size: {},
       icon: {},
     },
+    audio: {
+      container: {},
+      playButton: {},
+      playButtonText: {},
+      details: {},
+      duration: {},
+    },
+    video: {
+      container: {},
+      thumbnail: {},
+      playButton: {},
+      playButtonText: {},
+      durationBadge: {},
+      durationText: {},
+      fullscreenHeader: {},
+    },
+    poll: {
+      container: {},
+      question: {},
+      subtitle: {},
+      option: {},
+      optionHeader: {},
+      checkbox: {},
+      optionText: {},
+      optionVotes: {},
+      bar: {},
+      barFill: {},
+      voters: {},
+      footer: {},
+      footerText: {},
+      closeButton: {},
+      closeButtonText: {},
+    },
+    location: {
+      container: {},
+      map: {},
+      mapImage: {},
+      pin: {},
+      details: {},
+      title: {},
+      coordinates: {},
+      footer: {},
+      status: {},
+      stopButton: {},
+      stopButtonText: {},
+    },
+    contact: {
+      container: {},
+      header: {},
+      headerDetails: {},
+      name: {},
+      organization: {},
+      row: {},
+      rowLabel: {},
+      rowValue: {},
+      openChatButton: {},
+      openChatButtonText: {},
+    },
     actions: {
       container: {},
       button: {
@@ -148,6 +257,10 @@ export const defaultTheme = {
         container: {},
         button: {},
       },
+      caption: {
+        container: {},
+        text: {},
+      },
     },
     reactionList: {
       container: {},
@@ -161,6 +274,31 @@ export const defaultTheme = {
       emoji: {},
       reactionCount: {},
       text: {},
+      moreButton: {},
+      fullPickerContainer: {},
+    },
+    fullReactionPicker: {
+      container: {},
+      searchInput: {},
+      row: {},
+      skinTone: {},
+      tab: {},
+      tabIcon: {},
+      emoji: {},
+      emptyText: {},
+    },
+    reactionDetails: {
+      backdrop: {},
+      container: {},
+      title: {},
+      tabs: {},
+      tab: {},
+      tabText: {},
+      row: {},
+      details: {},
+      name: {},
+      removeText: {},
+      emptyText: {},
     },
     actionSheet: {
       titleContainer: {},
@@ -184,20 +322,45 @@ export const defaultTheme = {
     editingBoxContainer: {},
     editingBoxHeader: {},
     editingBoxHeaderTitle: {},
+    quotedMessageContainer: {},
+    quotedMessageDetails: {},
+    quotedMessageTitle: {},
+    quotedMessageText: {},
     attachButton: {},
     attachButtonIcon: {},
     sendButton: {},
     sendButtonIcon: {},
+    audioRecordButton: {},
+    audioRecordButtonIcon: {},
+    recordingContainer: {},
+    recordingIndicator: {},
+    recordingDuration: {},
+    recordingWaveform: {},
     imageUploadPreview: {
       container: {},
       itemContainer: {},
+      item: {},
       dismiss: {},
       dismissImage: {},
       upload: {},
+      captionContainer: {},
+      captionInput: {},
+      editButton: {},
+      editButtonText: {},
     },
     uploadProgressIndicator: {
       overlay: {},
       container: {},
+      progressText: {},
+    },
+    urlPreview: {
+      container: {},
+      thumbnail: {},
+      details: {},
+      title: {},
+      description: {},
+      dismiss: {},
+      dismissImage: {},
     },
 
     suggestions: {
@@ -250,6 +413,17 @@ export const defaultTheme = {
       textContainer: {},
       dateText: {},
     },
+    unreadSeparator: {
+      container: {},
+      line: {},
+      text: {},
+    },
+    mutedMessage: {
+      container: {},
+      text: {},
+      button: {},
+      buttonText: {},
+    },
     eventIndicator: {
       date: {},
       memberUpdateContainer: {},
@@ -259,6 +433,78 @@ export const defaultTheme = {
     typingIndicatorContainer: {},
   },
 
+  messageReadReceipts: {
+    container: {},
+    header: {},
+    headerTitle: {},
+    sectionTitle: {},
+    row: {},
+    name: {},
+    timestamp: {},
+    emptyText: {},
+  },
+  schedulePicker: {
+    backdrop: {},
+    container: {},
+    title: {},
+    option: {},
+    optionLabel: {},
+    optionTime: {},
+  },
+  scheduledMessages: {
+    container: {},
+    header: {},
+    headerTitle: {},
+    row: {},
+    text: {},
+    input: {},
+    time: {},
+    actions: {},
+    action: {},
+    actionText: {},
+  },
+  pollComposer: {
+    backdrop: {},
+    container: {},
+    title: {},
+    section: {},
+    label: {},
+    input: {},
+    optionRow: {},
+    removeOption: {},
+    removeOptionText: {},
+    settingRow: {},
+    settingText: {},
+    closeOptions: {},
+    closeOption: {},
+    closeOptionText: {},
+    actions: {},
+    action: {},
+    actionText: {},
+  },
+  pinnedMessageList: {
+    container: {},
+  },
+
+  messageSearch: {
+    input: {
+      container: {},
+      input: {},
+    },
+    list: {
+      container: {},
+      footer: {},
+    },
+    result: {
+      container: {},
+      details: {},
+      detailsTop: {},
+      title: {},
+      date: {},
+      emptyText: {},
+    },
+  },
+
   spinner: {},
 
   thread: {
@@ -267,6 +513,12 @@ export const defaultTheme = {
     },
   },
 
+  waveform: {
+    container: {},
+    bar: {},
+    activeBar: {},
+  },
+
   typingIndicator: {
     text: {
       fontSize: 14,
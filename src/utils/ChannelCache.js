@@ -0,0 +1,217 @@
+import Immutable from 'seamless-immutable';
+import { MemoryStorage } from './MemoryStorage';
+
+// Simple string hash, to keep the storage keys (e.g., file names) short.
+const hash = (string) => {
+  let h = 5381;
+  for (let i = 0; i < string.length; i++) {
+    h = (h * 33) ^ string.charCodeAt(i);
+  }
+
+  return (h >>> 0).toString(36);
+};
+
+/**
+ * ChannelCache - Keeps the state of channels (messages, members, read state) and channel lists
+ * from the last session, so that `Channel` and `ChannelList` can render immediately, while the
+ * latest state is being fetched from server.
+ *
+ * State is stored in the same format as API response of channel query, using the storage
+ * adapter - `MemoryStorage` (default), `FileStorage` or AsyncStorage. It's stored per user, so that
+ * another user logged in on the same device doesn't see it. Call `clear` on logout to remove it.
+ *
+ * ```
+ * const cache = new ChannelCache({ storage: AsyncStorage });
+ * <Chat client={chatClient} cache={cache}>
+ *  ...
+ * </Chat>
+ *
+ * // on logout
+ * await cache.clear(chatClient.userID);
+ * ```
+ */
+export class ChannelCache {
+  /**
+   * @param {object} options
+   * @param {object} options.storage Storage adapter with AsyncStorage compatible interface - getItem, setItem, removeItem
+   * @param {string} options.keyPrefix Prefix for all the keys stored in storage
+   * @param {number} options.messageLimit Number of latest messages to keep per channel
+   */
+  constructor({
+    storage = new MemoryStorage(),
+    keyPrefix = 'stream-chat-cache',
+    messageLimit = 50,
+  } = {}) {
+    this.storage = storage;
+    this.keyPrefix = keyPrefix;
+    this.messageLimit = messageLimit;
+    // Promises of the lists of keys stored per user, by user id.
+    this.userKeys = {};
+  }
+
+  getChannelKey(userID, cid) {
+    return `${this.keyPrefix}:${userID}:channel:${cid}`;
+  }
+
+  getChannelListKey(userID, filters, sort) {
+    return `${this.keyPrefix}:${userID}:channel-list:${hash(
+      JSON.stringify({ filters, sort }),
+    )}`;
+  }
+
+  // Storage adapters can't list their keys, so keys stored for user are kept in separate item, to be able to clear them.
+  getUserKeysKey(userID) {
+    return `${this.keyPrefix}:${userID}:keys`;
+  }
+
+  loadUserKeys(userID) {
+    if (!this.userKeys[userID]) {
+      this.userKeys[userID] = this.getItem(this.getUserKeysKey(userID)).then(
+        (keys) => keys || [],
+      );
+    }
+
+    return this.userKeys[userID];
+  }
+
+  async addUserKey(userID, key) {
+    const keys = await this.loadUserKeys(userID);
+    if (keys.indexOf(key) > -1) return;
+
+    keys.push(key);
+    await this.setItem(this.getUserKeysKey(userID), keys);
+  }
+
+  /**
+   * Removes everything cached for the user e.g., on logout.
+   *
+   * @param {string} userID Id of the user
+   */
+  async clear(userID) {
+    const keys = await this.loadUserKeys(userID);
+    delete this.userKeys[userID];
+
+    await Promise.all(
+      [...keys, this.getUserKeysKey(userID)].map(async (key) => {
+        try {
+          await this.storage.removeItem(key);
+        } catch (e) {
+          console.warn('Failed to remove from cache', e);
+        }
+      }),
+    );
+  }
+
+  async getItem(key) {
+    try {
+      const value = await this.storage.getItem(key);
+      return value ? JSON.parse(value) : null;
+    } catch (e) {
+      console.warn('Failed to read from cache', e);
+      return null;
+    }
+  }
+
+  async setItem(key, value) {
+    try {
+      await this.storage.setItem(key, JSON.stringify(value));
+    } catch (e) {
+      console.warn('Failed to write to cache', e);
+    }
+  }
+
+  /**
+   * Converts the state of channel to the format of channel query response.
+   * Only regular messages are kept, since ephemeral/error messages and messages which are
+   * still being sent, are not something we want to show in next session.
+   */
+  serializeChannel(channel) {
+    const messages = channel.state.messages.filter(
+      (message) => message.type === 'regular' && message.status === 'received',
+    );
+
+    return {
+      channel: channel.data,
+      messages: messages.slice(-this.messageLimit),
+      members: Object.values(channel.state.members),
+      // Read state of current user may be set to plain date, before its received from server.
+      read: Object.values(channel.state.read).filter(
+        (read) => read && read.user,
+      ),
+      membership: channel.state.membership,
+      watcher_count: channel.state.watcher_count,
+    };
+  }
+
+  /** Returns the cached state of channel for the user, or null if there is nothing in cache. */
+  getChannelState(userID, cid) {
+    return this.getItem(this.getChannelKey(userID, cid));
+  }
+
+  async setChannelState(userID, channel) {
+    const key = this.getChannelKey(userID, channel.cid);
+    await this.addUserKey(userID, key);
+    await this.setItem(key, this.serializeChannel(channel));
+  }
+
+  /** Returns the list of cached channel states for the user, for given query */
+  async getChannelList(userID, filters, sort) {
+    const cids = await this.getItem(
+      this.getChannelListKey(userID, filters, sort),
+    );
+    if (!cids) return null;
+
+    const states = await Promise.all(
+      cids.map((cid) => this.getChannelState(userID, cid)),
+    );
+    return states.filter((state) => !!state);
+  }
+
+  async setChannelList(userID, filters, sort, channels) {
+    await Promise.all(
+      channels.map((channel) => this.setChannelState(userID, channel)),
+    );
+    const key = this.getChannelListKey(userID, filters, sort);
+    await this.addUserKey(userID, key);
+    await this.setItem(
+      key,
+      channels.map((channel) => channel.cid),
+    );
+  }
+
+  /**
+   * Loads the cached state into channel object, unless channel already has some state
+   * (e.g., its already initialized from server).
+   *
+   * @param {object} channel Channel object
+   * @param {object} state State received from `getChannelState` or `getChannelList`
+   * @returns {object} Channel object
+   */
+  restoreChannel(channel, state) {
+    if (channel.initialized || channel.state.messages.length > 0) {
+      return channel;
+    }
+
+    const client = channel.getClient();
+    if (state.channel.config && !client.configs[channel.type]) {
+      client.configs[channel.type] = state.channel.config;
+    }
+
+    const members = {};
+    state.members.forEach((member) => {
+      members[member.user.id] = member;
+    });
+    const read = {};
+    state.read.forEach((r) => {
+      read[r.user.id] = { ...r, last_read: new Date(r.last_read) };
+    });
+
+    channel.data = state.channel;
+    channel.state.addMessagesSorted(state.messages);
+    channel.state.members = Immutable(members);
+    channel.state.read = Immutable(read);
+    channel.state.membership = Immutable(state.membership || {});
+    channel.state.watcher_count = state.watcher_count;
+    return channel;
+  }
+}
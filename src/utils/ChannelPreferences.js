@@ -0,0 +1,173 @@
+import { MemoryStorage } from './MemoryStorage';
+
+const EMPTY_PREFERENCES = { pinned: [], archived: [] };
+
+/**
+ * ChannelPreferences - Keeps the user level preferences of channels, which are not stored on server -
+ * channels pinned to the top of `ChannelList`, and archived channels.
+ *
+ * Preferences are kept per user (so that multiple users can share the device), and persisted using the
+ * storage adapter (in-memory by default). Provide a persistent adapter (e.g., AsyncStorage) to keep them across app restarts.
+ *
+ * ```
+ * const channelPreferences = new ChannelPreferences({ storage: AsyncStorage });
+ * <Chat client={chatClient} channelPreferences={channelPreferences}>
+ *  ...
+ * </Chat>
+ * ```
+ */
+export class ChannelPreferences {
+  preferences = {};
+  listeners = [];
+
+  /**
+   * @param {object} options
+   * @param {object} options.storage Storage adapter with AsyncStorage compatible interface - getItem, setItem, removeItem
+   * @param {string} options.storageKey Key under which the preferences are persisted
+   */
+  constructor({
+    storage = new MemoryStorage(),
+    storageKey = 'stream-chat-channel-preferences',
+  } = {}) {
+    this.storage = storage;
+    this.storageKey = storageKey;
+  }
+
+  /**
+   * Loads the persisted preferences from storage. Its safe to call this function multiple times,
+   * storage is only read once.
+   */
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = this._load();
+    }
+
+    return this.loadPromise;
+  }
+
+  _load = async () => {
+    let persisted = {};
+    try {
+      const value = await this.storage.getItem(this.storageKey);
+      persisted = value ? JSON.parse(value) : {};
+    } catch (e) {
+      console.warn('Failed to restore the channel preferences from storage', e);
+    }
+
+    // Keep the preferences which were changed while we were reading the storage.
+    this.preferences = { ...persisted, ...this.preferences };
+    this.emit({ type: 'channelPreferences.changed' });
+
+    return this.preferences;
+  };
+
+  persist = async () => {
+    try {
+      await this.storage.setItem(
+        this.storageKey,
+        JSON.stringify(this.preferences),
+      );
+    } catch (e) {
+      console.warn('Failed to persist the channel preferences to storage', e);
+    }
+  };
+
+  get(userId) {
+    return this.preferences[userId] || EMPTY_PREFERENCES;
+  }
+
+  update(userId, cid, changes) {
+    this.preferences = {
+      ...this.preferences,
+      [userId]: { ...this.get(userId), ...changes },
+    };
+    this.emit({ type: 'channelPreferences.changed', userId, cid });
+
+    return this.persist();
+  }
+
+  /** Returns the cids of channels pinned by user, most recently pinned first */
+  getPinnedChannels(userId) {
+    return this.get(userId).pinned;
+  }
+
+  /** Returns the cids of channels archived by user, most recently archived first */
+  getArchivedChannels(userId) {
+    return this.get(userId).archived;
+  }
+
+  isPinned(userId, cid) {
+    return this.getPinnedChannels(userId).indexOf(cid) > -1;
+  }
+
+  isArchived(userId, cid) {
+    return this.getArchivedChannels(userId).indexOf(cid) > -1;
+  }
+
+  /** Pins the channel to the top of list. Archived channel is unarchived. */
+  pin(userId, cid) {
+    const { pinned, archived } = this.get(userId);
+
+    return this.update(userId, cid, {
+      pinned: [cid, ...pinned.filter((c) => c !== cid)],
+      archived: archived.filter((c) => c !== cid),
+    });
+  }
+
+  unpin(userId, cid) {
+    if (!this.isPinned(userId, cid)) return Promise.resolve();
+
+    return this.update(userId, cid, {
+      pinned: this.getPinnedChannels(userId).filter((c) => c !== cid),
+    });
+  }
+
+  /** Moves the channel to archived channels. Pinned channel is unpinned. */
+  archive(userId, cid) {
+    const { pinned, archived } = this.get(userId);
+
+    return this.update(userId, cid, {
+      pinned: pinned.filter((c) => c !== cid),
+      archived: [cid, ...archived.filter((c) => c !== cid)],
+    });
+  }
+
+  unarchive(userId, cid) {
+    if (!this.isArchived(userId, cid)) return Promise.resolve();
+
+    return this.update(userId, cid, {
+      archived: this.getArchivedChannels(userId).filter((c) => c !== cid),
+    });
+  }
+
+  /** Removes the channel from preferences, e.g., when it's deleted or user leaves it */
+  remove(userId, cid) {
+    if (!this.isPinned(userId, cid) && !this.isArchived(userId, cid)) {
+      return Promise.resolve();
+    }
+
+    const { pinned, archived } = this.get(userId);
+    return this.update(userId, cid, {
+      pinned: pinned.filter((c) => c !== cid),
+      archived: archived.filter((c) => c !== cid),
+    });
+  }
+
+  /**
+   * Listener is called with event object - `{ type: 'channelPreferences.changed', userId, cid }`.
+   * `userId` and `cid` are undefined when preferences are restored from storage.
+   *
+   * @returns {function} Function to unsubscribe the listener
+   */
+  subscribe(listener) {
+    this.listeners = [...this.listeners, listener];
+
+    return () => {
+      this.listeners = this.listeners.filter((l) => l !== listener);
+    };
+  }
+
+  emit(event) {
+    this.listeners.forEach((listener) => listener(event));
+  }
+}
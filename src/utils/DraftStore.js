@@ -0,0 +1,150 @@
+import { MemoryStorage } from './MemoryStorage';
+
+/** Returns the key, under which draft of channel (or thread, if parentId is provided) is stored */
+export const getDraftKey = (cid, parentId) =>
+  parentId ? `${cid}/${parentId}` : cid;
+
+/** Returns true if draft has no text and no attachments */
+export const isDraftEmpty = (draft) =>
+  !draft ||
+  ((!draft.text || !draft.text.trim()) &&
+    (!draft.imageUploads || draft.imageUploads.length === 0) &&
+    (!draft.fileUploads || draft.fileUploads.length === 0));
+
+/**
+ * DraftStore - Keeps the unsent messages (drafts) of `MessageInput`, per channel and per thread.
+ * When user leaves a channel (or closes a thread), whatever they typed is saved as draft, and restored
+ * when they come back.
+ *
+ * Draft is an object - `{ text, mentioned_users, imageUploads, fileUploads, updated_at }`.
+ * Drafts are persisted using the storage adapter (in-memory by default), so if you provide a persistent
+ * adapter (e.g., AsyncStorage) they will survive app restarts.
+ *
+ * ```
+ * const drafts = new DraftStore({ storage: AsyncStorage });
+ * <Chat client={chatClient} drafts={drafts}>
+ *  ...
+ * </Chat>
+ * ```
+ */
+export class DraftStore {
+  drafts = {};
+  listeners = [];
+
+  /**
+   * @param {object} options
+   * @param {object} options.storage Storage adapter with AsyncStorage compatible interface - getItem, setItem, removeItem
+   * @param {string} options.storageKey Key under which the drafts are persisted
+   */
+  constructor({
+    storage = new MemoryStorage(),
+    storageKey = 'stream-chat-drafts',
+  } = {}) {
+    this.storage = storage;
+    this.storageKey = storageKey;
+  }
+
+  /**
+   * Loads the persisted drafts from storage. Its safe to call this function multiple times,
+   * storage is only read once.
+   */
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = this._load();
+    }
+
+    return this.loadPromise;
+  }
+
+  _load = async () => {
+    let persisted = {};
+    try {
+      const value = await this.storage.getItem(this.storageKey);
+      persisted = value ? JSON.parse(value) : {};
+    } catch (e) {
+      console.warn('Failed to restore the drafts from storage', e);
+    }
+
+    // Keep the drafts which were saved while we were reading the storage.
+    this.drafts = { ...persisted, ...this.drafts };
+    this.emit({ type: 'drafts.changed' });
+
+    return this.drafts;
+  };
+
+  persist = async () => {
+    try {
+      await this.storage.setItem(this.storageKey, JSON.stringify(this.drafts));
+    } catch (e) {
+      console.warn('Failed to persist the drafts to storage', e);
+    }
+  };
+
+  /**
+   * Returns the draft of channel, or of thread if parentId is provided. Returns null if there is no draft.
+   *
+   * @param {string} cid Cid of the channel
+   * @param {string} parentId Id of the parent message of thread
+   */
+  get(cid, parentId) {
+    return this.drafts[getDraftKey(cid, parentId)] || null;
+  }
+
+  /**
+   * Saves the draft of channel (or thread). Empty draft removes the existing draft.
+   *
+   * @param {string} cid Cid of the channel
+   * @param {string} parentId Id of the parent message of thread. Undefined for draft of channel.
+   * @param {object} draft `{ text, mentioned_users, imageUploads, fileUploads }`
+   */
+  set(cid, parentId, draft) {
+    if (isDraftEmpty(draft)) return this.remove(cid, parentId);
+
+    this.drafts = {
+      ...this.drafts,
+      [getDraftKey(cid, parentId)]: {
+        ...draft,
+        updated_at: new Date().toISOString(),
+      },
+    };
+    this.emit({ type: 'drafts.changed', cid, parentId });
+
+    return this.persist();
+  }
+
+  /**
+   * Removes the draft of channel (or thread).
+   *
+   * @param {string} cid Cid of the channel
+   * @param {string} parentId Id of the parent message of thread. Undefined for draft of channel.
+   */
+  remove(cid, parentId) {
+    const key = getDraftKey(cid, parentId);
+    if (!this.drafts[key]) return Promise.resolve();
+
+    const drafts = { ...this.drafts };
+    delete drafts[key];
+    this.drafts = drafts;
+    this.emit({ type: 'drafts.changed', cid, parentId });
+
+    return this.persist();
+  }
+
+  /**
+   * Listener is called with event object - `{ type: 'drafts.changed', cid, parentId }`.
+   * `cid` is undefined when drafts are restored from storage.
+   *
+   * @returns {function} Function to unsubscribe the listener
+   */
+  subscribe(listener) {
+    this.listeners = [...this.listeners, listener];
+
+    return () => {
+      this.listeners = this.listeners.filter((l) => l !== listener);
+    };
+  }
+
+  emit(event) {
+    this.listeners.forEach((listener) => listener(event));
+  }
+}
@@ -0,0 +1,58 @@
+/**
+ * FileStorage - Storage adapter which keeps every item in a separate JSON file.
+ * It follows the interface of AsyncStorage (getItem, setItem, removeItem), so it can be used
+ * wherever a storage adapter is accepted (e.g., `ChannelCache`, `Outbox`).
+ *
+ * File system functions are injected, so that you can use the file system library of your choice.
+ * e.g., with [react-native-fs](https://github.com/itinance/react-native-fs)
+ *
+ * ```
+ * import RNFS from 'react-native-fs';
+ *
+ * const storage = new FileStorage({
+ *   directory: RNFS.DocumentDirectoryPath,
+ *   readFile: (path) => RNFS.readFile(path, 'utf8'),
+ *   writeFile: (path, content) => RNFS.writeFile(path, content, 'utf8'),
+ *   deleteFile: (path) => RNFS.unlink(path),
+ * });
+ * ```
+ */
+export class FileStorage {
+  constructor({ directory, readFile, writeFile, deleteFile }) {
+    if (!directory || !readFile || !writeFile || !deleteFile) {
+      throw Error(
+        'FileStorage requires directory, readFile, writeFile and deleteFile',
+      );
+    }
+
+    this.directory = directory;
+    this.readFile = readFile;
+    this.writeFile = writeFile;
+    this.deleteFile = deleteFile;
+  }
+
+  getPath(key) {
+    return `${this.directory}/${encodeURIComponent(key)}.json`;
+  }
+
+  async getItem(key) {
+    try {
+      return await this.readFile(this.getPath(key));
+    } catch (e) {
+      // File doesn't exist (yet)
+      return null;
+    }
+  }
+
+  async setItem(key, value) {
+    await this.writeFile(this.getPath(key), value);
+  }
+
+  async removeItem(key) {
+    try {
+      await this.deleteFile(this.getPath(key));
+    } catch (e) {
+      // File doesn't exist, so nothing to remove.
+    }
+  }
+}
@@ -0,0 +1,223 @@
+import uuidv4 from 'uuid/v4';
+
+export const LOCATION_ATTACHMENT_TYPE = 'location';
+
+// setTimeout overflows for delays longer than ~24.8 days.
+const MAX_TIMEOUT = 2147483647;
+
+const getCoords = ({ latitude, longitude, accuracy }) => {
+  const coords = { latitude, longitude };
+  if (accuracy !== undefined && accuracy !== null) coords.accuracy = accuracy;
+  return coords;
+};
+
+/**
+ * Builds the location attachment, which is sent with the message.
+ *
+ * @param {object} location `{ latitude, longitude, accuracy }`
+ * @param {object} options
+ * @param {boolean} options.live True for live location, which is updated until it's stopped or expires
+ * @param {number} options.duration Duration of live location in milliseconds
+ * @param {Date} options.now
+ */
+export const createLocationAttachment = (
+  location,
+  { live = false, duration = 15 * 60 * 1000, now = new Date() } = {},
+) => {
+  const attachment = {
+    type: LOCATION_ATTACHMENT_TYPE,
+    ...getCoords(location),
+    updated_at: now.toISOString(),
+  };
+
+  if (live) {
+    attachment.live = true;
+    // Identifies the sharing session, so that it can be stopped from the attachment.
+    attachment.live_id = uuidv4();
+    attachment.live_until = new Date(now.getTime() + duration).toISOString();
+  }
+
+  return attachment;
+};
+
+/** Returns true if location attachment is live, and it hasn't been stopped or expired yet */
+export const isLiveLocationActive = (attachment, now = new Date()) =>
+  !!attachment.live &&
+  !attachment.stopped_at &&
+  !!attachment.live_until &&
+  new Date(attachment.live_until) > now;
+
+/** Returns the location attachment of message, or null if message doesn't have one */
+export const getLocationAttachment = (message) => {
+  if (!message || !message.attachments) return null;
+  return (
+    message.attachments.find((a) => a.type === LOCATION_ATTACHMENT_TYPE) || null
+  );
+};
+
+/** Returns a copy of message, with location attachment replaced by given attachment */
+export const setLocationAttachment = (message, attachment) => ({
+  ...message,
+  attachments: message.attachments.map((a) =>
+    a.type === LOCATION_ATTACHMENT_TYPE ? attachment : a,
+  ),
+});
+
+/**
+ * LiveLocationManager - Keeps the live location messages of current user up to date.
+ *
+ * Each live location message is a session, which receives the location updates (from `shareLocation` native handler)
+ * and saves them by updating the message in place. Updates are throttled to `minUpdateInterval`. Session ends when
+ * it's stopped or its `live_until` time passes - message is updated one last time with `stopped_at`, and location updates are stopped.
+ *
+ * `Chat` component creates an instance, so that sharing continues when user leaves the channel.
+ * Sessions are not persisted, so they end when the app is closed.
+ */
+export class LiveLocationManager {
+  sessions = {};
+  listeners = [];
+
+  /**
+   * @param {object} options
+   * @param {number} options.minUpdateInterval Minimum time between two updates of message, in milliseconds
+   */
+  constructor({ minUpdateInterval = 10000 } = {}) {
+    this.minUpdateInterval = minUpdateInterval;
+  }
+
+  /**
+   * Starts the session for live location message.
+   *
+   * @param {object} message Sent message containing the live location attachment
+   * @param {object} options
+   * @param {function} options.updateMessage Function to save the updated message. Should return a promise.
+   * @param {function} options.stopWatching Function to stop the location updates
+   */
+  start(message, { updateMessage, stopWatching } = {}) {
+    const attachment = getLocationAttachment(message);
+    if (!attachment || !isLiveLocationActive(attachment)) {
+      stopWatching && stopWatching();
+      return;
+    }
+
+    const id = attachment.live_id;
+    const delay = new Date(attachment.live_until) - Date.now();
+    this.sessions[id] = {
+      message,
+      updateMessage,
+      stopWatching,
+      lastUpdateAt: Date.now(),
+      pendingCoords: null,
+      updateTimeout: null,
+      expiryTimeout: setTimeout(
+        () => this.stop(id),
+        Math.min(Math.max(delay, 0), MAX_TIMEOUT),
+      ),
+    };
+    this.emit({ type: 'liveLocation.changed' });
+  }
+
+  /**
+   * Updates the location of session. Message is updated right away, or after `minUpdateInterval`
+   * since the previous update - with the latest location.
+   *
+   * @param {string} id `live_id` of location attachment
+   * @param {object} location `{ latitude, longitude, accuracy }`
+   */
+  async update(id, location) {
+    const session = this.sessions[id];
+    if (!session) return;
+
+    session.pendingCoords = getCoords(location);
+    if (session.updateTimeout) return;
+
+    const wait = session.lastUpdateAt + this.minUpdateInterval - Date.now();
+    if (wait > 0) {
+      session.updateTimeout = setTimeout(() => {
+        session.updateTimeout = null;
+        this.flush(id);
+      }, wait);
+      return;
+    }
+
+    await this.flush(id);
+  }
+
+  flush = async (id) => {
+    const session = this.sessions[id];
+    if (!session || !session.pendingCoords) return;
+
+    const coords = session.pendingCoords;
+    session.pendingCoords = null;
+    session.lastUpdateAt = Date.now();
+    await this.save(session, coords);
+  };
+
+  async save(session, changes) {
+    const attachment = getLocationAttachment(session.message);
+    session.message = setLocationAttachment(session.message, {
+      ...attachment,
+      ...changes,
+      updated_at: new Date().toISOString(),
+    });
+
+    try {
+      await session.updateMessage(session.message);
+    } catch (e) {
+      console.warn('Failed to update the live location', e);
+    }
+  }
+
+  /**
+   * Stops the session. Location updates are stopped, and message is updated with `stopped_at`.
+   *
+   * @param {string} id `live_id` of location attachment
+   */
+  async stop(id) {
+    const session = this.sessions[id];
+    if (!session) return;
+
+    delete this.sessions[id];
+    clearTimeout(session.updateTimeout);
+    clearTimeout(session.expiryTimeout);
+    this.emit({ type: 'liveLocation.changed' });
+
+    try {
+      session.stopWatching && session.stopWatching();
+    } catch (e) {
+      console.warn('Failed to stop the location updates', e);
+    }
+
+    await this.save(session, {
+      ...(session.pendingCoords || {}),
+      stopped_at: new Date().toISOString(),
+    });
+  }
+
+  /** Stops all the sessions */
+  stopAll() {
+    return Promise.all(Object.keys(this.sessions).map((id) => this.stop(id)));
+  }
+
+  /** Returns true if location is being shared in given session */
+  isSharing(id) {
+    return !!this.sessions[id];
+  }
+
+  /**
+   * Listener is called with event object - `{ type: 'liveLocation.changed' }`, when a session starts or stops.
+   *
+   * @returns {function} Function to unsubscribe the listener
+   */
+  subscribe(listener) {
+    this.listeners = [...this.listeners, listener];
+
+    return () => {
+      this.listeners = this.listeners.filter((l) => l !== listener);
+    };
+  }
+
+  emit(event) {
+    this.listeners.forEach((listener) => listener(event));
+  }
+}
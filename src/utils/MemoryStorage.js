@@ -0,0 +1,30 @@
+/**
+ * MemoryStorage - Default storage adapter used by the SDK for things that can be persisted
+ * (e.g., offline outbox). It follows the interface of AsyncStorage from react-native, so you
+ * can simply pass `AsyncStorage` (or any other object implementing `getItem`, `setItem`
+ * and `removeItem`) wherever a storage adapter is accepted, to persist data across app restarts.
+ *
+ * Values are only kept in memory, so nothing survives an app restart with this adapter.
+ */
+export class MemoryStorage {
+  constructor() {
+    this.items = {};
+  }
+
+  // eslint-disable-next-line require-await
+  async getItem(key) {
+    return Object.prototype.hasOwnProperty.call(this.items, key)
+      ? this.items[key]
+      : null;
+  }
+
+  // eslint-disable-next-line require-await
+  async setItem(key, value) {
+    this.items[key] = value;
+  }
+
+  // eslint-disable-next-line require-await
+  async removeItem(key) {
+    delete this.items[key];
+  }
+}
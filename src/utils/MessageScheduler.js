@@ -0,0 +1,405 @@
+import uuidv4 from 'uuid/v4';
+import { MemoryStorage } from './MemoryStorage';
+import {
+  isDuplicateMessageError,
+  isNetworkError,
+  isRetryableError,
+} from './errors';
+
+// setTimeout overflows for delays longer than ~24.8 days, so timer is re-armed after this delay.
+const MAX_TIMEOUT = 2147483647;
+
+const sortEntries = (entries) =>
+  [...entries].sort((a, b) => new Date(a.send_at) - new Date(b.send_at));
+
+// Time at which entry should be sent - its send time, or time of next retry if sending failed because of server error.
+const getSendTime = (entry) =>
+  Math.max(
+    new Date(entry.send_at).getTime(),
+    entry.retry_at ? new Date(entry.retry_at).getTime() : 0,
+  );
+
+const atTime = (date, hours) => {
+  const result = new Date(date);
+  result.setHours(hours, 0, 0, 0);
+  return result;
+};
+
+/**
+ * Returns the preset times, offered in schedule picker - `[{ key, label, date }]`.
+ * Labels are english strings, SchedulePicker renders the translated label based on the key.
+ *
+ * @param {Date} now
+ */
+export const getScheduleOptions = (now = new Date()) => {
+  const tomorrow = new Date(now);
+  tomorrow.setDate(now.getDate() + 1);
+  const monday = new Date(now);
+  // Days until next monday - if today is monday, it's the monday of next week.
+  monday.setDate(now.getDate() + ((8 - now.getDay()) % 7 || 7));
+
+  return [
+    {
+      key: '30m',
+      label: 'In 30 minutes',
+      date: new Date(now.getTime() + 30 * 60 * 1000),
+    },
+    {
+      key: '1h',
+      label: 'In 1 hour',
+      date: new Date(now.getTime() + 60 * 60 * 1000),
+    },
+    {
+      key: '3h',
+      label: 'In 3 hours',
+      date: new Date(now.getTime() + 3 * 60 * 60 * 1000),
+    },
+    { key: 'tomorrow', label: 'Tomorrow morning', date: atTime(tomorrow, 9) },
+    { key: 'monday', label: 'Monday morning', date: atTime(monday, 9) },
+  ];
+};
+
+/**
+ * MessageScheduler - Holds the messages which should be sent later, and sends them at the chosen time.
+ *
+ * Scheduled messages are persisted using the storage adapter (in-memory by default), so if you
+ * provide a persistent adapter (e.g., AsyncStorage) they will survive app restarts. Messages which became due
+ * while the app was closed, are sent as soon as the scheduler is started again.
+ * If sending fails because of network, message is sent again once connection is recovered (`retry`), and until then
+ * no other messages are sent. If it fails because of server error, timeout or rate limit, only that message is sent again
+ * with exponential backoff - up to `maxAttempts` attempts. For other errors (or when attempts run out), message is kept
+ * (marked as failed) so that user can send it manually.
+ *
+ * Message gets its id when it's scheduled, and the same id is used for every attempt. So if a request reached the server
+ * but its response was lost, the next attempt is rejected as duplicate (and treated as sent) instead of sending it twice.
+ *
+ * ```
+ * const scheduler = new MessageScheduler({ storage: AsyncStorage });
+ * <Chat client={chatClient} scheduler={scheduler}>
+ *  ...
+ * </Chat>
+ * ```
+ */
+export class MessageScheduler {
+  entries = [];
+  // Ids of the entries, which are being sent right now.
+  sending = {};
+  senders = {};
+  listeners = [];
+  started = false;
+  timeout = null;
+  // Set when message couldn't be sent because of network, until `retry` is called.
+  waitingForConnection = false;
+
+  /**
+   * @param {object} options
+   * @param {object} options.storage Storage adapter with AsyncStorage compatible interface - getItem, setItem, removeItem
+   * @param {string} options.storageKey Key under which the scheduled messages are persisted
+   * @param {number} options.retryDelay Delay (in ms) before the first retry after server error. It gets doubled after every failed attempt.
+   * @param {number} options.maxRetryDelay Upper limit (in ms) on the delay between retries
+   * @param {number} options.maxAttempts Number of failed attempts after which message is marked as failed
+   */
+  constructor({
+    storage = new MemoryStorage(),
+    storageKey = 'stream-chat-scheduled-messages',
+    retryDelay = 1000,
+    maxRetryDelay = 60000,
+    maxAttempts = 10,
+  } = {}) {
+    this.storage = storage;
+    this.storageKey = storageKey;
+    this.retryDelay = retryDelay;
+    this.maxRetryDelay = maxRetryDelay;
+    this.maxAttempts = maxAttempts;
+  }
+
+  /**
+   * Loads the persisted messages from storage. Its safe to call this function multiple times,
+   * storage is only read once.
+   */
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = this._load();
+    }
+
+    return this.loadPromise;
+  }
+
+  _load = async () => {
+    let persisted = [];
+    try {
+      const value = await this.storage.getItem(this.storageKey);
+      persisted = value ? JSON.parse(value) : [];
+    } catch (e) {
+      console.warn('Failed to restore the scheduled messages from storage', e);
+    }
+
+    // Keep the messages which were scheduled while we were reading the storage.
+    const scheduledIds = this.entries.map((entry) => entry.id);
+    this.entries = sortEntries([
+      ...persisted.filter((entry) => scheduledIds.indexOf(entry.id) === -1),
+      ...this.entries,
+    ]);
+    this.emit({ type: 'scheduler.changed' });
+
+    return this.entries;
+  };
+
+  persist = async () => {
+    try {
+      await this.storage.setItem(this.storageKey, JSON.stringify(this.entries));
+    } catch (e) {
+      console.warn('Failed to persist the scheduled messages to storage', e);
+    }
+  };
+
+  /**
+   * Returns the scheduled entries - `{ id, cid, message, send_at, scheduled_at, failed, attempts, retry_at }`, sorted by send time.
+   *
+   * @param {string} cid Optional channel cid to return entries only for specific channel
+   */
+  getEntries(cid) {
+    if (!cid) return this.entries;
+    return this.entries.filter((entry) => entry.cid === cid);
+  }
+
+  /**
+   * Schedules the message to be sent at given time.
+   *
+   * @param {string} cid Cid of the channel, message should be sent to
+   * @param {object} message Message data - `{ id, text, attachments, mentioned_users, parent_id, ...extraFields }`.
+   * If id isn't provided, random one is generated.
+   * @param {Date|string} sendAt Time at which message should be sent
+   * @returns {Promise<object>} Scheduled entry
+   */
+  async schedule(cid, message, sendAt) {
+    await this.load();
+    const entry = {
+      id: uuidv4(),
+      cid,
+      message: { ...message, id: message.id || uuidv4() },
+      send_at: new Date(sendAt).toISOString(),
+      scheduled_at: new Date().toISOString(),
+    };
+    this.entries = sortEntries([...this.entries, entry]);
+    this.emit({ type: 'scheduler.changed' });
+    this.scheduleNext();
+    await this.persist();
+
+    return entry;
+  }
+
+  /**
+   * Updates the message and/or the send time of scheduled entry. Failed entry is scheduled again, with attempts reset.
+   *
+   * @param {string} id Id of the entry
+   * @param {object} changes `{ message, send_at }`. Message is merged with the existing one.
+   */
+  async update(id, { message, send_at } = {}) {
+    await this.load();
+    this.entries = sortEntries(
+      this.entries.map((entry) => {
+        if (entry.id !== id) return entry;
+
+        const { failed, attempts, retry_at, ...rest } = entry;
+        return {
+          ...rest,
+          message: message ? { ...entry.message, ...message } : entry.message,
+          send_at: send_at ? new Date(send_at).toISOString() : entry.send_at,
+        };
+      }),
+    );
+    this.emit({ type: 'scheduler.changed' });
+    this.scheduleNext();
+    await this.persist();
+  }
+
+  /**
+   * Removes the entry, so that message won't be sent.
+   *
+   * @param {string} id Id of the entry
+   */
+  async cancel(id) {
+    await this.load();
+    this.entries = this.entries.filter((entry) => entry.id !== id);
+    this.emit({ type: 'scheduler.changed' });
+    this.scheduleNext();
+    await this.persist();
+  }
+
+  /**
+   * Sends the scheduled message right away.
+   *
+   * @param {string} id Id of the entry
+   */
+  async sendNow(id) {
+    await this.load();
+    const entry = this.entries.find((e) => e.id === id);
+    if (!entry) return;
+
+    await this.send(entry);
+    this.scheduleNext();
+  }
+
+  /**
+   * Registers the function to be used to send the scheduled messages of channel.
+   * Sender receives the message data and should return a promise, which rejects if
+   * message couldn't be sent.
+   *
+   * @returns {function} Function to unregister the sender
+   */
+  registerSender(cid, sender) {
+    this.senders[cid] = sender;
+
+    return () => {
+      if (this.senders[cid] === sender) delete this.senders[cid];
+    };
+  }
+
+  /**
+   * Listener is called with event object - `{ type: 'scheduler.changed' }`,
+   * `{ type: 'scheduler.sent', entry }` or `{ type: 'scheduler.failed', entry, error }`
+   *
+   * @returns {function} Function to unsubscribe the listener
+   */
+  subscribe(listener) {
+    this.listeners = [...this.listeners, listener];
+
+    return () => {
+      this.listeners = this.listeners.filter((l) => l !== listener);
+    };
+  }
+
+  emit(event) {
+    this.listeners.forEach((listener) => listener(event));
+  }
+
+  /**
+   * Starts sending the messages at their scheduled time. Messages which are already due, are sent right away.
+   *
+   * @param {function} defaultSender Used for channels which don't have any sender registered.
+   * Receives the cid and message data.
+   */
+  async start(defaultSender) {
+    if (defaultSender) this.defaultSender = defaultSender;
+    this.started = true;
+    await this.load();
+    await this.sendDue();
+  }
+
+  /** Sends the due messages, which couldn't be sent because of network e.g., once connection is recovered. */
+  async retry() {
+    this.waitingForConnection = false;
+    if (!this.started) return;
+
+    await this.load();
+    await this.sendDue();
+  }
+
+  /** Stops the timer. Messages are not sent until scheduler is started again. */
+  stop() {
+    this.started = false;
+    clearTimeout(this.timeout);
+    this.timeout = null;
+  }
+
+  scheduleNext() {
+    clearTimeout(this.timeout);
+    this.timeout = null;
+    if (!this.started || this.waitingForConnection) return;
+
+    const pending = this.entries.filter(
+      (entry) => !entry.failed && !this.sending[entry.id],
+    );
+    if (pending.length === 0) return;
+
+    const nextTime = Math.min(...pending.map(getSendTime));
+    const delay = Math.max(nextTime - Date.now(), 0);
+    this.timeout = setTimeout(this.sendDue, Math.min(delay, MAX_TIMEOUT));
+  }
+
+  sendDue = async () => {
+    const now = Date.now();
+    const dueEntries = this.entries.filter(
+      (entry) => !entry.failed && getSendTime(entry) <= now,
+    );
+
+    for (const entry of dueEntries) {
+      if (this.waitingForConnection) break;
+      await this.send(entry);
+    }
+
+    this.scheduleNext();
+  };
+
+  async send(entry) {
+    // Entry is kept until it's sent, so that it isn't lost if sending fails (or app is closed meanwhile).
+    // Its id is tracked while sending, so that it isn't sent twice (e.g., by timer while "send now" is in progress).
+    if (!this.entries.find((e) => e.id === entry.id)) return;
+    if (this.sending[entry.id]) return;
+    this.sending[entry.id] = true;
+
+    const sender = this.senders[entry.cid];
+    try {
+      if (sender) {
+        await sender(entry.message);
+      } else if (this.defaultSender) {
+        await this.defaultSender(entry.cid, entry.message);
+      } else {
+        throw new Error(`No sender registered for channel ${entry.cid}`);
+      }
+    } catch (error) {
+      delete this.sending[entry.id];
+      if (!isDuplicateMessageError(error)) {
+        await this.handleSendError(entry, error);
+        return;
+      }
+    }
+
+    delete this.sending[entry.id];
+    this.waitingForConnection = false;
+    this.entries = this.entries.filter((e) => e.id !== entry.id);
+    this.emit({ type: 'scheduler.sent', entry });
+    this.emit({ type: 'scheduler.changed' });
+    await this.persist();
+  }
+
+  getRetryDelay(attempts) {
+    return Math.min(
+      this.retryDelay * Math.pow(2, attempts),
+      this.maxRetryDelay,
+    );
+  }
+
+  async handleSendError(entry, error) {
+    // Without connection, none of the messages can be sent - so wait until it's recovered.
+    if (isNetworkError(error)) {
+      this.waitingForConnection = true;
+      return;
+    }
+
+    // Entry may have been updated (or cancelled) while it was being sent.
+    const current = this.entries.find((e) => e.id === entry.id);
+    if (!current) return;
+
+    const attempts = (current.attempts || 0) + 1;
+    const retry = isRetryableError(error) && attempts < this.maxAttempts;
+    this.entries = this.entries.map((e) => {
+      if (e.id !== entry.id) return e;
+      if (!retry) return { ...e, failed: true };
+
+      // Entry may have failed before, and be sent again manually (`sendNow`).
+      const { failed, ...rest } = e;
+      return {
+        ...rest,
+        attempts,
+        retry_at: new Date(
+          Date.now() + this.getRetryDelay(attempts - 1),
+        ).toISOString(),
+      };
+    });
+    if (!retry) this.emit({ type: 'scheduler.failed', entry, error });
+    this.emit({ type: 'scheduler.changed' });
+    await this.persist();
+  }
+}
@@ -0,0 +1,270 @@
+import { MemoryStorage } from './MemoryStorage';
+import { isDuplicateMessageError, isRetryableError } from './errors';
+
+/**
+ * Scrapes the reserved (client side only) fields from message object,
+ * so that it can be sent to the API.
+ */
+export const getMessageRequestData = (message) => {
+  const {
+    text,
+    attachments,
+    id,
+    parent_id,
+    mentioned_users,
+    html,
+    __html,
+    type,
+    status,
+    user,
+    created_at,
+    reactions,
+    ...extraFields
+  } = message;
+
+  return {
+    text,
+    attachments,
+    id,
+    parent_id,
+    mentioned_users,
+    ...extraFields,
+  };
+};
+
+/**
+ * Outbox - Queue of messages which couldn't be sent because the user was offline.
+ *
+ * Queued messages are persisted using the storage adapter (in-memory by default), so if you
+ * provide a persistent adapter (e.g., AsyncStorage) they will survive app restarts.
+ * Messages are replayed in the order they were queued, when connection is recovered.
+ * A failed replay is retried with exponential backoff, and the message is discarded
+ * (and marked as failed in UI) after `maxAttempts` attempts. Messages rejected by API
+ * (e.g., validation or permission errors) are discarded right away. If message is rejected because
+ * message with the same id already exists (i.e., previous attempt reached the server, but its
+ * response was lost), it's considered as sent.
+ *
+ * ```
+ * const outbox = new Outbox({ storage: AsyncStorage });
+ * <Chat client={chatClient} outbox={outbox}>
+ *  ...
+ * </Chat>
+ * ```
+ */
+export class Outbox {
+  entries = [];
+  senders = {};
+  listeners = [];
+  flushing = false;
+  retryTimeout = null;
+
+  /**
+   * @param {object} options
+   * @param {object} options.storage Storage adapter with AsyncStorage compatible interface - getItem, setItem, removeItem
+   * @param {string} options.storageKey Key under which the queue is persisted
+   * @param {number} options.retryDelay Delay (in ms) before the first retry. It gets doubled after every failed attempt.
+   * @param {number} options.maxRetryDelay Upper limit (in ms) on the delay between retries
+   * @param {number} options.maxAttempts Number of failed attempts after which message is discarded
+   */
+  constructor({
+    storage = new MemoryStorage(),
+    storageKey = 'stream-chat-outbox',
+    retryDelay = 1000,
+    maxRetryDelay = 60000,
+    maxAttempts = 10,
+  } = {}) {
+    this.storage = storage;
+    this.storageKey = storageKey;
+    this.retryDelay = retryDelay;
+    this.maxRetryDelay = maxRetryDelay;
+    this.maxAttempts = maxAttempts;
+  }
+
+  /**
+   * Loads the persisted queue from storage. Its safe to call this function multiple times,
+   * storage is only read once.
+   */
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = this._load();
+    }
+
+    return this.loadPromise;
+  }
+
+  _load = async () => {
+    let persisted = [];
+    try {
+      const value = await this.storage.getItem(this.storageKey);
+      persisted = value ? JSON.parse(value) : [];
+    } catch (e) {
+      console.warn('Failed to restore the outbox from storage', e);
+    }
+
+    // Keep the messages which were queued while we were reading the storage.
+    const queuedIds = this.entries.map((entry) => entry.message.id);
+    this.entries = [
+      ...persisted.filter(
+        (entry) => queuedIds.indexOf(entry.message.id) === -1,
+      ),
+      ...this.entries,
+    ];
+    this.emit({ type: 'outbox.changed' });
+
+    return this.entries;
+  };
+
+  persist = async () => {
+    try {
+      await this.storage.setItem(this.storageKey, JSON.stringify(this.entries));
+    } catch (e) {
+      console.warn('Failed to persist the outbox to storage', e);
+    }
+  };
+
+  /**
+   * Returns the queued entries - `{ cid, message, queued_at, attempts }`
+   *
+   * @param {string} cid Optional channel cid to return entries only for specific channel
+   */
+  getEntries(cid) {
+    if (!cid) return this.entries;
+    return this.entries.filter((entry) => entry.cid === cid);
+  }
+
+  /**
+   * Adds the message to the end of the queue.
+   *
+   * @param {string} cid Cid of the channel, message should be sent to
+   * @param {object} message Message object
+   */
+  async enqueue(cid, message) {
+    await this.load();
+    this.entries = [
+      ...this.entries.filter((entry) => entry.message.id !== message.id),
+      { cid, message, queued_at: new Date().toISOString() },
+    ];
+    this.emit({ type: 'outbox.changed' });
+    await this.persist();
+  }
+
+  /**
+   * Removes the message from the queue, so that it won't be sent.
+   *
+   * @param {string} messageId Id of the message
+   */
+  async cancel(messageId) {
+    await this.load();
+    this.entries = this.entries.filter(
+      (entry) => entry.message.id !== messageId,
+    );
+    this.emit({ type: 'outbox.changed' });
+    await this.persist();
+  }
+
+  /**
+   * Registers the function to be used to send the queued messages of channel.
+   * Sender receives the message object and should return a promise, which rejects if
+   * message couldn't be sent.
+   *
+   * @returns {function} Function to unregister the sender
+   */
+  registerSender(cid, sender) {
+    this.senders[cid] = sender;
+
+    return () => {
+      if (this.senders[cid] === sender) delete this.senders[cid];
+    };
+  }
+
+  /**
+   * Listener is called with event object - `{ type: 'outbox.changed' }`
+   * or `{ type: 'outbox.discarded', entry, error }`
+   *
+   * @returns {function} Function to unsubscribe the listener
+   */
+  subscribe(listener) {
+    this.listeners = [...this.listeners, listener];
+
+    return () => {
+      this.listeners = this.listeners.filter((l) => l !== listener);
+    };
+  }
+
+  emit(event) {
+    this.listeners.forEach((listener) => listener(event));
+  }
+
+  getRetryDelay(attempts) {
+    return Math.min(
+      this.retryDelay * Math.pow(2, attempts),
+      this.maxRetryDelay,
+    );
+  }
+
+  /**
+   * Sends all the queued messages one by one, in the order they were queued.
+   * Stops at first failure and schedules a retry with exponential backoff, unless message was rejected by API -
+   * then it's discarded and next one is sent.
+   *
+   * @param {function} defaultSender Used for channels which don't have any sender registered.
+   * Receives the cid and message.
+   */
+  async flush(defaultSender) {
+    if (defaultSender) this.defaultSender = defaultSender;
+    await this.load();
+    if (this.flushing) return;
+
+    this.flushing = true;
+    clearTimeout(this.retryTimeout);
+    this.retryTimeout = null;
+
+    while (this.entries.length > 0) {
+      const entry = this.entries[0];
+      const sender = this.senders[entry.cid];
+
+      try {
+        if (sender) {
+          await sender(entry.message);
+        } else if (this.defaultSender) {
+          await this.defaultSender(entry.cid, entry.message);
+        } else {
+          throw new Error(`No sender registered for channel ${entry.cid}`);
+        }
+      } catch (error) {
+        // Previous attempt reached the server, but its response was lost - so message is removed as sent.
+        if (!isDuplicateMessageError(error)) {
+          // Attempts are counted per entry, so that they don't carry over to the next one if it's cancelled meanwhile.
+          const attempts = (entry.attempts || 0) + 1;
+          if (isRetryableError(error) && attempts < this.maxAttempts) {
+            this.entries = this.entries.map((e) =>
+              e === entry ? { ...e, attempts } : e,
+            );
+            await this.persist();
+            this.flushing = false;
+            this.retryTimeout = setTimeout(
+              () => this.flush(),
+              this.getRetryDelay(attempts - 1),
+            );
+            return;
+          }
+
+          this.emit({ type: 'outbox.discarded', entry, error });
+        }
+      }
+
+      // Entry may have already been removed (e.g., cancelled) while it was being sent.
+      this.entries = this.entries.filter((e) => e !== entry);
+      this.emit({ type: 'outbox.changed' });
+      await this.persist();
+    }
+
+    this.flushing = false;
+  }
+
+  /** Cancels the scheduled retry, if any. */
+  stop() {
+    clearTimeout(this.retryTimeout);
+    this.retryTimeout = null;
+  }
+}
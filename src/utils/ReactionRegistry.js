@@ -0,0 +1,201 @@
+import { MemoryStorage } from './MemoryStorage';
+import { reactionCategories, defaultReactions } from './reactionData';
+
+export const SKIN_TONES = ['', '🏻', '🏼', '🏽', '🏾', '🏿'];
+
+const SKIN_TONE_SUFFIX = /^(.+)_tone([1-5])$/;
+const CUSTOM_CATEGORY = { id: 'custom', name: 'Custom', icon: '⭐' };
+
+/**
+ * ReactionRegistry - Set of reactions, which can be used on messages. Reactions are displayed in full
+ * reaction picker (opened using "more" button of `ReactionPicker`), and used by `ReactionList` to render
+ * the reactions which are not part of `supportedReactions`.
+ *
+ * Reaction is an object - `{ id, icon, image, name, category, keywords, skinTones }`, where `icon` is
+ * an emoji or `image` is url of image (for custom reactions). If `skinTones` is true, reaction can be sent
+ * with skin tone e.g., `like_tone3`.
+ *
+ * Recently used reactions and preferred skin tone are persisted using the storage adapter (in-memory by default).
+ *
+ * ```
+ * const registry = new ReactionRegistry({ storage: AsyncStorage });
+ * registry.register({ id: 'partyparrot', image: 'https://example.com/partyparrot.gif', keywords: ['party'] });
+ *
+ * <Channel channel={channel} reactionRegistry={registry}>
+ * ```
+ */
+export class ReactionRegistry {
+  reactions = {};
+  categories = [];
+  recent = [];
+  skinTone = 0;
+
+  /**
+   * @param {object} options
+   * @param {array} options.reactions Reactions to register. Defaults to set of common emoji.
+   * @param {array} options.categories Categories of reactions - `{ id, name, icon }`
+   * @param {object} options.storage Storage adapter with AsyncStorage compatible interface - getItem, setItem, removeItem
+   * @param {string} options.storageKey Key under which recently used reactions and skin tone are persisted
+   * @param {number} options.maxRecent Number of recently used reactions to keep
+   */
+  constructor({
+    reactions = defaultReactions,
+    categories = reactionCategories,
+    storage = new MemoryStorage(),
+    storageKey = 'stream-chat-reactions',
+    maxRecent = 16,
+  } = {}) {
+    this.storage = storage;
+    this.storageKey = storageKey;
+    this.maxRecent = maxRecent;
+    this.categories = [...categories];
+    this.register(reactions);
+  }
+
+  /**
+   * Adds the reaction (or list of reactions) to registry. Reaction with the same id is replaced.
+   * Reactions without known category are added to `custom` category.
+   */
+  register(reactions) {
+    const list = Array.isArray(reactions) ? reactions : [reactions];
+    list.forEach((reaction) => {
+      if (!reaction || !reaction.id) {
+        throw Error('Reaction must have an id');
+      }
+
+      let category = reaction.category;
+      if (!this.categories.find((c) => c.id === category)) {
+        if (!this.categories.find((c) => c.id === CUSTOM_CATEGORY.id)) {
+          this.categories.push(CUSTOM_CATEGORY);
+        }
+        category = CUSTOM_CATEGORY.id;
+      }
+
+      this.reactions[reaction.id] = { ...reaction, category };
+    });
+  }
+
+  /**
+   * Returns the reaction for given reaction type, or null if its unknown.
+   * Skin tone variants (e.g., `like_tone2`) are resolved to the base reaction, with icon in given skin tone.
+   */
+  get(type) {
+    if (this.reactions[type]) return this.reactions[type];
+
+    const match = SKIN_TONE_SUFFIX.exec(type);
+    const base = match && this.reactions[match[1]];
+    if (!base || !base.skinTones || !base.icon) return null;
+
+    return {
+      ...base,
+      id: type,
+      icon: base.icon + SKIN_TONES[Number(match[2])],
+    };
+  }
+
+  /** Returns reaction type for given reaction id, in preferred skin tone (if reaction supports skin tones) */
+  getTypeWithSkinTone(id, skinTone = this.skinTone) {
+    const reaction = this.reactions[id];
+    if (!reaction || !reaction.skinTones || !skinTone) return id;
+
+    return `${id}_tone${skinTone}`;
+  }
+
+  /** Returns the categories, with list of reactions in each of them. Empty categories are excluded. */
+  getCategories() {
+    const reactions = Object.values(this.reactions);
+    return this.categories
+      .map((category) => ({
+        ...category,
+        reactions: reactions.filter((r) => r.category === category.id),
+      }))
+      .filter((category) => category.reactions.length > 0);
+  }
+
+  /** Returns the reactions, whose id, name or one of the keywords contain given query */
+  search(query) {
+    const q = (query || '').trim().toLowerCase();
+    if (!q) return [];
+
+    return Object.values(this.reactions).filter((reaction) =>
+      [reaction.id, reaction.name, ...(reaction.keywords || [])].some(
+        (word) => !!word && word.toLowerCase().indexOf(q) > -1,
+      ),
+    );
+  }
+
+  /** Returns the recently used reactions, most recent first */
+  getRecent() {
+    return this.recent
+      .map((type) => this.get(type))
+      .filter((reaction) => !!reaction);
+  }
+
+  /**
+   * Loads recently used reactions and skin tone from storage. Its safe to call this function multiple times,
+   * storage is only read once.
+   */
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = this._load();
+    }
+
+    return this.loadPromise;
+  }
+
+  _load = async () => {
+    try {
+      const value = await this.storage.getItem(this.storageKey);
+      const persisted = value ? JSON.parse(value) : {};
+      // Keep the reactions which were used while we were reading the storage.
+      this.recent = [...this.recent, ...(persisted.recent || [])]
+        .filter((type, i, list) => list.indexOf(type) === i)
+        .slice(0, this.maxRecent);
+      if (persisted.skinTone !== undefined && !this.skinToneChanged) {
+        this.skinTone = persisted.skinTone;
+      }
+    } catch (e) {
+      console.warn('Failed to restore the recent reactions from storage', e);
+    }
+  };
+
+  persist = async () => {
+    try {
+      await this.storage.setItem(
+        this.storageKey,
+        JSON.stringify({ recent: this.recent, skinTone: this.skinTone }),
+      );
+    } catch (e) {
+      console.warn('Failed to persist the recent reactions to storage', e);
+    }
+  };
+
+  /** Moves given reaction type to the top of recently used reactions */
+  async addRecent(type) {
+    this.recent = [type, ...this.recent.filter((t) => t !== type)].slice(
+      0,
+      this.maxRecent,
+    );
+
+    // Stored reactions are merged into recent ones by load, persisting before that would overwrite them.
+    await this.load();
+    await this.persist();
+  }
+
+  /**
+   * Sets the preferred skin tone.
+   *
+   * @param {number} skinTone 0 (default, yellow) to 5 (dark)
+   */
+  setSkinTone(skinTone) {
+    if (!(skinTone >= 0 && skinTone < SKIN_TONES.length)) {
+      throw Error(`Invalid skin tone: ${skinTone}`);
+    }
+
+    this.skinTone = skinTone;
+    this.skinToneChanged = true;
+    return this.load().then(this.persist);
+  }
+}
+
+export const defaultReactionRegistry = new ReactionRegistry();
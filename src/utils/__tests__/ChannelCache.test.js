@@ -0,0 +1,149 @@
+import { ChannelCache } from '../ChannelCache';
+import { MemoryStorage } from '../MemoryStorage';
+import { FileStorage } from '../FileStorage';
+
+const createChannel = (id, messages = []) => ({
+  cid: `messaging:${id}`,
+  type: 'messaging',
+  id,
+  initialized: true,
+  data: { id, type: 'messaging', config: { read_events: true } },
+  state: {
+    messages,
+    members: { vishal: { user: { id: 'vishal' } } },
+    read: {
+      vishal: { user: { id: 'vishal' }, last_read: new Date(0) },
+      thierry: new Date(0),
+    },
+    membership: {},
+    watcher_count: 1,
+  },
+});
+
+const message = (id, extra) => ({
+  id,
+  text: `message ${id}`,
+  type: 'regular',
+  status: 'received',
+  created_at: new Date(),
+  ...extra,
+});
+
+describe('ChannelCache', () => {
+  it('should only cache latest received regular messages', async () => {
+    const cache = new ChannelCache({ messageLimit: 2 });
+    const channel = createChannel('general', [
+      message('1'),
+      message('2'),
+      message('3'),
+      message('4', { status: 'sending' }),
+      message('5', { type: 'error' }),
+    ]);
+    await cache.setChannelState('vishal', channel);
+
+    const state = await cache.getChannelState('vishal', channel.cid);
+    expect(state.messages.map((m) => m.id)).toEqual(['2', '3']);
+    expect(state.members).toHaveLength(1);
+    expect(state.read).toHaveLength(1);
+    expect(state.channel.id).toBe('general');
+  });
+
+  it('should cache the channel list per query', async () => {
+    const storage = new MemoryStorage();
+    const cache = new ChannelCache({ storage });
+    const channels = [createChannel('general'), createChannel('random')];
+    await cache.setChannelList('vishal', { type: 'messaging' }, {}, channels);
+
+    const restoredCache = new ChannelCache({ storage });
+    const states = await restoredCache.getChannelList(
+      'vishal',
+      { type: 'messaging' },
+      {},
+    );
+    expect(states.map((s) => s.channel.id)).toEqual(['general', 'random']);
+    expect(
+      await restoredCache.getChannelList('vishal', { type: 'livestream' }, {}),
+    ).toBe(null);
+  });
+
+  it('should keep the cached state per user', async () => {
+    const cache = new ChannelCache();
+    const channel = createChannel('general', [message('1')]);
+    await cache.setChannelList('vishal', {}, {}, [channel]);
+
+    expect(await cache.getChannelList('thierry', {}, {})).toBe(null);
+    expect(await cache.getChannelState('thierry', channel.cid)).toBe(null);
+  });
+
+  it('should remove the cached state of user on clear', async () => {
+    const storage = new MemoryStorage();
+    const cache = new ChannelCache({ storage });
+    await cache.setChannelList('vishal', {}, {}, [
+      createChannel('general'),
+      createChannel('random'),
+    ]);
+    await cache.setChannelState('thierry', createChannel('general'));
+
+    // Keys of user are restored from storage, e.g., after app restart.
+    const restoredCache = new ChannelCache({ storage });
+    await restoredCache.clear('vishal');
+
+    expect(await restoredCache.getChannelList('vishal', {}, {})).toBe(null);
+    expect(
+      Object.keys(storage.items).filter((key) => key.indexOf(':vishal:') > -1),
+    ).toEqual([]);
+    expect(
+      await restoredCache.getChannelState('thierry', 'messaging:general'),
+    ).not.toBe(null);
+
+    // Cache can still be used after clear.
+    await restoredCache.setChannelState('vishal', createChannel('general'));
+    expect(
+      await restoredCache.getChannelState('vishal', 'messaging:general'),
+    ).not.toBe(null);
+  });
+
+  it('should not restore state into already initialized channel', () => {
+    const cache = new ChannelCache();
+    const channel = createChannel('general');
+    channel.state.addMessagesSorted = jest.fn();
+    channel.getClient = () => ({ configs: {} });
+    const state = cache.serializeChannel(channel);
+    cache.restoreChannel(channel, state);
+    expect(channel.state.addMessagesSorted).not.toHaveBeenCalled();
+
+    channel.initialized = false;
+    channel.state.read = {};
+    cache.restoreChannel(channel, JSON.parse(JSON.stringify(state)));
+    expect(channel.state.addMessagesSorted).toHaveBeenCalledTimes(1);
+    expect(channel.state.read.vishal.last_read).toEqual(new Date(0));
+  });
+});
+
+describe('FileStorage', () => {
+  it('should store every item in separate file', async () => {
+    const files = {};
+    const storage = new FileStorage({
+      directory: '/documents',
+      readFile: (path) =>
+        path in files
+          ? Promise.resolve(files[path])
+          : Promise.reject(new Error('ENOENT')),
+      writeFile: (path, content) => {
+        files[path] = content;
+        return Promise.resolve();
+      },
+      deleteFile: (path) => {
+        delete files[path];
+        return Promise.resolve();
+      },
+    });
+
+    expect(await storage.getItem('stream:cache')).toBe(null);
+    await storage.setItem('stream:cache', '{}');
+    expect(files['/documents/stream%3Acache.json']).toBe('{}');
+    expect(await storage.getItem('stream:cache')).toBe('{}');
+    await storage.removeItem('stream:cache');
+    expect(await storage.getItem('stream:cache')).toBe(null);
+  });
+});
@@ -0,0 +1,71 @@
+import { ChannelPreferences } from '../ChannelPreferences';
+import { MemoryStorage } from '../MemoryStorage';
+
+const userId = 'vishal';
+
+describe('ChannelPreferences', () => {
+  it('should keep the pinned channels, most recently pinned first', () => {
+    const preferences = new ChannelPreferences();
+    preferences.pin(userId, 'messaging:general');
+    preferences.pin(userId, 'messaging:random');
+    preferences.pin(userId, 'messaging:general');
+
+    expect(preferences.getPinnedChannels(userId)).toEqual([
+      'messaging:general',
+      'messaging:random',
+    ]);
+    expect(preferences.getPinnedChannels('thierry')).toEqual([]);
+
+    preferences.unpin(userId, 'messaging:general');
+    expect(preferences.isPinned(userId, 'messaging:general')).toBe(false);
+  });
+
+  it('should unpin the channel when it is archived, and vice versa', () => {
+    const preferences = new ChannelPreferences();
+    preferences.pin(userId, 'messaging:general');
+    preferences.archive(userId, 'messaging:general');
+
+    expect(preferences.isPinned(userId, 'messaging:general')).toBe(false);
+    expect(preferences.isArchived(userId, 'messaging:general')).toBe(true);
+
+    preferences.pin(userId, 'messaging:general');
+    expect(preferences.isArchived(userId, 'messaging:general')).toBe(false);
+  });
+
+  it('should notify the listeners about changes', () => {
+    const preferences = new ChannelPreferences();
+    const listener = jest.fn();
+    const unsubscribe = preferences.subscribe(listener);
+    preferences.archive(userId, 'messaging:general');
+    preferences.unarchive(userId, 'messaging:general');
+    // Nothing to unarchive
+    preferences.unarchive(userId, 'messaging:general');
+    preferences.remove(userId, 'messaging:general');
+    unsubscribe();
+    preferences.pin(userId, 'messaging:general');
+
+    expect(listener).toHaveBeenCalledTimes(2);
+    expect(listener).toHaveBeenCalledWith({
+      type: 'channelPreferences.changed',
+      userId,
+      cid: 'messaging:general',
+    });
+  });
+
+  it('should persist the preferences in storage', async () => {
+    const storage = new MemoryStorage();
+    const preferences = new ChannelPreferences({ storage });
+    await preferences.pin(userId, 'messaging:general');
+    await preferences.archive(userId, 'messaging:random');
+
+    const restoredPreferences = new ChannelPreferences({ storage });
+    await restoredPreferences.load();
+
+    expect(restoredPreferences.getPinnedChannels(userId)).toEqual([
+      'messaging:general',
+    ]);
+    expect(restoredPreferences.getArchivedChannels(userId)).toEqual([
+      'messaging:random',
+    ]);
+  });
+});
@@ -0,0 +1,103 @@
+import { DraftStore, getDraftKey, isDraftEmpty } from '../DraftStore';
+import { MemoryStorage } from '../MemoryStorage';
+
+const cid = 'messaging:general';
+const draft = (text) => ({
+  text,
+  mentioned_users: [],
+  imageUploads: [],
+  fileUploads: [],
+});
+
+describe('DraftStore', () => {
+  it('should keep the drafts of channel and threads separately', () => {
+    const drafts = new DraftStore();
+    drafts.set(cid, undefined, draft('channel draft'));
+    drafts.set(cid, 'parent-1', draft('thread draft'));
+
+    expect(drafts.get(cid).text).toBe('channel draft');
+    expect(drafts.get(cid, 'parent-1').text).toBe('thread draft');
+    expect(drafts.get(cid, 'parent-2')).toBe(null);
+    expect(drafts.get('messaging:random')).toBe(null);
+  });
+
+  it('should remove the draft when empty draft is saved', () => {
+    const drafts = new DraftStore();
+    drafts.set(cid, undefined, draft('hello'));
+    drafts.set(cid, undefined, draft('  '));
+
+    expect(drafts.get(cid)).toBe(null);
+  });
+
+  it('should keep the drafts with only attachments', () => {
+    const drafts = new DraftStore();
+    drafts.set(cid, undefined, {
+      ...draft(''),
+      imageUploads: [{ id: '1', url: 'https://image.jpg', file: {} }],
+    });
+
+    expect(drafts.get(cid).imageUploads).toHaveLength(1);
+  });
+
+  it('should notify the listeners about changes', () => {
+    const drafts = new DraftStore();
+    const listener = jest.fn();
+    const unsubscribe = drafts.subscribe(listener);
+    drafts.set(cid, 'parent-1', draft('hello'));
+    drafts.remove(cid, 'parent-1');
+    // Nothing to remove
+    drafts.remove(cid, 'parent-1');
+    unsubscribe();
+    drafts.set(cid, undefined, draft('hello'));
+
+    expect(listener).toHaveBeenCalledTimes(2);
+    expect(listener).toHaveBeenCalledWith({
+      type: 'drafts.changed',
+      cid,
+      parentId: 'parent-1',
+    });
+  });
+
+  it('should persist the drafts in storage', async () => {
+    const storage = new MemoryStorage();
+    const drafts = new DraftStore({ storage });
+    await drafts.set(cid, undefined, draft('hello'));
+    await drafts.set(cid, 'parent-1', draft('reply'));
+    await drafts.remove(cid, 'parent-1');
+
+    const restoredDrafts = new DraftStore({ storage });
+    await restoredDrafts.load();
+
+    expect(restoredDrafts.get(cid).text).toBe('hello');
+    expect(restoredDrafts.get(cid, 'parent-1')).toBe(null);
+  });
+
+  it('should keep the drafts saved while loading from storage', async () => {
+    const storage = new MemoryStorage();
+    await new DraftStore({ storage }).set(cid, undefined, draft('old'));
+
+    const drafts = new DraftStore({ storage });
+    const loadPromise = drafts.load();
+    drafts.set(cid, undefined, draft('new'));
+    await loadPromise;
+
+    expect(drafts.get(cid).text).toBe('new');
+  });
+});
+
+describe('getDraftKey', () => {
+  it('should include the parent id for threads', () => {
+    expect(getDraftKey(cid)).toBe(cid);
+    expect(getDraftKey(cid, 'parent-1')).toBe(`${cid}/parent-1`);
+  });
+});
+
+describe('isDraftEmpty', () => {
+  it('should return true for drafts without text and attachments', () => {
+    expect(isDraftEmpty(null)).toBe(true);
+    expect(isDraftEmpty(draft(''))).toBe(true);
+    expect(isDraftEmpty({ text: ' \n' })).toBe(true);
+    expect(isDraftEmpty(draft('hi'))).toBe(false);
+    expect(isDraftEmpty({ fileUploads: [{ id: '1' }] })).toBe(false);
+  });
+});
@@ -0,0 +1,145 @@
+import {
+  LiveLocationManager,
+  createLocationAttachment,
+  getLocationAttachment,
+  isLiveLocationActive,
+} from '../LiveLocationManager';
+
+const location = { latitude: 52.3702, longitude: 4.8952, accuracy: 12 };
+
+const createMessage = (options) => ({
+  id: 'vishal-1',
+  text: '',
+  attachments: [createLocationAttachment(location, options)],
+});
+
+describe('createLocationAttachment', () => {
+  it('should create the static location attachment', () => {
+    const now = new Date(Date.UTC(2020, 4, 6, 12));
+    expect(createLocationAttachment(location, { now })).toEqual({
+      type: 'location',
+      latitude: 52.3702,
+      longitude: 4.8952,
+      accuracy: 12,
+      updated_at: '2020-05-06T12:00:00.000Z',
+    });
+  });
+
+  it('should create the live location attachment, active for given duration', () => {
+    const now = new Date(Date.UTC(2020, 4, 6, 12));
+    const attachment = createLocationAttachment(location, {
+      live: true,
+      duration: 60 * 60 * 1000,
+      now,
+    });
+
+    expect(attachment.live_id).toBeTruthy();
+    expect(attachment.live_until).toBe('2020-05-06T13:00:00.000Z');
+    expect(isLiveLocationActive(attachment, now)).toBe(true);
+    expect(
+      isLiveLocationActive(attachment, new Date(Date.UTC(2020, 4, 6, 13))),
+    ).toBe(false);
+    expect(
+      isLiveLocationActive(
+        { ...attachment, stopped_at: now.toISOString() },
+        now,
+      ),
+    ).toBe(false);
+  });
+});
+
+describe('LiveLocationManager', () => {
+  let manager;
+
+  afterEach(() => manager && manager.stopAll());
+
+  it('should update the message with new location', async () => {
+    manager = new LiveLocationManager({ minUpdateInterval: 0 });
+    const updateMessage = jest.fn(() => Promise.resolve());
+    const message = createMessage({ live: true });
+    const { live_id } = getLocationAttachment(message);
+    manager.start(message, { updateMessage });
+
+    await manager.update(live_id, { latitude: 1, longitude: 2 });
+
+    const updated = getLocationAttachment(updateMessage.mock.calls[0][0]);
+    expect(updated.latitude).toBe(1);
+    expect(updated.longitude).toBe(2);
+    expect(updated.live_id).toBe(live_id);
+    expect(manager.isSharing(live_id)).toBe(true);
+  });
+
+  it('should throttle the updates, and send the latest location', async () => {
+    jest.useFakeTimers();
+    manager = new LiveLocationManager({ minUpdateInterval: 10000 });
+    const updateMessage = jest.fn(() => Promise.resolve());
+    const message = createMessage({ live: true });
+    const { live_id } = getLocationAttachment(message);
+    manager.start(message, { updateMessage });
+
+    await manager.update(live_id, { latitude: 1, longitude: 1 });
+    await manager.update(live_id, { latitude: 2, longitude: 2 });
+    expect(updateMessage).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(10000);
+    expect(updateMessage).toHaveBeenCalledTimes(1);
+    expect(getLocationAttachment(updateMessage.mock.calls[0][0]).latitude).toBe(
+      2,
+    );
+    jest.useRealTimers();
+  });
+
+  it('should stop watching and mark the message as stopped', async () => {
+    manager = new LiveLocationManager();
+    const updateMessage = jest.fn(() => Promise.resolve());
+    const stopWatching = jest.fn();
+    const listener = jest.fn();
+    const message = createMessage({ live: true });
+    const { live_id } = getLocationAttachment(message);
+    manager.subscribe(listener);
+    manager.start(message, { updateMessage, stopWatching });
+
+    await manager.stop(live_id);
+
+    expect(stopWatching).toHaveBeenCalled();
+    expect(
+      getLocationAttachment(updateMessage.mock.calls[0][0]).stopped_at,
+    ).toBeTruthy();
+    expect(manager.isSharing(live_id)).toBe(false);
+    expect(listener).toHaveBeenCalledWith({ type: 'liveLocation.changed' });
+
+    // Updates after stop are ignored.
+    await manager.update(live_id, { latitude: 1, longitude: 1 });
+    expect(updateMessage).toHaveBeenCalledTimes(1);
+  });
+
+  it('should stop the session when live location expires', () => {
+    jest.useFakeTimers();
+    manager = new LiveLocationManager();
+    const stopWatching = jest.fn();
+    const message = createMessage({ live: true, duration: 1000 });
+    const { live_id } = getLocationAttachment(message);
+    manager.start(message, {
+      updateMessage: () => Promise.resolve(),
+      stopWatching,
+    });
+
+    jest.advanceTimersByTime(1000);
+
+    expect(manager.isSharing(live_id)).toBe(false);
+    expect(stopWatching).toHaveBeenCalled();
+    jest.useRealTimers();
+  });
+
+  it('should not start the session for static location', () => {
+    manager = new LiveLocationManager();
+    const stopWatching = jest.fn();
+    manager.start(createMessage(), {
+      updateMessage: () => Promise.resolve(),
+      stopWatching,
+    });
+
+    expect(Object.keys(manager.sessions)).toHaveLength(0);
+    expect(stopWatching).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,280 @@
+import { MessageScheduler, getScheduleOptions } from '../MessageScheduler';
+import { MemoryStorage } from '../MemoryStorage';
+
+const cid = 'messaging:general';
+const past = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+const future = (minutes) => new Date(Date.now() + minutes * 60 * 1000);
+
+describe('MessageScheduler', () => {
+  let scheduler;
+
+  afterEach(() => scheduler && scheduler.stop());
+
+  it('should keep the entries sorted by send time', async () => {
+    scheduler = new MessageScheduler();
+    await scheduler.schedule(cid, { text: 'later' }, future(60));
+    await scheduler.schedule(cid, { text: 'sooner' }, future(10));
+    await scheduler.schedule('messaging:random', { text: 'other' }, future(5));
+
+    expect(scheduler.getEntries(cid).map((e) => e.message.text)).toEqual([
+      'sooner',
+      'later',
+    ]);
+    expect(scheduler.getEntries()).toHaveLength(3);
+  });
+
+  it('should persist scheduled messages in storage', async () => {
+    const storage = new MemoryStorage();
+    scheduler = new MessageScheduler({ storage });
+    await scheduler.schedule(cid, { text: 'hello' }, future(10));
+
+    const restoredScheduler = new MessageScheduler({ storage });
+    await restoredScheduler.load();
+
+    expect(restoredScheduler.getEntries(cid)[0].message.text).toBe('hello');
+  });
+
+  it('should send the due messages on start, using the registered sender', async () => {
+    scheduler = new MessageScheduler();
+    await scheduler.schedule(cid, { text: 'due' }, past(5));
+    await scheduler.schedule('messaging:random', { text: 'other' }, past(1));
+    await scheduler.schedule(cid, { text: 'not due' }, future(10));
+
+    const sender = jest.fn(() => Promise.resolve());
+    const defaultSender = jest.fn(() => Promise.resolve());
+    scheduler.registerSender(cid, sender);
+    await scheduler.start(defaultSender);
+
+    expect(sender).toHaveBeenCalledWith({
+      text: 'due',
+      id: expect.any(String),
+    });
+    expect(defaultSender).toHaveBeenCalledWith('messaging:random', {
+      text: 'other',
+      id: expect.any(String),
+    });
+    expect(scheduler.getEntries().map((e) => e.message.text)).toEqual([
+      'not due',
+    ]);
+  });
+
+  it('should not send messages before scheduler is started', async () => {
+    scheduler = new MessageScheduler();
+    const sender = jest.fn(() => Promise.resolve());
+    scheduler.registerSender(cid, sender);
+    await scheduler.schedule(cid, { text: 'due' }, past(5));
+
+    expect(sender).not.toHaveBeenCalled();
+    expect(scheduler.timeout).toBe(null);
+  });
+
+  it('should send the message right away on sendNow', async () => {
+    scheduler = new MessageScheduler();
+    const sender = jest.fn(() => Promise.resolve());
+    const listener = jest.fn();
+    scheduler.registerSender(cid, sender);
+    scheduler.subscribe(listener);
+    const entry = await scheduler.schedule(cid, { text: 'hi' }, future(60));
+    await scheduler.sendNow(entry.id);
+
+    expect(sender).toHaveBeenCalledWith(entry.message);
+    expect(scheduler.getEntries()).toHaveLength(0);
+    expect(listener).toHaveBeenCalledWith({ type: 'scheduler.sent', entry });
+  });
+
+  it('should keep the message marked as failed, if it could not be sent', async () => {
+    scheduler = new MessageScheduler();
+    const error = new Error('StreamChat error code 4: not allowed');
+    error.status = 403;
+    const listener = jest.fn();
+    scheduler.registerSender(cid, () => Promise.reject(error));
+    scheduler.subscribe(listener);
+    const entry = await scheduler.schedule(cid, { text: 'hi' }, past(1));
+    await scheduler.start();
+
+    expect(scheduler.getEntries()[0]).toEqual({ ...entry, failed: true });
+    expect(listener).toHaveBeenCalledWith({
+      type: 'scheduler.failed',
+      entry,
+      error,
+    });
+    // Failed message is not retried automatically.
+    expect(scheduler.timeout).toBe(null);
+  });
+
+  it('should send the message again once connection is recovered, if it failed because of network', async () => {
+    scheduler = new MessageScheduler();
+    const listener = jest.fn();
+    const sender = jest
+      .fn()
+      .mockImplementationOnce(() => Promise.reject(new Error('Network Error')))
+      .mockImplementation(() => Promise.resolve());
+    scheduler.registerSender(cid, sender);
+    scheduler.subscribe(listener);
+    const entry = await scheduler.schedule(cid, { text: 'hi' }, past(2));
+    await scheduler.schedule(cid, { text: 'hello' }, past(1));
+    await scheduler.start();
+
+    // Rest of the due messages wait for connection as well.
+    expect(sender).toHaveBeenCalledTimes(1);
+    expect(scheduler.getEntries()[0]).toEqual(entry);
+    expect(scheduler.timeout).toBe(null);
+    expect(listener).not.toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'scheduler.failed' }),
+    );
+
+    await scheduler.retry();
+    expect(sender).toHaveBeenCalledTimes(3);
+    expect(scheduler.getEntries()).toHaveLength(0);
+  });
+
+  it('should send the message again with backoff, if it failed because of server error', async () => {
+    scheduler = new MessageScheduler({ retryDelay: 50 });
+    const error = new Error('StreamChat error HTTP code: 500');
+    error.status = 500;
+    const listener = jest.fn();
+    const sender = jest
+      .fn()
+      .mockImplementationOnce(() => Promise.reject(error))
+      .mockImplementation(() => Promise.resolve());
+    scheduler.registerSender(cid, sender);
+    scheduler.subscribe(listener);
+    const failing = await scheduler.schedule(cid, { text: 'hi' }, past(2));
+    const next = await scheduler.schedule(cid, { text: 'hello' }, past(1));
+    await scheduler.start();
+
+    // Later messages are still sent, only the failed one waits for retry.
+    expect(sender).toHaveBeenCalledTimes(2);
+    expect(sender).toHaveBeenLastCalledWith(next.message);
+    expect(scheduler.waitingForConnection).toBe(false);
+    expect(scheduler.getEntries()).toEqual([
+      { ...failing, attempts: 1, retry_at: expect.any(String) },
+    ]);
+    expect(listener).not.toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'scheduler.failed' }),
+    );
+
+    // Failed message is sent again after retry delay.
+    expect(scheduler.timeout).not.toBe(null);
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    expect(sender).toHaveBeenCalledTimes(3);
+    expect(sender).toHaveBeenLastCalledWith(failing.message);
+    expect(scheduler.getEntries()).toHaveLength(0);
+  });
+
+  it('should mark the message as failed, when attempts run out', async () => {
+    scheduler = new MessageScheduler({ maxAttempts: 1 });
+    const error = new Error('StreamChat error HTTP code: 503');
+    error.status = 503;
+    const listener = jest.fn();
+    scheduler.registerSender(cid, () => Promise.reject(error));
+    scheduler.subscribe(listener);
+    const entry = await scheduler.schedule(cid, { text: 'hi' }, past(1));
+    await scheduler.start();
+
+    expect(scheduler.getEntries()[0]).toEqual({ ...entry, failed: true });
+    expect(listener).toHaveBeenCalledWith({
+      type: 'scheduler.failed',
+      entry,
+      error,
+    });
+  });
+
+  it('should treat the message as sent, if it was already sent by previous attempt', async () => {
+    scheduler = new MessageScheduler();
+    const error = new Error(
+      'StreamChat error code 4: SendMessage failed with error: "a message with ID 123 already exists"',
+    );
+    error.status = 400;
+    const listener = jest.fn();
+    scheduler.registerSender(cid, () => Promise.reject(error));
+    scheduler.subscribe(listener);
+    const entry = await scheduler.schedule(
+      cid,
+      { id: '123', text: 'hi' },
+      past(1),
+    );
+    await scheduler.start();
+
+    expect(entry.message.id).toBe('123');
+    expect(scheduler.getEntries()).toHaveLength(0);
+    expect(listener).toHaveBeenCalledWith({ type: 'scheduler.sent', entry });
+  });
+
+  it('should keep the entry until it is sent, and send it only once', async () => {
+    const storage = new MemoryStorage();
+    scheduler = new MessageScheduler({ storage });
+    let resolveSend;
+    const sender = jest.fn(
+      () => new Promise((resolve) => (resolveSend = resolve)),
+    );
+    scheduler.registerSender(cid, sender);
+    const entry = await scheduler.schedule(cid, { text: 'hi' }, future(60));
+
+    const sending = scheduler.sendNow(entry.id);
+    await scheduler.sendNow(entry.id);
+    expect(sender).toHaveBeenCalledTimes(1);
+    expect(scheduler.getEntries()).toEqual([entry]);
+    expect(JSON.parse(await storage.getItem(scheduler.storageKey))).toEqual([
+      entry,
+    ]);
+
+    resolveSend();
+    await sending;
+    expect(scheduler.getEntries()).toHaveLength(0);
+    expect(JSON.parse(await storage.getItem(scheduler.storageKey))).toEqual([]);
+  });
+
+  it('should update the message and send time of entry', async () => {
+    scheduler = new MessageScheduler();
+    const first = await scheduler.schedule(cid, { text: 'a' }, future(10));
+    await scheduler.schedule(cid, { text: 'b' }, future(20));
+    const sendAt = future(30);
+    await scheduler.update(first.id, {
+      message: { text: 'edited' },
+      send_at: sendAt,
+    });
+
+    const entries = scheduler.getEntries();
+    expect(entries.map((e) => e.message.text)).toEqual(['b', 'edited']);
+    expect(entries[1].send_at).toBe(sendAt.toISOString());
+  });
+
+  it('should not send the cancelled message', async () => {
+    scheduler = new MessageScheduler();
+    const sender = jest.fn(() => Promise.resolve());
+    scheduler.registerSender(cid, sender);
+    const entry = await scheduler.schedule(cid, { text: 'hi' }, past(1));
+    await scheduler.cancel(entry.id);
+    await scheduler.start();
+
+    expect(sender).not.toHaveBeenCalled();
+    expect(scheduler.getEntries()).toHaveLength(0);
+  });
+});
+
+describe('getScheduleOptions', () => {
+  it('should return the preset times relative to given time', () => {
+    // Wednesday
+    const now = new Date(2020, 4, 6, 15, 20);
+    const options = getScheduleOptions(now);
+    const dates = options.reduce(
+      (acc, option) => ({ ...acc, [option.key]: option.date }),
+      {},
+    );
+
+    expect(dates['30m']).toEqual(new Date(2020, 4, 6, 15, 50));
+    expect(dates['1h']).toEqual(new Date(2020, 4, 6, 16, 20));
+    expect(dates['3h']).toEqual(new Date(2020, 4, 6, 18, 20));
+    expect(dates.tomorrow).toEqual(new Date(2020, 4, 7, 9));
+    expect(dates.monday).toEqual(new Date(2020, 4, 11, 9));
+  });
+
+  it('should return monday of next week, if today is monday', () => {
+    const monday = getScheduleOptions(new Date(2020, 4, 11, 8)).find(
+      (option) => option.key === 'monday',
+    );
+
+    expect(monday.date).toEqual(new Date(2020, 4, 18, 9));
+  });
+});
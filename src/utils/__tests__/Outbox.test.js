@@ -0,0 +1,163 @@
+import { Outbox } from '../Outbox';
+import { MemoryStorage } from '../MemoryStorage';
+
+const message = (id) => ({ id, text: `message ${id}`, status: 'sending' });
+
+describe('Outbox', () => {
+  it('should persist queued messages in storage', async () => {
+    const storage = new MemoryStorage();
+    const outbox = new Outbox({ storage });
+    await outbox.enqueue('messaging:general', message('1'));
+    await outbox.enqueue('messaging:general', message('2'));
+
+    const restoredOutbox = new Outbox({ storage });
+    await restoredOutbox.load();
+    const entries = restoredOutbox.getEntries('messaging:general');
+    expect(entries.map((e) => e.message.id)).toEqual(['1', '2']);
+  });
+
+  it('should send messages in the order they were queued', async () => {
+    const outbox = new Outbox();
+    const sent = [];
+    outbox.registerSender('messaging:general', (m) => {
+      sent.push(m.id);
+      return Promise.resolve();
+    });
+    await outbox.enqueue('messaging:general', message('1'));
+    await outbox.enqueue('messaging:random', message('2'));
+    await outbox.enqueue('messaging:general', message('3'));
+
+    const defaultSender = jest.fn((cid, m) => {
+      sent.push(m.id);
+      return Promise.resolve();
+    });
+    await outbox.flush(defaultSender);
+
+    expect(sent).toEqual(['1', '2', '3']);
+    expect(defaultSender).toHaveBeenCalledTimes(1);
+    expect(outbox.getEntries()).toHaveLength(0);
+  });
+
+  it('should not send cancelled messages', async () => {
+    const outbox = new Outbox();
+    const sender = jest.fn(() => Promise.resolve());
+    outbox.registerSender('messaging:general', sender);
+    await outbox.enqueue('messaging:general', message('1'));
+    await outbox.enqueue('messaging:general', message('2'));
+    await outbox.cancel('1');
+    await outbox.flush();
+
+    expect(sender).toHaveBeenCalledTimes(1);
+    expect(sender.mock.calls[0][0].id).toBe('2');
+  });
+
+  it('should retry with exponential backoff', () => {
+    const outbox = new Outbox({ retryDelay: 1000, maxRetryDelay: 5000 });
+
+    expect(outbox.getRetryDelay(0)).toBe(1000);
+    expect(outbox.getRetryDelay(1)).toBe(2000);
+    expect(outbox.getRetryDelay(2)).toBe(4000);
+    expect(outbox.getRetryDelay(3)).toBe(5000);
+  });
+
+  it('should keep the message and schedule retry when sending fails', async () => {
+    jest.useFakeTimers();
+    const outbox = new Outbox({ retryDelay: 1000 });
+    const sender = jest
+      .fn()
+      .mockImplementationOnce(() => Promise.reject(new Error('offline')))
+      .mockImplementation(() => Promise.resolve());
+    outbox.registerSender('messaging:general', sender);
+    await outbox.enqueue('messaging:general', message('1'));
+    await outbox.flush();
+
+    expect(outbox.getEntries()).toHaveLength(1);
+    expect(setTimeout).toHaveBeenLastCalledWith(expect.any(Function), 1000);
+
+    outbox.stop();
+    await outbox.flush();
+    expect(sender).toHaveBeenCalledTimes(2);
+    expect(outbox.getEntries()).toHaveLength(0);
+    jest.useRealTimers();
+  });
+
+  it('should discard the message after max attempts', async () => {
+    const outbox = new Outbox({ maxAttempts: 1 });
+    const listener = jest.fn();
+    outbox.subscribe(listener);
+    outbox.registerSender('messaging:general', () =>
+      Promise.reject(new Error('failed')),
+    );
+    await outbox.enqueue('messaging:general', message('1'));
+    await outbox.flush();
+
+    expect(outbox.getEntries()).toHaveLength(0);
+    expect(listener).toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'outbox.discarded' }),
+    );
+  });
+
+  it('should discard the message rejected by API right away, and send the next one', async () => {
+    const outbox = new Outbox({ maxAttempts: 10 });
+    const listener = jest.fn();
+    outbox.subscribe(listener);
+    const error = new Error('StreamChat error code 4: invalid message');
+    error.status = 400;
+    const sender = jest
+      .fn()
+      .mockImplementationOnce(() => Promise.reject(error))
+      .mockImplementation(() => Promise.resolve());
+    outbox.registerSender('messaging:general', sender);
+    await outbox.enqueue('messaging:general', message('1'));
+    await outbox.enqueue('messaging:general', message('2'));
+    await outbox.flush();
+
+    expect(sender).toHaveBeenCalledTimes(2);
+    expect(outbox.getEntries()).toHaveLength(0);
+    expect(outbox.retryTimeout).toBe(null);
+    expect(listener).toHaveBeenCalledWith({
+      type: 'outbox.discarded',
+      entry: expect.objectContaining({ message: message('1') }),
+      error,
+    });
+  });
+
+  it('should consider the message as sent, if it was already sent by previous attempt', async () => {
+    const outbox = new Outbox();
+    const listener = jest.fn();
+    outbox.subscribe(listener);
+    const error = new Error(
+      'StreamChat error code 4: SendMessage failed with error: "a message with ID 1 already exists"',
+    );
+    error.status = 400;
+    outbox.registerSender('messaging:general', () => Promise.reject(error));
+    await outbox.enqueue('messaging:general', message('1'));
+    await outbox.flush();
+
+    expect(outbox.getEntries()).toHaveLength(0);
+    expect(outbox.retryTimeout).toBe(null);
+    expect(listener).not.toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'outbox.discarded' }),
+    );
+  });
+
+  it('should count the attempts per message', async () => {
+    const outbox = new Outbox({ maxAttempts: 2 });
+    const sender = jest.fn(() => Promise.reject(new Error('offline')));
+    outbox.registerSender('messaging:general', sender);
+    await outbox.enqueue('messaging:general', message('1'));
+    await outbox.enqueue('messaging:general', message('2'));
+    await outbox.flush();
+    outbox.stop();
+
+    expect(outbox.getEntries()[0].attempts).toBe(1);
+
+    // Attempts of cancelled message don't carry over to the next one.
+    await outbox.cancel('1');
+    await outbox.flush();
+    outbox.stop();
+
+    expect(outbox.getEntries()).toHaveLength(1);
+    expect(outbox.getEntries()[0].attempts).toBe(1);
+  });
+});
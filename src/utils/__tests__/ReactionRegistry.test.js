@@ -0,0 +1,144 @@
+import { ReactionRegistry } from '../ReactionRegistry';
+import { MemoryStorage } from '../MemoryStorage';
+
+const categories = [
+  { id: 'smileys', name: 'Smileys', icon: '😀' },
+  { id: 'people', name: 'People', icon: '👍' },
+];
+
+const reactions = [
+  { id: 'haha', icon: '😂', category: 'smileys', keywords: ['laugh'] },
+  { id: 'like', icon: '👍', category: 'people', skinTones: true },
+  { id: 'wave', icon: '👋', category: 'people', name: 'Waving hand' },
+];
+
+describe('ReactionRegistry', () => {
+  it('should contain the default reactions by default', () => {
+    const registry = new ReactionRegistry();
+    ['like', 'love', 'haha', 'wow', 'sad', 'angry'].forEach((id) => {
+      expect(registry.get(id)).not.toBeNull();
+    });
+  });
+
+  it('should return null for unknown reaction types', () => {
+    const registry = new ReactionRegistry({ reactions, categories });
+    expect(registry.get('partyparrot')).toBeNull();
+    expect(registry.get('haha_tone2')).toBeNull();
+  });
+
+  it('should resolve skin tone variants of reactions', () => {
+    const registry = new ReactionRegistry({ reactions, categories });
+    const reaction = registry.get('like_tone3');
+
+    expect(reaction.id).toBe('like_tone3');
+    expect(reaction.icon).toBe('👍🏽');
+    expect(registry.getTypeWithSkinTone('like', 3)).toBe('like_tone3');
+    expect(registry.getTypeWithSkinTone('haha', 3)).toBe('haha');
+    expect(registry.getTypeWithSkinTone('like', 0)).toBe('like');
+  });
+
+  it('should add reactions without known category to custom category', () => {
+    const registry = new ReactionRegistry({ reactions, categories });
+    registry.register({ id: 'partyparrot', image: 'https://parrot.gif' });
+
+    const custom = registry.getCategories().find((c) => c.id === 'custom');
+    expect(custom.reactions.map((r) => r.id)).toEqual(['partyparrot']);
+    expect(registry.get('partyparrot').image).toBe('https://parrot.gif');
+  });
+
+  it('should throw an error for reactions without id', () => {
+    const registry = new ReactionRegistry({ reactions, categories });
+    expect(() => registry.register({ icon: '🐿️' })).toThrow();
+  });
+
+  it('should group the reactions in categories', () => {
+    const registry = new ReactionRegistry({
+      reactions,
+      categories: [...categories, { id: 'food', name: 'Food', icon: '🍕' }],
+    });
+
+    expect(
+      registry.getCategories().map((c) => [c.id, c.reactions.map((r) => r.id)]),
+    ).toEqual([
+      ['smileys', ['haha']],
+      ['people', ['like', 'wave']],
+    ]);
+  });
+
+  it('should search the reactions by id, name and keywords', () => {
+    const registry = new ReactionRegistry({ reactions, categories });
+
+    expect(registry.search('LAUGH').map((r) => r.id)).toEqual(['haha']);
+    expect(registry.search('waving').map((r) => r.id)).toEqual(['wave']);
+    expect(registry.search('lik').map((r) => r.id)).toEqual(['like']);
+    expect(registry.search(' ')).toEqual([]);
+  });
+
+  it('should keep the recently used reactions, most recent first', async () => {
+    const registry = new ReactionRegistry({
+      reactions,
+      categories,
+      maxRecent: 2,
+    });
+    await registry.addRecent('haha');
+    await registry.addRecent('like_tone2');
+    await registry.addRecent('haha');
+    await registry.addRecent('wave');
+
+    expect(registry.getRecent().map((r) => r.id)).toEqual(['wave', 'haha']);
+  });
+
+  it('should persist recent reactions and skin tone in storage', async () => {
+    const storage = new MemoryStorage();
+    const registry = new ReactionRegistry({ reactions, categories, storage });
+    await registry.addRecent('like_tone2');
+    await registry.setSkinTone(2);
+
+    const restoredRegistry = new ReactionRegistry({
+      reactions,
+      categories,
+      storage,
+    });
+    await restoredRegistry.load();
+
+    expect(restoredRegistry.getRecent().map((r) => r.id)).toEqual([
+      'like_tone2',
+    ]);
+    expect(restoredRegistry.skinTone).toBe(2);
+  });
+
+  it('should keep the stored reactions and skin tone, when reaction is added before load', async () => {
+    const storage = new MemoryStorage();
+    await storage.setItem(
+      'stream-chat-reactions',
+      JSON.stringify({ recent: ['wave', 'haha'], skinTone: 3 }),
+    );
+    const registry = new ReactionRegistry({ reactions, categories, storage });
+    await registry.addRecent('like');
+
+    expect(registry.getRecent().map((r) => r.id)).toEqual([
+      'like',
+      'wave',
+      'haha',
+    ]);
+    expect(registry.skinTone).toBe(3);
+
+    const restoredRegistry = new ReactionRegistry({
+      reactions,
+      categories,
+      storage,
+    });
+    await restoredRegistry.load();
+    expect(restoredRegistry.getRecent().map((r) => r.id)).toEqual([
+      'like',
+      'wave',
+      'haha',
+    ]);
+    expect(restoredRegistry.skinTone).toBe(3);
+  });
+
+  it('should throw an error for invalid skin tone', () => {
+    const registry = new ReactionRegistry({ reactions, categories });
+    expect(() => registry.setSkinTone(6)).toThrow();
+  });
+});
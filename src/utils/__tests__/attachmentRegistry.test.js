@@ -0,0 +1,83 @@
+import {
+  getAttachmentTypes,
+  getRegisteredAttachmentType,
+  registerAttachmentType,
+  unregisterAttachmentType,
+} from '../attachmentRegistry';
+
+const Location = () => null;
+const Contact = () => null;
+
+describe('attachmentRegistry', () => {
+  afterEach(() => {
+    getAttachmentTypes().forEach((t) => unregisterAttachmentType(t.type));
+  });
+
+  it('should match the attachments by type by default', () => {
+    registerAttachmentType('location', { Component: Location });
+
+    expect(
+      getRegisteredAttachmentType({ type: 'location', latitude: 52.3 })
+        .Component,
+    ).toBe(Location);
+    expect(getRegisteredAttachmentType({ type: 'image' })).toBe(null);
+  });
+
+  it('should use the match function, if provided', () => {
+    registerAttachmentType('contact', {
+      match: (attachment) => !!attachment.vcard,
+      Component: Contact,
+    });
+
+    expect(
+      getRegisteredAttachmentType({ type: 'file', vcard: 'BEGIN:VCARD' })
+        .Component,
+    ).toBe(Contact);
+    expect(getRegisteredAttachmentType({ type: 'contact' })).toBe(null);
+  });
+
+  it('should return the first matching type, in registration order', () => {
+    registerAttachmentType('location', { Component: Location });
+    registerAttachmentType('any', { match: () => true, Component: Contact });
+
+    expect(getRegisteredAttachmentType({ type: 'location' }).type).toBe(
+      'location',
+    );
+    expect(getRegisteredAttachmentType({ type: 'card' }).type).toBe('any');
+  });
+
+  it('should replace the type registered with the same name', () => {
+    registerAttachmentType('location', { Component: Location });
+    registerAttachmentType('location', { Component: Contact });
+
+    expect(getAttachmentTypes()).toHaveLength(1);
+    expect(getRegisteredAttachmentType({ type: 'location' }).Component).toBe(
+      Contact,
+    );
+  });
+
+  it('should unregister the type using returned function', () => {
+    const unregister = registerAttachmentType('location', {
+      Component: Location,
+    });
+    unregister();
+
+    expect(getRegisteredAttachmentType({ type: 'location' })).toBe(null);
+  });
+
+  it('should not unregister the type, if it was replaced', () => {
+    const unregister = registerAttachmentType('location', {
+      Component: Location,
+    });
+    registerAttachmentType('location', { Component: Contact });
+    unregister();
+
+    expect(getRegisteredAttachmentType({ type: 'location' }).Component).toBe(
+      Contact,
+    );
+  });
+
+  it('should throw if type has no Component', () => {
+    expect(() => registerAttachmentType('location', {})).toThrow();
+  });
+});
@@ -0,0 +1,42 @@
+import { formatDuration, resampleWaveform } from '../audio';
+
+describe('formatDuration', () => {
+  it('should format seconds as m:ss', () => {
+    expect(formatDuration(0)).toBe('0:00');
+    expect(formatDuration(5)).toBe('0:05');
+    expect(formatDuration(75)).toBe('1:15');
+    expect(formatDuration(600)).toBe('10:00');
+  });
+
+  it('should round fractional seconds', () => {
+    expect(formatDuration(9.6)).toBe('0:10');
+  });
+
+  it('should handle missing or negative duration', () => {
+    expect(formatDuration()).toBe('0:00');
+    expect(formatDuration(-3)).toBe('0:00');
+  });
+});
+
+describe('resampleWaveform', () => {
+  it('should return empty waveform for no levels', () => {
+    expect(resampleWaveform([], 10)).toEqual([]);
+    expect(resampleWaveform(undefined, 10)).toEqual([]);
+  });
+
+  it('should reduce levels to given number of bars, using the peak level', () => {
+    expect(resampleWaveform([0.1, 0.5, 0.2, 0.3, 0.9, 0.4], 3)).toEqual([
+      0.5,
+      0.3,
+      0.9,
+    ]);
+  });
+
+  it('should stretch levels when there are less levels than bars', () => {
+    expect(resampleWaveform([0.2, 0.8], 4)).toEqual([0.2, 0.2, 0.8, 0.8]);
+  });
+
+  it('should clamp levels between 0 and 1', () => {
+    expect(resampleWaveform([-1, 2], 2)).toEqual([0, 1]);
+  });
+});
@@ -0,0 +1,153 @@
+import Immutable from 'seamless-immutable';
+import {
+  CHANNEL_ACTIONS,
+  canPerformChannelAction,
+  getChannelSections,
+  getChannelUnreadCount,
+  isChannelMuted,
+  markChannelUnread,
+  sortPinnedChannels,
+} from '../channelActions';
+
+const user = { id: 'vishal', role: 'user' };
+
+const createChannel = ({ messages = [], members = {}, data = {} } = {}) => ({
+  data,
+  state: {
+    messages,
+    members,
+    read: Immutable({}),
+  },
+  countUnread() {
+    const lastRead = this.state.read[user.id]
+      ? this.state.read[user.id].last_read
+      : null;
+    return this.state.messages.filter(
+      (m) => m.user.id !== user.id && (!lastRead || m.created_at > lastRead),
+    ).length;
+  },
+});
+
+describe('isChannelMuted', () => {
+  it('should return the mute status of channel', () => {
+    expect(isChannelMuted({ muteStatus: () => ({ muted: true }) })).toBe(true);
+    expect(isChannelMuted({ muteStatus: () => ({ muted: false }) })).toBe(
+      false,
+    );
+  });
+
+  it('should return false for channel, which is not initialized', () => {
+    const channel = {
+      muteStatus: () => {
+        throw new Error('Channel is not initialized');
+      },
+    };
+
+    expect(isChannelMuted(channel)).toBe(false);
+  });
+});
+
+describe('getChannelUnreadCount', () => {
+  it('should not count the unread messages of muted channel', () => {
+    const channel = createChannel({
+      messages: [
+        { user: { id: 'thierry' }, created_at: new Date('2020-04-10T10:00Z') },
+      ],
+    });
+
+    channel.muteStatus = () => ({ muted: false });
+    expect(getChannelUnreadCount(channel)).toBe(1);
+    channel.muteStatus = () => ({ muted: true });
+    expect(getChannelUnreadCount(channel)).toBe(0);
+  });
+});
+
+describe('markChannelUnread', () => {
+  it('should mark the latest message from other users as unread', () => {
+    const channel = createChannel({
+      messages: [
+        { user: { id: 'thierry' }, created_at: new Date('2020-04-10T10:00Z') },
+        { user: { id: 'thierry' }, created_at: new Date('2020-04-10T11:00Z') },
+        { user: { id: 'vishal' }, created_at: new Date('2020-04-10T12:00Z') },
+      ],
+    });
+
+    expect(markChannelUnread(channel, user)).toBe(true);
+    expect(channel.countUnread()).toBe(1);
+    expect(channel.state.read[user.id].user).toEqual(user);
+  });
+
+  it('should not mark the channel without messages from other users', () => {
+    const channel = createChannel({
+      messages: [
+        { user: { id: 'vishal' }, created_at: new Date('2020-04-10T12:00Z') },
+      ],
+    });
+
+    expect(markChannelUnread(channel, user)).toBe(false);
+    expect(channel.state.read[user.id]).toBeUndefined();
+  });
+});
+
+describe('canPerformChannelAction', () => {
+  it('should only allow members to leave the channel', () => {
+    const channel = createChannel({ members: { vishal: { user } } });
+
+    expect(canPerformChannelAction(channel, CHANNEL_ACTIONS.leave, user)).toBe(
+      true,
+    );
+    expect(
+      canPerformChannelAction(channel, CHANNEL_ACTIONS.leave, { id: 'amin' }),
+    ).toBe(false);
+  });
+
+  it('should only allow creator of channel and admins to delete it', () => {
+    const channel = createChannel({ data: { created_by: { id: 'thierry' } } });
+
+    expect(canPerformChannelAction(channel, CHANNEL_ACTIONS.delete, user)).toBe(
+      false,
+    );
+    expect(
+      canPerformChannelAction(channel, CHANNEL_ACTIONS.delete, {
+        id: 'thierry',
+      }),
+    ).toBe(true);
+    expect(
+      canPerformChannelAction(channel, CHANNEL_ACTIONS.delete, {
+        id: 'amin',
+        role: 'admin',
+      }),
+    ).toBe(true);
+    expect(canPerformChannelAction(channel, CHANNEL_ACTIONS.mute, user)).toBe(
+      true,
+    );
+  });
+});
+
+describe('sortPinnedChannels', () => {
+  it('should move the pinned channels on top, in the order they were pinned', () => {
+    const channels = ['a', 'b', 'c', 'd'].map((id) => ({ cid: `m:${id}` }));
+
+    expect(
+      sortPinnedChannels(channels, ['m:c', 'm:x', 'm:b']).map((c) => c.cid),
+    ).toEqual(['m:c', 'm:b', 'm:a', 'm:d']);
+    expect(sortPinnedChannels(channels, [])).toBe(channels);
+  });
+});
+
+describe('getChannelSections', () => {
+  it('should split the channels into pinned, other and archived channels', () => {
+    const channels = ['a', 'b', 'c', 'd', 'e'].map((id) => ({
+      cid: `m:${id}`,
+    }));
+    const sections = getChannelSections(
+      channels,
+      ['m:d', 'm:b'],
+      ['m:c', 'm:b'],
+    );
+
+    expect(sections.pinned.map((c) => c.cid)).toEqual(['m:d', 'm:b']);
+    expect(sections.channels.map((c) => c.cid)).toEqual(['m:a', 'm:e']);
+    expect(sections.archived.map((c) => c.cid)).toEqual(['m:c']);
+  });
+});
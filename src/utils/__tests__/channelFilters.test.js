@@ -0,0 +1,112 @@
+import { matchesAutocomplete, matchesChannelFilters } from '../channelFilters';
+
+const channel = {
+  type: 'messaging',
+  id: 'general',
+  cid: 'messaging:general',
+  data: {
+    name: 'General discussion',
+    frozen: false,
+    created_at: '2020-04-10T10:00:00.000Z',
+  },
+  state: {
+    members: {
+      thierry: { user: { id: 'thierry', name: 'Thierry' } },
+      vishal: { user: { id: 'vishal', name: 'Vishal Narkhede' } },
+    },
+  },
+};
+
+describe('matchesChannelFilters', () => {
+  it('should match the fields of channel', () => {
+    expect(matchesChannelFilters(channel, {})).toBe(true);
+    expect(
+      matchesChannelFilters(channel, { type: 'messaging', frozen: false }),
+    ).toBe(true);
+    expect(matchesChannelFilters(channel, { type: 'livestream' })).toBe(false);
+    expect(matchesChannelFilters(channel, { member_count: 2 })).toBe(true);
+    expect(matchesChannelFilters(channel, { member_count: { $gt: 2 } })).toBe(
+      false,
+    );
+  });
+
+  it('should match the members of channel', () => {
+    expect(
+      matchesChannelFilters(channel, { members: { $in: ['vishal', 'amin'] } }),
+    ).toBe(true);
+    expect(matchesChannelFilters(channel, { members: { $in: ['amin'] } })).toBe(
+      false,
+    );
+    expect(
+      matchesChannelFilters(channel, {
+        'member.user.name': { $autocomplete: 'nark' },
+      }),
+    ).toBe(true);
+  });
+
+  it('should support the comparison of dates', () => {
+    expect(
+      matchesChannelFilters(channel, {
+        created_at: { $gte: new Date('2020-04-01T00:00:00Z') },
+      }),
+    ).toBe(true);
+    expect(
+      matchesChannelFilters(channel, {
+        created_at: { $lt: '2020-04-01T00:00:00.000Z' },
+      }),
+    ).toBe(false);
+  });
+
+  it('should support logical operators', () => {
+    expect(
+      matchesChannelFilters(channel, {
+        $or: [{ type: 'livestream' }, { name: { $autocomplete: 'disc' } }],
+      }),
+    ).toBe(true);
+    expect(
+      matchesChannelFilters(channel, {
+        $and: [{ type: 'messaging' }, { id: { $nin: ['general'] } }],
+      }),
+    ).toBe(false);
+    expect(matchesChannelFilters(channel, { $nor: [{ frozen: true }] })).toBe(
+      true,
+    );
+  });
+
+  it('should return null for filters, which can not be checked locally', () => {
+    expect(
+      matchesChannelFilters(channel, { name: { $contains: 'General' } }),
+    ).toBe(null);
+    expect(
+      matchesChannelFilters(channel, {
+        $or: [{ type: 'livestream' }, { name: { $contains: 'General' } }],
+      }),
+    ).toBe(null);
+    // Fields missing in local data of channel may still be present on server.
+    expect(matchesChannelFilters(channel, { created_by_id: 'vishal' })).toBe(
+      null,
+    );
+    expect(
+      matchesChannelFilters({ ...channel, data: undefined }, { frozen: false }),
+    ).toBe(null);
+    expect(matchesChannelFilters(channel, { team: { $exists: false } })).toBe(
+      null,
+    );
+    // Result is known, regardless of unsupported operator.
+    expect(
+      matchesChannelFilters(channel, {
+        type: 'livestream',
+        name: { $contains: 'General' },
+      }),
+    ).toBe(false);
+  });
+});
+
+describe('matchesAutocomplete', () => {
+  it('should match the words, which start with term, ignoring case', () => {
+    expect(matchesAutocomplete('Thierry Schellenbach', 'schell')).toBe(true);
+    expect(matchesAutocomplete('Thierry Schellenbach', 'THI')).toBe(true);
+    expect(matchesAutocomplete('Thierry Schellenbach', 'ellen')).toBe(false);
+    expect(matchesAutocomplete(undefined, 'thi')).toBe(false);
+  });
+});
@@ -0,0 +1,78 @@
+import {
+  CHANNEL_QUICK_FILTERS,
+  combineFilters,
+  getChannelSearchFilters,
+  matchesChannelSearch,
+} from '../channelSearch';
+
+const channel = {
+  data: { name: 'General' },
+  state: {
+    members: {
+      thierry: { user: { id: 'thierry', name: 'Thierry Schellenbach' } },
+      vishal: { user: { id: 'vishal' } },
+    },
+  },
+};
+
+describe('combineFilters', () => {
+  it('should combine non-empty filters with $and', () => {
+    expect(combineFilters({}, undefined)).toEqual({});
+    expect(combineFilters({ type: 'messaging' }, {})).toEqual({
+      type: 'messaging',
+    });
+    expect(combineFilters({ type: 'messaging' }, { member_count: 2 })).toEqual({
+      $and: [{ type: 'messaging' }, { member_count: 2 }],
+    });
+  });
+});
+
+describe('getChannelSearchFilters', () => {
+  it('should search by name of channel and names of members', () => {
+    expect(getChannelSearchFilters('gen')).toEqual({
+      $or: [
+        { name: { $autocomplete: 'gen' } },
+        { 'member.user.name': { $autocomplete: 'gen' } },
+      ],
+    });
+  });
+});
+
+describe('matchesChannelSearch', () => {
+  it('should match the words of channel name and member names, which start with search term', () => {
+    expect(matchesChannelSearch(channel, 'gener')).toBe(true);
+    expect(matchesChannelSearch(channel, 'SCHELL')).toBe(true);
+    expect(matchesChannelSearch(channel, 'random')).toBe(false);
+    expect(matchesChannelSearch(channel, '  ')).toBe(true);
+  });
+
+  it('should match the same channels as search filters on server', () => {
+    // `$autocomplete` only matches the start of words, and server doesn't search by member ids.
+    expect(matchesChannelSearch(channel, 'neral')).toBe(false);
+    expect(matchesChannelSearch(channel, 'vish')).toBe(false);
+  });
+
+  it('should work for channels without name', () => {
+    expect(
+      matchesChannelSearch({ data: {}, state: channel.state }, 'thierry'),
+    ).toBe(true);
+  });
+});
+
+describe('CHANNEL_QUICK_FILTERS', () => {
+  it('should filter the unread and muted channels locally', () => {
+    const unreadChannel = {
+      countUnread: () => 2,
+      muteStatus: () => ({ muted: true }),
+    };
+    const readChannel = {
+      countUnread: () => 0,
+      muteStatus: () => ({ muted: false }),
+    };
+
+    expect(CHANNEL_QUICK_FILTERS.unread.predicate(unreadChannel)).toBe(true);
+    expect(CHANNEL_QUICK_FILTERS.unread.predicate(readChannel)).toBe(false);
+    expect(CHANNEL_QUICK_FILTERS.muted.predicate(unreadChannel)).toBe(true);
+    expect(CHANNEL_QUICK_FILTERS.muted.predicate(readChannel)).toBe(false);
+  });
+});
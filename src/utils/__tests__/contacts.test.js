@@ -0,0 +1,74 @@
+import {
+  createContactAttachment,
+  findContactMember,
+  getContactFromAttachment,
+} from '../contacts';
+import { serializeVCard } from '../vcard';
+
+const members = {
+  thierry: { user: { id: 'thierry', name: 'Thierry' } },
+  vishal: { user: { id: 'vishal', email: 'Vishal@getstream.io' } },
+  amin: { user: { id: 'amin', phone: '+31 (6) 1234-5678' } },
+};
+
+describe('createContactAttachment', () => {
+  it('should create the attachment with contact and vCard', () => {
+    const attachment = createContactAttachment({
+      name: ' Thierry ',
+      phones: [{ label: 'cell', value: '+31612345678' }, { value: '' }],
+      emails: [],
+    });
+
+    expect(attachment.type).toBe('contact');
+    expect(attachment.title).toBe('Thierry');
+    expect(attachment.contact).toEqual({
+      name: 'Thierry',
+      phones: [{ label: 'cell', value: '+31612345678' }],
+      emails: [],
+    });
+    expect(attachment.vcard).toContain('TEL;TYPE=CELL:+31612345678');
+  });
+});
+
+describe('getContactFromAttachment', () => {
+  it('should parse the vCard if attachment has no contact', () => {
+    const attachment = {
+      type: 'contact',
+      vcard: serializeVCard({ name: 'Vishal', phones: [], emails: [] }),
+    };
+
+    expect(getContactFromAttachment(attachment).name).toBe('Vishal');
+  });
+});
+
+describe('findContactMember', () => {
+  it('should match the member by user id', () => {
+    expect(findContactMember({ name: 'T', user_id: 'thierry' }, members)).toBe(
+      members.thierry,
+    );
+  });
+
+  it('should match the member by email or phone number', () => {
+    expect(
+      findContactMember(
+        { name: 'V', emails: [{ value: 'vishal@getstream.io' }] },
+        members,
+      ),
+    ).toBe(members.vishal);
+    expect(
+      findContactMember(
+        { name: 'A', phones: [{ value: '+316 12345678' }] },
+        members,
+      ),
+    ).toBe(members.amin);
+  });
+
+  it('should return null if contact is not a member', () => {
+    expect(
+      findContactMember(
+        { name: 'N', phones: [{ value: '123' }], emails: [] },
+        members,
+      ),
+    ).toBeNull();
+  });
+});
@@ -0,0 +1,46 @@
+import {
+  isDuplicateMessageError,
+  isNetworkError,
+  isRetryableError,
+} from '../errors';
+
+const apiError = (status, message = '') => {
+  const error = new Error(`StreamChat error code 4: ${message}`);
+  error.status = status;
+  error.response = { status, data: { code: 4, message } };
+  return error;
+};
+
+describe('isNetworkError', () => {
+  it('should return true for errors without response', () => {
+    expect(isNetworkError(new Error('Network Error'))).toBe(true);
+    expect(isNetworkError(apiError(500))).toBe(false);
+  });
+});
+
+describe('isRetryableError', () => {
+  it('should retry network, server, timeout and rate limit errors', () => {
+    expect(isRetryableError(new Error('Network Error'))).toBe(true);
+    expect(isRetryableError(apiError(502))).toBe(true);
+    expect(isRetryableError(apiError(408))).toBe(true);
+    expect(isRetryableError(apiError(429))).toBe(true);
+    expect(isRetryableError(apiError(403))).toBe(false);
+  });
+});
+
+describe('isDuplicateMessageError', () => {
+  it('should return true, when message with same id already exists', () => {
+    expect(
+      isDuplicateMessageError(
+        apiError(
+          400,
+          'SendMessage failed with error: "a message with ID abc already exists"',
+        ),
+      ),
+    ).toBe(true);
+    expect(isDuplicateMessageError(apiError(400, 'text is too long'))).toBe(
+      false,
+    );
+    expect(isDuplicateMessageError(new Error('Network Error'))).toBe(false);
+  });
+});
@@ -0,0 +1,53 @@
+import { highlightText } from '../highlightText';
+
+describe('highlightText', () => {
+  it('should highlight the words of search term, ignoring case', () => {
+    expect(highlightText('Lunch at the pizza place?', 'pizza lunch')).toBe(
+      '**Lunch** at the **pizza** place?',
+    );
+  });
+
+  it('should return the text as it is, for empty search term', () => {
+    expect(highlightText('Lunch at the pizza place?', '  ')).toBe(
+      'Lunch at the pizza place?',
+    );
+  });
+
+  it('should escape the special characters of search term', () => {
+    expect(highlightText('Is it 1+1 or (1+1)?', '(1+1)')).toBe(
+      'Is it 1+1 or **(1+1)**?',
+    );
+  });
+
+  it('should not highlight the words in links and mentions', () => {
+    expect(
+      highlightText(
+        '**@Vishal** see [getstream.io](https://getstream.io) about stream',
+        'vishal stream',
+      ),
+    ).toBe(
+      '**@Vishal** see [getstream.io](https://getstream.io) about **stream**',
+    );
+  });
+
+  it('should not highlight the words in already emphasised text', () => {
+    expect(highlightText('**pizza** or pizza', 'pizza')).toBe(
+      '**pizza** or **pizza**',
+    );
+    expect(highlightText('*pizza* and __pizza__ or _pizza_', 'pizza')).toBe(
+      '*pizza* and __pizza__ or _pizza_',
+    );
+    expect(highlightText('snake_case_pizza', 'pizza')).toBe(
+      'snake_case_**pizza**',
+    );
+  });
+
+  it('should not highlight the words in code', () => {
+    expect(highlightText('run `pizza --fast` for pizza', 'pizza')).toBe(
+      'run `pizza --fast` for **pizza**',
+    );
+    expect(highlightText('```\nconst pizza = 1;\n```\npizza', 'pizza')).toBe(
+      '```\nconst pizza = 1;\n```\n**pizza**',
+    );
+  });
+});
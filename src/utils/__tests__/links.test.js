@@ -0,0 +1,30 @@
+import { getFirstUrl, getUrls } from '../links';
+
+describe('getUrls', () => {
+  it('should return the urls with protocol, in order', () => {
+    expect(
+      getUrls('Check www.google.com and https://getstream.io/chat, thanks'),
+    ).toEqual(['http://www.google.com', 'https://getstream.io/chat']);
+  });
+
+  it('should not return the emails', () => {
+    expect(getUrls('Mail me at vishal@getstream.io')).toEqual([]);
+  });
+
+  it('should return empty list for empty text', () => {
+    expect(getUrls('')).toEqual([]);
+    expect(getUrls(undefined)).toEqual([]);
+  });
+});
+
+describe('getFirstUrl', () => {
+  it('should return the first url in text', () => {
+    expect(getFirstUrl('a@b.com https://getstream.io www.google.com')).toBe(
+      'https://getstream.io',
+    );
+  });
+
+  it('should return null if text has no url', () => {
+    expect(getFirstUrl('Hello there')).toBe(null);
+  });
+});
@@ -0,0 +1,76 @@
+import Immutable from 'seamless-immutable';
+import {
+  getNewestLoadedAt,
+  getMessagesInWindow,
+  replaceQueriedMessages,
+  revertQueriedMessages,
+} from '../messageWindow';
+
+const message = (id, minute) => ({
+  id,
+  created_at: new Date(Date.UTC(2020, 0, 1, 10, minute)),
+});
+
+describe('getNewestLoadedAt', () => {
+  it('should return the time of newest message, when page is full', () => {
+    const messages = [message('1', 1), message('2', 2)];
+    expect(getNewestLoadedAt(messages, 2)).toEqual(messages[1].created_at);
+  });
+
+  it('should return null, when there are no more newer messages', () => {
+    expect(getNewestLoadedAt([message('1', 1)], 2)).toBeNull();
+    expect(getNewestLoadedAt([], 2)).toBeNull();
+  });
+});
+
+describe('getMessagesInWindow', () => {
+  const messages = Immutable([
+    message('1', 1),
+    message('2', 2),
+    { ...message('3', 3), created_at: '2020-01-01T10:03:00.000Z' },
+  ]);
+
+  it('should return all the messages, when latest messages are loaded', () => {
+    expect(getMessagesInWindow(messages, null)).toBe(messages);
+  });
+
+  it('should hide the messages newer than window', () => {
+    expect(
+      getMessagesInWindow(messages, messages[1].created_at).map((m) => m.id),
+    ).toEqual(['1', '2']);
+    expect(
+      getMessagesInWindow(messages, new Date('2020-01-01T10:03:00.000Z')).map(
+        (m) => m.id,
+      ),
+    ).toEqual(['1', '2', '3']);
+  });
+});
+
+describe('replaceQueriedMessages', () => {
+  it('should keep the queried messages and the ones received during queries', () => {
+    const previousMessages = [message('5', 5), message('6', 6)];
+    const queriedMessages = [message('1', 1), message('2', 2), message('5', 5)];
+    // State after queries - received message 7 while they were in progress
+    const messages = [...queriedMessages, message('6', 6), message('7', 7)];
+
+    expect(
+      replaceQueriedMessages(messages, previousMessages, queriedMessages).map(
+        (m) => m.id,
+      ),
+    ).toEqual(['1', '2', '5', '7']);
+  });
+});
+
+describe('revertQueriedMessages', () => {
+  it('should remove the messages added by queries and keep the received ones', () => {
+    const previousMessages = [message('5', 5), message('6', 6)];
+    const queriedMessages = [message('1', 1), message('5', 5)];
+    const messages = [...queriedMessages, message('6', 6), message('7', 7)];
+
+    expect(
+      revertQueriedMessages(messages, previousMessages, queriedMessages).map(
+        (m) => m.id,
+      ),
+    ).toEqual(['5', '6', '7']);
+  });
+});
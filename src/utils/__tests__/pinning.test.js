@@ -0,0 +1,53 @@
+import Immutable from 'seamless-immutable';
+import { getPinnedMessages } from '../pinning';
+
+describe('getPinnedMessages', () => {
+  it('should return only pinned messages, which are not deleted', () => {
+    const messages = [
+      { id: '1', pinned: true },
+      { id: '2' },
+      { id: '3', pinned: false },
+      { id: '4', pinned: true, deleted_at: '2020-04-10T10:00:00Z' },
+    ];
+
+    expect(getPinnedMessages(messages).map((m) => m.id)).toEqual(['1']);
+  });
+
+  it('should sort the messages by pin date, most recent first', () => {
+    const messages = [
+      { id: '1', pinned: true, pinned_at: '2020-04-10T10:00:00Z' },
+      { id: '2', pinned: true, pinned_at: '2020-04-12T10:00:00Z' },
+      { id: '3', pinned: true, pinned_at: '2020-04-11T10:00:00Z' },
+    ];
+
+    expect(getPinnedMessages(messages).map((m) => m.id)).toEqual([
+      '2',
+      '3',
+      '1',
+    ]);
+  });
+
+  it('should fall back to update date, when pin date is not available', () => {
+    const messages = [
+      { id: '1', pinned: true, updated_at: new Date('2020-04-10T10:00:00Z') },
+      { id: '2', pinned: true, pinned_at: '2020-04-11T10:00:00Z' },
+      { id: '3', pinned: true, created_at: new Date('2020-04-12T10:00:00Z') },
+    ];
+
+    expect(getPinnedMessages(messages).map((m) => m.id)).toEqual([
+      '3',
+      '2',
+      '1',
+    ]);
+  });
+
+  it('should work with immutable list of messages', () => {
+    const messages = Immutable([
+      { id: '1', pinned: true, pinned_at: '2020-04-10T10:00:00Z' },
+      { id: '2', pinned: true, pinned_at: '2020-04-11T10:00:00Z' },
+    ]);
+
+    expect(getPinnedMessages(messages).map((m) => m.id)).toEqual(['2', '1']);
+    expect(messages[0].id).toBe('1');
+  });
+});
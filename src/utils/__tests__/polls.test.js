@@ -0,0 +1,226 @@
+import {
+  applyPollVoteChanges,
+  closePoll,
+  createPollAttachment,
+  getPoll,
+  getPollMessageForDisplay,
+  getPollResults,
+  getPollVoteChanges,
+  getPollVotes,
+  isPollClosed,
+  isValidPoll,
+  setPoll,
+} from '../polls';
+
+const createPoll = (extra = {}) =>
+  createPollAttachment(
+    {
+      question: 'Lunch?',
+      options: ['Pizza', 'Sushi', 'Salad'],
+      ...extra,
+    },
+    'vishal',
+  ).poll;
+
+describe('createPollAttachment', () => {
+  it('should create the poll attachment with trimmed, non-empty options', () => {
+    const attachment = createPollAttachment(
+      {
+        question: ' Lunch? ',
+        options: ['Pizza ', '', 'Sushi'],
+        multiple_choice: true,
+        closes_at: new Date(Date.UTC(2020, 4, 6, 12)),
+      },
+      'vishal',
+    );
+
+    expect(attachment).toEqual({
+      type: 'poll',
+      poll: {
+        question: 'Lunch?',
+        options: [
+          { id: '0', text: 'Pizza' },
+          { id: '1', text: 'Sushi' },
+        ],
+        multiple_choice: true,
+        anonymous: false,
+        closes_at: '2020-05-06T12:00:00.000Z',
+        closed: false,
+        created_by: 'vishal',
+      },
+    });
+  });
+});
+
+describe('isValidPoll', () => {
+  it('should require a question and at least two distinct options', () => {
+    expect(isValidPoll({ question: 'Lunch?', options: ['a', 'b', ''] })).toBe(
+      true,
+    );
+    expect(isValidPoll({ question: ' ', options: ['a', 'b'] })).toBe(false);
+    expect(isValidPoll({ question: 'Lunch?', options: ['a', ''] })).toBe(false);
+    expect(isValidPoll({ question: 'Lunch?', options: ['a', 'a '] })).toBe(
+      false,
+    );
+  });
+});
+
+describe('getPollVoteChanges', () => {
+  it('should move the vote of user in single choice poll', () => {
+    expect(getPollVoteChanges(createPoll(), '1', ['0'])).toEqual({
+      add: ['1'],
+      remove: ['0'],
+    });
+  });
+
+  it('should keep all votes of user in multiple choice poll', () => {
+    expect(
+      getPollVoteChanges(createPoll({ multiple_choice: true }), '1', ['0']),
+    ).toEqual({ add: ['1'], remove: [] });
+  });
+
+  it('should remove the vote, if user has already voted for option', () => {
+    expect(getPollVoteChanges(createPoll(), '0', ['0'])).toEqual({
+      add: [],
+      remove: ['0'],
+    });
+  });
+
+  it('should not allow voting in closed poll or for unknown option', () => {
+    expect(getPollVoteChanges(closePoll(createPoll()), '0', [])).toBe(null);
+
+    const expiredPoll = createPoll({ closes_at: new Date(Date.now() - 1000) });
+    expect(getPollVoteChanges(expiredPoll, '0', [])).toBe(null);
+
+    expect(getPollVoteChanges(createPoll(), 'unknown', [])).toBe(null);
+  });
+});
+
+describe('getPollVotes and applyPollVoteChanges', () => {
+  const thierry = { id: 'thierry' };
+  const vishal = { id: 'vishal' };
+  const message = {
+    id: 'message-1',
+    attachments: [
+      createPollAttachment(
+        { question: 'Lunch?', options: ['a', 'b'] },
+        'vishal',
+      ),
+    ],
+    latest_reactions: [
+      { type: 'poll_vote_0', user: thierry },
+      { type: 'poll_vote_0', user: vishal },
+      { type: 'love', user: thierry },
+    ],
+    own_reactions: [{ type: 'poll_vote_0', user: vishal }],
+    reaction_counts: { poll_vote_0: 2, love: 1 },
+  };
+
+  it('should read the votes from reactions of message', () => {
+    expect(getPollVotes(message)).toEqual({
+      counts: { 0: 2 },
+      voters: { 0: ['thierry', 'vishal'] },
+      own: ['0'],
+    });
+  });
+
+  it('should apply the vote changes of user to reactions of message', () => {
+    const updatedMessage = applyPollVoteChanges(
+      message,
+      { add: ['1'], remove: ['0'] },
+      vishal,
+    );
+
+    expect(getPollVotes(updatedMessage)).toEqual({
+      counts: { 0: 1, 1: 1 },
+      voters: { 0: ['thierry'], 1: ['vishal'] },
+      own: ['1'],
+    });
+  });
+
+  it('should move the votes from reactions to poll, for rendering', () => {
+    const displayMessage = getPollMessageForDisplay(message);
+
+    expect(displayMessage.latest_reactions).toEqual([
+      { type: 'love', user: thierry },
+    ]);
+    expect(displayMessage.own_reactions).toEqual([]);
+    expect(displayMessage.reaction_counts).toEqual({ love: 1 });
+    expect(getPoll(displayMessage).votes).toEqual(getPollVotes(message));
+
+    const regularMessage = { id: 'message-2', attachments: [] };
+    expect(getPollMessageForDisplay(regularMessage)).toBe(regularMessage);
+  });
+});
+
+describe('isPollClosed', () => {
+  it('should return true if poll is closed or its close time has passed', () => {
+    const now = new Date(Date.UTC(2020, 4, 6, 12));
+    expect(isPollClosed(createPoll(), now)).toBe(false);
+    expect(isPollClosed(closePoll(createPoll()), now)).toBe(true);
+    expect(
+      isPollClosed(createPoll({ closes_at: '2020-05-06T11:00:00Z' }), now),
+    ).toBe(true);
+    expect(
+      isPollClosed(createPoll({ closes_at: '2020-05-06T13:00:00Z' }), now),
+    ).toBe(false);
+  });
+});
+
+describe('getPollResults', () => {
+  it('should return the votes and percentage of users per option', () => {
+    const poll = createPoll({ multiple_choice: true });
+    const results = getPollResults(poll, {
+      counts: { 0: 2, 1: 1 },
+      voters: { 0: ['thierry', 'vishal'], 1: ['thierry'] },
+      own: ['0'],
+    });
+
+    expect(results.totalVoters).toBe(2);
+    expect(
+      results.options.map(({ votes, percentage, voted }) => ({
+        votes,
+        percentage,
+        voted,
+      })),
+    ).toEqual([
+      { votes: 2, percentage: 100, voted: true },
+      { votes: 1, percentage: 50, voted: false },
+      { votes: 0, percentage: 0, voted: false },
+    ]);
+  });
+});
+
+describe('getPollResults in single choice poll', () => {
+  it('should count the votes, even if voters are not known', () => {
+    const results = getPollResults(createPoll(), {
+      counts: { 0: 3, 1: 1 },
+      voters: { 0: ['thierry'] },
+      own: [],
+    });
+
+    expect(results.totalVoters).toBe(4);
+    expect(results.options.map((o) => o.percentage)).toEqual([75, 25, 0]);
+  });
+});
+
+describe('getPoll and setPoll', () => {
+  it('should read and replace the poll of message', () => {
+    const message = {
+      id: 'message-1',
+      attachments: [
+        { type: 'image' },
+        createPollAttachment(
+          { question: 'Lunch?', options: ['a', 'b'] },
+          'vishal',
+        ),
+      ],
+    };
+    const poll = closePoll(getPoll(message));
+    const updatedMessage = setPoll(message, poll);
+
+    expect(getPoll(updatedMessage)).toBe(poll);
+    expect(updatedMessage.attachments[0]).toBe(message.attachments[0]);
+    expect(getPoll({ attachments: [] })).toBe(null);
+  });
+});
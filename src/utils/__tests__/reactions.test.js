@@ -0,0 +1,69 @@
+import {
+  getReaction,
+  getReactionTypes,
+  groupReactionsByType,
+} from '../reactions';
+
+const reaction = (type, userId) => ({ type, user: { id: userId } });
+
+describe('getReaction', () => {
+  const supportedReactions = [{ id: 'like', icon: '👍' }];
+  const reactionRegistry = {
+    get: (type) => (type === 'partyparrot' ? { id: type, image: 'url' } : null),
+  };
+
+  it('should prefer supported reactions over registry', () => {
+    expect(getReaction('like', supportedReactions, reactionRegistry)).toEqual({
+      id: 'like',
+      icon: '👍',
+    });
+  });
+
+  it('should look up the reaction in registry', () => {
+    expect(
+      getReaction('partyparrot', supportedReactions, reactionRegistry).image,
+    ).toBe('url');
+  });
+
+  it('should return null for unknown reaction types', () => {
+    expect(getReaction('unknown', supportedReactions, reactionRegistry)).toBe(
+      null,
+    );
+    expect(getReaction('unknown', supportedReactions)).toBe(null);
+  });
+});
+
+describe('groupReactionsByType', () => {
+  it('should group the reactions by type, in order of appearance', () => {
+    const reactions = [
+      reaction('love', 'a'),
+      reaction('like', 'b'),
+      reaction('love', 'c'),
+    ];
+    const grouped = groupReactionsByType(reactions);
+
+    expect(Object.keys(grouped)).toEqual(['love', 'like']);
+    expect(grouped.love.map((r) => r.user.id)).toEqual(['a', 'c']);
+    expect(grouped.like.map((r) => r.user.id)).toEqual(['b']);
+  });
+
+  it('should return empty object for no reactions', () => {
+    expect(groupReactionsByType([])).toEqual({});
+    expect(groupReactionsByType()).toEqual({});
+  });
+});
+
+describe('getReactionTypes', () => {
+  it('should sort the types by count, most used first', () => {
+    const message = { reaction_counts: { like: 1, love: 3, wow: 0, sad: 2 } };
+    expect(getReactionTypes(message)).toEqual(['love', 'sad', 'like']);
+  });
+
+  it('should append the types which are missing in reaction counts', () => {
+    const message = { reaction_counts: { like: 1 } };
+    expect(
+      getReactionTypes(message, [reaction('like', 'a'), reaction('haha', 'b')]),
+    ).toEqual(['like', 'haha']);
+    expect(getReactionTypes({}, [reaction('haha', 'b')])).toEqual(['haha']);
+  });
+});
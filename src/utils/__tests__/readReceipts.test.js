@@ -0,0 +1,83 @@
+import {
+  getMessageReadBy,
+  getReadReceipts,
+  hasReadMessage,
+} from '../readReceipts';
+
+const user = (id, name) => ({ id, name });
+const readState = (id, name, lastRead) => ({
+  user: user(id, name),
+  last_read: lastRead ? new Date(lastRead) : null,
+});
+
+const message = {
+  id: 'message-1',
+  user: user('author', 'Author'),
+  created_at: new Date('2020-05-01T10:00:00Z'),
+};
+
+const read = {
+  author: readState('author', 'Author', '2020-05-01T10:00:00Z'),
+  alice: readState('alice', 'Alice', '2020-05-01T10:05:00Z'),
+  bob: readState('bob', 'Bob', '2020-05-01T09:00:00Z'),
+  carol: readState('carol', 'Carol', '2020-05-01T10:30:00Z'),
+};
+
+describe('hasReadMessage', () => {
+  it('should return true if channel was read after message was created', () => {
+    expect(hasReadMessage(read.alice, message)).toBe(true);
+    expect(
+      hasReadMessage(readState('x', 'X', '2020-05-01T10:00:00Z'), message),
+    ).toBe(true);
+  });
+
+  it('should return false if channel was read before message was created', () => {
+    expect(hasReadMessage(read.bob, message)).toBe(false);
+    expect(hasReadMessage(readState('x', 'X', null), message)).toBe(false);
+    expect(hasReadMessage(undefined, message)).toBe(false);
+  });
+
+  it('should support read states with string dates', () => {
+    expect(
+      hasReadMessage(
+        { user: user('x'), last_read: '2020-05-01T11:00:00Z' },
+        { created_at: '2020-05-01T10:00:00Z' },
+      ),
+    ).toBe(true);
+  });
+});
+
+describe('getReadReceipts', () => {
+  it('should split the users into read and not read, excluding the author', () => {
+    const { readBy, notReadBy } = getReadReceipts(message, read);
+
+    expect(readBy.map((r) => r.user.id)).toEqual(['carol', 'alice']);
+    expect(notReadBy.map((r) => r.user.id)).toEqual(['bob']);
+  });
+
+  it('should list the members without read state as not read', () => {
+    const members = {
+      alice: { user: user('alice', 'Alice') },
+      dave: { user: user('dave', 'Dave') },
+      adam: { user: user('adam') },
+    };
+    const { readBy, notReadBy } = getReadReceipts(message, read, members);
+
+    expect(readBy.map((r) => r.user.id)).toEqual(['carol', 'alice']);
+    expect(notReadBy.map((r) => r.user.id)).toEqual(['adam', 'bob', 'dave']);
+    expect(notReadBy[2].last_read).toBe(null);
+  });
+
+  it('should return empty lists for channel without read state', () => {
+    expect(getReadReceipts(message)).toEqual({ readBy: [], notReadBy: [] });
+  });
+});
+
+describe('getMessageReadBy', () => {
+  it('should return the users who have read the message', () => {
+    expect(getMessageReadBy(message, read)).toEqual([
+      user('carol', 'Carol'),
+      user('alice', 'Alice'),
+    ]);
+  });
+});
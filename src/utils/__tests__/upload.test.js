@@ -0,0 +1,195 @@
+/* eslint-env node */
+import Immutable from 'seamless-immutable';
+import { finishUpload, startUpload, uploadFileWithProgress } from '../upload';
+
+class MockFormData {
+  constructor() {
+    this.entries = [];
+  }
+
+  append(key, value) {
+    this.entries.push([key, value]);
+  }
+}
+
+class MockXMLHttpRequest {
+  constructor() {
+    this.headers = {};
+    this.upload = {};
+    MockXMLHttpRequest.instance = this;
+  }
+
+  open(method, url) {
+    this.method = method;
+    this.url = url;
+  }
+
+  setRequestHeader(key, value) {
+    this.headers[key] = value;
+  }
+
+  send(data) {
+    this.data = data;
+  }
+
+  respond(status, body) {
+    this.status = status;
+    this.responseText = body;
+    this.onload();
+  }
+}
+
+const client = {
+  baseURL: 'https://chat-us-east-1.stream-io-api.com',
+  options: { timeout: 30000 },
+  _addClientParams() {
+    return {
+      ...this.options,
+      params: {
+        user_id: 'vishal',
+        api_key: 'api-key',
+        connection_id: 'connection id',
+      },
+      headers: {
+        Authorization: 'token',
+        'stream-auth-type': 'jwt',
+        'x-stream-client': 'stream-chat-javascript-client-browser-1.7.0',
+      },
+    };
+  },
+  handleResponse(response) {
+    if (response.status < 200 || response.status >= 300) {
+      const error = Error(`StreamChat error code ${response.data.code}`);
+      error.status = response.status;
+      throw error;
+    }
+    return response.data;
+  },
+};
+
+const channel = {
+  type: 'messaging',
+  id: 'general',
+  getClient: () => client,
+};
+
+describe('uploadFileWithProgress', () => {
+  beforeEach(() => {
+    global.FormData = MockFormData;
+    global.XMLHttpRequest = MockXMLHttpRequest;
+  });
+
+  afterEach(() => {
+    delete global.FormData;
+    delete global.XMLHttpRequest;
+  });
+
+  it('should upload the file to channel and resolve with response', async () => {
+    const promise = uploadFileWithProgress(channel, 'file:///tmp/video.mp4', {
+      contentType: 'video/mp4',
+    });
+    const xhr = MockXMLHttpRequest.instance;
+
+    expect(xhr.method).toBe('POST');
+    expect(xhr.url).toBe(
+      'https://chat-us-east-1.stream-io-api.com/channels/messaging/general/file?user_id=vishal&api_key=api-key&connection_id=connection%20id',
+    );
+    expect(xhr.headers).toEqual({
+      Authorization: 'token',
+      'stream-auth-type': 'jwt',
+      'x-stream-client': 'stream-chat-javascript-client-browser-1.7.0',
+    });
+    expect(xhr.timeout).toBe(30000);
+    expect(xhr.data.entries).toEqual([
+      [
+        'file',
+        { uri: 'file:///tmp/video.mp4', name: 'video.mp4', type: 'video/mp4' },
+      ],
+    ]);
+
+    xhr.respond(201, JSON.stringify({ file: 'https://cdn/video.mp4' }));
+    await expect(promise).resolves.toEqual({ file: 'https://cdn/video.mp4' });
+  });
+
+  it('should report the progress of upload', () => {
+    const onProgress = jest.fn();
+    uploadFileWithProgress(channel, 'file:///tmp/video.mp4', { onProgress });
+    const xhr = MockXMLHttpRequest.instance;
+
+    xhr.upload.onprogress({ lengthComputable: true, loaded: 25, total: 100 });
+    xhr.upload.onprogress({ lengthComputable: false, loaded: 50, total: 0 });
+    xhr.upload.onprogress({ lengthComputable: true, loaded: 100, total: 100 });
+
+    expect(onProgress.mock.calls).toEqual([[0.25], [1]]);
+  });
+
+  it('should reject with error of client for non 2xx status', async () => {
+    const promise = uploadFileWithProgress(channel, 'file:///tmp/video.mp4');
+    MockXMLHttpRequest.instance.respond(
+      413,
+      JSON.stringify({ code: 22, message: 'File too large' }),
+    );
+
+    await expect(promise).rejects.toMatchObject({
+      message: 'StreamChat error code 22',
+      status: 413,
+    });
+  });
+
+  it('should reject on network error', async () => {
+    const promise = uploadFileWithProgress(channel, 'file:///tmp/video.mp4');
+    MockXMLHttpRequest.instance.onerror();
+
+    await expect(promise).rejects.toThrow('Network error');
+  });
+});
+
+describe('startUpload and finishUpload', () => {
+  const uploads = Immutable({
+    a: { id: 'a', file: { uri: 'file://image.jpg' }, state: 'uploading' },
+  });
+
+  it('should set the result of upload', () => {
+    const started = startUpload(uploads, 'a', 'token1', {
+      state: 'uploading',
+    });
+    const finished = finishUpload(started, 'a', 'token1', {
+      state: 'uploaded',
+      url: 'https://cdn/image.jpg',
+    });
+
+    expect(finished.a).toMatchObject({
+      id: 'a',
+      state: 'uploaded',
+      url: 'https://cdn/image.jpg',
+    });
+  });
+
+  it('should ignore the result of previous upload of same file', () => {
+    // e.g., image edited in place, which keeps the same uri
+    let started = startUpload(uploads, 'a', 'token1');
+    started = startUpload(started, 'a', 'token2', {
+      file: { uri: 'file://image.jpg' },
+      url: undefined,
+    });
+
+    expect(
+      finishUpload(started, 'a', 'token1', { url: 'https://cdn/old.jpg' }),
+    ).toBeNull();
+    expect(
+      finishUpload(started, 'a', 'token2', { url: 'https://cdn/new.jpg' }).a
+        .url,
+    ).toBe('https://cdn/new.jpg');
+  });
+
+  it('should ignore the result of upload, which was removed', () => {
+    const started = startUpload(uploads, 'a', 'token1');
+
+    expect(startUpload(uploads, 'b', 'token1')).toBe(uploads);
+    expect(
+      finishUpload(started.set('a', undefined), 'a', 'token1', {
+        state: 'uploaded',
+      }),
+    ).toBeNull();
+  });
+});
@@ -0,0 +1,42 @@
+import { getMutedUserIds, isMessageFromMutedUser } from '../userMutes';
+
+describe('getMutedUserIds', () => {
+  it('should return the ids of muted users', () => {
+    const user = {
+      id: 'vishal',
+      mutes: [
+        { user: { id: 'vishal' }, target: { id: 'thierry' } },
+        { user: { id: 'vishal' }, target: { id: 'amin' } },
+      ],
+    };
+
+    expect(getMutedUserIds(user)).toEqual(['thierry', 'amin']);
+  });
+
+  it('should return empty array, if mutes are not available', () => {
+    expect(getMutedUserIds(undefined)).toEqual([]);
+    expect(getMutedUserIds({ id: 'vishal' })).toEqual([]);
+  });
+});
+
+describe('isMessageFromMutedUser', () => {
+  it('should return true for messages of muted users', () => {
+    const mutedUsers = ['thierry'];
+
+    expect(
+      isMessageFromMutedUser({ user: { id: 'thierry' } }, mutedUsers, 'vishal'),
+    ).toBe(true);
+    expect(
+      isMessageFromMutedUser({ user: { id: 'amin' } }, mutedUsers, 'vishal'),
+    ).toBe(false);
+    expect(isMessageFromMutedUser({ type: 'message.date' }, mutedUsers)).toBe(
+      false,
+    );
+  });
+
+  it('should never consider messages of current user as muted', () => {
+    expect(
+      isMessageFromMutedUser({ user: { id: 'vishal' } }, ['vishal'], 'vishal'),
+    ).toBe(false);
+  });
+});
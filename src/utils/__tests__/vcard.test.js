@@ -0,0 +1,80 @@
+import { parseVCard, serializeVCard } from '../vcard';
+
+const contact = {
+  name: 'Thierry Schellenbach',
+  organization: 'Stream',
+  phones: [{ label: 'cell', value: '+31 6 1234 5678' }],
+  emails: [
+    { label: 'work', value: 'thierry@getstream.io' },
+    { label: '', value: 'thierry@example.com' },
+  ],
+  image: 'https://example.com/thierry.png',
+  user_id: 'thierry',
+};
+
+describe('serializeVCard', () => {
+  it('should serialize the contact as vCard 3.0', () => {
+    expect(serializeVCard(contact).split('\r\n')).toEqual([
+      'BEGIN:VCARD',
+      'VERSION:3.0',
+      'FN:Thierry Schellenbach',
+      'N:Schellenbach;Thierry;;;',
+      'ORG:Stream',
+      'TEL;TYPE=CELL:+31 6 1234 5678',
+      'EMAIL;TYPE=WORK:thierry@getstream.io',
+      'EMAIL:thierry@example.com',
+      'PHOTO;VALUE=URI:https://example.com/thierry.png',
+      'X-STREAM-USER-ID:thierry',
+      'END:VCARD',
+    ]);
+  });
+
+  it('should escape the special characters', () => {
+    const vcard = serializeVCard({ name: 'Doe; John, Jr.\\' });
+    expect(vcard).toContain('FN:Doe\\; John\\, Jr.\\\\');
+    expect(parseVCard(vcard).name).toBe('Doe; John, Jr.\\');
+  });
+});
+
+describe('parseVCard', () => {
+  it('should parse the serialized contact', () => {
+    expect(parseVCard(serializeVCard(contact))).toEqual(contact);
+  });
+
+  it('should parse the vCard 2.1 with grouped properties and folded lines', () => {
+    const vcard = [
+      'BEGIN:VCARD',
+      'VERSION:2.1',
+      'N:Seth;Vishal;;;',
+      'TEL;CELL;PREF:+91 98765 43210',
+      'item1.EMAIL;INTERNET:vishal@',
+      ' getstream.io',
+      'END:VCARD',
+    ].join('\n');
+
+    expect(parseVCard(vcard)).toEqual({
+      name: 'Vishal Seth',
+      phones: [{ label: 'cell', value: '+91 98765 43210' }],
+      emails: [{ label: '', value: 'vishal@getstream.io' }],
+    });
+  });
+
+  it('should parse the vCard 4.0 telephone uri', () => {
+    const vcard = [
+      'BEGIN:VCARD',
+      'VERSION:4.0',
+      'FN:Amin',
+      'TEL;VALUE=uri;TYPE="home,voice":tel:+1-555-555-5555',
+      'END:VCARD',
+    ].join('\r\n');
+
+    expect(parseVCard(vcard).phones).toEqual([
+      { label: 'home', value: '+1-555-555-5555' },
+    ]);
+  });
+
+  it('should return null if text is not a vCard', () => {
+    expect(parseVCard('')).toBeNull();
+    expect(parseVCard('FN:Not a card')).toBeNull();
+  });
+});
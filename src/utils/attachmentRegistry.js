@@ -0,0 +1,65 @@
+let attachmentTypes = [];
+
+/**
+ * Registers the UI component for custom attachment type. Registered types are consulted by `Attachment`
+ * (in registration order) before the built-in renderers, so they can also override the built-in types.
+ *
+ * Component receives the same props as built-in renderers - `attachment`, `actionHandler`, `onLongPress`,
+ * `alignment` and `groupStyle`.
+ *
+ * ```
+ * registerAttachmentType('location', { Component: LocationAttachment });
+ * registerAttachmentType('event-invite', {
+ *   match: (attachment) => !!attachment.event_id,
+ *   Component: EventInvite,
+ * });
+ * ```
+ *
+ * @param {string} type Name of the type. Registering the same type again replaces it.
+ * @param {object} options
+ * @param {function} options.match Function which returns true, if attachment should be rendered by Component.
+ * Defaults to matching `attachment.type` against `type`.
+ * @param {function} options.Component UI component to render the attachment
+ * @returns {function} Function to unregister the type
+ */
+export const registerAttachmentType = (type, { match, Component } = {}) => {
+  if (!type) {
+    throw Error('Attachment type must have a name');
+  }
+  if (!Component) {
+    throw Error(`Attachment type ${type} must have a Component`);
+  }
+
+  const entry = {
+    type,
+    match: match || ((attachment) => attachment.type === type),
+    Component,
+  };
+  const index = attachmentTypes.findIndex((t) => t.type === type);
+  attachmentTypes =
+    index === -1
+      ? [...attachmentTypes, entry]
+      : attachmentTypes.map((t, i) => (i === index ? entry : t));
+
+  return () => {
+    if (attachmentTypes.indexOf(entry) !== -1) unregisterAttachmentType(type);
+  };
+};
+
+/** Removes the registered attachment type */
+export const unregisterAttachmentType = (type) => {
+  attachmentTypes = attachmentTypes.filter((t) => t.type !== type);
+};
+
+/** Returns the registered attachment types - `[{ type, match, Component }]` */
+export const getAttachmentTypes = () => attachmentTypes;
+
+/**
+ * Returns the registered type - `{ type, match, Component }`, which should render the attachment,
+ * or null if it's rendered by built-in renderers.
+ */
+export const getRegisteredAttachmentType = (attachment) => {
+  if (!attachment) return null;
+
+  return attachmentTypes.find((t) => t.match(attachment)) || null;
+};
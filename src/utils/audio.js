@@ -0,0 +1,37 @@
+/**
+ * Formats the duration of audio as `m:ss` e.g., 75 seconds are formatted as `1:15`
+ *
+ * @param {number} seconds Duration in seconds
+ * @returns {string}
+ */
+export const formatDuration = (seconds) => {
+  const totalSeconds = Math.max(0, Math.round(seconds || 0));
+  const minutes = Math.floor(totalSeconds / 60);
+  const remainingSeconds = totalSeconds % 60;
+
+  return `${minutes}:${remainingSeconds < 10 ? '0' : ''}${remainingSeconds}`;
+};
+
+/**
+ * Reduces (or stretches) the loudness levels sampled during recording to given number of bars,
+ * so that waveform of every voice message has same width, irrespective of its duration.
+ * Each bar is the peak level of samples it covers.
+ *
+ * @param {number[]} levels Loudness levels between 0 and 1
+ * @param {number} count Number of bars
+ * @returns {number[]}
+ */
+export const resampleWaveform = (levels, count) => {
+  if (!levels || levels.length === 0) return [];
+
+  const bars = [];
+  const samplesPerBar = levels.length / count;
+  for (let i = 0; i < count; i++) {
+    const start = Math.floor(i * samplesPerBar);
+    const end = Math.max(start + 1, Math.floor((i + 1) * samplesPerBar));
+    const peak = Math.max(...levels.slice(start, end));
+    bars.push(Math.round(Math.min(1, Math.max(0, peak)) * 100) / 100);
+  }
+
+  return bars;
+};
@@ -0,0 +1,136 @@
+import Immutable from 'seamless-immutable';
+
+export const CHANNEL_ACTIONS = {
+  mute: 'mute',
+  markRead: 'markRead',
+  pin: 'pin',
+  archive: 'archive',
+  leave: 'leave',
+  delete: 'delete',
+};
+
+/** Returns true if channel is muted by current user */
+export const isChannelMuted = (channel) => {
+  try {
+    return !!channel.muteStatus().muted;
+  } catch (e) {
+    // Channel isn't initialized yet (e.g., it's restored from cache).
+    return false;
+  }
+};
+
+/** Returns the number of unread messages on channel, which is 0 for muted channel - it shouldn't draw attention */
+export const getChannelUnreadCount = (channel) =>
+  isChannelMuted(channel) ? 0 : channel.countUnread();
+
+/**
+ * Sets the read state of current user on channel, so that unread count is updated
+ * right away, without waiting for `message.read` event.
+ *
+ * @param {object} channel
+ * @param {object} user Current user
+ * @param {Date} lastRead
+ */
+export const setChannelLastRead = (channel, user, lastRead) => {
+  channel.state.read = channel.state.read.set(
+    user.id,
+    Immutable({ user, last_read: lastRead }),
+  );
+};
+
+/**
+ * Marks the latest message from other users as unread, by moving the read state of current user just before it.
+ * API doesn't support marking the channel as unread, so it's only reflected locally - until channel is read again
+ * or reloaded from server.
+ *
+ * @param {object} channel
+ * @param {object} user Current user
+ * @returns {boolean} False if there is no message, which can be marked as unread
+ */
+export const markChannelUnread = (channel, user) => {
+  const messages = channel.state.messages;
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const message = messages[i];
+    if (message.user && message.user.id !== user.id && !message.deleted_at) {
+      setChannelLastRead(
+        channel,
+        user,
+        new Date(new Date(message.created_at).getTime() - 1),
+      );
+      return true;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Returns true if current user can perform the action on channel. Channel can only be left by its members,
+ * and deleted by its creator or admins. Other actions are available on all channels.
+ *
+ * @param {object} channel
+ * @param {string} action One of `CHANNEL_ACTIONS`
+ * @param {object} user Current user
+ */
+export const canPerformChannelAction = (channel, action, user) => {
+  if (!user) return false;
+
+  switch (action) {
+    case CHANNEL_ACTIONS.leave:
+      return !!channel.state && !!channel.state.members[user.id];
+    case CHANNEL_ACTIONS.delete:
+      return (
+        user.role === 'admin' ||
+        (!!channel.data.created_by && channel.data.created_by.id === user.id)
+      );
+    default:
+      return true;
+  }
+};
+
+/**
+ * Returns the channels with pinned channels on top (in the order they were pinned), followed by the rest in their original order.
+ *
+ * @param {array} channels
+ * @param {array} pinnedChannels Cids of pinned channels
+ */
+export const sortPinnedChannels = (channels, pinnedChannels) => {
+  if (!pinnedChannels || pinnedChannels.length === 0) return channels;
+
+  const pinned = pinnedChannels
+    .map((cid) => channels.find((channel) => channel.cid === cid))
+    .filter((channel) => !!channel);
+  const rest = channels.filter(
+    (channel) => pinnedChannels.indexOf(channel.cid) === -1,
+  );
+
+  return [...pinned, ...rest];
+};
+
+/**
+ * Splits the channels into sections of `ChannelList` - pinned channels (in the order they were pinned),
+ * other channels (in their original order) and archived channels.
+ *
+ * @param {array} channels
+ * @param {array} pinnedChannels Cids of pinned channels
+ * @param {array} archivedChannels Cids of archived channels
+ * @returns {object} `{ pinned, channels, archived }`
+ */
+export const getChannelSections = (
+  channels,
+  pinnedChannels = [],
+  archivedChannels = [],
+) => {
+  const sorted = sortPinnedChannels(channels, pinnedChannels);
+  const isPinned = (channel) => pinnedChannels.indexOf(channel.cid) > -1;
+  const isArchived = (channel) =>
+    !isPinned(channel) && archivedChannels.indexOf(channel.cid) > -1;
+
+  return {
+    pinned: sorted.filter(isPinned),
+    channels: sorted.filter(
+      (channel) => !isPinned(channel) && !isArchived(channel),
+    ),
+    archived: sorted.filter(isArchived),
+  };
+};
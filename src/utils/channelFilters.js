@@ -0,0 +1,167 @@
+// Values of filters are compared as ISO strings, if they are dates.
+const normalize = (value) =>
+  value instanceof Date ? value.toISOString() : value;
+
+const getMembers = (channel) =>
+  channel.state && channel.state.members
+    ? Object.keys(channel.state.members).map((id) => channel.state.members[id])
+    : [];
+
+// Returned for fields which aren't present in local data of channel. Server may still have them (e.g., `frozen`
+// or `created_by_id` are often missing in `channel.data`), so filters on them can't be checked locally.
+const UNKNOWN = {};
+
+/** Returns the value (or list of values) of field of channel, which filter is applied to, or UNKNOWN */
+const getFieldValue = (channel, field) => {
+  switch (field) {
+    case 'type':
+      return channel.type;
+    case 'id':
+      return channel.id;
+    case 'cid':
+      return channel.cid;
+    case 'members':
+      return getMembers(channel).map(
+        (member) => member.user_id || member.user.id,
+      );
+    case 'member_count':
+      return channel.data && typeof channel.data.member_count === 'number'
+        ? channel.data.member_count
+        : getMembers(channel).length;
+    case 'member.user.name':
+      return getMembers(channel)
+        .map((member) => member.user && member.user.name)
+        .filter((name) => !!name);
+    default:
+      return channel.data &&
+        Object.prototype.hasOwnProperty.call(channel.data, field)
+        ? channel.data[field]
+        : UNKNOWN;
+  }
+};
+
+// Arrays match the condition if any of their values matches, similar to MongoDB.
+const some = (value, condition) =>
+  Array.isArray(value) ? value.some(condition) : condition(value);
+
+const isEqualValue = (a, b) => normalize(a) === normalize(b);
+
+/**
+ * Returns true if any word of value starts with the term, ignoring case - same as `$autocomplete` filter on server.
+ *
+ * @param {string} value
+ * @param {string} term
+ * @returns {boolean}
+ */
+export const matchesAutocomplete = (value, term) =>
+  typeof value === 'string' &&
+  value
+    .toLowerCase()
+    .split(/\s+/)
+    .some((word) => word.indexOf(`${term}`.toLowerCase()) === 0);
+
+/** Returns true/false, or null if operator isn't supported */
+const matchesOperator = (value, operator, operand) => {
+  switch (operator) {
+    case '$eq':
+      return some(value, (v) => isEqualValue(v, operand));
+    case '$ne':
+      return !some(value, (v) => isEqualValue(v, operand));
+    case '$in':
+      return some(value, (v) => operand.some((o) => isEqualValue(v, o)));
+    case '$nin':
+      return !some(value, (v) => operand.some((o) => isEqualValue(v, o)));
+    case '$gt':
+      return some(value, (v) => v != null && normalize(v) > normalize(operand));
+    case '$gte':
+      return some(
+        value,
+        (v) => v != null && normalize(v) >= normalize(operand),
+      );
+    case '$lt':
+      return some(value, (v) => v != null && normalize(v) < normalize(operand));
+    case '$lte':
+      return some(
+        value,
+        (v) => v != null && normalize(v) <= normalize(operand),
+      );
+    case '$exists':
+      return (value !== undefined && value !== null) === !!operand;
+    case '$autocomplete':
+      return some(value, (v) => matchesAutocomplete(v, operand));
+    default:
+      return null;
+  }
+};
+
+// Three-valued logic - null means the result can't be determined locally.
+const every = (results) => {
+  if (results.some((result) => result === false)) return false;
+  if (results.some((result) => result === null)) return null;
+  return true;
+};
+
+const any = (results) => {
+  if (results.some((result) => result === true)) return true;
+  if (results.some((result) => result === null)) return null;
+  return false;
+};
+
+const isOperatorObject = (condition) =>
+  !!condition &&
+  typeof condition === 'object' &&
+  !Array.isArray(condition) &&
+  !(condition instanceof Date) &&
+  Object.keys(condition).every((key) => key[0] === '$');
+
+/**
+ * Checks if channel matches the query filters (of `queryChannels`), using the local state of channel - e.g., to decide
+ * if a channel user was added to should be shown in `ChannelList`.
+ *
+ * Supports the fields of channel (type, id, cid, members, member_count, member.user.name and custom data), comparison operators
+ * ($eq, $ne, $in, $nin, $gt, $gte, $lt, $lte, $exists, $autocomplete) and logical operators ($and, $or, $nor).
+ *
+ * @param {object} channel
+ * @param {object} filters
+ * @returns {boolean|null} null if filters can't be checked locally, i.e., they contain unsupported operator,
+ * or a field which isn't present in local data of channel.
+ */
+export const matchesChannelFilters = (channel, filters) => {
+  if (!filters) return true;
+
+  return every(
+    Object.keys(filters).map((key) => {
+      const condition = filters[key];
+      switch (key) {
+        case '$and':
+          return every(condition.map((f) => matchesChannelFilters(channel, f)));
+        case '$or':
+          return any(condition.map((f) => matchesChannelFilters(channel, f)));
+        case '$nor': {
+          const result = any(
+            condition.map((f) => matchesChannelFilters(channel, f)),
+          );
+          return result === null ? null : !result;
+        }
+        default:
+          if (key[0] === '$') return null;
+          break;
+      }
+
+      // Matching the exact list of values (e.g., members) isn't supported.
+      if (Array.isArray(condition)) return null;
+
+      const value = getFieldValue(channel, key);
+      if (value === UNKNOWN) return null;
+      if (!isOperatorObject(condition)) {
+        return matchesOperator(value, '$eq', condition);
+      }
+
+      return every(
+        Object.keys(condition).map((operator) =>
+          matchesOperator(value, operator, condition[operator]),
+        ),
+      );
+    }),
+  );
+};
@@ -0,0 +1,64 @@
+import { isChannelMuted } from './channelActions';
+import { matchesAutocomplete } from './channelFilters';
+
+/**
+ * Quick filters of `ChannelList`. Filters with `filters` rebuild the query of channels, while the ones with `predicate`
+ * filter the loaded channels (API can't filter channels by unread or muted state).
+ */
+export const CHANNEL_QUICK_FILTERS = {
+  unread: {
+    predicate: (channel) => channel.countUnread() > 0,
+  },
+  direct: {
+    filters: { member_count: 2 },
+  },
+  groups: {
+    filters: { member_count: { $gt: 2 } },
+  },
+  muted: {
+    predicate: (channel) => isChannelMuted(channel),
+  },
+};
+
+/**
+ * Combines the query filters, so that channels have to match all of them. Empty filters are ignored.
+ *
+ * @param {...object} filters
+ * @returns {object}
+ */
+export const combineFilters = (...filters) => {
+  const nonEmpty = filters.filter(
+    (filter) => !!filter && Object.keys(filter).length > 0,
+  );
+  if (nonEmpty.length === 0) return {};
+  if (nonEmpty.length === 1) return nonEmpty[0];
+
+  return { $and: nonEmpty };
+};
+
+/** Returns the query filters for channels, whose name or member names start with the search term */
+export const getChannelSearchFilters = (query) => ({
+  $or: [
+    { name: { $autocomplete: query } },
+    { 'member.user.name': { $autocomplete: query } },
+  ],
+});
+
+/**
+ * Returns true if any word in name of channel, or in name of any of its members starts with the search term.
+ * Case insensitive. Matches the same channels as `getChannelSearchFilters` on server.
+ *
+ * @param {object} channel
+ * @param {string} query Search term
+ */
+export const matchesChannelSearch = (channel, query) => {
+  const term = query.trim();
+  if (!term) return true;
+
+  if (channel.data && matchesAutocomplete(channel.data.name, term)) return true;
+
+  const members = channel.state ? Object.values(channel.state.members) : [];
+  return members.some(
+    (member) => !!member.user && matchesAutocomplete(member.user.name, term),
+  );
+};
@@ -0,0 +1,79 @@
+import { parseVCard, serializeVCard } from './vcard';
+
+export const CONTACT_ATTACHMENT_TYPE = 'contact';
+
+const normalizePhone = (phone) => `${phone}`.replace(/[^\d+]/g, '');
+
+/**
+ * Builds the contact attachment, which is sent with the message. Contact is stored both as fields (for rendering)
+ * and as vCard, so that it can be imported in other apps.
+ *
+ * @param {object} contact `{ name, phones: [{ label, value }], emails: [{ label, value }], organization, image, user_id }`
+ */
+export const createContactAttachment = ({
+  name = '',
+  phones = [],
+  emails = [],
+  organization,
+  image,
+  user_id,
+}) => {
+  const contact = {
+    name: name.trim(),
+    phones: phones.filter((phone) => !!phone.value),
+    emails: emails.filter((email) => !!email.value),
+  };
+  if (organization) contact.organization = organization;
+  if (image) contact.image = image;
+  if (user_id) contact.user_id = user_id;
+
+  return {
+    type: CONTACT_ATTACHMENT_TYPE,
+    title: contact.name,
+    contact,
+    vcard: serializeVCard(contact),
+  };
+};
+
+/**
+ * Returns the contact of attachment. Attachments sent from other clients might only have the vCard,
+ * in which case it's parsed.
+ */
+export const getContactFromAttachment = (attachment) => {
+  if (!attachment) return null;
+  if (attachment.contact) return attachment.contact;
+
+  return parseVCard(attachment.vcard);
+};
+
+/**
+ * Returns the member of channel, who is the given contact - matched by user id, email or phone number
+ * (if users have `email` or `phone` fields). Returns null if contact isn't a member.
+ *
+ * @param {object} contact
+ * @param {object} members Members of channel, keyed by user id
+ */
+export const findContactMember = (contact, members) => {
+  if (!contact || !members) return null;
+
+  const memberList = Object.keys(members).map((id) => members[id]);
+  if (contact.user_id) {
+    const member = memberList.find(
+      (m) => m.user && m.user.id === contact.user_id,
+    );
+    if (member) return member;
+  }
+
+  const emails = (contact.emails || []).map((e) => e.value.toLowerCase());
+  const phones = (contact.phones || []).map((p) => normalizePhone(p.value));
+
+  return (
+    memberList.find(
+      ({ user }) =>
+        !!user &&
+        ((!!user.email &&
+          emails.indexOf(`${user.email}`.toLowerCase()) !== -1) ||
+          (!!user.phone && phones.indexOf(normalizePhone(user.phone)) !== -1)),
+    ) || null
+  );
+};
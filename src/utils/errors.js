@@ -0,0 +1,37 @@
+const getStatus = (error) =>
+  error && (error.status || (error.response && error.response.status));
+
+/**
+ * Returns true, if the request failed because of network i.e., there was no response from server.
+ *
+ * @param {Error} error Error thrown by the request e.g., by `channel.sendMessage`
+ */
+export const isNetworkError = (error) => !getStatus(error);
+
+/**
+ * Returns true, if the failed request may succeed when it's sent again - network errors (no response),
+ * timeouts, rate limits and server errors. Other client errors (4xx) e.g., validation or permission
+ * failures, are permanent.
+ *
+ * @param {Error} error Error thrown by the request e.g., by `channel.sendMessage`
+ */
+export const isRetryableError = (error) => {
+  const status = getStatus(error);
+  if (!status) return true;
+
+  return status >= 500 || status === 408 || status === 429;
+};
+
+/**
+ * Returns true, if message was rejected because message with the same id already exists - i.e., it was sent
+ * by previous attempt, whose response was lost. Message should be considered as sent then.
+ *
+ * @param {Error} error Error thrown by `channel.sendMessage`
+ */
+export const isDuplicateMessageError = (error) => {
+  const status = getStatus(error);
+  const data = error && error.response && error.response.data;
+  const message = (data && data.message) || (error && error.message) || '';
+
+  return status === 400 && /already exists/i.test(message);
+};
@@ -0,0 +1,45 @@
+import escapeRegExp from 'lodash/escapeRegExp';
+
+// Parts of markdown, which are left as they are - code blocks, inline code, links, and already emphasised text
+// (bold, including mentions, and italic). Wrapping words inside them in `**` would show the asterisks literally,
+// or produce invalid markdown e.g., `****word****`.
+const protectedMarkdown = new RegExp(
+  [
+    '```[\\s\\S]*?```',
+    '`[^`\\n]*`',
+    '\\[[^\\]]*\\]\\([^)]*\\)',
+    '\\*\\*[^*\\n]+\\*\\*',
+    '__[^_\\n]+__',
+    '\\*[^*\\s][^*\\n]*\\*',
+    '\\b_[^_\\n]+_\\b',
+  ].join('|'),
+);
+
+/**
+ * Highlights the words of search term in markdown text, as bold (`strong`) text.
+ * Code, links and already emphasised text (e.g., mentions) are left as they are.
+ *
+ * @param {string} text Markdown text
+ * @param {string} highlight Search term
+ * @returns {string} Markdown text with highlighted words
+ */
+export const highlightText = (text, highlight) => {
+  const words = (highlight || '')
+    .trim()
+    .split(/\s+/)
+    .filter((word) => !!word)
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp);
+  if (!words.length) return text;
+
+  const wordsRegex = new RegExp(`(${words.join('|')})`, 'gi');
+  const separator = new RegExp(`(${protectedMarkdown.source})`);
+
+  return text
+    .split(separator)
+    .map((part, i) =>
+      // Odd parts are the protected ones, matched by the separator.
+      i % 2 === 1 ? part : part.replace(wordsRegex, (match) => `**${match}**`),
+    )
+    .join('');
+};
@@ -5,6 +5,91 @@ export { renderText } from './renderText';
 export { renderReactions } from './renderReactions';
 
 export { Streami18n } from './Streami18n';
+export { MemoryStorage } from './MemoryStorage';
+export { Outbox } from './Outbox';
+export { DraftStore, getDraftKey, isDraftEmpty } from './DraftStore';
+export { MessageScheduler, getScheduleOptions } from './MessageScheduler';
+export { FileStorage } from './FileStorage';
+export { ChannelCache } from './ChannelCache';
+export { formatDuration, resampleWaveform } from './audio';
+export { uploadFileWithProgress } from './upload';
+export { getPinnedMessages } from './pinning';
+export { getUrls, getFirstUrl } from './links';
+export {
+  POLL_ACTIONS,
+  POLL_ATTACHMENT_TYPE,
+  MAX_POLL_OPTIONS,
+  createPollAttachment,
+  isValidPoll,
+  getPoll,
+  setPoll,
+  isPollClosed,
+  getPollVoteReactionType,
+  isPollVoteReaction,
+  getPollVotes,
+  getPollVoteChanges,
+  applyPollVoteChanges,
+  getPollMessageForDisplay,
+  closePoll,
+  getPollResults,
+  getPollCloseOptions,
+} from './polls';
+export {
+  registerAttachmentType,
+  unregisterAttachmentType,
+  getAttachmentTypes,
+  getRegisteredAttachmentType,
+} from './attachmentRegistry';
+export {
+  LiveLocationManager,
+  LOCATION_ATTACHMENT_TYPE,
+  createLocationAttachment,
+  isLiveLocationActive,
+  getLocationAttachment,
+  setLocationAttachment,
+} from './LiveLocationManager';
+export { serializeVCard, parseVCard } from './vcard';
+export {
+  CONTACT_ATTACHMENT_TYPE,
+  createContactAttachment,
+  getContactFromAttachment,
+  findContactMember,
+} from './contacts';
+export {
+  CHANNEL_ACTIONS,
+  isChannelMuted,
+  getChannelUnreadCount,
+  setChannelLastRead,
+  markChannelUnread,
+  canPerformChannelAction,
+  sortPinnedChannels,
+  getChannelSections,
+} from './channelActions';
+export { ChannelPreferences } from './ChannelPreferences';
+export {
+  CHANNEL_QUICK_FILTERS,
+  combineFilters,
+  getChannelSearchFilters,
+  matchesChannelSearch,
+} from './channelSearch';
+export { matchesChannelFilters } from './channelFilters';
+export { getMutedUserIds, isMessageFromMutedUser } from './userMutes';
+export {
+  getReadReceipts,
+  getMessageReadBy,
+  hasReadMessage,
+} from './readReceipts';
+export {
+  getReaction,
+  getReactionTypes,
+  groupReactionsByType,
+} from './reactions';
+export {
+  ReactionRegistry,
+  defaultReactionRegistry,
+  SKIN_TONES,
+} from './ReactionRegistry';
+export { reactionCategories, defaultReactions } from './reactionData';
 export const emojiData = [
   {
     id: 'like',
@@ -129,6 +214,10 @@ export const MESSAGE_ACTIONS = {
   delete: 'delete',
   reactions: 'reactions',
   reply: 'reply',
+  quote: 'quote',
+  pin: 'pin',
+  info: 'info',
+  mute: 'mute',
 };
 
 export const makeImageCompatibleUrl = (url) => {
@@ -0,0 +1,22 @@
+import anchorme from 'anchorme';
+
+/**
+ * Returns the urls found in text (in the order they appear), with protocol. Emails are not included.
+ * Urls are detected the same way as `renderText` does, so they match the links rendered in message.
+ *
+ * @param {string} text
+ */
+export const getUrls = (text) => {
+  if (!text) return [];
+
+  return anchorme(text, { list: true })
+    .filter((urlInfo) => urlInfo.reason === 'url' || urlInfo.reason === 'ip')
+    .map((urlInfo) => `${urlInfo.protocol}${urlInfo.encoded}`);
+};
+
+/**
+ * Returns the first url found in text, or null if there is none.
+ *
+ * @param {string} text
+ */
+export const getFirstUrl = (text) => getUrls(text)[0] || null;
@@ -0,0 +1,76 @@
+/**
+ * Returns the time of newest loaded message, when channel shows a window of messages in history
+ * i.e., when the page of newer messages was full and there may be more of them. Otherwise returns null.
+ *
+ * @param {array} messages Page of messages returned by query, oldest first
+ * @param {number} limit Limit of the query
+ * @returns {Date|null}
+ */
+export const getNewestLoadedAt = (messages, limit) => {
+  if (messages.length < limit) return null;
+
+  return new Date(messages[messages.length - 1].created_at);
+};
+
+/**
+ * Channel state keeps receiving new messages, even if the channel shows a window of messages in history.
+ * Returns the messages of window, hiding the newer ones until we paginate to the latest messages.
+ *
+ * @param {array} messages Messages of channel state
+ * @param {Date|null} newestLoadedAt Time of newest loaded message (`getNewestLoadedAt`)
+ * @returns {array}
+ */
+export const getMessagesInWindow = (messages, newestLoadedAt) => {
+  if (!newestLoadedAt) return messages;
+
+  return messages.filter((m) => new Date(m.created_at) <= newestLoadedAt);
+};
+
+const toIdMap = (messages) =>
+  messages.reduce((acc, m) => {
+    acc[m.id] = true;
+    return acc;
+  }, {});
+
+/**
+ * Channel state merges the messages returned by queries into the ones it already has.
+ * Returns the messages of channel state, without the previous ones which were not returned by queries -
+ * so that state only contains the new window of messages. Messages received while queries were
+ * in progress are kept.
+ *
+ * @param {array} messages Messages of channel state, after queries
+ * @param {array} previousMessages Messages of channel state, before queries
+ * @param {array} queriedMessages Messages returned by queries
+ * @returns {array}
+ */
+export const replaceQueriedMessages = (
+  messages,
+  previousMessages,
+  queriedMessages,
+) => {
+  const previousIds = toIdMap(previousMessages);
+  const queriedIds = toIdMap(queriedMessages);
+
+  return messages.filter((m) => queriedIds[m.id] || !previousIds[m.id]);
+};
+
+/**
+ * Reverts the channel state to the messages it had before queries, when some of them failed.
+ * Returns the messages of channel state without the ones added by successful queries.
+ * Messages received while queries were in progress are kept.
+ *
+ * @param {array} messages Messages of channel state, after queries
+ * @param {array} previousMessages Messages of channel state, before queries
+ * @param {array} queriedMessages Messages returned by successful queries
+ * @returns {array}
+ */
+export const revertQueriedMessages = (
+  messages,
+  previousMessages,
+  queriedMessages,
+) => {
+  const previousIds = toIdMap(previousMessages);
+  const queriedIds = toIdMap(queriedMessages);
+
+  return messages.filter((m) => previousIds[m.id] || !queriedIds[m.id]);
+};
@@ -0,0 +1,18 @@
+const getPinnedAt = (message) =>
+  new Date(message.pinned_at || message.updated_at || message.created_at);
+
+/**
+ * Returns the pinned messages from given list of messages, most recently pinned first.
+ * Deleted messages are excluded, even if they were pinned before deletion.
+ *
+ * @param {array} messages List of messages e.g., `channel.state.messages`
+ * @returns {array} Pinned messages
+ */
+export const getPinnedMessages = (messages = []) => {
+  const pinnedMessages = messages.filter(
+    (message) => message.pinned && !message.deleted_at,
+  );
+
+  // Channel state contains immutable lists, which can't be sorted in place.
+  return [...pinnedMessages].sort((a, b) => getPinnedAt(b) - getPinnedAt(a));
+};
@@ -0,0 +1,292 @@
+export const POLL_ATTACHMENT_TYPE = 'poll';
+
+/** Names of the attachment actions, handled by `Message` for poll attachments */
+export const POLL_ACTIONS = Object.freeze({
+  VOTE: 'poll_vote',
+  CLOSE: 'poll_close',
+});
+
+/**
+ * Votes are saved as reactions on the poll message - one reaction type per option. Reactions can be added by every member
+ * (unlike updating the message of other user), and each vote is a separate record, so concurrent votes don't overwrite each other.
+ */
+const POLL_VOTE_REACTION_PREFIX = 'poll_vote_';
+
+/** Maximum number of options, offered by PollComposer */
+export const MAX_POLL_OPTIONS = 10;
+
+/**
+ * Returns the preset close times, offered in poll composer - `[{ key, label, date }]`.
+ * Labels are english strings, PollComposer renders the translated label based on the key.
+ *
+ * @param {Date} now
+ */
+export const getPollCloseOptions = (now = new Date()) => {
+  const hour = 60 * 60 * 1000;
+  return [
+    { key: 'never', label: 'Never', date: null },
+    { key: '1h', label: 'In 1 hour', date: new Date(now.getTime() + hour) },
+    { key: '1d', label: 'In 1 day', date: new Date(now.getTime() + 24 * hour) },
+    {
+      key: '1w',
+      label: 'In 1 week',
+      date: new Date(now.getTime() + 7 * 24 * hour),
+    },
+  ];
+};
+
+/**
+ * Builds the poll attachment, which is sent with the message.
+ * Options get an id, based on their position, which is used as reaction type of the votes (see `getPollVoteReactionType`).
+ * `anonymous` only hides the voters in UI - votes are reactions, so their users are available to all the members of channel.
+ *
+ * @param {object} poll `{ question, options, multiple_choice, anonymous, closes_at }`, options are strings
+ * @param {string} userId Id of the user creating the poll. Only this user can close the poll.
+ */
+export const createPollAttachment = (
+  { question, options, multiple_choice, anonymous, closes_at },
+  userId,
+) => ({
+  type: POLL_ATTACHMENT_TYPE,
+  poll: {
+    question: question.trim(),
+    options: options
+      .map((text) => text.trim())
+      .filter((text) => !!text)
+      .map((text, index) => ({ id: `${index}`, text })),
+    multiple_choice: !!multiple_choice,
+    anonymous: !!anonymous,
+    closes_at: closes_at ? new Date(closes_at).toISOString() : null,
+    closed: false,
+    created_by: userId,
+  },
+});
+
+/**
+ * Returns true if poll can be sent - it has a question and at least two distinct options.
+ *
+ * @param {object} poll `{ question, options }`, options are strings
+ */
+export const isValidPoll = ({ question, options }) => {
+  const texts = options.map((text) => text.trim()).filter((text) => !!text);
+  const uniqueTexts = texts.filter((text, i) => texts.indexOf(text) === i);
+
+  return (
+    !!question.trim() &&
+    uniqueTexts.length === texts.length &&
+    texts.length >= 2
+  );
+};
+
+/** Returns the poll of message, or null if message doesn't have a poll attachment */
+export const getPoll = (message) => {
+  if (!message || !message.attachments) return null;
+  const attachment = message.attachments.find(
+    (a) => a.type === POLL_ATTACHMENT_TYPE && a.poll,
+  );
+
+  return attachment ? attachment.poll : null;
+};
+
+/** Returns a copy of message, with poll attachment replaced by given poll */
+export const setPoll = (message, poll) => ({
+  ...message,
+  attachments: message.attachments.map((a) =>
+    a.type === POLL_ATTACHMENT_TYPE && a.poll ? { ...a, poll } : a,
+  ),
+});
+
+/**
+ * Returns true if poll was closed by its creator, or its close time has passed.
+ *
+ * @param {object} poll
+ * @param {Date} now
+ */
+export const isPollClosed = (poll, now = new Date()) =>
+  !!poll.closed || (!!poll.closes_at && new Date(poll.closes_at) <= now);
+
+/** Returns the reaction type, which stores the votes for given option */
+export const getPollVoteReactionType = (optionId) =>
+  `${POLL_VOTE_REACTION_PREFIX}${optionId}`;
+
+/** Returns true if reaction type is a vote of poll, and not an actual reaction */
+export const isPollVoteReaction = (type) =>
+  typeof type === 'string' && type.indexOf(POLL_VOTE_REACTION_PREFIX) === 0;
+
+const getVoteOptionId = (type) => type.slice(POLL_VOTE_REACTION_PREFIX.length);
+
+/**
+ * Returns the votes of poll message, read from its reactions - `{ counts, voters, own }`.
+ * `counts` are complete (from `reaction_counts`), while `voters` only contain the users of `latest_reactions`.
+ *
+ * @param {object} message
+ * @returns {object} `counts` - number of votes per option id, `voters` - user ids per option id, `own` - option ids current user voted for
+ */
+export const getPollVotes = (message) => {
+  const reactionCounts = message.reaction_counts || {};
+  const counts = Object.keys(reactionCounts)
+    .filter(isPollVoteReaction)
+    .reduce((acc, type) => {
+      acc[getVoteOptionId(type)] = reactionCounts[type];
+      return acc;
+    }, {});
+
+  const voters = (message.latest_reactions || [])
+    .filter((reaction) => isPollVoteReaction(reaction.type) && reaction.user)
+    .reduce((acc, reaction) => {
+      const optionId = getVoteOptionId(reaction.type);
+      const optionVoters = acc[optionId] || [];
+      if (optionVoters.indexOf(reaction.user.id) === -1) {
+        acc[optionId] = [...optionVoters, reaction.user.id];
+      }
+      return acc;
+    }, {});
+
+  const own = (message.own_reactions || [])
+    .filter((reaction) => isPollVoteReaction(reaction.type))
+    .map((reaction) => getVoteOptionId(reaction.type));
+
+  return { counts, voters, own };
+};
+
+/**
+ * Returns the votes of user to add and remove (option ids), when they vote for given option - `{ add, remove }`.
+ * Vote is removed if user has already voted for the option. In single choice poll, previous vote of user is removed.
+ * Returns null if the vote isn't allowed.
+ *
+ * @param {object} poll
+ * @param {string} optionId
+ * @param {array} ownVotes Option ids user has voted for
+ */
+export const getPollVoteChanges = (poll, optionId, ownVotes = []) => {
+  if (isPollClosed(poll) || !poll.options.find((o) => o.id === optionId)) {
+    return null;
+  }
+
+  if (ownVotes.indexOf(optionId) !== -1) {
+    return { add: [], remove: [optionId] };
+  }
+
+  return { add: [optionId], remove: poll.multiple_choice ? [] : ownVotes };
+};
+
+/**
+ * Returns a copy of message with the vote changes of user applied to its reactions, so that
+ * they are shown before the server responds.
+ *
+ * @param {object} message
+ * @param {object} changes `{ add, remove }` returned by `getPollVoteChanges`
+ * @param {object} user Current user
+ */
+export const applyPollVoteChanges = (message, { add, remove }, user) => {
+  const removedTypes = remove.map(getPollVoteReactionType);
+  const isRemoved = (reaction) =>
+    !!reaction.user &&
+    reaction.user.id === user.id &&
+    removedTypes.indexOf(reaction.type) !== -1;
+  const added = add.map((optionId) => ({
+    type: getPollVoteReactionType(optionId),
+    message_id: message.id,
+    user,
+    user_id: user.id,
+    created_at: new Date().toISOString(),
+  }));
+
+  const reactionCounts = { ...(message.reaction_counts || {}) };
+  removedTypes.forEach((type) => {
+    reactionCounts[type] = Math.max((reactionCounts[type] || 0) - 1, 0);
+  });
+  added.forEach(({ type }) => {
+    reactionCounts[type] = (reactionCounts[type] || 0) + 1;
+  });
+
+  return {
+    ...message,
+    latest_reactions: [
+      ...added,
+      ...(message.latest_reactions || []).filter((r) => !isRemoved(r)),
+    ],
+    own_reactions: [
+      ...added,
+      ...(message.own_reactions || []).filter((r) => !isRemoved(r)),
+    ],
+    reaction_counts: reactionCounts,
+  };
+};
+
+/**
+ * Returns the message prepared for rendering - votes are moved from its reactions to the poll (`poll.votes`,
+ * see `getPollVotes`), so that they are not shown as reactions. Message without poll is returned as is.
+ *
+ * @param {object} message
+ */
+export const getPollMessageForDisplay = (message) => {
+  const poll = getPoll(message);
+  if (!poll) return message;
+
+  const isReaction = (reaction) => !isPollVoteReaction(reaction.type);
+  const reactionCounts = message.reaction_counts || {};
+
+  return {
+    ...setPoll(message, { ...poll, votes: getPollVotes(message) }),
+    latest_reactions: (message.latest_reactions || []).filter(isReaction),
+    own_reactions: (message.own_reactions || []).filter(isReaction),
+    reaction_counts: Object.keys(reactionCounts)
+      .filter((type) => !isPollVoteReaction(type))
+      .reduce((acc, type) => {
+        acc[type] = reactionCounts[type];
+        return acc;
+      }, {}),
+  };
+};
+
+/** Returns the closed poll */
+export const closePoll = (poll) =>
+  poll.closed ? poll : { ...poll, closed: true };
+
+/**
+ * Returns the results of poll - `{ options: [{ id, text, votes, percentage, voters, voted }], totalVoters }`.
+ * Percentage is relative to the number of users who voted. In multiple choice poll, number of users is estimated
+ * from the known voters, since reactions only provide the number of votes per option.
+ *
+ * @param {object} poll
+ * @param {object} votes Votes of poll, returned by `getPollVotes`
+ */
+export const getPollResults = (poll, votes = {}) => {
+  const counts = votes.counts || {};
+  const voters = votes.voters || {};
+  const own = votes.own || [];
+  const getCount = (option) =>
+    Math.max(counts[option.id] || 0, (voters[option.id] || []).length);
+
+  let totalVoters;
+  if (poll.multiple_choice) {
+    const knownVoters = poll.options.reduce(
+      (acc, option) => [
+        ...acc,
+        ...(voters[option.id] || []).filter((id) => acc.indexOf(id) === -1),
+      ],
+      [],
+    );
+    totalVoters = Math.max(knownVoters.length, ...poll.options.map(getCount));
+  } else {
+    totalVoters = poll.options.reduce(
+      (sum, option) => sum + getCount(option),
+      0,
+    );
+  }
+
+  return {
+    totalVoters,
+    options: poll.options.map((option) => {
+      const count = getCount(option);
+      return {
+        ...option,
+        voters: voters[option.id] || [],
+        votes: count,
+        percentage: totalVoters ? Math.round((count / totalVoters) * 100) : 0,
+        voted: own.indexOf(option.id) !== -1,
+      };
+    }),
+  };
+};
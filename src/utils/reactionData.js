@@ -0,0 +1,169 @@
+/**
+ * Default categories of reactions in full reaction picker. Icon is displayed in the tab of category.
+ */
+export const reactionCategories = [
+  { id: 'smileys', name: 'Smileys', icon: '😀' },
+  { id: 'people', name: 'People', icon: '👍' },
+  { id: 'animals', name: 'Animals & Nature', icon: '🐶' },
+  { id: 'food', name: 'Food & Drink', icon: '🍕' },
+  { id: 'activities', name: 'Activities', icon: '⚽' },
+  { id: 'objects', name: 'Objects', icon: '💡' },
+  { id: 'symbols', name: 'Symbols', icon: '❤️' },
+];
+
+// Shorthand to keep the list below readable.
+const r = (category, id, icon, keywords = [], skinTones = false) => ({
+  id,
+  icon,
+  category,
+  keywords,
+  skinTones,
+});
+
+/**
+ * Default set of reactions available in full reaction picker.
+ * Ids of six default reactions (`like`, `love`, `haha`, `wow`, `sad`, `angry`) are same as in `emojiData`,
+ * so that existing reactions keep working.
+ */
+export const defaultReactions = [
+  r('smileys', 'grinning', '😀', ['smile', 'happy']),
+  r('smileys', 'smiley', '😃', ['smile', 'happy']),
+  r('smileys', 'smile', '😄', ['happy', 'joy']),
+  r('smileys', 'grin', '😁', ['happy', 'smile']),
+  r('smileys', 'haha', '😂', ['joy', 'laugh', 'tears', 'lol']),
+  r('smileys', 'rofl', '🤣', ['laugh', 'lol']),
+  r('smileys', 'sweat_smile', '😅', ['relief']),
+  r('smileys', 'wink', '😉', ['flirt']),
+  r('smileys', 'blush', '😊', ['shy', 'happy']),
+  r('smileys', 'innocent', '😇', ['angel', 'halo']),
+  r('smileys', 'heart_eyes', '😍', ['love', 'crush']),
+  r('smileys', 'star_struck', '🤩', ['wow', 'amazing']),
+  r('smileys', 'kissing_heart', '😘', ['kiss', 'love']),
+  r('smileys', 'yum', '😋', ['tasty', 'delicious']),
+  r('smileys', 'stuck_out_tongue_winking_eye', '😜', ['crazy', 'joke']),
+  r('smileys', 'thinking', '🤔', ['hmm', 'think']),
+  r('smileys', 'shushing', '🤫', ['quiet', 'secret']),
+  r('smileys', 'neutral_face', '😐', ['meh']),
+  r('smileys', 'expressionless', '😑', ['meh']),
+  r('smileys', 'unamused', '😒', ['meh', 'unhappy']),
+  r('smileys', 'roll_eyes', '🙄', ['eyeroll']),
+  r('smileys', 'grimacing', '😬', ['awkward']),
+  r('smileys', 'relieved', '😌', ['calm']),
+  r('smileys', 'sleeping', '😴', ['sleep', 'tired']),
+  r('smileys', 'mask', '😷', ['sick', 'ill']),
+  r('smileys', 'nerd', '🤓', ['geek', 'glasses']),
+  r('smileys', 'sunglasses', '😎', ['cool']),
+  r('smileys', 'confused', '😕', ['unsure']),
+  r('smileys', 'wow', '😮', ['surprised', 'open_mouth']),
+  r('smileys', 'astonished', '😲', ['shocked', 'surprised']),
+  r('smileys', 'flushed', '😳', ['embarrassed']),
+  r('smileys', 'pleading', '🥺', ['please', 'puppy eyes']),
+  r('smileys', 'sad', '😔', ['pensive', 'unhappy']),
+  r('smileys', 'cry', '😢', ['tear', 'sad']),
+  r('smileys', 'sob', '😭', ['cry', 'sad']),
+  r('smileys', 'scream', '😱', ['scared', 'horror']),
+  r('smileys', 'angry', '😠', ['mad', 'annoyed']),
+  r('smileys', 'rage', '😡', ['angry', 'mad']),
+  r('smileys', 'skull', '💀', ['dead']),
+  r('smileys', 'poop', '💩', ['poo']),
+  r('smileys', 'clown', '🤡', ['joke']),
+  r('smileys', 'see_no_evil', '🙈', ['monkey', 'shame']),
+
+  r('people', 'like', '👍', ['thumbsup', 'yes', 'ok', '+1'], true),
+  r('people', 'thumbsdown', '👎', ['no', 'dislike', '-1'], true),
+  r('people', 'ok_hand', '👌', ['perfect', 'ok'], true),
+  r('people', 'victory', '✌️', ['peace'], true),
+  r('people', 'crossed_fingers', '🤞', ['luck', 'hope'], true),
+  r('people', 'metal', '🤘', ['rock'], true),
+  r('people', 'call_me', '🤙', ['shaka'], true),
+  r('people', 'wave', '👋', ['hello', 'bye'], true),
+  r('people', 'raised_hand', '✋', ['stop', 'high five'], true),
+  r('people', 'clap', '👏', ['applause', 'congrats'], true),
+  r('people', 'raised_hands', '🙌', ['hooray', 'celebrate'], true),
+  r('people', 'pray', '🙏', ['please', 'thanks'], true),
+  r('people', 'handshake', '🤝', ['deal', 'agreement']),
+  r('people', 'muscle', '💪', ['strong', 'flex'], true),
+  r('people', 'point_up', '☝️', ['this'], true),
+  r('people', 'fist', '👊', ['punch', 'bump'], true),
+  r('people', 'eyes', '👀', ['look', 'watching']),
+  r('people', 'facepalm', '🤦', ['doh'], true),
+  r('people', 'shrug', '🤷', ['idk', 'whatever'], true),
+  r('people', 'dancer', '💃', ['dance', 'party'], true),
+
+  r('animals', 'dog', '🐶', ['puppy']),
+  r('animals', 'cat', '🐱', ['kitten']),
+  r('animals', 'unicorn', '🦄', ['magic']),
+  r('animals', 'monkey', '🐒', []),
+  r('animals', 'panda', '🐼', []),
+  r('animals', 'fox', '🦊', []),
+  r('animals', 'bee', '🐝', ['honey']),
+  r('animals', 'turtle', '🐢', ['slow']),
+  r('animals', 'snail', '🐌', ['slow']),
+  r('animals', 'rose', '🌹', ['flower']),
+  r('animals', 'sunflower', '🌻', ['flower']),
+  r('animals', 'seedling', '🌱', ['plant', 'grow']),
+  r('animals', 'sun', '☀️', ['sunny', 'weather']),
+  r('animals', 'rainbow', '🌈', ['pride']),
+  r('animals', 'zap', '⚡', ['lightning', 'fast']),
+  r('animals', 'snowflake', '❄️', ['cold', 'winter']),
+
+  r('food', 'pizza', '🍕', []),
+  r('food', 'hamburger', '🍔', ['burger']),
+  r('food', 'taco', '🌮', []),
+  r('food', 'popcorn', '🍿', ['movie']),
+  r('food', 'cake', '🍰', ['dessert']),
+  r('food', 'cookie', '🍪', ['dessert']),
+  r('food', 'doughnut', '🍩', ['donut', 'dessert']),
+  r('food', 'avocado', '🥑', []),
+  r('food', 'coffee', '☕', ['cafe', 'morning']),
+  r('food', 'tea', '🍵', []),
+  r('food', 'beer', '🍺', ['drink', 'cheers']),
+  r('food', 'clinking_glasses', '🥂', ['cheers', 'celebrate']),
+
+  r('activities', 'soccer', '⚽', ['football']),
+  r('activities', 'basketball', '🏀', []),
+  r('activities', 'trophy', '🏆', ['win', 'winner']),
+  r('activities', 'medal', '🏅', ['win']),
+  r('activities', 'dart', '🎯', ['bullseye', 'target']),
+  r('activities', 'video_game', '🎮', ['gaming']),
+  r('activities', 'tada', '🎉', ['party', 'celebrate', 'hooray']),
+  r('activities', 'confetti_ball', '🎊', ['party']),
+  r('activities', 'balloon', '🎈', ['party', 'birthday']),
+  r('activities', 'gift', '🎁', ['present', 'birthday']),
+  r('activities', 'art', '🎨', ['paint']),
+  r('activities', 'musical_note', '🎵', ['music', 'song']),
+
+  r('objects', 'bulb', '💡', ['idea']),
+  r('objects', 'rocket', '🚀', ['launch', 'ship']),
+  r('objects', 'fire', '🔥', ['lit', 'hot']),
+  r('objects', 'sparkles', '✨', ['shiny', 'magic']),
+  r('objects', 'star', '⭐', ['favorite']),
+  r('objects', 'moneybag', '💰', ['money', 'rich']),
+  r('objects', 'gem', '💎', ['diamond']),
+  r('objects', 'bell', '🔔', ['notification']),
+  r('objects', 'lock', '🔒', ['secure', 'private']),
+  r('objects', 'hourglass', '⏳', ['wait', 'time']),
+  r('objects', 'calendar', '📅', ['date', 'schedule']),
+  r('objects', 'memo', '📝', ['note', 'write']),
+  r('objects', 'pushpin', '📌', ['pin']),
+  r('objects', 'link', '🔗', []),
+  r('objects', 'bug', '🐛', ['issue']),
+  r('objects', 'hammer', '🔨', ['build', 'fix']),
+
+  r('symbols', 'love', '❤️️', ['heart', 'red heart']),
+  r('symbols', 'orange_heart', '🧡', ['heart']),
+  r('symbols', 'yellow_heart', '💛', ['heart']),
+  r('symbols', 'green_heart', '💚', ['heart']),
+  r('symbols', 'blue_heart', '💙', ['heart']),
+  r('symbols', 'purple_heart', '💜', ['heart']),
+  r('symbols', 'black_heart', '🖤', ['heart']),
+  r('symbols', 'broken_heart', '💔', ['heart', 'sad']),
+  r('symbols', 'hundred', '💯', ['perfect', 'score', '100']),
+  r('symbols', 'check', '✅', ['done', 'yes', 'ok']),
+  r('symbols', 'x', '❌', ['no', 'wrong']),
+  r('symbols', 'question', '❓', ['what', 'confused']),
+  r('symbols', 'exclamation', '❗', ['important']),
+  r('symbols', 'warning', '⚠️', ['caution']),
+  r('symbols', 'no_entry', '⛔', ['stop', 'forbidden']),
+  r('symbols', 'plus_one', '➕', ['add', 'plus']),
+];
@@ -0,0 +1,46 @@
+/**
+ * Returns the reaction (`{ id, icon, image }`) for given reaction type. Reaction is looked up in
+ * `supportedReactions` first, and then in `reactionRegistry` (if provided). Returns null for unknown types.
+ */
+export const getReaction = (
+  type,
+  supportedReactions = [],
+  reactionRegistry,
+) => {
+  const supported = supportedReactions.find((r) => r.id === type);
+  if (supported) return supported;
+
+  return reactionRegistry ? reactionRegistry.get(type) : null;
+};
+
+/**
+ * Groups the reactions by their type, keeping the order in which types first appear.
+ *
+ * @param {array} reactions
+ * @returns {object} Map of reaction type to list of reactions of that type
+ */
+export const groupReactionsByType = (reactions = []) =>
+  reactions.reduce((acc, reaction) => {
+    acc[reaction.type] = [...(acc[reaction.type] || []), reaction];
+    return acc;
+  }, {});
+
+/**
+ * Returns the reaction types of message, most used first. Types which are present in given reactions,
+ * but missing in `reaction_counts` (e.g., reaction added locally) are appended at the end.
+ *
+ * @param {object} message
+ * @param {array} reactions Reactions loaded so far
+ */
+export const getReactionTypes = (message, reactions = []) => {
+  const counts = message.reaction_counts || {};
+  const types = Object.keys(counts)
+    .filter((type) => counts[type] > 0)
+    .sort((a, b) => counts[b] - counts[a]);
+
+  reactions.forEach(({ type }) => {
+    if (types.indexOf(type) === -1) types.push(type);
+  });
+
+  return types;
+};
@@ -0,0 +1,53 @@
+/**
+ * Returns true if given read state (`{ last_read, user }` from `channel.state.read`) covers the message,
+ * i.e. user has marked the channel read after message was created.
+ */
+export const hasReadMessage = (readState, message) =>
+  !!readState &&
+  !!readState.last_read &&
+  new Date(readState.last_read) >= new Date(message.created_at);
+
+const getUserName = ({ user }) => (user.name || user.id).toLowerCase();
+
+/**
+ * Splits the members of channel into the ones who have read the message, and the ones who haven't read it yet.
+ * Author of message is excluded from both the lists.
+ *
+ * @param {object} message
+ * @param {object} read Read state of channel, keyed by user id - `{ [user_id]: { last_read, user } }`
+ * @param {object} members Members of channel, keyed by user id. Members without read state are listed as not read.
+ * @returns {object} `{ readBy: [{ user, last_read }], notReadBy: [{ user, last_read }] }`. Users who read the message
+ * are sorted by time of read, most recent first. Rest of users are sorted by name.
+ */
+export const getReadReceipts = (message, read = {}, members = {}) => {
+  const authorId = message.user && message.user.id;
+  const readStates = { ...read };
+  Object.values(members).forEach((member) => {
+    if (member.user && !readStates[member.user.id]) {
+      readStates[member.user.id] = { user: member.user, last_read: null };
+    }
+  });
+
+  const readBy = [];
+  const notReadBy = [];
+  Object.values(readStates).forEach((readState) => {
+    if (!readState.user || readState.user.id === authorId) return;
+
+    if (hasReadMessage(readState, message)) readBy.push(readState);
+    else notReadBy.push(readState);
+  });
+
+  readBy.sort((a, b) => new Date(b.last_read) - new Date(a.last_read));
+  notReadBy.sort((a, b) => (getUserName(a) < getUserName(b) ? -1 : 1));
+
+  return { readBy, notReadBy };
+};
+
+/**
+ * Returns the users who have read the message, excluding the author of message.
+ *
+ * @param {object} message
+ * @param {object} read Read state of channel, keyed by user id - `{ [user_id]: { last_read, user } }`
+ */
+export const getMessageReadBy = (message, read = {}) =>
+  getReadReceipts(message, read).readBy.map((readState) => readState.user);
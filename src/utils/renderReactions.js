@@ -1,26 +1,22 @@
 import React from 'react';
-import { Text } from 'react-native';
+import { ReactionIcon } from '../components/ReactionIcon';
+import { getReaction, groupReactionsByType } from './reactions';
 
-export const renderReactions = (reactions, supportedReactions) => {
-  const reactionsByType = {};
-  reactions.map((item) => {
-    if (reactions[item.type] === undefined) {
-      return (reactionsByType[item.type] = [item]);
-    } else {
-      return (reactionsByType[item.type] = [
-        ...reactionsByType[item.type],
-        item,
-      ]);
-    }
-  });
-
-  const emojiDataByType = {};
-  supportedReactions.forEach((e) => (emojiDataByType[e.id] = e));
-
-  const reactionTypes = supportedReactions.map((e) => e.id);
-  return Object.keys(reactionsByType).map((type) =>
-    reactionTypes.indexOf(type) > -1 ? (
-      <Text key={type}>{emojiDataByType[type].icon}</Text>
-    ) : null,
-  );
-};
+/**
+ * Renders the icons of reaction types present in given reactions, in the order they appear.
+ * Reaction is looked up in `supportedReactions` first and then in `reactionRegistry` (if provided).
+ * Unknown reaction types are rendered as `:type:`, instead of being hidden.
+ */
+export const renderReactions = (
+  reactions,
+  supportedReactions,
+  reactionRegistry,
+) =>
+  Object.keys(groupReactionsByType(reactions)).map((type) => (
+    <ReactionIcon
+      key={type}
+      type={type}
+      reaction={getReaction(type, supportedReactions, reactionRegistry)}
+      style={{ color: 'white' }}
+    />
+  ));
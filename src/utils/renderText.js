@@ -2,8 +2,14 @@ import Markdown from '@stream-io/react-native-simple-markdown';
 import { truncate } from 'lodash-es';
 import anchorme from 'anchorme';
 import React from 'react';
+import { highlightText } from './highlightText';
 
-export const renderText = (message, styles) => {
+/**
+ * @param {object} message Message object
+ * @param {object} styles Markdown styles
+ * @param {string} highlight Optional search term. Words of the term are highlighted as bold (`strong`) text.
+ */
+export const renderText = (message, styles, highlight) => {
   // take the @ mentions and turn them into markdown?
   // translate links
   let { text } = message;
@@ -34,6 +40,11 @@ export const renderText = (message, styles) => {
     }
   }
 
+  if (highlight) {
+    // Links and mentions are already converted to markdown at this point, so they are left as they are.
+    newText = highlightText(newText, highlight);
+  }
+
   newText = newText.replace(/[<&"'>]/g, '\\$&');
   const markdownStyles = {
     ...defaultMarkdownStyles,
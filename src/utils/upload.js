@@ -0,0 +1,110 @@
+/**
+ * Uploads the file to channel, same as `channel.sendFile`, but also reports the progress of upload.
+ * `channel.sendFile` uses fetch, which doesn't support progress events, so XMLHttpRequest is used instead - with url,
+ * params and headers built by the client, so that it's sent the same way as other requests of client.
+ * Useful for large files e.g., videos.
+ *
+ * @param {object} channel Channel object
+ * @param {string} uri Local uri of the file
+ * @param {object} options
+ * @param {string} options.name Name of the file. Defaults to last segment of uri
+ * @param {string} options.contentType Mime type of the file
+ * @param {function} options.onProgress Called with uploaded fraction of file, between 0 and 1
+ * @returns {Promise<object>} API response, containing url of uploaded file as `file`
+ */
+export const uploadFileWithProgress = (
+  channel,
+  uri,
+  { name, contentType, onProgress } = {},
+) =>
+  new Promise((resolve, reject) => {
+    const client = channel.getClient();
+    // Same params and headers as the requests of client (api key, user id, connection id and auth)
+    // eslint-disable-next-line no-underscore-dangle
+    const { params, headers, timeout } = client._addClientParams();
+    const query = Object.keys(params)
+      .filter((key) => params[key] !== undefined && params[key] !== null)
+      .map(
+        (key) =>
+          `${encodeURIComponent(key)}=${encodeURIComponent(params[key])}`,
+      )
+      .join('&');
+    const xhr = new XMLHttpRequest();
+
+    xhr.open(
+      'POST',
+      `${client.baseURL}/channels/${channel.type}/${channel.id}/file?${query}`,
+    );
+    Object.keys(headers).forEach((key) => {
+      if (headers[key]) xhr.setRequestHeader(key, headers[key]);
+    });
+    if (timeout) xhr.timeout = timeout;
+
+    if (onProgress && xhr.upload) {
+      xhr.upload.onprogress = (event) => {
+        if (event.lengthComputable && event.total > 0) {
+          onProgress(event.loaded / event.total);
+        }
+      };
+    }
+
+    xhr.onload = () => {
+      let response = {};
+      try {
+        response = JSON.parse(xhr.responseText);
+      } catch (e) {
+        // Not a JSON response e.g., from proxy
+      }
+
+      try {
+        // Throws the same error as other requests of client, for non 2xx status
+        resolve(client.handleResponse({ status: xhr.status, data: response }));
+      } catch (error) {
+        reject(error);
+      }
+    };
+    xhr.onerror = () => reject(Error('Network error while uploading the file'));
+    xhr.ontimeout = () => reject(Error('Upload of the file timed out'));
+
+    const data = new FormData();
+    const file = { uri, name: name || uri.split('/').pop() };
+    if (contentType) file.type = contentType;
+    data.append('file', file);
+
+    xhr.send(data);
+  });
+
+/**
+ * Marks the upload in `uploads` (immutable object of MessageInput uploads by id) as started, with a new `token`.
+ * File can be uploaded again before its previous upload finishes - when upload is retried, or when image is edited
+ * (editor may write the edited image to the same uri). Only the result of upload with the latest token is applied.
+ *
+ * @param {object} uploads Uploads by id
+ * @param {string} id Id of upload
+ * @param {string} token Unique token of this upload
+ * @param {object} values Values to set on upload e.g., its state
+ * @returns {object} Updated uploads
+ */
+export const startUpload = (uploads, id, token, values = {}) => {
+  if (!uploads[id]) return uploads;
+
+  return uploads.setIn(
+    [id],
+    uploads[id].merge({ ...values, uploadToken: token }),
+  );
+};
+
+/**
+ * Sets the result of upload identified by `token` e.g., url of uploaded file and its state.
+ *
+ * @param {object} uploads Uploads by id
+ * @param {string} id Id of upload
+ * @param {string} token Token of upload, which finished
+ * @param {object} values Values to set on upload
+ * @returns {object|null} Updated uploads - or null, if upload was removed or started again meanwhile (result is stale)
+ */
+export const finishUpload = (uploads, id, token, values) => {
+  if (!uploads[id] || uploads[id].uploadToken !== token) return null;
+
+  return uploads.setIn([id], uploads[id].merge(values));
+};
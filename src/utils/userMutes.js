@@ -0,0 +1,24 @@
+/**
+ * Returns the ids of users muted by current user. Mutes are part of the user object, which is received
+ * when connection is established, and in `notification.mutes_updated` event.
+ *
+ * @param {object} user Current user e.g., `client.user`
+ * @returns {array}
+ */
+export const getMutedUserIds = (user) =>
+  user && user.mutes
+    ? user.mutes.filter((mute) => !!mute.target).map((mute) => mute.target.id)
+    : [];
+
+/**
+ * Returns true if message was sent by one of the muted users. Messages of current user are never considered muted.
+ *
+ * @param {object} message
+ * @param {array} mutedUsers Ids of muted users
+ * @param {string} userId Id of current user
+ */
+export const isMessageFromMutedUser = (message, mutedUsers, userId) =>
+  !!message.user &&
+  message.user.id !== userId &&
+  !!mutedUsers &&
+  mutedUsers.indexOf(message.user.id) > -1;
@@ -0,0 +1,170 @@
+// Types which only describe the kind of value, and aren't meaningful as label.
+const IGNORED_TYPES = ['pref', 'voice', 'internet', 'x400'];
+
+const escapeValue = (value) =>
+  `${value}`
+    .replace(/\\/g, '\\\\')
+    .replace(/\r?\n/g, '\\n')
+    .replace(/,/g, '\\,')
+    .replace(/;/g, '\\;');
+
+const unescapeValue = (value) =>
+  value.replace(/\\([\\,;nN])/g, (match, char) =>
+    char === 'n' || char === 'N' ? '\n' : char,
+  );
+
+// Splits structured value (e.g. `N`) on semicolons, which aren't escaped.
+const splitStructured = (value) => {
+  const parts = [''];
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] === '\\' && i + 1 < value.length) {
+      parts[parts.length - 1] += value[i] + value[i + 1];
+      i++;
+    } else if (value[i] === ';') {
+      parts.push('');
+    } else {
+      parts[parts.length - 1] += value[i];
+    }
+  }
+
+  return parts.map((part) => unescapeValue(part).trim());
+};
+
+const getNameParts = (name) => {
+  const parts = name.trim().split(/\s+/);
+  if (parts.length < 2) return { family: '', given: parts[0] || '' };
+
+  return {
+    family: parts[parts.length - 1],
+    given: parts.slice(0, -1).join(' '),
+  };
+};
+
+const getLabel = (params) => {
+  const types = params.reduce((acc, param) => {
+    const [key, value] = param.split('=');
+    // vCard 2.1 allows types without `TYPE=`, e.g. `TEL;CELL:...`
+    const typeValues = value === undefined ? key : value;
+    if (value !== undefined && key.toUpperCase() !== 'TYPE') return acc;
+
+    return [
+      ...acc,
+      ...typeValues
+        .replace(/"/g, '')
+        .split(',')
+        .map((type) => type.toLowerCase()),
+    ];
+  }, []);
+
+  return types.find((type) => IGNORED_TYPES.indexOf(type) === -1) || '';
+};
+
+/**
+ * Serializes the contact to vCard (version 3.0).
+ *
+ * @param {object} contact `{ name, phones: [{ label, value }], emails: [{ label, value }], organization, image, user_id }`
+ * @returns {string}
+ */
+export const serializeVCard = (contact) => {
+  const { name = '', phones = [], emails = [], organization, image } = contact;
+  const { family, given } = getNameParts(name);
+  const lines = [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    `FN:${escapeValue(name)}`,
+    `N:${escapeValue(family)};${escapeValue(given)};;;`,
+  ];
+
+  if (organization) lines.push(`ORG:${escapeValue(organization)}`);
+  phones.forEach(({ label, value }) => {
+    const type = label ? `;TYPE=${escapeValue(label).toUpperCase()}` : '';
+    lines.push(`TEL${type}:${escapeValue(value)}`);
+  });
+  emails.forEach(({ label, value }) => {
+    const type = label ? `;TYPE=${escapeValue(label).toUpperCase()}` : '';
+    lines.push(`EMAIL${type}:${escapeValue(value)}`);
+  });
+  if (image) lines.push(`PHOTO;VALUE=URI:${image}`);
+  if (contact.user_id) {
+    lines.push(`X-STREAM-USER-ID:${escapeValue(contact.user_id)}`);
+  }
+  lines.push('END:VCARD');
+
+  return lines.join('\r\n');
+};
+
+/**
+ * Parses the vCard (versions 2.1, 3.0 and 4.0). Only the first card is parsed, if there are many.
+ *
+ * @param {string} vcard
+ * @returns {object} Contact - `{ name, phones: [{ label, value }], emails: [{ label, value }], organization, image, user_id }`,
+ * or null if text isn't a vCard.
+ */
+export const parseVCard = (vcard) => {
+  if (!vcard || !/BEGIN:VCARD/i.test(vcard)) return null;
+
+  const contact = { name: '', phones: [], emails: [] };
+  let structuredName = null;
+  let inCard = false;
+
+  // Long lines are folded by a line break, followed by a space or tab.
+  const lines = vcard.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  for (const line of lines) {
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const [property, ...params] = line.slice(0, separator).split(';');
+    // Properties can be grouped, e.g. `item1.TEL`
+    const name = property.replace(/^.*\./, '').toUpperCase();
+    const value = line.slice(separator + 1);
+
+    if (name === 'BEGIN') {
+      inCard = true;
+      continue;
+    }
+    if (name === 'END') break;
+    if (!inCard) continue;
+
+    switch (name) {
+      case 'FN':
+        contact.name = unescapeValue(value).trim();
+        break;
+      case 'N':
+        structuredName = splitStructured(value);
+        break;
+      case 'ORG':
+        contact.organization = splitStructured(value)
+          .filter((part) => !!part)
+          .join(', ');
+        break;
+      case 'TEL':
+        contact.phones.push({
+          label: getLabel(params),
+          value: unescapeValue(value).replace(/^tel:/i, ''),
+        });
+        break;
+      case 'EMAIL':
+        contact.emails.push({
+          label: getLabel(params),
+          value: unescapeValue(value),
+        });
+        break;
+      case 'PHOTO':
+        // Inline (base64) photos aren't supported, only urls.
+        if (/^https?:/i.test(value)) contact.image = value;
+        break;
+      case 'X-STREAM-USER-ID':
+        contact.user_id = unescapeValue(value);
+        break;
+      default:
+        break;
+    }
+  }
+
+  if (!contact.name && structuredName) {
+    const [family = '', given = ''] = structuredName;
+    contact.name = [given, family].filter((part) => !!part).join(' ');
+  }
+
+  return contact;
+};
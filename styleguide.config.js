@@ -51,6 +51,9 @@ module.exports = {
         'src/components/MessageList.js',
         'src/components/ChannelHeader.js',
         'src/components/Thread.js',
+        'src/components/PinnedMessageList.js',
+        'src/components/MessageReadReceipts.js',
+        'src/components/ScheduledMessages.js',
       ],
       exampleMode: 'collapse',
       usageMode: 'expand',
@@ -62,6 +65,11 @@ module.exports = {
         'src/components/MessageSimple/index.js',
         'src/components/Attachment.js',
         'src/components/Gallery.js',
+        'src/components/AudioAttachment.js',
+        'src/components/VideoAttachment.js',
+        'src/components/PollAttachment.js',
+        'src/components/LocationAttachment.js',
+        'src/components/ContactAttachment.js',
         'src/components/AttachmentActions.js',
         'src/components/AutoComplete.js',
         'src/components/ReactionSelector.js',
@@ -75,7 +83,21 @@ module.exports = {
       components: [
         'src/components/MessageInput.js',
         'src/components/ImageUploadPreview.js',
+        'src/components/InputUrlPreview.js',
+        'src/components/PollComposer.js',
         'src/components/FileUploadPreview.js',
+        'src/components/AudioRecordButton.js',
+      ],
+      exampleMode: 'collapse',
+      usageMode: 'expand',
+    },
+    {
+      name: 'Message Search',
+      components: [
+        'src/components/MessageSearch.js',
+        'src/components/MessageSearchList.js',
+        'src/components/MessageSearchInput.js',
+        'src/components/MessageSearchResult.js',
       ],
       exampleMode: 'collapse',
       usageMode: 'expand',
@@ -93,9 +115,14 @@ module.exports = {
         'src/components/SendButton.js',
         'src/components/AttachButton.js',
         'src/components/DateSeparator.js',
+        'src/components/UnreadSeparator.js',
+        'src/components/MutedMessage.js',
         'src/components/Window.js',
         'src/components/ChannelListMessenger.js',
         'src/components/ChannelPreviewMessenger.js',
+        'src/components/ChannelListSectionHeader.js',
+        'src/components/ChannelListLoadMore.js',
+        'src/components/ChannelListSearch.js',
       ],
       sections: [
         {
@@ -106,6 +133,14 @@ module.exports = {
           name: 'Streami18n',
           content: 'src/components/docs/Streami18n.md',
         },
+        {
+          name: 'Offline support',
+          content: 'src/components/docs/OfflineSupport.md',
+        },
+        {
+          name: 'ReactionRegistry',
+          content: 'src/components/docs/ReactionRegistry.md',
+        },
       ],
       exampleMode: 'collapse',
       usageMode: 'expand',
@@ -185,6 +220,8 @@ module.exports = {
         'src/components/MessageSimple/MessageAvatar.js',
         'src/components/MessageSimple/MessageStatus.js',
         'src/components/MessageSimple/MessageReplies.js',
+        'src/components/MessageSimple/QuotedMessage.js',
+        'src/components/MessageSimple/PinnedIndicator.js',
         'src/components/MessageSimple/MessageTextContainer.js',
         'src/components/AutoCompleteInput.js',
         'src/components/ChannelPreview.js',
@@ -201,7 +238,11 @@ module.exports = {
         'src/components/MessageNotification.js',
         'src/components/ReactionList.js',
         'src/components/ReactionPicker.js',
+        'src/components/FullReactionPicker.js',
+        'src/components/ReactionIcon.js',
+        'src/components/ReactionDetails.js',
         'src/components/ReactionPickerWrapper.js',
+        'src/components/SchedulePicker.js',
         'src/components/SuggestionsProvider.js',
         'src/components/TypingIndicator.js',
         'src/components/UploadProgressIndicator.js',
@@ -26,6 +26,16 @@ export interface ChatContextValue {
   ): void;
   isOnline?: boolean;
   connectionRecovering?: boolean;
+  outbox?: Outbox;
+  cache?: ChannelCache;
+  drafts?: DraftStore;
+  scheduler?: MessageScheduler;
+  liveLocations?: LiveLocationManager;
+  channelPreferences?: ChannelPreferences;
+  /** Ids of users muted by current user */
+  mutedUsers?: string[];
+  muteUser?(userId: string): Promise<void>;
+  unmuteUser?(userId: string): Promise<void>;
 }
 
 declare function withTranslationContext<T>(
@@ -102,7 +112,7 @@ export interface ChannelContextValue {
   threadHasMore?: boolean;
   kavEnabled?: boolean;
 
-  sendMessage?(message: Client.Message): void;
+  sendMessage?(message: Client.Message): Promise<Client.MessageResponse>;
   /** The function to update a message, handled by the Channel component */
   updateMessage?(
     updatedMessage: Client.MessageResponse,
@@ -110,13 +120,73 @@ export interface ChannelContextValue {
   ): void;
   editMessage?(message: Client.Message): void | Promise<Client.MessageResponse>;
   retrySendMessage?(message: Client.Message): void;
+  /** Messages of current channel, which are queued in outbox and will be sent once connection is recovered */
+  pendingMessages?: Client.MessageResponse[];
+  outbox?: Outbox;
+  /** Unsent messages of MessageInput, per channel and per thread */
+  drafts?: DraftStore;
+  /** Removes the message from outbox, so that it won't be sent */
+  cancelPendingMessage?(message: Client.MessageResponse): Promise<void>;
+  /** Messages of current channel, which are scheduled to be sent later */
+  scheduledMessages?: ScheduledMessage[];
+  /** Undefined if there is no scheduler in chat context */
+  scheduleMessage?(
+    message: ScheduledMessageData,
+    sendAt: Date,
+  ): Promise<ScheduledMessage>;
+  updateScheduledMessage?(
+    id: string,
+    changes: {
+      message?: Partial<ScheduledMessageData>;
+      send_at?: Date | string;
+    },
+  ): Promise<void>;
+  sendScheduledMessageNow?(id: string): Promise<void>;
+  cancelScheduledMessage?(id: string): Promise<void>;
   removeMessage?(updatedMessage: Client.MessageResponse): void;
   setEditingState?(message: Client.Message): void;
+  /** Message which is being quoted in the reply, which is currently being composed */
+  quotedMessage?: boolean | Client.MessageResponse;
+  setQuotedMessageState?(message: Client.MessageResponse): void;
+  clearQuotedMessageState?(): void;
+  /** Pinned messages (out of messages loaded in channel state), most recently pinned first */
+  pinnedMessages?: Client.MessageResponse[];
+  pinMessage?(message: Client.MessageResponse): Promise<void>;
+  unpinMessage?(message: Client.MessageResponse): Promise<void>;
+  /** Votes for an option of poll, or removes the vote if user has already voted for it */
+  votePoll?(message: Client.MessageResponse, optionId: string): Promise<void>;
+  closePoll?(message: Client.MessageResponse): Promise<void>;
+  /** Live locations being shared by current user */
+  liveLocations?: LiveLocationManager;
+  /** Ids of users muted by current user, same as in chat context */
+  mutedUsers?: string[];
+  muteUser?(userId: string): Promise<void>;
+  unmuteUser?(userId: string): Promise<void>;
+  /** Keeps the sent live location message up to date, until sharing is stopped or expires */
+  startLiveLocation?(
+    message: Client.MessageResponse,
+    stopWatching?: () => void,
+  ): void;
+  /** Registry of reactions available in full reaction picker */
+  reactionRegistry?: ReactionRegistry;
   /** Function executed when user clicks on link to open thread */
   openThread?(message: Client.Message, event: React.SyntheticEvent): void;
   markRead?(): void;
 
   loadMore?(): void;
+  /** Loads next page of newer messages, when channel is opened at some message in history */
+  loadMoreNewer?(): Promise<void>;
+  loadingMoreNewer?: boolean;
+  hasMoreNewer?: boolean;
+  /** Loads the messages around given message and highlights it */
+  scrollToMessage?(messageId: string): Promise<void>;
+  /** Id of the message, which was scrolled to using scrollToMessage */
+  targetedMessage?: string | null;
+  /** Loads the latest messages, when channel is opened at some message in history */
+  jumpToLatestMessage?(): Promise<void>;
+  /** Id of the first message, which was unread when channel was opened */
+  firstUnreadMessageId?: string | null;
+  markReadPolicy?: MarkReadPolicy;
   // thread related
   loadMoreThread?(): void;
   closeThread?(): void;
@@ -152,6 +222,18 @@ export interface ChatProps extends StyledComponentProps {
    * */
   style?: object;
   i18nInstance?: Streami18n;
+  /** Queue for messages sent while offline */
+  outbox?: Outbox;
+  /** Cached state of channels from last session */
+  cache?: ChannelCache;
+  /** Unsent messages of MessageInput, per channel and per thread */
+  drafts?: DraftStore;
+  /** Messages scheduled to be sent later */
+  scheduler?: MessageScheduler;
+  /** Keeps the live locations shared by current user up to date */
+  liveLocations?: LiveLocationManager;
+  /** Pinned and archived channels of current user */
+  channelPreferences?: ChannelPreferences;
 }
 
 export interface ChannelProps
@@ -206,9 +288,19 @@ export interface ChannelProps
    */
   KeyboardCompatibleView?: React.ElementType<KeyboardCompatibleViewProps>;
   disableIfFrozenChannel?: boolean;
+  /** Id of the message to open the channel at, instead of the latest message */
+  initialMessageId?: string;
+  /** When should the channel be marked as read. Default - 'open' */
+  markReadPolicy?: MarkReadPolicy;
+  /** Registry of reactions available in full reaction picker. Defaults to `defaultReactionRegistry` */
+  reactionRegistry?: ReactionRegistry;
+  /** Tray of scheduled messages, rendered above the children. Set to null to not render it. */
+  ScheduledMessages?: React.ElementType<ScheduledMessagesProps> | null;
 }
 
-export type listType = 'channel' | 'message' | 'default';
+export type MarkReadPolicy = 'open' | 'scroll' | 'manual';
+
+export type listType = 'channel' | 'message' | 'messageSearch' | 'default';
 
 export interface StyledComponentProps {
   style?: object;
@@ -231,6 +323,21 @@ export interface DateSeparatorProps
   formatDate(date: string): string;
 }
 
+export interface UnreadSeparatorProps
+  extends StyledComponentProps,
+    TranslationContextValue {
+  message: { type: 'message.unread_separator'; id: string };
+}
+
+export interface MutedMessageProps
+  extends StyledComponentProps,
+    TranslationContextValue {
+  /** Message sent by muted user */
+  message: Client.MessageResponse;
+  /** Shows the message. Undefined if message can't be shown. */
+  onShow?(): void;
+}
+
 export interface EventIndicatorProps
   extends StyledComponentProps,
     TranslationContextValue {
@@ -280,13 +387,44 @@ export interface MessageInputProps
   doFileUploadRequest?(file: File): Promise<FileUploadResponse>;
   maxNumberOfFiles?: number;
   hasImagePicker?: boolean;
+  /** Lets user crop/rotate the images, if `editImage` native handler is registered. Default - true */
+  hasImageEditor?: boolean;
   hasFilePicker?: boolean;
+  /** Shows option to upload a video, if `pickVideo` native handler is registered */
+  hasVideoPicker?: boolean;
+  /** Shows hold-to-record button for voice messages, if `recordAudio` native handler is registered */
+  hasAudioRecorder?: boolean;
   focus?: boolean;
   /** https://github.com/beefe/react-native-actionsheet/blob/master/lib/styles.js */
   actionSheetStyles?: object;
   AttachmentFileIcon?: React.ElementType<FileIconUIComponentProps>;
   AttachButton?: React.ElementType<AttachButtonProps>;
+  AudioRecordButton?: React.ElementType<AudioRecordButtonProps>;
   SendButton: React.ElementType<SendButtonProps>;
+  /** Opened by long pressing the send button, to schedule the message */
+  SchedulePicker?: React.ElementType<SchedulePickerProps>;
+  /** Fetches the preview of url found in message. Preview is shown above the input and sent as attachment. */
+  enrichURL?(url: string): Promise<Client.Attachment | null>;
+  InputUrlPreview?: React.ElementType<InputUrlPreviewProps>;
+  /** Offers `/poll` command, which opens the poll composer. Default - true */
+  hasPolls?: boolean;
+  PollComposer?: React.ElementType<PollComposerProps>;
+  /** Offers to share location and live location, if `shareLocation` native handler is registered. Default - true */
+  hasLocationSharing?: boolean;
+  /** Duration of live location in milliseconds. Default - 15 minutes */
+  liveLocationDuration?: number;
+  /** Offers to share a contact, if `pickContact` native handler is registered. Default - true */
+  hasContactSharing?: boolean;
+}
+
+export interface InputUrlPreviewProps
+  extends TranslationContextValue,
+    StyledComponentProps {
+  url: string;
+  /** Attachment returned by `enrichURL` handler */
+  attachment?: Client.Attachment | null;
+  loading?: boolean;
+  onDismiss?(): void;
 }
 
 export interface DocumentPickerFile {
@@ -324,6 +462,13 @@ export interface InputUIComponentProps {
   /** Uploads the selected image corresponding to id in imageUploads array in state of MessageInput */
   _uploadImage?(): void;
   _removeImage?(id: string): void;
+  /** Starts recording the voice message */
+  startRecording?(): Promise<void>;
+  /** Stops recording the voice message and uploads it */
+  stopRecording?(): Promise<void>;
+  /** If voice message is being recorded */
+  recording?: boolean;
+  hasAudioRecorder?: boolean;
   /** Callback when text in inputbox changes */
   onChangeText?(text: string): void;
   /** object the ref via callback - https://reactjs.org/docs/refs-and-the-dom.html#callback-refs */
@@ -370,6 +515,11 @@ export interface AttachmentProps
    */
   CardFooter?: React.ElementType<CardProps>;
   FileAttachment?: React.ElementType<FileAttachmentGroup>;
+  AudioAttachment?: React.ElementType<AudioAttachmentProps>;
+  VideoAttachment?: React.ElementType<VideoAttachmentProps>;
+  PollAttachment?: React.ElementType<PollAttachmentProps>;
+  LocationAttachment?: React.ElementType<LocationAttachmentProps>;
+  ContactAttachment?: React.ElementType<ContactAttachmentProps>;
   AttachmentActions?: React.ElementType<AttachmentActionsProps>;
   Gallery?: React.ElementType<GalleryProps>;
 
@@ -423,6 +573,18 @@ export interface ChannelListProps
     thisArg: React.Component<ChannelListProps>,
     e: Client.Event<Client.ChannelTruncatedEvent>,
   ): void;
+  /** If true, search input and quick filters are shown above the list */
+  hasSearch?: boolean;
+  /** Quick filters shown below search input. Default - all of them */
+  quickFilters?: ChannelQuickFilter[];
+  /** Minimum length of search term, to search the channels on server. Default - 2 */
+  minSearchQueryLength?: number;
+  /** Function that overrides default behaviour when user performs an action on channel (swipe actions or long press menu) */
+  onChannelAction?(
+    thisArg: React.Component<ChannelListProps>,
+    channel: Client.Channel,
+    action: ChannelAction,
+  ): void | Promise<void>;
   // TODO: Create proper interface for followings in chat js client.
   /** Object containing query filters */
   filters: object;
@@ -447,6 +609,19 @@ export interface ChannelListState {
   refreshing: boolean;
   // Current offset of list of channels (for pagination)
   offset: number;
+  // Cids of channels pinned to the top of list
+  pinnedChannels: SeamlessImmutable.Immutable<string[]>;
+  // Cids of archived channels
+  archivedChannels: SeamlessImmutable.Immutable<string[]>;
+  // Search term
+  searchQuery: string;
+  // Channels found on server, for search term
+  searchResults: SeamlessImmutable.Immutable<Client.Channel[]>;
+  // Channels are being searched on server
+  searching: boolean;
+  quickFilter: ChannelQuickFilter | null;
+  // Number of next pages loaded automatically for active quick filter
+  quickFilterPages: number;
 }
 
 export interface ChannelListUIComponentProps
@@ -454,6 +629,168 @@ export interface ChannelListUIComponentProps
     ChannelListState,
     StyledComponentProps {
   loadNextPage(): void;
+  handleChannelAction(
+    channel: Client.Channel,
+    action: ChannelAction,
+  ): Promise<void>;
+  /** UI Component to display the header of section. Defaults to ChannelListSectionHeader */
+  SectionHeader?: React.ElementType<ChannelListSectionHeaderProps>;
+  /** UI Component to display search input and quick filters. Defaults to ChannelListSearch */
+  Search?: React.ElementType<ChannelListSearchProps>;
+  onChangeSearchQuery(query: string): void;
+  /** Toggles the quick filter */
+  setQuickFilter(quickFilter: ChannelQuickFilter): Promise<void>;
+  /** If ChannelList stopped loading next pages for quick filter automatically, and user can load more */
+  canLoadMoreForQuickFilter: boolean;
+  loadMoreQuickFilterChannels(): Promise<void>;
+  /** UI Component for button to load more channels for quick filter. Defaults to ChannelListLoadMore */
+  LoadMore?: React.ElementType<ChannelListLoadMoreProps>;
+}
+
+export type ChannelQuickFilter = 'unread' | 'direct' | 'groups' | 'muted';
+
+export interface ChannelListSearchProps
+  extends TranslationContextValue,
+    StyledComponentProps {
+  searchQuery?: string;
+  onChangeSearchQuery?(query: string): void;
+  searching?: boolean;
+  quickFilters?: ChannelQuickFilter[];
+  quickFilter?: ChannelQuickFilter | null;
+  setQuickFilter?(quickFilter: ChannelQuickFilter): void;
+  /** Defaults to translation of 'Search channels' */
+  placeholder?: string;
+  additionalTextInputProps?: object;
+}
+
+export interface ChannelListSectionHeaderProps
+  extends TranslationContextValue,
+    StyledComponentProps {
+  section: 'pinned' | 'channels' | 'archived';
+  /** Number of channels in section. Only shown for collapsible section. */
+  count?: number;
+  /** If section is collapsed. Undefined, if section can't be collapsed. */
+  collapsed?: boolean;
+  onPress?(): void;
+}
+
+export interface ChannelListLoadMoreProps
+  extends TranslationContextValue,
+    StyledComponentProps {
+  onPress?(): void;
+}
+
+export interface MessageSearchProps
+  extends StyledComponentProps,
+    ChatContextValue {
+  /** Channel to search the messages in. If not provided, messages are searched in all the channels matching `filters` */
+  channel?: Client.Channel;
+  /** Filters for the channels to search in. Defaults to channels, which current user is member of */
+  filters?: object;
+  /** Number of results to load per page */
+  limit?: number;
+  /** Delay (in ms) after user stops typing, before search request is sent */
+  debounceInterval?: number;
+  /** Minimum length of search term, to start searching */
+  minQueryLength?: number;
+  onSelectResult?(
+    message: Client.MessageResponse,
+    channel: Client.Channel,
+  ): void;
+  List?: React.ElementType<MessageSearchListProps>;
+  SearchInput?: React.ElementType<MessageSearchInputProps>;
+  SearchResult?: React.ElementType<MessageSearchResultProps>;
+  LoadingIndicator?: React.ElementType<LoadingIndicatorProps>;
+  LoadingErrorIndicator?: React.ElementType<LoadingErrorIndicatorProps>;
+  EmptyStateIndicator?: React.ElementType<EmptyStateIndicatorProps>;
+  loadMoreThreshold?: number;
+  additionalFlatListProps?: object;
+}
+
+export interface MessageSearchState {
+  query: string;
+  results: Client.MessageResponse[];
+  error: boolean | object;
+  searching: boolean;
+  loadingMore: boolean;
+  hasNextPage: boolean;
+}
+
+export interface MessageSearchListProps
+  extends MessageSearchProps,
+    MessageSearchState,
+    TranslationContextValue {
+  onChangeQuery(query: string): void;
+  loadNextPage(): Promise<void>;
+  selectResult(message: Client.MessageResponse): void;
+  getResultChannel(message: Client.MessageResponse): Client.Channel;
+}
+
+export interface MessageSearchInputProps
+  extends StyledComponentProps,
+    TranslationContextValue {
+  value: string;
+  onChangeText(query: string): void;
+  placeholder?: string;
+  additionalTextInputProps?: object;
+}
+
+export interface MessageSearchResultProps
+  extends StyledComponentProps,
+    TranslationContextValue {
+  message: Client.MessageResponse;
+  /** Search term to highlight in message text */
+  query?: string;
+  showChannelName?: boolean;
+  channel?: Client.Channel;
+  client?: Client.StreamChat;
+  onSelect?(message: Client.MessageResponse): void;
+  formatMessageDate?(date: string): string;
+}
+
+export interface PinnedMessageListProps
+  extends ChannelContextValue,
+    StyledComponentProps {
+  /** Called when user selects some message, after message list is scrolled to it */
+  onSelectMessage?(message: Client.MessageResponse): void;
+  /** UI Component to display individual pinned message. Defaults to MessageSearchResult */
+  PinnedMessage?: React.ElementType<MessageSearchResultProps>;
+  EmptyStateIndicator?: React.ElementType<EmptyStateIndicatorProps>;
+  additionalFlatListProps?: object;
+}
+
+export interface MessageReadReceiptsProps
+  extends ChannelContextValue,
+    TranslationContextValue,
+    StyledComponentProps {
+  message: Client.MessageResponse;
+  /** If provided, close button is shown in header */
+  onClose?(): void;
+}
+
+export interface ScheduleOption {
+  key: string;
+  label: string;
+  date: Date;
+}
+
+export interface SchedulePickerProps
+  extends TranslationContextValue,
+    StyledComponentProps {
+  visible?: boolean;
+  onSchedule(date: Date): void;
+  onDismiss?(): void;
+  /** Returns the preset times. Defaults to `getScheduleOptions` */
+  getScheduleOptions?(now: Date): ScheduleOption[];
+}
+
+export interface ScheduledMessagesProps
+  extends ChannelContextValue,
+    TranslationContextValue,
+    StyledComponentProps {
+  SchedulePicker?: React.ElementType<SchedulePickerProps>;
+  /** Maximum height of the expanded list. Default - 200 */
+  maxHeight?: number;
 }
 
 export interface ChannelPreviewProps
@@ -467,6 +804,8 @@ export interface ChannelPreviewState {
   unread: number;
   lastMessage: Client.MessageResponse;
   lastRead: Date;
+  /** Unsent draft of channel */
+  draft: Draft | null;
 }
 
 export interface ChannelPreviewUIComponentProps
@@ -480,6 +819,21 @@ export interface ChannelPreviewUIComponentProps
   };
   /** Length at which latest message should be truncated */
   latestMessageLength: number;
+  /** Search term to highlight in latest message, which is rendered as markdown if set */
+  highlight?: string;
+  /** If channel is pinned to the top of list */
+  pinned?: boolean;
+  /** If channel is archived */
+  archived?: boolean;
+  /** If channel is muted by current user */
+  muted?: boolean;
+  /** Actions revealed when channel is swiped to the left. Default - mute, archive */
+  swipeLeftActions?: ChannelAction[];
+  /** Actions revealed when channel is swiped to the right. Default - markRead, pin */
+  swipeRightActions?: ChannelAction[];
+  /** Actions in the menu, opened by long pressing the channel. Default - all the actions */
+  longPressActions?: ChannelAction[];
+  actionSheetStyles?: object;
 }
 
 export interface MessageListProps
@@ -507,6 +861,14 @@ export interface MessageListProps
   dateSeparator?: React.ElementType<DateSeparatorProps>;
   /** Date separator component to render  */
   DateSeparator?: React.ElementType<DateSeparatorProps>;
+  /** Component to render above the first unread message */
+  UnreadSeparator?: React.ElementType<UnreadSeparatorProps>;
+  /** Component to render instead of message sent by muted user. Set it to null to show the messages of muted users. */
+  MutedMessage?: React.ElementType<MutedMessageProps> | null;
+  /** Open the channel scrolled to the first unread message, instead of the latest message */
+  initialScrollToFirstUnread?: boolean;
+  /** Show the read state on only the latest message (`last`, default) or every message of current user (`all`) */
+  readReceiptsMode?: ReadReceiptsMode;
   /** Typing indicator component to render  */
   TypingIndicator?: React.ElementType<TypingIndicatorProps>;
   eventIndicator?: React.ElementType<EventIndicatorProps>;
@@ -529,7 +891,16 @@ export interface MessageListProps
   additionalFlatListProps?: object;
 }
 
-declare type MessageAction = 'edit' | 'delete' | 'reactions' | 'reply';
+declare type MessageAction =
+  | 'edit'
+  | 'delete'
+  | 'reactions'
+  | 'reply'
+  | 'quote'
+  | 'pin'
+  | 'info'
+  | 'mute';
+export type ReadReceiptsMode = 'last' | 'all';
 export interface MessageProps extends KeyboardContextValue {
   client: Client.StreamChat;
   onThreadSelect?(message: Client.MessageResponse): void;
@@ -539,6 +910,7 @@ export interface MessageProps extends KeyboardContextValue {
   groupStyles: Array<string>;
   /** A list of users that have read this message **/
   readBy: Array<Client.UserResponse>;
+  readReceiptsMode?: ReadReceiptsMode;
   /**
    * Message UI component to display a message in message list.
    * Avaialble from [channel context](https://getstream.github.io/stream-chat-react-native/#channelcontext)
@@ -559,6 +931,15 @@ export interface MessageProps extends KeyboardContextValue {
   retrySendMessage?(message: Client.Message): void;
   removeMessage?(updatedMessage: Client.MessageResponse): void;
   setEditingState?(message: Client.Message): void;
+  setQuotedMessageState?(message: Client.MessageResponse): void;
+  scrollToMessage?(messageId: string): Promise<void>;
+  pinMessage?(message: Client.MessageResponse): Promise<void>;
+  unpinMessage?(message: Client.MessageResponse): Promise<void>;
+  /** Votes for an option of poll, or removes the vote if user has already voted for it */
+  votePoll?(message: Client.MessageResponse, optionId: string): Promise<void>;
+  closePoll?(message: Client.MessageResponse): Promise<void>;
+  /** Registry of reactions available in full reaction picker */
+  reactionRegistry?: ReactionRegistry;
   /** Function executed when user clicks on link to open thread */
   openThread?(message: Client.Message, event: React.SyntheticEvent): void;
   channel: Client.Channel;
@@ -571,6 +952,8 @@ export interface MessageProps extends KeyboardContextValue {
   ): void;
   dismissKeyboardOnMessageTouch: boolean;
   disabled?: boolean;
+  /** Highlights the message, e.g. when message list is scrolled to it */
+  highlighted?: boolean;
 }
 
 export interface MessageUIComponentProps
@@ -598,8 +981,14 @@ export interface MessageUIComponentProps
   handleReaction(reactionType: string, event?: React.BaseSyntheticEvent): void;
   handleDelete?(): void;
   handleEdit?(): void;
+  handleQuote?(): void;
+  /** Pins the message, or unpins it if it's already pinned */
+  handlePin?(): Promise<void>;
+  canPinMessage?(): boolean;
   handleFlag(event?: React.BaseSyntheticEvent): void;
-  handleMute(event?: React.BaseSyntheticEvent): void;
+  /** Mutes the user of message, or unmutes them if they are already muted. Undefined for messages of current user. */
+  handleMute?(event?: React.BaseSyntheticEvent): Promise<void>;
+  isUserMuted?(): boolean;
   handleAction(
     name: string,
     value: string,
@@ -625,12 +1014,20 @@ export interface MessageUIComponentProps
   MessageSystem?: React.ElementType<MessageSystemProps>;
   /** Custom UI component for message text */
   MessageText?: React.ElementType<MessageTextProps>;
+  /** Custom UI component to display the message quoted in current message */
+  QuotedMessage?: React.ElementType<QuotedMessageUIComponentProps>;
+  /** Custom UI component to indicate that message is pinned */
+  PinnedIndicator?: React.ElementType<PinnedIndicatorUIComponentProps>;
   /** Custom UI component for message footer */
   MessageHeader?: React.ElementType<MessageHeaderUIComponentProps>;
   /** Custom UI component for message footer */
   MessageFooter?: React.ElementType<MessageFooterUIComponentProps>;
   /** Custom UI component for reaction list */
   ReactionList?: React.ElementType<ReactionListProps>;
+  /** Sheet with all the reactions of message, opened by long pressing the reaction list */
+  ReactionDetails?: React.ElementType<ReactionDetailsProps>;
+  /** Read receipts of message, opened by "Info" message action */
+  MessageReadReceipts?: React.ElementType<MessageReadReceiptsProps>;
   /**
    * Custom UI component to display enriched url preview.
    * Deaults to https://github.com/GetStream/stream-chat-react-native/blob/master/src/components/Card.js
@@ -651,6 +1048,31 @@ export interface MessageUIComponentProps
    * Deaults to https://github.com/GetStream/stream-chat-react-native/blob/master/src/components/FileAttachment.js
    */
   FileAttachment?: React.ElementType<FileAttachmentProps>;
+  /**
+   * Custom UI component to display audio attachment e.g., voice message.
+   * Deaults to https://github.com/GetStream/stream-chat-react-native/blob/master/src/components/AudioAttachment.js
+   */
+  AudioAttachment?: React.ElementType<AudioAttachmentProps>;
+  /**
+   * Custom UI component to display video attachment.
+   * Deaults to https://github.com/GetStream/stream-chat-react-native/blob/master/src/components/VideoAttachment.js
+   */
+  VideoAttachment?: React.ElementType<VideoAttachmentProps>;
+  /**
+   * Custom UI component to display poll attachment.
+   * Deaults to https://github.com/GetStream/stream-chat-react-native/blob/master/src/components/PollAttachment.js
+   */
+  PollAttachment?: React.ElementType<PollAttachmentProps>;
+  /**
+   * Custom UI component to display location attachment.
+   * Deaults to https://github.com/GetStream/stream-chat-react-native/blob/master/src/components/LocationAttachment.js
+   */
+  LocationAttachment?: React.ElementType<LocationAttachmentProps>;
+  /**
+   * Custom UI component to display contact attachment.
+   * Deaults to https://github.com/GetStream/stream-chat-react-native/blob/master/src/components/ContactAttachment.js
+   */
+  ContactAttachment?: React.ElementType<ContactAttachmentProps>;
   /**
    * Custom UI component to display image attachments.
    * Deaults to https://github.com/GetStream/stream-chat-react-native/blob/master/src/components/Gallery.js
@@ -733,6 +1155,27 @@ export interface MessageRepliesUIComponentProps
   alignment?: 'right' | 'left';
 }
 
+export interface QuotedMessageUIComponentProps
+  extends TranslationContextValue,
+    StyledComponentProps {
+  /** Current [message object](https://getstream.io/chat/docs/#message_format), which quotes another message */
+  message: Client.MessageResponse;
+  channel?: Client.Channel;
+  /** right | left */
+  alignment?: 'right' | 'left';
+  /** Handler for press on quoted message. By default it scrolls to the original message. */
+  onPress?(messageId: string): void;
+}
+
+export interface PinnedIndicatorUIComponentProps
+  extends TranslationContextValue,
+    StyledComponentProps {
+  /** Current [message object](https://getstream.io/chat/docs/#message_format) */
+  message: Client.MessageResponse;
+  /** right | left */
+  alignment?: 'right' | 'left';
+}
+
 export interface MessageStatusUIComponentProps extends StyledComponentProps {
   /** @see See [Channel Context](https://getstream.github.io/stream-chat-react-native/#channelcontext) */
   client: Client.StreamChat;
@@ -744,6 +1187,7 @@ export interface MessageStatusUIComponentProps extends StyledComponentProps {
   lastReceivedId: string;
   /** Boolean if current message is part of thread */
   isThreadList: boolean;
+  readReceiptsMode?: ReadReceiptsMode;
 }
 
 export interface MessageAvatarUIComponentProps extends StyledComponentProps {
@@ -774,6 +1218,9 @@ export interface MessageContentUIComponentProps
   dismissReactionPicker?(): void;
   /** Boolean - if reaction picker is visible. Hides the reaction list in that case */
   reactionPickerVisible?: boolean;
+  openReactionDetails?(): void;
+  dismissReactionDetails?(): void;
+  reactionDetailsVisible?: boolean;
 }
 
 export interface MessageTextContainerUIComponentProps
@@ -793,6 +1240,8 @@ export interface MessageTextContainerUIComponentProps
    * @param message
    * */
   isMyMessage?(message: Client.MessageResponse): boolean;
+  /** Search term to highlight in message text */
+  highlight?: string;
   /** Custom UI component for message text */
   MessageText?: React.ElementType<MessageTextProps>;
   /** Complete theme object. Its a [defaultTheme](https://github.com/GetStream/stream-chat-react-native/blob/master/src/styles/theme.js#L22) merged with customized theme provided as prop to Chat component */
@@ -878,6 +1327,155 @@ export interface FileAttachmentProps extends StyledComponentProps {
   onLongPress?: (event: GestureResponderEvent) => void;
 }
 
+export interface AudioAttachmentProps extends StyledComponentProps {
+  /** The attachment to render. Voice messages contain `duration` (in seconds) and `waveform_data` */
+  attachment: Client.Attachment & {
+    duration?: number;
+    waveform_data?: number[];
+  };
+  actionHandler?(name: string, value: string): any;
+  groupStyle?: 'single' | 'top' | 'middle' | 'bottom';
+  alignment?: 'right' | 'left';
+  onLongPress?: (event: GestureResponderEvent) => void;
+}
+
+export interface VideoAttachmentProps extends StyledComponentProps {
+  /** The attachment to render. Contains `duration` (in seconds), if video was uploaded from MessageInput */
+  attachment: Client.Attachment & {
+    duration?: number;
+  };
+  actionHandler?(name: string, value: string): any;
+  groupStyle?: 'single' | 'top' | 'middle' | 'bottom';
+  alignment?: 'right' | 'left';
+  onLongPress?: (event: GestureResponderEvent) => void;
+  /** Play the video inside the message, instead of fullscreen */
+  inline?: boolean;
+}
+
+export interface PollOption {
+  id: string;
+  text: string;
+}
+
+export interface Poll {
+  question: string;
+  options: PollOption[];
+  multiple_choice: boolean;
+  anonymous: boolean;
+  /** ISO date string, or null if poll doesn't close automatically */
+  closes_at: string | null;
+  closed: boolean;
+  /** Id of the user who created the poll */
+  created_by: string;
+  /** Votes read from the reactions of message, added by Message for rendering */
+  votes?: PollVotes;
+}
+
+export interface PollVotes {
+  /** Number of votes per option id */
+  counts: { [optionId: string]: number };
+  /** Ids of known voters (from latest reactions of message) per option id */
+  voters: { [optionId: string]: string[] };
+  /** Option ids current user voted for */
+  own: string[];
+}
+
+/** Poll data returned by PollComposer. Options are strings. */
+export interface PollData {
+  question: string;
+  options: string[];
+  multiple_choice?: boolean;
+  anonymous?: boolean;
+  closes_at?: Date | string | null;
+}
+
+export interface PollResults {
+  totalVoters: number;
+  options: Array<
+    PollOption & {
+      voters: string[];
+      votes: number;
+      percentage: number;
+      voted: boolean;
+    }
+  >;
+}
+
+export interface PollAttachmentProps
+  extends ChannelContextValue,
+    TranslationContextValue,
+    StyledComponentProps {
+  attachment: Client.Attachment & { poll: Poll };
+  actionHandler?(name: string, value: string | boolean, event?: any): any;
+  groupStyle?: 'single' | 'top' | 'middle' | 'bottom';
+  alignment?: 'right' | 'left';
+  onLongPress?: (event: GestureResponderEvent) => void;
+  /** Maximum number of voter names shown per option. Default - 3 */
+  maxVisibleVoters?: number;
+}
+
+export interface LocationAttachmentProps
+  extends ChannelContextValue,
+    TranslationContextValue,
+    StyledComponentProps {
+  attachment: LocationAttachmentData;
+  groupStyle?: 'single' | 'top' | 'middle' | 'bottom';
+  alignment?: 'right' | 'left';
+  onLongPress?: (event: GestureResponderEvent) => void;
+  /** Returns the url of static map image. Placeholder is shown, if it's not provided. */
+  getMapImageUrl?(attachment: LocationAttachmentData): string;
+}
+
+export interface ContactAttachmentProps
+  extends ChatContextValue,
+    ChannelContextValue,
+    TranslationContextValue,
+    StyledComponentProps {
+  attachment: ContactAttachmentData;
+  groupStyle?: 'single' | 'top' | 'middle' | 'bottom';
+  alignment?: 'right' | 'left';
+  onLongPress?: (event: GestureResponderEvent) => void;
+  /** Opens the conversation with contact. Defaults to watching distinct channel with user and setting it as active channel. */
+  openChat?(user: Client.UserResponse): void;
+}
+
+export interface PollCloseOption {
+  key: string;
+  label: string;
+  date: Date | null;
+}
+
+export interface PollComposerProps
+  extends TranslationContextValue,
+    StyledComponentProps {
+  visible?: boolean;
+  initialQuestion?: string;
+  onSubmit(poll: PollData): void;
+  onDismiss?(): void;
+  /** Default - 10 */
+  maxOptions?: number;
+  /** Returns the preset close times. Defaults to `getPollCloseOptions` */
+  getPollCloseOptions?(now: Date): PollCloseOption[];
+}
+
+export interface VideoPlayerProps {
+  uri: string;
+  style?: object;
+  paused?: boolean;
+  onEnd?(): void;
+  onError?(error: any): void;
+}
+
+export interface WaveformProps {
+  /** Loudness levels between 0 and 1 */
+  levels?: number[];
+  /** Played fraction of audio, between 0 and 1 */
+  progress?: number;
+  height?: number;
+  /** Number of bars to render, when levels are not available */
+  bars?: number;
+}
+
 export interface FileAttachmentGroupProps extends StyledComponentProps {
   messageId: string;
   files: [];
@@ -903,16 +1501,25 @@ export interface IconSquareProps extends StyledComponentProps {
   icon: string;
   onPress?(event: GestureResponderEvent): void;
 }
-export interface ImageUploadPreviewProps extends StyledComponentProps {
+export interface ImageUploadPreviewProps
+  extends TranslationContextValue,
+    StyledComponentProps {
   imageUploads: Array<{
     [id: string]: {
       id: string;
       file: File;
       status: string;
+      caption?: string;
     };
   }>;
   removeImage?(id: string): void;
   retryUpload?(id: string): Promise<any>;
+  /** Caption is sent as `text` of image attachment */
+  setImageCaption?(id: string, caption: string): void;
+  /** Images can't be reordered, if it's not provided */
+  moveImage?(id: string, index: number): void;
+  /** Opens the image editor. Edit button is not shown, if it's not provided. */
+  editImage?(id: string): void;
 }
 export interface KeyboardCompatibleViewProps extends StyledComponentProps {
   // Default: 500
@@ -958,6 +1565,8 @@ export interface MessageNotificationProps
     TranslationContextValue {
   showNotification: boolean;
   onPress?(event: GestureResponderEvent): void;
+  /** Text of the notification. Defaults to 'New Messages' */
+  text?: string;
 }
 
 export interface MessageSystemProps
@@ -976,6 +1585,8 @@ export interface ReactionListProps extends StyledComponentProps {
     icon: string;
     id: string;
   }>;
+  /** Used to render the reactions which are not part of supportedReactions */
+  reactionRegistry?: ReactionRegistry;
 }
 
 export interface ReactionPickerProps extends StyledComponentProps {
@@ -993,6 +1604,26 @@ export interface ReactionPickerProps extends StyledComponentProps {
     icon: string;
     id: string;
   }>;
+  /** If set, "more" button is shown, which opens the full reaction picker */
+  reactionRegistry?: ReactionRegistry;
+  FullReactionPicker?: React.ElementType<FullReactionPickerProps>;
+}
+
+export interface FullReactionPickerProps
+  extends StyledComponentProps,
+    TranslationContextValue {
+  reactionRegistry: ReactionRegistry;
+  /** Type of the reaction includes the skin tone e.g., `like_tone2` */
+  handleReaction?(type: string): void;
+  numColumns?: number;
+}
+
+export interface ReactionIconProps {
+  reaction?: Reaction | null;
+  /** Used to render the fallback `:type:`, when reaction is unknown */
+  type?: string;
+  size?: number;
+  style?: object;
 }
 
 export interface ReactionPickerWrapperProps extends StyledComponentProps {
@@ -1023,6 +1654,28 @@ export interface ReactionPickerWrapperProps extends StyledComponentProps {
   dismissReactionPicker?(): void;
   reactionPickerVisible?: boolean;
   openReactionPicker?(): void;
+  /** Called on long press */
+  openReactionDetails?(): void;
+  reactionRegistry?: ReactionRegistry;
+}
+
+export interface ReactionDetailsProps
+  extends StyledComponentProps,
+    TranslationContextValue {
+  visible?: boolean;
+  message: Client.MessageResponse;
+  channel: Client.Channel;
+  client?: Client.StreamChat;
+  /** Called with type of current user's reaction, to remove it */
+  handleReaction?(type: string): void;
+  handleDismiss?(): void;
+  supportedReactions?: Array<{
+    icon: string;
+    id: string;
+  }>;
+  reactionRegistry?: ReactionRegistry;
+  /** Number of reactions to load per page */
+  limit?: number;
 }
 
 export interface SpinnerProps extends StyledComponentProps {}
@@ -1040,6 +1693,8 @@ export interface UploadProgressIndicatorProps extends StyledComponentProps {
   active: boolean;
   type: 'in_progress' | 'retry';
   action?(event: GestureResponderEvent): void;
+  /** Progress of upload, between 0 and 1 */
+  progress?: number;
 }
 
 export interface AttachmentActionsProps extends StyledComponentProps {
@@ -1052,10 +1707,19 @@ export interface AttachButtonProps extends StyledComponentProps {
   handleOnPress(): void;
 }
 
+export interface AudioRecordButtonProps extends StyledComponentProps {
+  startRecording(): void;
+  stopRecording(): void;
+  recording?: boolean;
+  disabled?: boolean;
+}
+
 export interface SendButtonProps extends StyledComponentProps {
   title: string;
   editing: Client.MessageResponse | boolean;
   sendMessage(): void;
+  onLongPress?(): void;
+  disabled?: boolean;
 }
 
 //================================================================================================
@@ -1074,11 +1738,38 @@ export class FileAttachment extends React.PureComponent<
   FileAttachmentProps,
   any
 > {}
+export class AudioAttachment extends React.PureComponent<
+  AudioAttachmentProps,
+  any
+> {}
+export class VideoAttachment extends React.PureComponent<
+  VideoAttachmentProps,
+  any
+> {}
+export class PollAttachment extends React.PureComponent<
+  PollAttachmentProps,
+  any
+> {}
+export class PollComposer extends React.PureComponent<PollComposerProps, any> {}
+export class LocationAttachment extends React.PureComponent<
+  LocationAttachmentProps,
+  any
+> {}
+export class ContactAttachment extends React.PureComponent<
+  ContactAttachmentProps,
+  any
+> {}
+export class Waveform extends React.PureComponent<WaveformProps, any> {}
 export class CommandsItem extends React.PureComponent<CommandsItemProps, any> {}
 export class DateSeparator extends React.PureComponent<
   DateSeparatorProps,
   any
 > {}
+export class UnreadSeparator extends React.PureComponent<
+  UnreadSeparatorProps,
+  any
+> {}
+export class MutedMessage extends React.PureComponent<MutedMessageProps, any> {}
 export class EmptyStateIndicator extends React.PureComponent<
   EmptyStateIndicatorProps,
   any
@@ -1132,6 +1823,15 @@ export class ReactionPickerWrapper extends React.PureComponent<
   ReactionPickerWrapperProps,
   any
 > {}
+export class FullReactionPicker extends React.PureComponent<
+  FullReactionPickerProps,
+  any
+> {}
+export class ReactionIcon extends React.PureComponent<ReactionIconProps> {}
+export class ReactionDetails extends React.PureComponent<
+  ReactionDetailsProps,
+  any
+> {}
 export class Spinner extends React.PureComponent<SpinnerProps, any> {}
 export class SuggestionsProvider extends React.PureComponent<
   SuggestionsProviderProps,
@@ -1158,6 +1858,10 @@ export class TypingIndicator extends React.PureComponent<
 export class MessageInput extends React.PureComponent<MessageInputProps, any> {}
 
 export class AttachButton extends React.PureComponent<AttachButtonProps, any> {}
+export class AudioRecordButton extends React.PureComponent<
+  AudioRecordButtonProps,
+  any
+> {}
 export class SendButton extends React.PureComponent<SendButtonProps> {}
 export class MessageSimple extends React.PureComponent<
   MessageUIComponentProps,
@@ -1171,6 +1875,14 @@ export class MessageReplies extends React.PureComponent<
   MessageRepliesUIComponentProps,
   any
 > {}
+export class QuotedMessage extends React.PureComponent<
+  QuotedMessageUIComponentProps,
+  any
+> {}
+export class PinnedIndicator extends React.PureComponent<
+  PinnedIndicatorUIComponentProps,
+  any
+> {}
 export class MessageStatus extends React.PureComponent<
   MessageStatusUIComponentProps,
   any
@@ -1186,8 +1898,56 @@ export class MessageTextContainer extends React.PureComponent<
 > {}
 
 export class ChannelList extends React.PureComponent<ChannelListProps, any> {}
+export class MessageSearch extends React.PureComponent<
+  MessageSearchProps,
+  MessageSearchState
+> {}
+export class MessageSearchList extends React.PureComponent<
+  MessageSearchListProps,
+  any
+> {}
+export class MessageSearchInput extends React.PureComponent<
+  MessageSearchInputProps,
+  any
+> {}
+export class MessageSearchResult extends React.PureComponent<
+  MessageSearchResultProps,
+  any
+> {}
+export class PinnedMessageList extends React.PureComponent<
+  PinnedMessageListProps,
+  any
+> {}
+export class MessageReadReceipts extends React.PureComponent<
+  MessageReadReceiptsProps,
+  any
+> {}
+export class InputUrlPreview extends React.PureComponent<
+  InputUrlPreviewProps,
+  any
+> {}
+export class ScheduledMessages extends React.PureComponent<
+  ScheduledMessagesProps,
+  any
+> {}
+export class SchedulePicker extends React.PureComponent<
+  SchedulePickerProps,
+  any
+> {}
 
 export class Thread extends React.PureComponent<ThreadProps, any> {}
+export class ChannelListSearch extends React.PureComponent<
+  ChannelListSearchProps,
+  any
+> {}
+export class ChannelListSectionHeader extends React.PureComponent<
+  ChannelListSectionHeaderProps,
+  any
+> {}
+export class ChannelListLoadMore extends React.PureComponent<
+  ChannelListLoadMoreProps,
+  any
+> {}
 export class ChannelPreviewMessenger extends React.PureComponent<
   ChannelPreviewUIComponentProps,
   any
@@ -1206,12 +1966,131 @@ export class FileIcon extends React.PureComponent<
 //
 //================================================================================================
 //================================================================================================
+export interface AudioRecording {
+  /** Stops the recording. Duration is in milliseconds */
+  stop(): Promise<{ uri: string; duration: number }>;
+  cancel(): Promise<any>;
+}
+
+export interface AudioPlayer {
+  play(): Promise<any>;
+  pause(): Promise<any>;
+  /** Position is in milliseconds */
+  seekTo(position: number): Promise<any>;
+  unload(): Promise<any>;
+}
+
+export interface AudioPlayerStatus {
+  isPlaying: boolean;
+  position: number;
+  duration: number;
+  didJustFinish?: boolean;
+}
+
 export function registerNativeHandlers(handlers: {
   NetInfo: object;
-  pickImage(): Promise<any>;
+  pickImage(options?: {
+    multiple?: boolean;
+    maxFiles?: number;
+  }): Promise<
+    | { cancelled: boolean; images?: PickedImage[] }
+    | (PickedImage & { cancelled: boolean })
+  >;
   pickDocument(): Promise<any>;
+  recordAudio?(options: {
+    /** Level is current loudness between 0 and 1 */
+    onProgress?(progress: { duration: number; level?: number | null }): void;
+  }): Promise<AudioRecording>;
+  createAudioPlayer?(
+    uri: string,
+    onStatusUpdate: (status: AudioPlayerStatus) => void,
+  ): Promise<AudioPlayer>;
+  pickVideo?(): Promise<{
+    cancelled: boolean;
+    uri?: string;
+    name?: string;
+    /** Duration in seconds */
+    duration?: number;
+  }>;
+  VideoPlayer?: React.ElementType<VideoPlayerProps>;
+  pickDateTime?(options: {
+    minimumDate?: Date;
+  }): Promise<{ cancelled: boolean; date?: Date }>;
+  shareLocation?(options: {
+    live?: boolean;
+    onUpdate?(location: Location): void;
+  }): Promise<
+    Partial<Location> & {
+      cancelled: boolean;
+      /** Stops the location updates of live location */
+      stop?(): void;
+    }
+  >;
+  pickContact?(): Promise<Partial<Contact> & { cancelled: boolean }>;
+  editImage?(
+    image: PickedImage,
+  ): Promise<{
+    cancelled: boolean;
+    uri?: string;
+    width?: number;
+    height?: number;
+  }>;
 }): void;
 
+/** Formats the duration (in seconds) as `m:ss` */
+export function formatDuration(seconds: number): string;
+/** Returns the pinned messages from given list, most recently pinned first */
+export function getPinnedMessages(
+  messages: Client.MessageResponse[],
+): Client.MessageResponse[];
+/** Returns the reaction for given type from supportedReactions or registry, or null if its unknown */
+export function getReaction(
+  type: string,
+  supportedReactions?: Array<{ icon: string; id: string }>,
+  reactionRegistry?: ReactionRegistry,
+): Reaction | null;
+/** Groups the reactions by their type, keeping the order in which types first appear */
+export function groupReactionsByType(
+  reactions: Client.ReactionResponse[],
+): { [type: string]: Client.ReactionResponse[] };
+/** Returns the reaction types of message, most used first */
+export function getReactionTypes(
+  message: Client.MessageResponse,
+  reactions?: Client.ReactionResponse[],
+): string[];
+export interface ReadReceipt {
+  user: Client.UserResponse;
+  last_read: Date | string | null;
+}
+/** Returns true if user has marked the channel read after message was created */
+export function hasReadMessage(
+  readState: ReadReceipt,
+  message: Client.MessageResponse,
+): boolean;
+/** Splits the members of channel into the ones who have read the message, and the ones who haven't yet */
+export function getReadReceipts(
+  message: Client.MessageResponse,
+  read?: ChannelContextValue['read'],
+  members?: ChannelContextValue['members'],
+): { readBy: ReadReceipt[]; notReadBy: ReadReceipt[] };
+/** Returns the users who have read the message, excluding its author */
+export function getMessageReadBy(
+  message: Client.MessageResponse,
+  read?: ChannelContextValue['read'],
+): Client.UserResponse[];
+/** Reduces (or stretches) the loudness levels to given number of bars */
+export function resampleWaveform(levels: number[], count: number): number[];
+/** Uploads the file to channel, same as `channel.sendFile`, while reporting the progress of upload */
+export function uploadFileWithProgress(
+  channel: Client.Channel,
+  uri: string,
+  options?: {
+    name?: string;
+    contentType?: string;
+    onProgress?(progress: number): void;
+  },
+): Promise<FileUploadResponse>;
+
 export interface Streami18nOptions {
   language: string;
   disableDateTimeTranslations?: boolean;
@@ -1255,3 +2134,550 @@ export const trTranslations: object;
 export const frTranslations: object;
 export const hiTranslations: object;
 export const itTranslations: object;
+
+export interface StorageAdapter {
+  getItem(key: string): Promise<string | null>;
+  setItem(key: string, value: string): Promise<void>;
+  removeItem(key: string): Promise<void>;
+}
+
+export class MemoryStorage implements StorageAdapter {
+  getItem(key: string): Promise<string | null>;
+  setItem(key: string, value: string): Promise<void>;
+  removeItem(key: string): Promise<void>;
+}
+
+export interface FileStorageOptions {
+  directory: string;
+  readFile(path: string): Promise<string>;
+  writeFile(path: string, content: string): Promise<any>;
+  deleteFile(path: string): Promise<any>;
+}
+
+export class FileStorage implements StorageAdapter {
+  constructor(options: FileStorageOptions);
+  getPath(key: string): string;
+  getItem(key: string): Promise<string | null>;
+  setItem(key: string, value: string): Promise<void>;
+  removeItem(key: string): Promise<void>;
+}
+
+export interface Reaction {
+  id: string;
+  /** Emoji of the reaction */
+  icon?: string;
+  /** Url of the image, for custom reactions */
+  image?: string;
+  name?: string;
+  category?: string;
+  keywords?: string[];
+  /** If true, reaction can be sent with skin tone e.g., `like_tone2` */
+  skinTones?: boolean;
+}
+
+export interface ReactionCategory {
+  id: string;
+  name: string;
+  icon: string;
+}
+
+export interface ReactionRegistryOptions {
+  reactions?: Reaction[];
+  categories?: ReactionCategory[];
+  storage?: StorageAdapter;
+  storageKey?: string;
+  maxRecent?: number;
+}
+
+export class ReactionRegistry {
+  constructor(options?: ReactionRegistryOptions);
+  skinTone: number;
+
+  register(reactions: Reaction | Reaction[]): void;
+  get(type: string): Reaction | null;
+  getTypeWithSkinTone(id: string, skinTone?: number): string;
+  getCategories(): Array<ReactionCategory & { reactions: Reaction[] }>;
+  search(query: string): Reaction[];
+  getRecent(): Reaction[];
+  load(): Promise<void>;
+  addRecent(type: string): Promise<void>;
+  setSkinTone(skinTone: number): Promise<void>;
+}
+
+export const defaultReactionRegistry: ReactionRegistry;
+export const SKIN_TONES: string[];
+export const reactionCategories: ReactionCategory[];
+export const defaultReactions: Reaction[];
+
+export interface ChannelCacheOptions {
+  storage?: StorageAdapter;
+  keyPrefix?: string;
+  messageLimit?: number;
+}
+
+export class ChannelCache {
+  constructor(options?: ChannelCacheOptions);
+
+  serializeChannel(channel: Client.Channel): Client.ChannelAPIResponse;
+  getChannelState(
+    userID: string,
+    cid: string,
+  ): Promise<Client.ChannelAPIResponse | null>;
+  setChannelState(userID: string, channel: Client.Channel): Promise<void>;
+  getChannelList(
+    userID: string,
+    filters: object,
+    sort: object,
+  ): Promise<Client.ChannelAPIResponse[] | null>;
+  setChannelList(
+    userID: string,
+    filters: object,
+    sort: object,
+    channels: Client.Channel[],
+  ): Promise<void>;
+  /** Removes everything cached for the user e.g., on logout */
+  clear(userID: string): Promise<void>;
+  restoreChannel(
+    channel: Client.Channel,
+    state: Client.ChannelAPIResponse,
+  ): Client.Channel;
+}
+
+export interface OutboxOptions {
+  storage?: StorageAdapter;
+  storageKey?: string;
+  retryDelay?: number;
+  maxRetryDelay?: number;
+  maxAttempts?: number;
+}
+
+export interface OutboxEntry {
+  cid: string;
+  message: Client.MessageResponse;
+  queued_at: string;
+}
+
+export interface OutboxEvent {
+  type: 'outbox.changed' | 'outbox.discarded';
+  entry?: OutboxEntry;
+  error?: Error;
+}
+
+export class Outbox {
+  constructor(options?: OutboxOptions);
+
+  load(): Promise<OutboxEntry[]>;
+  getEntries(cid?: string): OutboxEntry[];
+  enqueue(cid: string, message: Client.MessageResponse): Promise<void>;
+  cancel(messageId: string): Promise<void>;
+  registerSender(
+    cid: string,
+    sender: (message: Client.MessageResponse) => Promise<any>,
+  ): () => void;
+  subscribe(listener: (event: OutboxEvent) => void): () => void;
+  getRetryDelay(attempts: number): number;
+  flush(
+    defaultSender?: (
+      cid: string,
+      message: Client.MessageResponse,
+    ) => Promise<any>,
+  ): Promise<void>;
+  stop(): void;
+}
+
+export interface DraftStoreOptions {
+  storage?: StorageAdapter;
+  storageKey?: string;
+}
+
+export interface Draft {
+  text: string;
+  mentioned_users: Array<Client.UserResponse | string>;
+  imageUploads: Array<{ id: string; url?: string; file: object }>;
+  fileUploads: Array<{ id: string; url?: string; file: object }>;
+  updated_at?: string;
+}
+
+export interface DraftStoreEvent {
+  type: 'drafts.changed';
+  cid?: string;
+  parentId?: string;
+}
+
+export class DraftStore {
+  constructor(options?: DraftStoreOptions);
+
+  load(): Promise<{ [key: string]: Draft }>;
+  get(cid: string, parentId?: string): Draft | null;
+  set(cid: string, parentId: string | undefined, draft: Draft): Promise<void>;
+  remove(cid: string, parentId?: string): Promise<void>;
+  subscribe(listener: (event: DraftStoreEvent) => void): () => void;
+}
+
+export interface ChannelPreferencesOptions {
+  storage?: StorageAdapter;
+  storageKey?: string;
+}
+
+export interface ChannelPreferencesEvent {
+  type: 'channelPreferences.changed';
+  userId?: string;
+  cid?: string;
+}
+
+export class ChannelPreferences {
+  constructor(options?: ChannelPreferencesOptions);
+
+  load(): Promise<{
+    [userId: string]: { pinned: string[]; archived: string[] };
+  }>;
+  getPinnedChannels(userId: string): string[];
+  getArchivedChannels(userId: string): string[];
+  isPinned(userId: string, cid: string): boolean;
+  isArchived(userId: string, cid: string): boolean;
+  pin(userId: string, cid: string): Promise<void>;
+  unpin(userId: string, cid: string): Promise<void>;
+  archive(userId: string, cid: string): Promise<void>;
+  unarchive(userId: string, cid: string): Promise<void>;
+  remove(userId: string, cid: string): Promise<void>;
+  subscribe(listener: (event: ChannelPreferencesEvent) => void): () => void;
+}
+
+export function getDraftKey(cid: string, parentId?: string): string;
+export function isDraftEmpty(draft?: Draft | null): boolean;
+
+export interface MessageSchedulerOptions {
+  storage?: StorageAdapter;
+  storageKey?: string;
+  /** Delay (ms) before first retry after server error. Default: 1000 */
+  retryDelay?: number;
+  /** Upper limit (ms) on delay between retries. Default: 60000 */
+  maxRetryDelay?: number;
+  /** Failed attempts after which message is marked as failed. Default: 10 */
+  maxAttempts?: number;
+}
+
+export interface ScheduledMessageData {
+  /** Assigned when message is scheduled, if not provided */
+  id?: string;
+  text?: string;
+  attachments?: Client.Attachment[];
+  mentioned_users?: string[];
+  parent_id?: string;
+  [key: string]: any;
+}
+
+export interface ScheduledMessage {
+  id: string;
+  cid: string;
+  message: ScheduledMessageData;
+  send_at: string;
+  scheduled_at: string;
+  /** True if sending failed. Failed messages are not retried automatically. */
+  failed?: boolean;
+  /** Number of attempts, which failed because of server error */
+  attempts?: number;
+  /** Time of next attempt, after server error */
+  retry_at?: string;
+}
+
+export interface MessageSchedulerEvent {
+  type: 'scheduler.changed' | 'scheduler.sent' | 'scheduler.failed';
+  entry?: ScheduledMessage;
+  error?: Error;
+}
+
+export class MessageScheduler {
+  constructor(options?: MessageSchedulerOptions);
+
+  load(): Promise<ScheduledMessage[]>;
+  getEntries(cid?: string): ScheduledMessage[];
+  schedule(
+    cid: string,
+    message: ScheduledMessageData,
+    sendAt: Date | string,
+  ): Promise<ScheduledMessage>;
+  update(
+    id: string,
+    changes: {
+      message?: Partial<ScheduledMessageData>;
+      send_at?: Date | string;
+    },
+  ): Promise<void>;
+  cancel(id: string): Promise<void>;
+  sendNow(id: string): Promise<void>;
+  registerSender(
+    cid: string,
+    sender: (message: ScheduledMessageData) => Promise<any>,
+  ): () => void;
+  subscribe(listener: (event: MessageSchedulerEvent) => void): () => void;
+  start(
+    defaultSender?: (
+      cid: string,
+      message: ScheduledMessageData,
+    ) => Promise<any>,
+  ): Promise<void>;
+  stop(): void;
+}
+
+/** Returns the urls found in text, with protocol. Emails are not included. */
+export function getUrls(text?: string): string[];
+export function getFirstUrl(text?: string): string | null;
+
+/** Returns the preset times offered by SchedulePicker */
+export function getScheduleOptions(now?: Date): ScheduleOption[];
+
+export const POLL_ATTACHMENT_TYPE: 'poll';
+export const POLL_ACTIONS: { VOTE: 'poll_vote'; CLOSE: 'poll_close' };
+export const MAX_POLL_OPTIONS: number;
+export function createPollAttachment(
+  poll: PollData,
+  userId: string,
+): Client.Attachment & { type: 'poll'; poll: Poll };
+/** Returns true if poll has a question and at least two distinct options */
+export function isValidPoll(poll: {
+  question: string;
+  options: string[];
+}): boolean;
+export function getPoll(message: Client.MessageResponse): Poll | null;
+export function setPoll(
+  message: Client.MessageResponse,
+  poll: Poll,
+): Client.MessageResponse;
+export function isPollClosed(poll: Poll, now?: Date): boolean;
+/** Returns the reaction type, which stores the votes for option - `poll_vote_<optionId>` */
+export function getPollVoteReactionType(optionId: string): string;
+export function isPollVoteReaction(type: string): boolean;
+export function getPollVotes(message: Client.MessageResponse): PollVotes;
+/** Returns null if vote isn't allowed */
+export function getPollVoteChanges(
+  poll: Poll,
+  optionId: string,
+  ownVotes?: string[],
+): { add: string[]; remove: string[] } | null;
+export function applyPollVoteChanges(
+  message: Client.MessageResponse,
+  changes: { add: string[]; remove: string[] },
+  user: Client.UserResponse,
+): Client.MessageResponse;
+/** Returns the message with poll votes moved from its reactions to `poll.votes` */
+export function getPollMessageForDisplay(
+  message: Client.MessageResponse,
+): Client.MessageResponse;
+export function closePoll(poll: Poll): Poll;
+export function getPollResults(poll: Poll, votes?: PollVotes): PollResults;
+/** Returns the preset close times offered by PollComposer */
+export function getPollCloseOptions(now?: Date): PollCloseOption[];
+
+export interface Location {
+  latitude: number;
+  longitude: number;
+  accuracy?: number;
+}
+
+export interface LocationAttachmentData extends Client.Attachment, Location {
+  type: 'location';
+  updated_at: string;
+  live?: boolean;
+  /** Id of the sharing session */
+  live_id?: string;
+  live_until?: string;
+  stopped_at?: string;
+}
+
+export const LOCATION_ATTACHMENT_TYPE: 'location';
+export function createLocationAttachment(
+  location: Location,
+  options?: { live?: boolean; duration?: number; now?: Date },
+): LocationAttachmentData;
+/** Returns true if live location hasn't been stopped or expired yet */
+export function isLiveLocationActive(
+  attachment: LocationAttachmentData,
+  now?: Date,
+): boolean;
+export function getLocationAttachment(
+  message: Client.MessageResponse,
+): LocationAttachmentData | null;
+export function setLocationAttachment(
+  message: Client.MessageResponse,
+  attachment: LocationAttachmentData,
+): Client.MessageResponse;
+
+export interface LiveLocationManagerOptions {
+  /** Minimum time between two updates of message, in milliseconds. Default - 10 seconds */
+  minUpdateInterval?: number;
+}
+
+export class LiveLocationManager {
+  constructor(options?: LiveLocationManagerOptions);
+
+  start(
+    message: Client.MessageResponse,
+    options: {
+      updateMessage(message: Client.MessageResponse): Promise<any>;
+      stopWatching?(): void;
+    },
+  ): void;
+  update(id: string, location: Location): Promise<void>;
+  stop(id: string): Promise<void>;
+  stopAll(): Promise<void[]>;
+  isSharing(id: string): boolean;
+  subscribe(
+    listener: (event: { type: 'liveLocation.changed' }) => void,
+  ): () => void;
+}
+
+export interface PickedImage {
+  uri: string;
+  name?: string;
+  width?: number;
+  height?: number;
+}
+
+export interface ContactField {
+  /** e.g. 'mobile' or 'work' */
+  label?: string;
+  value: string;
+}
+
+export interface Contact {
+  name: string;
+  phones: ContactField[];
+  emails: ContactField[];
+  organization?: string;
+  image?: string;
+  /** Id of Stream user, if contact is a user */
+  user_id?: string;
+}
+
+export interface ContactAttachmentData extends Client.Attachment {
+  type: 'contact';
+  contact?: Contact;
+  vcard?: string;
+}
+
+/** Serializes the contact to vCard 3.0 */
+export function serializeVCard(contact: Contact): string;
+/** Parses the first card of vCard text. Returns null if text isn't a vCard. */
+export function parseVCard(vcard: string): Contact | null;
+
+export const CONTACT_ATTACHMENT_TYPE: 'contact';
+export function createContactAttachment(
+  contact: Partial<Contact>,
+): ContactAttachmentData;
+/** Returns the contact of attachment, parsing its vCard if needed */
+export function getContactFromAttachment(
+  attachment: ContactAttachmentData,
+): Contact | null;
+/** Returns the member who is the contact, matched by user id, email or phone number */
+export function findContactMember(
+  contact: Contact,
+  members: { [user_id: string]: Client.ChannelMemberResponse },
+): Client.ChannelMemberResponse | null;
+
+export type ChannelAction =
+  | 'mute'
+  | 'markRead'
+  | 'pin'
+  | 'archive'
+  | 'leave'
+  | 'delete';
+export const CHANNEL_ACTIONS: { [action in ChannelAction]: ChannelAction };
+/** Returns true if channel is muted by current user */
+export function isChannelMuted(channel: Client.Channel): boolean;
+/** Returns the unread count of channel, which is 0 for muted channel */
+export function getChannelUnreadCount(channel: Client.Channel): number;
+/** Sets the read state of current user on channel locally */
+export function setChannelLastRead(
+  channel: Client.Channel,
+  user: Client.OwnUserResponse,
+  lastRead: Date,
+): void;
+/** Marks the latest message from other users as unread, locally. Returns false if there is no such message. */
+export function markChannelUnread(
+  channel: Client.Channel,
+  user: Client.OwnUserResponse,
+): boolean;
+export function canPerformChannelAction(
+  channel: Client.Channel,
+  action: ChannelAction,
+  user: Client.OwnUserResponse,
+): boolean;
+/** Returns the channels with pinned channels on top */
+export function sortPinnedChannels(
+  channels: Client.Channel[],
+  pinnedChannels: string[],
+): Client.Channel[];
+export const CHANNEL_QUICK_FILTERS: {
+  [quickFilter in ChannelQuickFilter]: {
+    /** Filters added to the query of channels */
+    filters?: object;
+    /** Filters the loaded channels */
+    predicate?(channel: Client.Channel): boolean;
+  };
+};
+/** Combines the query filters with `$and`, ignoring empty filters */
+export function combineFilters(...filters: Array<object | undefined>): object;
+/** Returns the query filters for channels, whose name or member names start with the search term */
+export function getChannelSearchFilters(query: string): object;
+/** Returns true if name of channel, or name or id of any member contains the search term */
+export function matchesChannelSearch(
+  channel: Client.Channel,
+  query: string,
+): boolean;
+/**
+ * Checks if channel matches the query filters, using its local state.
+ * Returns null if filters contain operators, which can't be checked locally.
+ */
+/** Returns the ids of users muted by current user */
+export function getMutedUserIds(user?: Client.OwnUserResponse): string[];
+export function isMessageFromMutedUser(
+  message: Client.MessageResponse,
+  mutedUsers: string[],
+  userId?: string,
+): boolean;
+export function matchesChannelFilters(
+  channel: Client.Channel,
+  filters: object,
+): boolean | null;
+/** Splits the channels into sections of ChannelList */
+export function getChannelSections(
+  channels: Client.Channel[],
+  pinnedChannels?: string[],
+  archivedChannels?: string[],
+): {
+  pinned: Client.Channel[];
+  channels: Client.Channel[];
+  archived: Client.Channel[];
+};
+
+export interface AttachmentTypeProps {
+  attachment: Client.Attachment;
+  actionHandler?(name: string, value: string, event?: any): any;
+  groupStyle?: 'single' | 'top' | 'middle' | 'bottom';
+  alignment?: 'right' | 'left';
+  onLongPress?: (event: GestureResponderEvent) => void;
+}
+
+export interface AttachmentType {
+  type: string;
+  match(attachment: Client.Attachment): boolean;
+  Component: React.ElementType<AttachmentTypeProps>;
+}
+
+/**
+ * Registers the UI component for custom attachment type. `match` defaults to matching `attachment.type`.
+ * Returns function to unregister the type.
+ */
+export function registerAttachmentType(
+  type: string,
+  options: {
+    match?(attachment: Client.Attachment): boolean;
+    Component: React.ElementType<AttachmentTypeProps>;
+  },
+): () => void;
+export function unregisterAttachmentType(type: string): void;
+export function getAttachmentTypes(): AttachmentType[];
+export function getRegisteredAttachmentType(
+  attachment: Client.Attachment,
+): AttachmentType | null;